@@ -0,0 +1,314 @@
+// Multi-file archives: several files with relative paths in one compressed file
+// The entries are concatenated and compressed as one input, so an archive is an
+// ordinary compressed file whose meta.archive lists each entry's path, byte range,
+// mtime, MIME type and CRC-32. In 'separate' mode every entry starts a new block and
+// decodes without its neighbours; in 'solid' mode blocks run across entries, which
+// compresses many small files better. Extracting one entry decodes only its blocks.
+
+import { compressBytesAsync, decompressBytesAsync, mergeCompressedBlocks, resolveBlockSize } from './pipeline.js';
+import { crc32, ChecksumError } from './checksum.js';
+import { FormatError } from './errors.js';
+import { archiveSchema, validateMeta } from './metadata.js';
+
+export const ARCHIVE_MODES = ['separate', 'solid'];
+export const DEFAULT_ARCHIVE_MODE = 'separate';
+
+/**
+ * Compress several files into one archive
+ * @param {Array<{path: string, bytes: Uint8Array, mtime: (number|undefined), mimeType: (string|undefined)}>} files - Entries in archive order
+ * @param {Object} [options] - compressBytes options, including onProgress and signal
+ * @param {string} [options.archiveMode=DEFAULT_ARCHIVE_MODE] - One of ARCHIVE_MODES
+ * @param {function(Uint8Array, Object): Promise<Object>} [compress] - Compressor returning the compressBytes shape (default compressBytesAsync)
+ * @returns {Promise<{payload: Uint8Array, meta: Object, index: (Uint8Array|undefined)}>} - Same shape as compressBytes, with meta.archive
+ * @throws {Error} - When there are no files, the mode is unknown, or a path is invalid or used twice
+ */
+export async function compressArchive(files, { archiveMode = DEFAULT_ARCHIVE_MODE, ...options } = {}, compress = compressBytesAsync) {
+  if (!ARCHIVE_MODES.includes(archiveMode)) {
+    throw new Error(`Unknown archive mode: ${archiveMode}`);
+  }
+  if (files.length === 0) {
+    throw new Error('An archive needs at least one file');
+  }
+
+  const startTime = performance.now();
+  const entries = [];
+  let offset = 0;
+  let fileCrc = 0;
+  for (const file of files) {
+    const entry = {
+      path: file.path,
+      offset,
+      size: file.bytes.length,
+      mimeType: file.mimeType || 'application/octet-stream',
+      crc32: crc32(file.bytes)
+    };
+    if (typeof file.mtime === 'number') entry.mtime = file.mtime;
+    entries.push(entry);
+    offset += file.bytes.length;
+    fileCrc = crc32(file.bytes, fileCrc);
+  }
+
+  // Paths are checked before any time is spent compressing
+  const archive = { mode: archiveMode, entries };
+  const checked = archiveSchema.safeParse(archive);
+  if (!checked.success) {
+    throw new Error(`Invalid archive entry: ${checked.error.issues[0].message}`);
+  }
+
+  const result = archiveMode === 'solid'
+    ? await compress(concatFiles(files), options)
+    : await compressEntries(files, options, compress, { crc32: fileCrc, startTime });
+
+  return { ...result, meta: { ...result.meta, archive } };
+}
+
+/**
+ * Compress each entry on its own, so no block spans two entries, and merge the results
+ * @param {Array<{bytes: Uint8Array}>} files - Entries in archive order
+ * @param {Object} options - compressBytes options
+ * @param {function(Uint8Array, Object): Promise<Object>} compress - Compressor (see compressArchive)
+ * @param {{crc32: number, startTime: number}} whole - CRC-32 of all entries and when compression started
+ * @returns {Promise<{payload: Uint8Array, meta: Object, index: (Uint8Array|undefined)}>} - Same shape as compressBytes
+ */
+async function compressEntries(files, options, compress, whole) {
+  // Empty entries occupy no blocks
+  const filled = files.filter((file) => file.bytes.length > 0);
+  if (filled.length === 0) {
+    return compress(new Uint8Array(0), options);
+  }
+
+  const progress = createEntryProgress(filled, resolveBlockSize(options.blockSize), options.onProgress, whole.startTime);
+  const parts = await Promise.all(filled.map((file, i) => compress(file.bytes, {
+    ...options,
+    onProgress: (event) => progress(i, event)
+  })));
+
+  // An entry that failed to compress is handled like compressBytes does: store the whole input
+  if (parts.some((part) => part.meta.pipeline[0] === 'none')) {
+    return compress(concatFiles(files), options);
+  }
+
+  return mergeCompressedBlocks(parts, whole);
+}
+
+/**
+ * Progress of entries compressed side by side, reported as one run over the whole archive
+ * @param {Array<{bytes: Uint8Array}>} files - Entries being compressed
+ * @param {number} blockSize - Block size in bytes
+ * @param {function(Object): void} [onProgress] - Caller's callback (see createProgress in pipeline.js)
+ * @param {number} startTime - When compression started
+ * @returns {function(number, Object): void} - update(entryIndex, entryEvent)
+ */
+function createEntryProgress(files, blockSize, onProgress, startTime) {
+  const totalBytes = files.reduce((sum, file) => sum + file.bytes.length, 0);
+  const firstBlocks = [];
+  let blockCount = 0;
+  for (const file of files) {
+    firstBlocks.push(blockCount);
+    blockCount += Math.ceil(file.bytes.length / blockSize);
+  }
+  const doneByEntry = new Array(files.length).fill(0);
+
+  return (entryIndex, { stage, blockIndex, bytesDone }) => {
+    if (!onProgress) return;
+    doneByEntry[entryIndex] = bytesDone;
+    const done = doneByEntry.reduce((sum, value) => sum + value, 0);
+    const elapsedMs = performance.now() - startTime;
+    const etaMs = done > 0 ? (elapsedMs * (totalBytes - done)) / done : null;
+    onProgress({
+      phase: 'compress',
+      stage,
+      blockIndex: firstBlocks[entryIndex] + blockIndex,
+      blockCount,
+      bytesDone: done,
+      totalBytes,
+      elapsedMs,
+      etaMs
+    });
+  };
+}
+
+/**
+ * Entries of an archive, in archive order
+ * @param {Object} meta - Compression metadata
+ * @returns {Array<{path: string, offset: number, size: number, mtime: (number|undefined), mimeType: (string|undefined), crc32: (number|undefined)}>} - Entry table
+ * @throws {FormatError} - When the metadata or entry table is malformed
+ * @throws {Error} - When the file is not an archive
+ */
+export function listArchive(meta) {
+  // The size limit applies to what is decoded, which may be a single entry
+  validateMeta(meta, { maxOriginalSize: Infinity });
+  if (!meta.archive) {
+    throw new Error('File is not an archive');
+  }
+  return meta.archive.entries;
+}
+
+/**
+ * Decompress one entry, decoding only the blocks it overlaps
+ * @param {Uint8Array} payload - Compressed payload of the archive
+ * @param {Object} meta - Compression metadata of the archive
+ * @param {string} path - Entry path
+ * @param {Object} [options] - decompressBytes options (onProgress, signal and maxOriginalSize)
+ * @param {function(Uint8Array, Object, Object): Promise<Uint8Array>} [decompress] - Decompressor (default decompressBytesAsync)
+ * @returns {Promise<Uint8Array>} - Entry contents
+ * @throws {ChecksumError} - When a block or the entry fails its checksum
+ * @throws {FormatError} - When the metadata or payload is malformed
+ * @throws {Error} - When the archive has no entry with this path
+ */
+export async function extractArchiveEntry(payload, meta, path, options = {}, decompress = decompressBytesAsync) {
+  const entry = listArchive(meta).find((candidate) => candidate.path === path);
+  if (!entry) {
+    throw new Error(`Archive has no entry ${path}`);
+  }
+  if (entry.size === 0) {
+    return new Uint8Array(0);
+  }
+
+  const span = entryBlocks(payload, meta, entry);
+  const decoded = await decompress(span.payload, span.meta, options);
+  const bytes = decoded.slice(entry.offset - span.start, entry.offset - span.start + entry.size);
+  verifyEntry(bytes, entry);
+  return bytes;
+}
+
+/**
+ * Decompress every entry of an archive
+ * @param {Uint8Array} payload - Compressed payload of the archive
+ * @param {Object} meta - Compression metadata of the archive
+ * @param {Object} [options] - decompressBytes options (onProgress, signal and maxOriginalSize)
+ * @param {function(Uint8Array, Object, Object): Promise<Uint8Array>} [decompress] - Decompressor (default decompressBytesAsync)
+ * @returns {Promise<Array<Object>>} - Entries in archive order, each with its bytes (see splitArchive)
+ * @throws {ChecksumError} - When a block, an entry or the whole file fails its checksum
+ * @throws {FormatError} - When the metadata or payload is malformed
+ */
+export async function extractArchive(payload, meta, options = {}, decompress = decompressBytesAsync) {
+  listArchive(meta);
+  return splitArchive(await decompress(payload, meta, options), meta);
+}
+
+/**
+ * Cut the decompressed contents of an archive into its entries
+ * @param {Uint8Array} bytes - Decompressed archive
+ * @param {Object} meta - Compression metadata of the archive
+ * @returns {Array<{path: string, size: number, mtime: (number|undefined), mimeType: (string|undefined), bytes: Uint8Array}>} - Entries in archive order, with views into bytes
+ * @throws {ChecksumError} - When an entry fails its checksum
+ * @throws {FormatError} - When the entry table is malformed or does not match bytes
+ */
+export function splitArchive(bytes, meta) {
+  const entries = listArchive(meta);
+  const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  if (bytes.length !== total) {
+    throw new FormatError(`Archive entries hold ${total} bytes, but ${bytes.length} bytes were decoded`);
+  }
+  return entries.map((entry) => {
+    const entryBytes = bytes.subarray(entry.offset, entry.offset + entry.size);
+    verifyEntry(entryBytes, entry);
+    return { ...entry, bytes: entryBytes };
+  });
+}
+
+/**
+ * Folder tree of archive entries, for display
+ * Folders come before files, each sorted by name; a folder's size is the sum of its files.
+ * @param {Array<{path: string, size: number}>} entries - Entry table (see listArchive)
+ * @returns {{name: string, path: string, size: number, children: Array<Object>}} - Root folder; files have an entry instead of children
+ */
+export function buildArchiveTree(entries) {
+  const root = { name: '', path: '', size: 0, children: [] };
+  const folders = new Map([['', root]]);
+
+  for (const entry of entries) {
+    const parts = entry.path.split('/');
+    let folder = root;
+    folder.size += entry.size;
+    for (let k = 0; k < parts.length - 1; k++) {
+      const path = parts.slice(0, k + 1).join('/');
+      let child = folders.get(path);
+      if (!child) {
+        child = { name: parts[k], path, size: 0, children: [] };
+        folders.set(path, child);
+        folder.children.push(child);
+      }
+      child.size += entry.size;
+      folder = child;
+    }
+    folder.children.push({ name: parts[parts.length - 1], path: entry.path, size: entry.size, entry });
+  }
+
+  for (const folder of folders.values()) {
+    folder.children.sort((a, b) => Boolean(b.children) - Boolean(a.children) || a.name.localeCompare(b.name));
+  }
+  return root;
+}
+
+/**
+ * The blocks an entry overlaps, as a payload and metadata that decompressBytes decodes on their own
+ * Files without a block table, and the uncompressed fallback, are decoded whole.
+ * @param {Uint8Array} payload - Compressed payload of the archive
+ * @param {Object} meta - Compression metadata of the archive
+ * @param {{offset: number, size: number}} entry - Entry to cover
+ * @returns {{payload: Uint8Array, meta: Object, start: number}} - Blocks to decode and the original offset they start at
+ */
+function entryBlocks(payload, meta, entry) {
+  if (!Array.isArray(meta.blocks) || meta.pipeline[0] === 'none') {
+    return { payload, meta, start: 0 };
+  }
+
+  // The whole-file checksum and search index do not apply to a run of blocks
+  const { fmIndex, archive, crc32: fileCrc, ...shared } = meta;
+  const blocks = [];
+  let start = 0;
+  let payloadStart = 0;
+  let first = null;
+  for (const block of meta.blocks) {
+    const end = start + block.originalSize;
+    if (end > entry.offset && start < entry.offset + entry.size) {
+      first = first || { start, payloadStart };
+      blocks.push(block);
+    }
+    start = end;
+    payloadStart += block.compressedSize;
+  }
+
+  const originalSize = blocks.reduce((sum, block) => sum + block.originalSize, 0);
+  const compressedSize = blocks.reduce((sum, block) => sum + block.compressedSize, 0);
+  return {
+    payload: payload.subarray(first.payloadStart, first.payloadStart + compressedSize),
+    meta: {
+      ...shared,
+      originalSize,
+      compressedSize,
+      primaryIndex: blocks[0].primaryIndex,
+      blocks
+    },
+    start: first.start
+  };
+}
+
+/**
+ * Compare an extracted entry with its stored CRC-32
+ * @param {Uint8Array} bytes - Entry contents
+ * @param {{path: string, crc32: (number|undefined)}} entry - Entry
+ * @throws {ChecksumError} - When the contents do not match
+ */
+function verifyEntry(bytes, entry) {
+  if (typeof entry.crc32 === 'number' && crc32(bytes) !== entry.crc32) {
+    throw new ChecksumError(`Entry ${entry.path} failed its CRC-32 check (data is corrupt)`, null);
+  }
+}
+
+/**
+ * Concatenate the contents of every entry
+ * @param {Array<{bytes: Uint8Array}>} files - Entries in archive order
+ * @returns {Uint8Array} - Joined bytes
+ */
+function concatFiles(files) {
+  const result = new Uint8Array(files.reduce((sum, file) => sum + file.bytes.length, 0));
+  let offset = 0;
+  for (const file of files) {
+    result.set(file.bytes, offset);
+    offset += file.bytes.length;
+  }
+  return result;
+}
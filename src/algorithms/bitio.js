@@ -0,0 +1,135 @@
+// Bit-level writer and reader for the entropy coders
+// Bits are packed most significant first; the final byte is padded with zeros.
+
+import { FormatError } from './errors.js';
+
+/**
+ * Create a bit writer backed by a growable byte buffer
+ * @param {number} [initialCapacity=1024] - Initial buffer size in bytes
+ * @returns {{writeBits: function(number, number): void, finish: function(): Uint8Array}} - Writer operations
+ */
+export function createBitWriter(initialCapacity = 1024) {
+  let bytes = new Uint8Array(Math.max(16, initialCapacity));
+  let length = 0;
+  let buffer = 0;
+  let bitCount = 0;
+
+  const pushByte = (byte) => {
+    if (length === bytes.length) {
+      const grown = new Uint8Array(bytes.length * 2);
+      grown.set(bytes);
+      bytes = grown;
+    }
+    bytes[length++] = byte;
+  };
+
+  return {
+    /**
+     * Append the low `count` bits of a value
+     * @param {number} value - Bits to write
+     * @param {number} count - Number of bits (0 to 32)
+     */
+    writeBits(value, count) {
+      if (count > 24) {
+        this.writeBits(Math.floor(value / 0x10000) & 0xFFFF, count - 16);
+        this.writeBits(value & 0xFFFF, 16);
+        return;
+      }
+      buffer = (buffer << count) | (value & ((1 << count) - 1));
+      bitCount += count;
+      while (bitCount >= 8) {
+        bitCount -= 8;
+        pushByte((buffer >>> bitCount) & 0xFF);
+      }
+      buffer &= (1 << bitCount) - 1;
+    },
+
+    /**
+     * Flush the partial byte and return the written bytes
+     * @returns {Uint8Array} - Output bytes
+     */
+    finish() {
+      if (bitCount > 0) {
+        pushByte((buffer << (8 - bitCount)) & 0xFF);
+        buffer = 0;
+        bitCount = 0;
+      }
+      return bytes.slice(0, length);
+    }
+  };
+}
+
+/**
+ * Create a bit reader over a byte array
+ * Peeking past the end yields zero bits, so table lookups near the end stay simple;
+ * `overrun` reports whether more bits were consumed than the input holds.
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {{readBits: Function, peekBits: Function, skipBits: Function, overrun: Function, bitPosition: Function}} - Reader operations
+ */
+export function createBitReader(bytes) {
+  let offset = 0;
+  let buffer = 0;
+  let bitCount = 0;
+  let consumed = 0;
+
+  const fill = () => {
+    while (bitCount <= 24) {
+      const byte = offset < bytes.length ? bytes[offset] : 0;
+      offset++;
+      buffer = ((buffer << 8) | byte) >>> 0;
+      bitCount += 8;
+    }
+  };
+
+  return {
+    /**
+     * Look at the next bits without consuming them
+     * @param {number} count - Number of bits (1 to 24)
+     * @returns {number} - Bit value
+     */
+    peekBits(count) {
+      if (bitCount < count) fill();
+      return (buffer >>> (bitCount - count)) & ((1 << count) - 1);
+    },
+
+    /**
+     * Consume bits that were peeked
+     * @param {number} count - Number of bits
+     */
+    skipBits(count) {
+      if (bitCount < count) fill();
+      bitCount -= count;
+      consumed += count;
+      buffer &= bitCount === 32 ? 0xFFFFFFFF : (2 ** bitCount) - 1;
+    },
+
+    /**
+     * Read and consume bits
+     * @param {number} count - Number of bits (0 to 32)
+     * @returns {number} - Bit value
+     */
+    readBits(count) {
+      if (count > 24) {
+        const high = this.readBits(count - 16);
+        return high * 0x10000 + this.readBits(16);
+      }
+      if (count === 0) return 0;
+      const value = this.peekBits(count);
+      this.skipBits(count);
+      if (consumed > bytes.length * 8) {
+        throw new FormatError('Bit stream is truncated', bytes.length);
+      }
+      return value;
+    },
+
+    // True once more bits were consumed than the input contains
+    overrun() {
+      return consumed > bytes.length * 8;
+    },
+
+    // Number of bits consumed so far
+    bitPosition() {
+      return consumed;
+    }
+  };
+}
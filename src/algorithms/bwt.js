@@ -1,89 +1,149 @@
 // Binary-safe Burrows-Wheeler Transform implementation
 // Operates on Uint8Array for proper binary handling
 
+import { buildSuffixArray } from './sais.js';
+import { FormatError } from './errors.js';
+
+export const MAX_BWT_CHECKPOINTS = 256;
+
 /**
  * Forward Burrows-Wheeler Transform
+ * Optional checkpoints record the rows of the rotations starting at every interval-th
+ * offset, so the inverse can rebuild the segments between them independently (as bsc does).
  * @param {Uint8Array} bytes - Input bytes to transform
- * @returns {{transformed: Uint8Array, primaryIndex: number}} - Transformed bytes and original index
+ * @param {number} [checkpointCount=0] - Extra primary indices to sample (0 to MAX_BWT_CHECKPOINTS)
+ * @returns {{transformed: Uint8Array, primaryIndex: number, checkpoints: ({interval: number, rows: number[]}|undefined)}} - Transformed bytes, original index and sampled rows
  */
-export function bwtEncode(bytes) {
+export function bwtEncode(bytes, checkpointCount = 0) {
   if (!bytes || bytes.length === 0) {
     return { transformed: new Uint8Array(0), primaryIndex: 0 };
   }
 
   const n = bytes.length;
   
-  // Create suffix array - indices of all rotations sorted lexicographically
-  const suffixArray = new Array(n);
-  for (let i = 0; i < n; i++) {
-    suffixArray[i] = i;
-  }
+  // Rotations of bytes sort exactly like the suffixes of bytes+bytes that
+  // start in the first half, so one linear-time suffix sort covers them
+  const doubled = new Uint8Array(n * 2);
+  doubled.set(bytes, 0);
+  doubled.set(bytes, n);
+  const suffixArray = buildSuffixArray(doubled);
   
-  // Sort suffixes using comparison function that handles cyclic rotations
-  suffixArray.sort((a, b) => {
-    for (let i = 0; i < n; i++) {
-      const byteA = bytes[(a + i) % n];
-      const byteB = bytes[(b + i) % n];
-      if (byteA !== byteB) {
-        return byteA - byteB;
-      }
-    }
-    return 0; // Equal rotations
-  });
-  
-  // Find primary index (where original string appears in sorted array)
+  // Keep only rotation starts; equal rotations may appear in either order,
+  // which is harmless because they share the same last byte
+  const rotations = new Int32Array(n);
   let primaryIndex = 0;
-  for (let i = 0; i < n; i++) {
-    if (suffixArray[i] === 0) {
-      primaryIndex = i;
-      break;
+  for (let i = 0, k = 0; i < suffixArray.length; i++) {
+    const start = suffixArray[i];
+    if (start < n) {
+      if (start === 0) {
+        primaryIndex = k;
+      }
+      rotations[k++] = start;
     }
   }
   
   // Extract last column (L column) from sorted rotations matrix
   const transformed = new Uint8Array(n);
   for (let i = 0; i < n; i++) {
-    const rotationStart = suffixArray[i];
+    const rotationStart = rotations[i];
     // Last character of rotation starting at rotationStart
     transformed[i] = bytes[(rotationStart + n - 1) % n];
   }
   
+  if (checkpointCount > 0 && n > 1) {
+    const interval = Math.ceil(n / (Math.min(checkpointCount, n - 1) + 1));
+    const rowOf = new Int32Array(n);
+    for (let k = 0; k < n; k++) {
+      rowOf[rotations[k]] = k;
+    }
+    const rows = [];
+    for (let offset = interval; offset < n; offset += interval) {
+      rows.push(rowOf[offset]);
+    }
+    return { transformed, primaryIndex, checkpoints: { interval, rows } };
+  }
+  
   return { transformed, primaryIndex };
 }
 
 /**
  * Inverse Burrows-Wheeler Transform
+ * Linear-time reconstruction: cumulative byte counts (C array) give each L-column
+ * byte its row in the F column, and the resulting next mapping walks the rotations.
  * @param {Uint8Array} transformed - BWT transformed bytes
  * @param {number} primaryIndex - Original string position in sorted array
+ * @param {{interval: number, rows: number[]}} [checkpoints] - Sampled rows from bwtEncode; validated, the result is the same
  * @returns {Uint8Array} - Original bytes
  */
-export function bwtDecode(transformed, primaryIndex) {
+export function bwtDecode(transformed, primaryIndex, checkpoints) {
   if (!transformed || transformed.length === 0) {
     return new Uint8Array(0);
   }
 
   const n = transformed.length;
+  const segments = bwtSegments(n, primaryIndex, checkpoints);
   
-  // Create F column (first column) by sorting L column (transformed)
-  const indexedBytes = Array.from(transformed, (byte, index) => ({ byte, index }));
-  indexedBytes.sort((a, b) => a.byte - b.byte);
+  // next[j] = L-column row holding the same byte occurrence as F-column row j,
+  // i.e. the row of the rotation that starts one position later
+  const next = buildNextMapping(transformed);
   
-  // Create next array: for each position in L, find corresponding position in F
-  const next = new Uint8Array(n);
-  for (let i = 0; i < n; i++) {
-    next[indexedBytes[i].index] = i;
+  const original = new Uint8Array(n);
+  for (const { start, length, row } of segments) {
+    original.set(bwtDecodeSegment(transformed, next, row, length), start);
   }
   
-  // Reconstruct original string by following the next pointers
-  const original = new Uint8Array(n);
-  let currentIndex = primaryIndex;
+  return original;
+}
+
+/**
+ * Split an inverse BWT into segments that can be decoded independently
+ * @param {number} n - Block length
+ * @param {number} primaryIndex - Original string position in sorted array
+ * @param {{interval: number, rows: number[]}} [checkpoints] - Sampled rows from bwtEncode
+ * @returns {Array<{start: number, length: number, row: number}>} - Output offset, length and starting row of each segment
+ * @throws {FormatError} - When the primary index or a checkpoint is not a row of the block
+ */
+export function bwtSegments(n, primaryIndex, checkpoints) {
+  const rows = [primaryIndex];
+  let interval = n;
+  if (checkpoints) {
+    interval = checkpoints.interval;
+    if (!Number.isInteger(interval) || interval < 1 || !Array.isArray(checkpoints.rows) ||
+        checkpoints.rows.length !== Math.ceil(n / interval) - 1) {
+      throw new FormatError(`Invalid BWT checkpoints for block of ${n} bytes`);
+    }
+    rows.push(...checkpoints.rows);
+  }
   
-  for (let i = 0; i < n; i++) {
-    original[i] = indexedBytes[currentIndex].byte;
+  return rows.map((row, k) => {
+    if (!Number.isInteger(row) || row < 0 || row >= n) {
+      throw new FormatError(k === 0
+        ? `Invalid primaryIndex ${row} for block of ${n} bytes`
+        : `Invalid BWT checkpoint ${row} for block of ${n} bytes`);
+    }
+    const start = k * interval;
+    return { start, length: Math.min(interval, n - start), row };
+  });
+}
+
+/**
+ * Rebuild one segment of the original bytes by following the next pointers
+ * @param {Uint8Array} transformed - BWT transformed bytes
+ * @param {Uint32Array} next - Mapping from buildNextMapping
+ * @param {number} row - Row of the rotation starting at the segment
+ * @param {number} length - Segment length
+ * @returns {Uint8Array} - Segment bytes
+ */
+export function bwtDecodeSegment(transformed, next, row, length) {
+  const segment = new Uint8Array(length);
+  let currentIndex = row;
+  
+  for (let i = 0; i < length; i++) {
     currentIndex = next[currentIndex];
+    segment[i] = transformed[currentIndex];
   }
   
-  return original;
+  return segment;
 }
 
 /**
@@ -107,4 +167,204 @@ export function validateBWT(bytes) {
     console.error('BWT validation failed:', error);
     return false;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Bijective Burrows-Wheeler Transform (BWTS, Gil & Scott)
+ * Splits the input into its Lyndon factorization and sorts the rotations of all
+ * factors together in infinite-periodic (omega) order. No primary index is needed.
+ * @param {Uint8Array} bytes - Input bytes to transform
+ * @returns {Uint8Array} - Transformed bytes
+ */
+export function bwtsEncode(bytes) {
+  if (!bytes || bytes.length === 0) {
+    return new Uint8Array(0);
+  }
+
+  const n = bytes.length;
+  
+  // succ[i] = next position cyclically within the Lyndon factor containing i
+  const succ = new Int32Array(n);
+  const prevByte = new Uint8Array(n);
+  let maxFactorLength = 0;
+  for (const [start, end] of lyndonFactors(bytes)) {
+    for (let i = start; i < end - 1; i++) {
+      succ[i] = i + 1;
+    }
+    succ[end - 1] = start;
+    prevByte[start] = bytes[end - 1];
+    for (let i = start + 1; i < end; i++) {
+      prevByte[i] = bytes[i - 1];
+    }
+    maxFactorLength = Math.max(maxFactorLength, end - start);
+  }
+  
+  // Prefix doubling: rank[i] orders the first `span` bytes of rotation(i)^omega.
+  // Comparing |u| + |v| bytes decides omega order, so twice the longest
+  // factor is enough; equal ranks after that are true ties.
+  let rank = new Int32Array(n);
+  for (let i = 0; i < n; i++) {
+    rank[i] = bytes[i];
+  }
+  let order = radixSortByKeys(rank, null, n, 256);
+  let jump = succ;
+  const keyRange = Math.max(n, 256);
+  
+  for (let span = 1; span < 2 * maxFactorLength; span *= 2) {
+    const second = new Int32Array(n);
+    for (let i = 0; i < n; i++) {
+      second[i] = rank[jump[i]];
+    }
+    order = radixSortByKeys(rank, second, n, keyRange);
+    
+    const nextRank = new Int32Array(n);
+    for (let k = 1; k < n; k++) {
+      const a = order[k - 1];
+      const b = order[k];
+      const same = rank[a] === rank[b] && second[a] === second[b];
+      nextRank[b] = nextRank[a] + (same ? 0 : 1);
+    }
+    rank = nextRank;
+    if (rank[order[n - 1]] === n - 1) break; // All rotations already distinct
+    
+    const nextJump = new Int32Array(n);
+    for (let i = 0; i < n; i++) {
+      nextJump[i] = jump[jump[i]];
+    }
+    jump = nextJump;
+  }
+  
+  // Last column: the byte preceding each sorted rotation within its own factor
+  const transformed = new Uint8Array(n);
+  for (let k = 0; k < n; k++) {
+    transformed[k] = prevByte[order[k]];
+  }
+  
+  return transformed;
+}
+
+/**
+ * Inverse bijective Burrows-Wheeler Transform
+ * Each cycle of the LF mapping spells one Lyndon factor; cycles found in
+ * increasing row order are the factors in increasing order, so they are
+ * written back to front.
+ * @param {Uint8Array} transformed - BWTS transformed bytes
+ * @returns {Uint8Array} - Original bytes
+ */
+export function bwtsDecode(transformed) {
+  if (!transformed || transformed.length === 0) {
+    return new Uint8Array(0);
+  }
+
+  const n = transformed.length;
+  const next = buildNextMapping(transformed);
+  
+  const original = new Uint8Array(n);
+  const visited = new Uint8Array(n);
+  const factor = new Uint8Array(n);
+  let end = n;
+  
+  for (let row = 0; row < n; row++) {
+    if (visited[row]) continue;
+    
+    let length = 0;
+    let currentIndex = row;
+    do {
+      currentIndex = next[currentIndex];
+      visited[currentIndex] = 1;
+      factor[length++] = transformed[currentIndex];
+    } while (currentIndex !== row);
+    
+    end -= length;
+    original.set(factor.subarray(0, length), end);
+  }
+  
+  return original;
+}
+
+/**
+ * Lyndon factorization by Duval's algorithm
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {Array<[number, number]>} - Factor [start, end) ranges, lexicographically non-increasing
+ */
+export function lyndonFactors(bytes) {
+  const n = bytes.length;
+  const factors = [];
+  let i = 0;
+  
+  while (i < n) {
+    let j = i + 1;
+    let k = i;
+    while (j < n && bytes[k] <= bytes[j]) {
+      k = bytes[k] < bytes[j] ? i : k + 1;
+      j++;
+    }
+    while (i <= k) {
+      factors.push([i, i + j - k]);
+      i += j - k;
+    }
+  }
+  
+  return factors;
+}
+
+/**
+ * Build the F-to-L row mapping from cumulative byte counts
+ * @param {Uint8Array} transformed - L column
+ * @returns {Uint32Array} - next[j] = L row holding the byte occurrence at F row j
+ */
+export function buildNextMapping(transformed) {
+  const n = transformed.length;
+  
+  // C array: C[c] = number of bytes in the block smaller than c (start of c's run in F)
+  const C = new Uint32Array(256);
+  for (let i = 0; i < n; i++) {
+    C[transformed[i]]++;
+  }
+  for (let c = 0, sum = 0; c < 256; c++) {
+    const count = C[c];
+    C[c] = sum;
+    sum += count;
+  }
+  
+  const next = new Uint32Array(n);
+  for (let i = 0; i < n; i++) {
+    next[C[transformed[i]]++] = i;
+  }
+  return next;
+}
+
+/**
+ * Stable LSD counting sort of positions by (primary, secondary) keys
+ * Ties keep ascending position order.
+ * @param {Int32Array} primary - Primary key per position
+ * @param {Int32Array|null} secondary - Secondary key per position, or null
+ * @param {number} n - Number of positions
+ * @param {number} range - Exclusive upper bound of key values
+ * @returns {Int32Array} - Sorted positions
+ */
+function radixSortByKeys(primary, secondary, n, range) {
+  let order = new Int32Array(n);
+  for (let i = 0; i < n; i++) {
+    order[i] = i;
+  }
+  
+  const keys = secondary ? [secondary, primary] : [primary];
+  const counts = new Int32Array(range + 1);
+  for (const key of keys) {
+    counts.fill(0);
+    for (let i = 0; i < n; i++) {
+      counts[key[i] + 1]++;
+    }
+    for (let c = 0; c < range; c++) {
+      counts[c + 1] += counts[c];
+    }
+    const sorted = new Int32Array(n);
+    for (let k = 0; k < n; k++) {
+      const i = order[k];
+      sorted[counts[key[i]]++] = i;
+    }
+    order = sorted;
+  }
+  return order;
+}
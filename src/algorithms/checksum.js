@@ -0,0 +1,51 @@
+// CRC-32 (IEEE 802.3, as in zip and gzip) for block and whole-file integrity checks
+// Checksums cover the original bytes, so they catch corruption anywhere in the
+// payload or metadata that decoding alone would miss.
+
+let crcTable = null;
+
+/**
+ * Error raised when decompressed data does not match its stored checksum
+ */
+export class ChecksumError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number|null} blockIndex - Index of the failing block, or null for the whole file
+   */
+  constructor(message, blockIndex) {
+    super(message);
+    this.name = 'ChecksumError';
+    this.blockIndex = blockIndex;
+  }
+}
+
+/**
+ * CRC-32 of a byte array, optionally continuing a previous checksum
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {number} [crc=0] - Checksum of the preceding bytes
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+export function crc32(bytes, crc = 0) {
+  const table = crcTable || (crcTable = buildTable());
+  let c = ~crc;
+  for (let i = 0; i < bytes.length; i++) {
+    c = table[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+/**
+ * Byte-at-a-time lookup table for the reflected polynomial 0xEDB88320
+ * @returns {Uint32Array} - 256 table entries
+ */
+function buildTable() {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+}
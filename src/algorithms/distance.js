@@ -0,0 +1,166 @@
+// Distance Coding (Binder) for BWT output
+// Instead of list ranks, every byte records how far away the next occurrence of
+// the same byte is, counting only positions the decoder has not filled in yet.
+// Format: varint n, 32-byte presence bitmap, varint first offset per present byte,
+// then one varint per position (0 = no further occurrence)
+
+import { writeVarint, readVarint } from './varint.js';
+import { FormatError } from './errors.js';
+
+/**
+ * Distance Coding encoder
+ * @param {Uint8Array} bytes - Input bytes to encode
+ * @returns {Uint8Array} - Distance-coded bytes
+ */
+export function dcEncode(bytes) {
+  if (!bytes || bytes.length === 0) {
+    return new Uint8Array(0);
+  }
+
+  const n = bytes.length;
+  const out = [];
+  writeVarint(out, n);
+
+  // First occurrence of every byte, plus the next occurrence of each position
+  const first = new Int32Array(256).fill(-1);
+  const nextOccurrence = new Int32Array(n).fill(-1);
+  const last = new Int32Array(256).fill(-1);
+  for (let i = 0; i < n; i++) {
+    const byte = bytes[i];
+    if (last[byte] === -1) {
+      first[byte] = i;
+    } else {
+      nextOccurrence[last[byte]] = i;
+    }
+    last[byte] = i;
+  }
+
+  const bitmap = new Uint8Array(32);
+  for (let c = 0; c < 256; c++) {
+    if (first[c] !== -1) bitmap[c >> 3] |= 1 << (c & 7);
+  }
+  out.push(...bitmap);
+  for (let c = 0; c < 256; c++) {
+    if (first[c] !== -1) writeVarint(out, first[c]);
+  }
+
+  // Positions named by a first offset or an earlier distance are already known
+  const unknown = createFenwick(n);
+  for (let c = 0; c < 256; c++) {
+    if (first[c] !== -1) unknown.add(first[c], -1);
+  }
+
+  for (let i = 0; i < n; i++) {
+    const j = nextOccurrence[i];
+    if (j === -1) {
+      writeVarint(out, 0);
+    } else {
+      writeVarint(out, unknown.prefix(j) - unknown.prefix(i));
+      unknown.add(j, -1);
+    }
+  }
+
+  return new Uint8Array(out);
+}
+
+/**
+ * Distance Coding decoder
+ * Every position is followed by a varint of at least one byte, so n can never exceed the input length.
+ * @param {Uint8Array} encoded - Distance-coded bytes
+ * @returns {Uint8Array} - Original bytes
+ * @throws {FormatError} - When the input is malformed or truncated
+ */
+export function dcDecode(encoded) {
+  if (!encoded || encoded.length === 0) {
+    return new Uint8Array(0);
+  }
+
+  const reader = { bytes: encoded, offset: 0 };
+  const n = readVarint(reader);
+  if (reader.offset + 32 > encoded.length) {
+    throw new FormatError('Distance coding header is truncated', encoded.length);
+  }
+  if (n > encoded.length - reader.offset - 32) {
+    throw new FormatError(`Distance coding claims ${n} bytes but holds only ${encoded.length} bytes`, 0);
+  }
+  const bitmap = encoded.subarray(reader.offset, reader.offset + 32);
+  reader.offset += 32;
+
+  const result = new Uint8Array(n);
+  const known = new Uint8Array(n);
+  const unknown = createFenwick(n);
+
+  for (let c = 0; c < 256; c++) {
+    if (bitmap[c >> 3] & (1 << (c & 7))) {
+      const entryOffset = reader.offset;
+      const position = readVarint(reader);
+      if (position >= n || known[position]) {
+        throw new FormatError(`Invalid first offset ${position} for byte ${c}`, entryOffset);
+      }
+      result[position] = c;
+      known[position] = 1;
+      unknown.add(position, -1);
+    }
+  }
+
+  for (let i = 0; i < n; i++) {
+    if (!known[i]) {
+      throw new FormatError(`Position ${i} was never assigned a byte`, reader.offset);
+    }
+    const entryOffset = reader.offset;
+    const distance = readVarint(reader);
+    if (distance > 0) {
+      const j = unknown.findKth(unknown.prefix(i) + distance);
+      if (j >= n) {
+        throw new FormatError(`Distance ${distance} at position ${i} runs past the end`, entryOffset);
+      }
+      result[j] = result[i];
+      known[j] = 1;
+      unknown.add(j, -1);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Fenwick tree counting still-unknown positions (all start as unknown)
+ * @param {number} n - Number of positions
+ * @returns {{add: Function, prefix: Function, findKth: Function}} - Tree operations
+ */
+function createFenwick(n) {
+  const tree = new Int32Array(n + 1);
+  for (let i = 1; i <= n; i++) {
+    tree[i] += 1;
+    const parent = i + (i & -i);
+    if (parent <= n) tree[parent] += tree[i];
+  }
+
+  let topBit = 1;
+  while (topBit * 2 <= n) topBit *= 2;
+
+  return {
+    // Adjust the count at position i
+    add(i, delta) {
+      for (let k = i + 1; k <= n; k += k & -k) tree[k] += delta;
+    },
+    // Unknown positions in [0, i]
+    prefix(i) {
+      let sum = 0;
+      for (let k = i + 1; k > 0; k -= k & -k) sum += tree[k];
+      return sum;
+    },
+    // Smallest position whose prefix count reaches k (n if none)
+    findKth(k) {
+      let position = 0;
+      for (let step = topBit; step > 0; step >>= 1) {
+        const next = position + step;
+        if (next <= n && tree[next] < k) {
+          position = next;
+          k -= tree[next];
+        }
+      }
+      return position;
+    }
+  };
+}
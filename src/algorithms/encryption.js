@@ -0,0 +1,154 @@
+// Password-based encryption of BWTJS2 sections with WebCrypto
+// A key is derived from the password with PBKDF2-HMAC-SHA-256 and a random salt. Each
+// section (extension metadata, every block, the search index) is sealed on its own
+// with AES-256-GCM, under the file's random IV with a section counter XORed into its
+// last four bytes, so no nonce repeats within a file. A key check (the tag of an empty
+// message) tells a wrong password apart from a modified file.
+
+// Algorithm ids stored in the encryption header
+export const KDF_PBKDF2_SHA256 = 1;
+export const CIPHER_AES_256_GCM = 1;
+
+// PBKDF2 iterations written by default, and the range a reader accepts
+export const DEFAULT_PBKDF2_ITERATIONS = 600000;
+export const MIN_PBKDF2_ITERATIONS = 1000;
+export const MAX_PBKDF2_ITERATIONS = 10000000;
+
+export const SALT_LENGTH = 16;
+export const IV_LENGTH = 12;
+export const TAG_LENGTH = 16;
+
+// Section counters; block i uses FIRST_BLOCK_COUNTER + i, and the search index the next one
+const KEY_CHECK_COUNTER = 0;
+export const METADATA_COUNTER = 1;
+export const FIRST_BLOCK_COUNTER = 2;
+
+/**
+ * Error raised when decryption fails: a wrong password, or a section that was modified
+ */
+export class AuthenticationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number|null} [blockIndex=null] - Index of the failing block, or null for the password or another section
+   */
+  constructor(message, blockIndex = null) {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.blockIndex = blockIndex;
+  }
+}
+
+/**
+ * Error raised when an encrypted file is opened without a password
+ */
+export class PasswordRequiredError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'PasswordRequiredError';
+  }
+}
+
+/**
+ * Cryptographically random bytes
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} - Random bytes
+ */
+export function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Derive an AES-256-GCM key from a password
+ * @param {string} password - Password
+ * @param {Uint8Array} salt - Random salt of SALT_LENGTH bytes
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} - Key for encrypt and decrypt
+ */
+export async function deriveKey(password, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Tag of an empty message under the key check counter, stored so a reader can test a password
+ * @param {CryptoKey} key - Derived key
+ * @param {Uint8Array} iv - File IV
+ * @returns {Promise<Uint8Array>} - TAG_LENGTH bytes
+ */
+export function createKeyCheck(key, iv) {
+  return sealSection(key, iv, KEY_CHECK_COUNTER, new Uint8Array(0));
+}
+
+/**
+ * Test a derived key against the stored key check
+ * @param {CryptoKey} key - Derived key
+ * @param {Uint8Array} iv - File IV
+ * @param {Uint8Array} keyCheck - Stored key check
+ * @throws {AuthenticationError} - When the key was derived from a wrong password
+ */
+export async function verifyKeyCheck(key, iv, keyCheck) {
+  await openSection(key, iv, KEY_CHECK_COUNTER, keyCheck, { failure: 'Wrong password: the file cannot be decrypted with it' });
+}
+
+/**
+ * Encrypt one section with AES-256-GCM; the tag is appended to the ciphertext
+ * @param {CryptoKey} key - Derived key
+ * @param {Uint8Array} iv - File IV
+ * @param {number} counter - Section counter
+ * @param {Uint8Array} bytes - Plaintext
+ * @param {Uint8Array} [additionalData] - Authenticated but unencrypted data (the file head)
+ * @returns {Promise<Uint8Array>} - Ciphertext, TAG_LENGTH bytes longer than the plaintext
+ */
+export async function sealSection(key, iv, counter, bytes, additionalData) {
+  const sealed = await crypto.subtle.encrypt(gcmParams(iv, counter, additionalData), key, bytes);
+  return new Uint8Array(sealed);
+}
+
+/**
+ * Decrypt and authenticate one section
+ * @param {CryptoKey} key - Derived key
+ * @param {Uint8Array} iv - File IV
+ * @param {number} counter - Section counter
+ * @param {Uint8Array} sealed - Ciphertext with its tag
+ * @param {Object} context - How to report a failure
+ * @param {Uint8Array} [context.additionalData] - Additional data the section was sealed with
+ * @param {string} context.failure - Error message
+ * @param {number|null} [context.blockIndex=null] - Block being decrypted
+ * @returns {Promise<Uint8Array>} - Plaintext
+ * @throws {AuthenticationError} - When the tag does not match
+ */
+export async function openSection(key, iv, counter, sealed, { additionalData, failure, blockIndex = null }) {
+  try {
+    const opened = await crypto.subtle.decrypt(gcmParams(iv, counter, additionalData), key, sealed);
+    return new Uint8Array(opened);
+  } catch (error) {
+    throw new AuthenticationError(failure, blockIndex);
+  }
+}
+
+/**
+ * AES-GCM parameters for one section
+ * @param {Uint8Array} iv - File IV
+ * @param {number} counter - Section counter
+ * @param {Uint8Array} [additionalData] - Additional authenticated data
+ * @returns {Object} - AesGcmParams
+ */
+function gcmParams(iv, counter, additionalData) {
+  const nonce = iv.slice();
+  const view = new DataView(nonce.buffer);
+  view.setUint32(IV_LENGTH - 4, (view.getUint32(IV_LENGTH - 4) ^ counter) >>> 0);
+  const params = { name: 'AES-GCM', iv: nonce, tagLength: TAG_LENGTH * 8 };
+  if (additionalData) {
+    params.additionalData = additionalData;
+  }
+  return params;
+}
@@ -0,0 +1,59 @@
+// Typed errors for malformed or hostile compressed input, and the size limits that go with them
+// Decoders throw FormatError with the byte offset into the input they were given
+// (the file, a block payload or a stage's input); the pipeline adds the block and
+// stage it was decoding. SizeLimitError refuses files that would expand past a limit.
+
+// Largest original size decompressBytes and parseCompressedFile accept by default
+export const DEFAULT_MAX_ORIGINAL_SIZE = 1024 * 1024 * 1024;
+
+// Largest output a decoder produces when called without an explicit limit
+export const DEFAULT_MAX_DECODED_LENGTH = 256 * 1024 * 1024;
+
+/**
+ * Error raised when compressed input is malformed
+ */
+export class FormatError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number|null} [offset=null] - Byte offset of the problem in the input being decoded
+   * @param {{blockIndex: (number|null|undefined), stage: (string|null|undefined)}} [context] - Block and stage being decoded
+   */
+  constructor(message, offset = null, { blockIndex = null, stage = null } = {}) {
+    super(message);
+    this.name = 'FormatError';
+    this.offset = offset;
+    this.blockIndex = blockIndex;
+    this.stage = stage;
+  }
+}
+
+/**
+ * Error raised when input would decompress to more bytes than allowed
+ */
+export class SizeLimitError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} size - Size the input claims
+   * @param {number} limit - Largest size allowed
+   */
+  constructor(message, size, limit) {
+    super(message);
+    this.name = 'SizeLimitError';
+    this.size = size;
+    this.limit = limit;
+  }
+}
+
+/**
+ * Refuse a decoded length above a decoder's limit
+ * @param {number} length - Length the input claims or has reached
+ * @param {number} maxLength - Largest length allowed
+ * @param {string} what - Decoder name for the message
+ * @param {number|null} offset - Byte offset where the length was read
+ * @throws {FormatError} - When length is above maxLength
+ */
+export function checkDecodedLength(length, maxLength, what, offset) {
+  if (length > maxLength) {
+    throw new FormatError(`${what} decodes to more than ${maxLength} symbols`, offset);
+  }
+}
@@ -0,0 +1,309 @@
+// FM-index substring search over the BWT blocks of a compressed file
+// Backward search runs on the transformed blocks, so the inverse BWT is never needed.
+// Section layout per block (big-endian uint32):
+//   occurrence checkpoints: floor(n / occSampleRate) + 1 rows of 256 counts
+//   period P of the block (n for blocks that are not an exact repetition)
+//   sampled groups: ceil(P / saSampleRate) entries, the row group of every saSampleRate-th offset
+//
+// A block that repeats a word of length P k times has k equal copies of every
+// rotation. They sit in aligned groups of k rows, and LF keeps a row's index
+// inside its group, so sampling works on the P groups instead of the n rows.
+
+import { FormatError } from './errors.js';
+
+export const DEFAULT_OCC_SAMPLE_RATE = 4096;
+export const DEFAULT_SA_SAMPLE_RATE = 32;
+
+/**
+ * Build the index section for one classic-BWT block
+ * @param {Uint8Array} transformed - BWT output (L column) of the block
+ * @param {number} primaryIndex - Row of the unrotated block
+ * @param {number} occSampleRate - Rows between occurrence checkpoints
+ * @param {number} saSampleRate - Offsets between suffix array samples
+ * @returns {Uint8Array} - Serialized index section for the block
+ */
+export function buildFMIndexSection(transformed, primaryIndex, occSampleRate, saSampleRate) {
+  const n = transformed.length;
+  const checkpointCount = Math.floor(n / occSampleRate) + 1;
+  const lf = buildLFMapping(transformed);
+
+  // The LF cycle through the primary row visits each distinct rotation once
+  let period = 1;
+  for (let row = lf[primaryIndex]; row !== primaryIndex; row = lf[row]) {
+    period++;
+  }
+  const groupSize = n / period;
+  const sampleCount = Math.ceil(period / saSampleRate);
+
+  const section = new Uint8Array((checkpointCount * 256 + 1 + sampleCount) * 4);
+  const view = new DataView(section.buffer);
+  let offset = 0;
+
+  // Occurrence checkpoints: counts of every byte in L[0 .. k * occSampleRate)
+  const counts = new Uint32Array(256);
+  for (let i = 0; i <= n; i++) {
+    if (i % occSampleRate === 0) {
+      for (let c = 0; c < 256; c++) {
+        view.setUint32(offset, counts[c]);
+        offset += 4;
+      }
+    }
+    if (i < n) {
+      counts[transformed[i]]++;
+    }
+  }
+
+  view.setUint32(offset, period);
+  offset += 4;
+
+  // Walk LF from the primary row: it visits offsets 0, P-1, P-2, ... 1
+  let row = primaryIndex;
+  let position = 0;
+  for (let step = 0; step < period; step++) {
+    if (position % saSampleRate === 0) {
+      view.setUint32(offset + (position / saSampleRate) * 4, Math.floor(row / groupSize));
+    }
+    row = lf[row];
+    position = position === 0 ? period - 1 : position - 1;
+  }
+
+  return section;
+}
+
+/**
+ * Open an FM-index over the transformed blocks of a compressed file
+ * Matches that span a block boundary are not found, since every block is
+ * transformed independently.
+ * @param {Array<{transformed: Uint8Array, primaryIndex: number, originalOffset: number}>} blocks - Transformed blocks
+ * @param {Uint8Array} indexBytes - Index section stored next to the payload
+ * @param {{occSampleRate: number, saSampleRate: number}} params - Sampling rates from meta.fmIndex
+ * @returns {{count: function(Uint8Array|string): number, locate: function(Uint8Array|string, Object=): number[]}} - Search API
+ * @throws {FormatError} - When the sampling rates or the index section are malformed
+ */
+export function openFMIndex(blocks, indexBytes, params) {
+  const { occSampleRate, saSampleRate } = params;
+  if (!Number.isInteger(occSampleRate) || occSampleRate < 1 || !Number.isInteger(saSampleRate) || saSampleRate < 1) {
+    throw new FormatError(`Invalid search index sampling rates ${occSampleRate} and ${saSampleRate}`);
+  }
+  const view = new DataView(indexBytes.buffer, indexBytes.byteOffset, indexBytes.byteLength);
+  let offset = 0;
+
+  const readUint32 = () => {
+    if (offset + 4 > indexBytes.length) {
+      throw new FormatError('Search index section is truncated', indexBytes.length);
+    }
+    const value = view.getUint32(offset);
+    offset += 4;
+    return value;
+  };
+
+  const blockIndexes = blocks.map(({ transformed, primaryIndex, originalOffset }) => {
+    const n = transformed.length;
+
+    const checkpointCount = Math.floor(n / occSampleRate) + 1;
+    // Checked before allocating, since a small sampling rate would ask for a huge table
+    if (offset + checkpointCount * 256 * 4 > indexBytes.length) {
+      throw new FormatError('Search index section is truncated', indexBytes.length);
+    }
+    const checkpoints = new Uint32Array(checkpointCount * 256);
+    for (let i = 0; i < checkpoints.length; i++) {
+      checkpoints[i] = readUint32();
+    }
+
+    const periodOffset = offset;
+    const period = readUint32();
+    if (period === 0 || n % period !== 0) {
+      throw new FormatError(`Invalid period ${period} in search index`, periodOffset);
+    }
+
+    // Rows fall into period groups of equal rotations; each sample names a distinct one
+    const sampledGroups = new Map();
+    const sampleCount = Math.ceil(period / saSampleRate);
+    for (let i = 0; i < sampleCount; i++) {
+      const groupOffset = offset;
+      const group = readUint32();
+      if (group >= period) {
+        throw new FormatError(`Sampled row group ${group} is out of range (block has ${period} groups)`, groupOffset);
+      }
+      if (sampledGroups.has(group)) {
+        throw new FormatError(`Sampled row group ${group} appears twice in search index`, groupOffset);
+      }
+      sampledGroups.set(group, i * saSampleRate);
+    }
+
+    return createBlockIndex(transformed, primaryIndex, originalOffset, {
+      checkpoints, occSampleRate, period, sampledGroups
+    });
+  });
+  if (offset !== indexBytes.length) {
+    throw new FormatError(`Unexpected ${indexBytes.length - offset} bytes after the last block of the search index`, offset);
+  }
+
+  return {
+    /**
+     * Count occurrences of a pattern
+     * @param {Uint8Array|string} pattern - Bytes or UTF-8 text to find
+     * @returns {number} - Number of matches
+     */
+    count(pattern) {
+      const bytes = toPatternBytes(pattern);
+      return blockIndexes.reduce((sum, block) => sum + block.count(bytes), 0);
+    },
+
+    /**
+     * Locate offsets of a pattern in the original data
+     * @param {Uint8Array|string} pattern - Bytes or UTF-8 text to find
+     * @param {Object} options - Locate options
+     * @param {number} [options.limit=1000] - Maximum number of offsets to resolve
+     * @returns {number[]} - Match offsets in ascending order
+     */
+    locate(pattern, { limit = 1000 } = {}) {
+      const bytes = toPatternBytes(pattern);
+      let offsets = [];
+      for (const block of blockIndexes) {
+        if (offsets.length >= limit) break;
+        offsets = offsets.concat(block.locate(bytes, limit - offsets.length));
+      }
+      return offsets.sort((a, b) => a - b);
+    }
+  };
+}
+
+/**
+ * Search structures for a single block
+ * @param {Uint8Array} L - BWT output of the block
+ * @param {number} primaryIndex - Row of the unrotated block
+ * @param {number} originalOffset - Offset of the block in the original data
+ * @param {Object} section - Parsed index section
+ * @param {Uint32Array} section.checkpoints - Occurrence checkpoints
+ * @param {number} section.occSampleRate - Rows between checkpoints
+ * @param {number} section.period - Length of the block's repeating word
+ * @param {Map<number, number>} section.sampledGroups - Sampled row group -> offset
+ * @returns {{count: function(Uint8Array): number, locate: function(Uint8Array, number): number[]}} - Block search API
+ */
+function createBlockIndex(L, primaryIndex, originalOffset, { checkpoints, occSampleRate, period, sampledGroups }) {
+  const n = L.length;
+  const groupSize = n / period;
+
+  // C[c] = number of bytes smaller than c, derived from the final checkpoint row
+  const C = new Uint32Array(256);
+  const counts = new Uint32Array(256);
+  const last = Math.floor(n / occSampleRate);
+  for (let c = 0; c < 256; c++) {
+    counts[c] = checkpoints[last * 256 + c];
+  }
+  for (let i = last * occSampleRate; i < n; i++) {
+    counts[L[i]]++;
+  }
+  for (let c = 0, sum = 0; c < 256; c++) {
+    C[c] = sum;
+    sum += counts[c];
+  }
+
+  // Occurrences of byte c in L[0 .. row)
+  const rank = (c, row) => {
+    const k = Math.floor(row / occSampleRate);
+    let result = checkpoints[k * 256 + c];
+    for (let i = k * occSampleRate; i < row; i++) {
+      if (L[i] === c) result++;
+    }
+    return result;
+  };
+
+  const lf = (row) => C[L[row]] + rank(L[row], row);
+
+  // Rows [sp, ep) whose rotations start with the pattern
+  const backwardSearch = (pattern) => {
+    let sp = 0;
+    let ep = n;
+    for (let i = pattern.length - 1; i >= 0 && sp < ep; i--) {
+      const c = pattern[i];
+      sp = C[c] + rank(c, sp);
+      ep = C[c] + rank(c, ep);
+    }
+    return [sp, ep];
+  };
+
+  // The BWT sorts cyclic rotations, so matches may wrap past the block end;
+  // those can only start in the last m-1 offsets, reachable by LF from the primary row
+  const countWrapped = (sp, ep, m) => {
+    let wrapped = 0;
+    let row = primaryIndex;
+    for (let j = 1; j < m; j++) {
+      row = lf(row);
+      if (row >= sp && row < ep) wrapped++;
+    }
+    return wrapped;
+  };
+
+  // Equal rotations share a group; the row's index inside it picks which copy.
+  // LF visits every group within period steps, so a longer walk means the samples are inconsistent
+  const offsetOfRow = (row) => {
+    const copy = row % groupSize;
+    let steps = 0;
+    while (!sampledGroups.has(Math.floor(row / groupSize))) {
+      if (steps >= period) {
+        throw new FormatError(`Search index has no sample within ${period} steps of row ${row}`);
+      }
+      row = lf(row);
+      steps++;
+    }
+    return sampledGroups.get(Math.floor(row / groupSize)) + steps + copy * period;
+  };
+
+  return {
+    count(pattern) {
+      const m = pattern.length;
+      if (m === 0 || m > n) return 0;
+      const [sp, ep] = backwardSearch(pattern);
+      return sp < ep ? ep - sp - countWrapped(sp, ep, m) : 0;
+    },
+
+    locate(pattern, limit) {
+      const m = pattern.length;
+      const offsets = [];
+      if (m === 0 || m > n) return offsets;
+      const [sp, ep] = backwardSearch(pattern);
+      for (let row = sp; row < ep && offsets.length < limit; row++) {
+        const position = offsetOfRow(row);
+        if (position + m <= n) {
+          offsets.push(originalOffset + position);
+        }
+      }
+      return offsets;
+    }
+  };
+}
+
+/**
+ * LF mapping: row of the rotation starting one offset earlier
+ * @param {Uint8Array} L - BWT output
+ * @returns {Uint32Array} - lf[i] for every row
+ */
+function buildLFMapping(L) {
+  const n = L.length;
+  const C = new Uint32Array(256);
+  for (let i = 0; i < n; i++) {
+    C[L[i]]++;
+  }
+  for (let c = 0, sum = 0; c < 256; c++) {
+    const count = C[c];
+    C[c] = sum;
+    sum += count;
+  }
+
+  const lf = new Uint32Array(n);
+  for (let i = 0; i < n; i++) {
+    lf[i] = C[L[i]]++;
+  }
+  return lf;
+}
+
+/**
+ * Normalize a search pattern to bytes
+ * @param {Uint8Array|string} pattern - Pattern bytes or text
+ * @returns {Uint8Array} - Pattern bytes
+ */
+function toPatternBytes(pattern) {
+  return typeof pattern === 'string' ? new TextEncoder().encode(pattern) : pattern;
+}
@@ -0,0 +1,372 @@
+// Canonical Huffman coding with several tables per block (bzip2 style)
+// Symbols are coded in groups of HUFFMAN_GROUP_SIZE; each group picks the table
+// that codes it most cheaply, and the table choices (selectors) are stored MTF+unary.
+// Layout (bit stream, most significant bit first):
+//   32 bits symbol count, 16 bits alphabet size
+//   used-symbol map: one flag bit per 16-symbol range, then 16 bits for each used range
+//   3 bits table count, one selector per group, delta-coded code lengths per table
+//   coded symbols
+
+import { createBitWriter, createBitReader } from './bitio.js';
+import { FormatError, DEFAULT_MAX_DECODED_LENGTH, checkDecodedLength } from './errors.js';
+
+export const HUFFMAN_GROUP_SIZE = 50;
+export const MAX_HUFFMAN_TABLES = 6;
+export const MAX_CODE_LENGTH = 15;
+
+// Rounds of assigning groups to tables and rebuilding the tables from them
+const TABLE_ITERATIONS = 4;
+
+/**
+ * Huffman encoding
+ * @param {Uint8Array|Uint16Array} symbols - Symbols to encode
+ * @param {number} [alphabetSize=256] - Number of distinct symbol values (up to 65535)
+ * @returns {Uint8Array} - Encoded bytes
+ */
+export function huffmanEncode(symbols, alphabetSize = 256) {
+  if (!symbols || symbols.length === 0) {
+    return new Uint8Array(0);
+  }
+
+  // Restrict the tables to the symbols that actually occur
+  const used = new Uint8Array(alphabetSize);
+  for (let i = 0; i < symbols.length; i++) {
+    if (symbols[i] >= alphabetSize) {
+      throw new Error(`Symbol ${symbols[i]} is outside the alphabet of ${alphabetSize}`);
+    }
+    used[symbols[i]] = 1;
+  }
+  const denseOf = new Int32Array(alphabetSize).fill(-1);
+  let usedCount = 0;
+  for (let s = 0; s < alphabetSize; s++) {
+    if (used[s]) denseOf[s] = usedCount++;
+  }
+  const dense = new Uint16Array(symbols.length);
+  for (let i = 0; i < symbols.length; i++) {
+    dense[i] = denseOf[symbols[i]];
+  }
+
+  const { lengths, selectors } = buildTables(dense, usedCount);
+  const writer = createBitWriter(symbols.length);
+
+  writer.writeBits(symbols.length, 32);
+  writer.writeBits(alphabetSize, 16);
+
+  const rangeCount = Math.ceil(alphabetSize / 16);
+  const rangeUsed = (r) => used.subarray(r * 16, r * 16 + 16).some(Boolean);
+  for (let r = 0; r < rangeCount; r++) {
+    writer.writeBits(rangeUsed(r) ? 1 : 0, 1);
+  }
+  for (let r = 0; r < rangeCount; r++) {
+    if (!rangeUsed(r)) continue;
+    for (let s = r * 16; s < r * 16 + 16; s++) {
+      writer.writeBits(s < alphabetSize && used[s] ? 1 : 0, 1);
+    }
+  }
+
+  // Selectors: move-to-front over table numbers, written in unary
+  writer.writeBits(lengths.length, 3);
+  const tableOrder = lengths.map((_, t) => t);
+  for (let g = 0; g < selectors.length; g++) {
+    const position = tableOrder.indexOf(selectors[g]);
+    for (let k = 0; k < position; k++) writer.writeBits(1, 1);
+    writer.writeBits(0, 1);
+    tableOrder.splice(position, 1);
+    tableOrder.unshift(selectors[g]);
+  }
+
+  // Code lengths: 5-bit start, then per symbol '10' = +1, '11' = -1, '0' = done
+  for (const tableLengths of lengths) {
+    let current = tableLengths[0];
+    writer.writeBits(current, 5);
+    for (let s = 0; s < usedCount; s++) {
+      while (current !== tableLengths[s]) {
+        const up = current < tableLengths[s];
+        writer.writeBits(up ? 2 : 3, 2);
+        current += up ? 1 : -1;
+      }
+      writer.writeBits(0, 1);
+    }
+  }
+
+  const codes = lengths.map(assignCanonicalCodes);
+  for (let g = 0; g < selectors.length; g++) {
+    const tableLengths = lengths[selectors[g]];
+    const tableCodes = codes[selectors[g]];
+    const end = Math.min(dense.length, (g + 1) * HUFFMAN_GROUP_SIZE);
+    for (let i = g * HUFFMAN_GROUP_SIZE; i < end; i++) {
+      writer.writeBits(tableCodes[dense[i]], tableLengths[dense[i]]);
+    }
+  }
+
+  return writer.finish();
+}
+
+/**
+ * Huffman decoding
+ * Every symbol takes at least one bit, so a symbol count the input cannot hold is refused before allocating.
+ * @param {Uint8Array} encoded - Encoded bytes
+ * @param {number} [maxLength=DEFAULT_MAX_DECODED_LENGTH] - Largest output accepted
+ * @returns {Uint8Array|Uint16Array} - Symbols (Uint8Array when the alphabet fits in a byte)
+ * @throws {FormatError} - When the stream is malformed, truncated or decodes to more than maxLength symbols
+ */
+export function huffmanDecode(encoded, maxLength = DEFAULT_MAX_DECODED_LENGTH) {
+  if (!encoded || encoded.length === 0) {
+    return new Uint8Array(0);
+  }
+
+  const reader = createBitReader(encoded);
+  const offset = () => Math.floor(reader.bitPosition() / 8);
+  const symbolCount = reader.readBits(32);
+  const alphabetSize = reader.readBits(16);
+  checkDecodedLength(symbolCount, maxLength, 'Huffman stream', 0);
+  if (symbolCount > encoded.length * 8) {
+    throw new FormatError(`Huffman stream claims ${symbolCount} symbols but holds only ${encoded.length * 8} bits`, 0);
+  }
+
+  const rangeCount = Math.ceil(alphabetSize / 16);
+  const rangeFlags = [];
+  for (let r = 0; r < rangeCount; r++) {
+    rangeFlags.push(reader.readBits(1));
+  }
+  const symbolOf = [];
+  for (let r = 0; r < rangeCount; r++) {
+    if (!rangeFlags[r]) continue;
+    for (let s = r * 16; s < r * 16 + 16; s++) {
+      if (reader.readBits(1)) {
+        if (s >= alphabetSize) {
+          throw new FormatError(`Huffman symbol map marks ${s} outside the alphabet`, offset());
+        }
+        symbolOf.push(s);
+      }
+    }
+  }
+  const usedCount = symbolOf.length;
+  if (usedCount === 0) {
+    throw new FormatError('Huffman symbol map is empty', offset());
+  }
+
+  const tableCount = reader.readBits(3);
+  if (tableCount < 1 || tableCount > MAX_HUFFMAN_TABLES) {
+    throw new FormatError(`Invalid Huffman table count ${tableCount}`, offset());
+  }
+
+  const groupCount = Math.ceil(symbolCount / HUFFMAN_GROUP_SIZE);
+  const selectors = new Uint8Array(groupCount);
+  const tableOrder = Array.from({ length: tableCount }, (_, t) => t);
+  for (let g = 0; g < groupCount; g++) {
+    let position = 0;
+    while (reader.readBits(1)) {
+      if (++position >= tableCount) {
+        throw new FormatError(`Invalid Huffman selector in group ${g}`, offset());
+      }
+    }
+    const table = tableOrder.splice(position, 1)[0];
+    tableOrder.unshift(table);
+    selectors[g] = table;
+  }
+
+  const tables = [];
+  for (let t = 0; t < tableCount; t++) {
+    const tableLengths = new Uint8Array(usedCount);
+    let current = reader.readBits(5);
+    for (let s = 0; s < usedCount; s++) {
+      while (reader.readBits(1)) {
+        current += reader.readBits(1) ? -1 : 1;
+        if (current > MAX_CODE_LENGTH) break;
+      }
+      if (current < 1 || current > MAX_CODE_LENGTH) {
+        throw new FormatError(`Invalid Huffman code length ${current} in table ${t}`, offset());
+      }
+      tableLengths[s] = current;
+    }
+    tables.push(buildDecodeTable(tableLengths, t, offset()));
+  }
+
+  const result = alphabetSize <= 256 ? new Uint8Array(symbolCount) : new Uint16Array(symbolCount);
+  for (let g = 0; g < groupCount; g++) {
+    const { lookup, maxLength: lookupBits } = tables[selectors[g]];
+    const end = Math.min(symbolCount, (g + 1) * HUFFMAN_GROUP_SIZE);
+    for (let i = g * HUFFMAN_GROUP_SIZE; i < end; i++) {
+      const entry = lookup[reader.peekBits(lookupBits)];
+      if (entry === 0) {
+        throw new FormatError(`Invalid Huffman code at symbol ${i}`, offset());
+      }
+      reader.skipBits(entry & 0x1F);
+      result[i] = symbolOf[entry >>> 5];
+    }
+    if (reader.overrun()) {
+      throw new FormatError('Huffman stream is truncated', encoded.length);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Choose tables and per-group selectors for a block of dense symbols
+ * @param {Uint16Array} dense - Symbols renumbered to 0..usedCount-1
+ * @param {number} usedCount - Number of distinct symbols
+ * @returns {{lengths: Uint8Array[], selectors: Uint8Array}} - Code lengths per table and table per group
+ */
+function buildTables(dense, usedCount) {
+  const n = dense.length;
+  const groupCount = Math.ceil(n / HUFFMAN_GROUP_SIZE);
+  const tableCount = n < 200 ? 2 : n < 600 ? 3 : n < 1200 ? 4 : n < 2400 ? 5 : MAX_HUFFMAN_TABLES;
+
+  const totals = new Uint32Array(usedCount);
+  for (let i = 0; i < n; i++) totals[dense[i]]++;
+
+  // Start with tables that favour consecutive slices of the alphabet of similar total frequency
+  let lengths = [];
+  let start = 0;
+  let remaining = n;
+  for (let t = tableCount; t > 0; t--) {
+    const target = remaining / t;
+    let end = start;
+    let sum = 0;
+    while (end < usedCount && (sum < target || end === start)) {
+      sum += totals[end++];
+    }
+    const tableLengths = new Uint8Array(usedCount).fill(MAX_CODE_LENGTH);
+    tableLengths.fill(1, start, end);
+    lengths.push(tableLengths);
+    start = end;
+    remaining -= sum;
+  }
+
+  const selectors = new Uint8Array(groupCount);
+  for (let iteration = 0; iteration < TABLE_ITERATIONS; iteration++) {
+    const frequencies = lengths.map(() => new Uint32Array(usedCount));
+
+    for (let g = 0; g < groupCount; g++) {
+      const groupStart = g * HUFFMAN_GROUP_SIZE;
+      const groupEnd = Math.min(n, groupStart + HUFFMAN_GROUP_SIZE);
+      let best = 0;
+      let bestCost = Infinity;
+      for (let t = 0; t < lengths.length; t++) {
+        let cost = 0;
+        for (let i = groupStart; i < groupEnd; i++) cost += lengths[t][dense[i]];
+        if (cost < bestCost) {
+          bestCost = cost;
+          best = t;
+        }
+      }
+      selectors[g] = best;
+      for (let i = groupStart; i < groupEnd; i++) frequencies[best][dense[i]]++;
+    }
+
+    lengths = frequencies.map(buildCodeLengths);
+  }
+
+  return { lengths, selectors };
+}
+
+/**
+ * Length-limited Huffman code lengths; every symbol gets a code so any table can code any group
+ * Frequencies are flattened and the tree rebuilt until no code exceeds MAX_CODE_LENGTH.
+ * @param {Uint32Array} frequencies - Symbol frequencies
+ * @returns {Uint8Array} - Code length per symbol
+ */
+function buildCodeLengths(frequencies) {
+  const n = frequencies.length;
+  const lengths = new Uint8Array(n);
+  if (n === 1) {
+    lengths[0] = 1;
+    return lengths;
+  }
+
+  let weights = Array.from(frequencies, (f) => Math.max(f, 1));
+  while (true) {
+    // Two-queue Huffman construction over leaves sorted by weight
+    const order = weights.map((_, i) => i).sort((a, b) => weights[a] - weights[b] || a - b);
+    const nodeWeight = new Float64Array(2 * n - 1);
+    const parent = new Int32Array(2 * n - 1);
+    for (let i = 0; i < n; i++) nodeWeight[i] = weights[i];
+
+    let leaf = 0;
+    let internal = n;
+    let next = n;
+    const takeSmallest = () => {
+      if (leaf < n && (internal >= next || weights[order[leaf]] <= nodeWeight[internal])) {
+        return order[leaf++];
+      }
+      return internal++;
+    };
+    while (next < 2 * n - 1) {
+      const a = takeSmallest();
+      const b = takeSmallest();
+      nodeWeight[next] = nodeWeight[a] + nodeWeight[b];
+      parent[a] = next;
+      parent[b] = next;
+      next++;
+    }
+
+    // Internal nodes are created after their children, so walk them root first
+    const depth = new Uint8Array(2 * n - 1);
+    for (let node = 2 * n - 3; node >= n; node--) {
+      depth[node] = depth[parent[node]] + 1;
+    }
+    let maxLength = 0;
+    for (let i = 0; i < n; i++) {
+      lengths[i] = depth[parent[i]] + 1;
+      maxLength = Math.max(maxLength, lengths[i]);
+    }
+    if (maxLength <= MAX_CODE_LENGTH) {
+      return lengths;
+    }
+
+    weights = weights.map((w) => 1 + Math.floor(w / 2));
+  }
+}
+
+/**
+ * Canonical codes: shorter codes first, ties broken by symbol order
+ * @param {Uint8Array} lengths - Code length per symbol
+ * @returns {Uint32Array} - Code per symbol
+ */
+function assignCanonicalCodes(lengths) {
+  const countPerLength = new Uint32Array(MAX_CODE_LENGTH + 2);
+  for (let s = 0; s < lengths.length; s++) countPerLength[lengths[s]]++;
+
+  // Lengths start at 1, so countPerLength[0] is zero and length 1 starts at code 0
+  const nextCode = new Uint32Array(MAX_CODE_LENGTH + 2);
+  let code = 0;
+  for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+    code = (code + countPerLength[length - 1]) << 1;
+    nextCode[length] = code;
+  }
+
+  const codes = new Uint32Array(lengths.length);
+  for (let s = 0; s < lengths.length; s++) {
+    codes[s] = nextCode[lengths[s]]++;
+  }
+  return codes;
+}
+
+/**
+ * Lookup table indexed by the next maxLength bits: entry = (symbol << 5) | code length
+ * @param {Uint8Array} lengths - Code length per dense symbol
+ * @param {number} table - Table number, for error messages
+ * @param {number} offset - Byte offset of the table, for error messages
+ * @returns {{lookup: Uint32Array, maxLength: number}} - Decode table
+ */
+function buildDecodeTable(lengths, table, offset) {
+  const maxLength = Math.max(...lengths);
+  const codes = assignCanonicalCodes(lengths);
+
+  // Kraft sum must not exceed 1, otherwise codes overlap
+  let kraft = 0;
+  for (let s = 0; s < lengths.length; s++) kraft += 2 ** (maxLength - lengths[s]);
+  if (kraft > 2 ** maxLength) {
+    throw new FormatError(`Huffman table ${table} has overlapping codes`, offset);
+  }
+
+  const lookup = new Uint32Array(1 << maxLength);
+  for (let s = 0; s < lengths.length; s++) {
+    const shift = maxLength - lengths[s];
+    const first = codes[s] << shift;
+    lookup.fill((s << 5) | lengths[s], first, first + (1 << shift));
+  }
+  return { lookup, maxLength };
+}
@@ -0,0 +1,155 @@
+// Schema for compression metadata read back from a file
+// Metadata decides buffer sizes, block boundaries and BWT rows, so it is checked
+// before any of it is trusted. Fields the decoder does not read (file name, timings,
+// auto-mode selections) pass through unchecked, and files from every earlier version
+// (no stage list, no block table) still validate.
+
+import { z } from 'zod';
+import { FormatError, SizeLimitError, DEFAULT_MAX_ORIGINAL_SIZE } from './errors.js';
+
+const size = z.number().int().nonnegative();
+// Any integer: a checksum that cannot match is reported by the CRC check, with its block
+const checksum = z.number().int();
+
+const stageEntrySchema = z.union([
+  z.string(),
+  z.object({
+    id: z.string(),
+    version: z.string().optional(),
+    params: z.record(z.unknown()).optional()
+  }).passthrough()
+]);
+
+// Archive entry paths are relative with '/' separators; no empty, '.' or '..' segments and
+// no drive letters, so extracting an entry cannot write outside the target folder
+const entryPath = z.string().refine(
+  (path) => !/[\\\0]|^[a-zA-Z]:/.test(path) && path.split('/').every((part) => part !== '' && part !== '.' && part !== '..'),
+  (path) => ({ message: `Path ${JSON.stringify(path)} must be relative, without empty, "." or ".." segments` })
+);
+
+export const archiveSchema = z.object({
+  mode: z.enum(['separate', 'solid']),
+  entries: z.array(z.object({
+    path: entryPath,
+    offset: size,
+    size,
+    mtime: z.number().optional(),
+    mimeType: z.string().optional(),
+    crc32: checksum.optional()
+  }).passthrough())
+}).passthrough().superRefine(refineArchive);
+
+const blockSchema = z.object({
+  originalSize: size,
+  compressedSize: size,
+  crc32: checksum.optional(),
+  stored: z.boolean().optional(),
+  primaryIndex: size.optional(),
+  stages: z.array(stageEntrySchema).min(1).optional(),
+  stageStates: z.array(z.unknown()).optional()
+}).passthrough();
+
+export const metaSchema = z.object({
+  originalSize: size.optional(),
+  pipeline: z.array(z.string()).min(1),
+  stages: z.array(stageEntrySchema).min(1).optional(),
+  primaryIndex: size.optional(),
+  blocks: z.array(blockSchema).optional(),
+  crc32: checksum.optional(),
+  fmIndex: z.object({
+    occSampleRate: z.number().int().positive().optional(),
+    saSampleRate: z.number().int().positive().optional(),
+    size: size.optional()
+  }).passthrough().optional(),
+  archive: archiveSchema.optional()
+}).passthrough().superRefine((meta, ctx) => {
+  if (meta.blocks && typeof meta.originalSize === 'number') {
+    const total = meta.blocks.reduce((sum, block) => sum + block.originalSize, 0);
+    if (total !== meta.originalSize) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['blocks'],
+        message: `Blocks hold ${total} bytes, but the original size is ${meta.originalSize}`
+      });
+    }
+  }
+  const blocks = meta.blocks || [{ originalSize: meta.originalSize, primaryIndex: meta.primaryIndex }];
+  blocks.forEach((block, i) => {
+    if (block.originalSize > 0 && block.primaryIndex >= block.originalSize) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: meta.blocks ? ['blocks', i, 'primaryIndex'] : ['primaryIndex'],
+        message: `Primary index ${block.primaryIndex} is outside a block of ${block.originalSize} bytes`
+      });
+    }
+  });
+  if (meta.archive && typeof meta.originalSize === 'number') {
+    const total = meta.archive.entries.reduce((sum, entry) => sum + entry.size, 0);
+    if (total !== meta.originalSize) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['archive', 'entries'],
+        message: `Entries hold ${total} bytes, but the original size is ${meta.originalSize}`
+      });
+    }
+  }
+});
+
+/**
+ * Archive entries must follow each other without gaps, and their paths must form a tree
+ * @param {{entries: Array<{path: string, offset: number, size: number}>}} archive - Parsed archive table
+ * @param {Object} ctx - zod refinement context
+ */
+function refineArchive(archive, ctx) {
+  const paths = new Set();
+  const folders = new Set();
+  let offset = 0;
+  archive.entries.forEach((entry, i) => {
+    const issue = (message) => ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['entries', i], message });
+    if (entry.offset !== offset) {
+      issue(`Entry starts at ${entry.offset}, but the previous entry ends at ${offset}`);
+    }
+    offset = entry.offset + entry.size;
+    if (paths.has(entry.path)) {
+      issue(`Path ${entry.path} is used twice`);
+    } else if (folders.has(entry.path)) {
+      issue(`Path ${entry.path} is both a file and a folder`);
+    }
+    paths.add(entry.path);
+    const parts = entry.path.split('/');
+    for (let k = 1; k < parts.length; k++) {
+      const folder = parts.slice(0, k).join('/');
+      if (paths.has(folder)) {
+        issue(`Path ${folder} is both a file and a folder`);
+      }
+      folders.add(folder);
+    }
+  });
+}
+
+/**
+ * Check metadata against metaSchema and the original size limit
+ * @param {*} meta - Metadata as read from a file
+ * @param {Object} [options] - Validation options
+ * @param {number} [options.maxOriginalSize=DEFAULT_MAX_ORIGINAL_SIZE] - Largest original size accepted
+ * @param {number|null} [options.offset=null] - Byte offset of the metadata in the file, for errors
+ * @returns {Object} - The same metadata
+ * @throws {FormatError} - When the metadata does not match the schema
+ * @throws {SizeLimitError} - When the original size is above maxOriginalSize
+ */
+export function validateMeta(meta, { maxOriginalSize = DEFAULT_MAX_ORIGINAL_SIZE, offset = null } = {}) {
+  const result = metaSchema.safeParse(meta);
+  if (!result.success) {
+    const [issue] = result.error.issues;
+    const path = issue.path.length > 0 ? issue.path.join('.') : 'metadata';
+    throw new FormatError(`Invalid metadata: ${path}: ${issue.message}`, offset);
+  }
+  if (meta.originalSize > maxOriginalSize) {
+    throw new SizeLimitError(
+      `File expands to ${meta.originalSize} bytes, more than the limit of ${maxOriginalSize} bytes`,
+      meta.originalSize,
+      maxOriginalSize
+    );
+  }
+  return meta;
+}
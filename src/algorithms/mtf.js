@@ -1,5 +1,16 @@
 // Binary-safe Move-to-Front Transform implementation
 // Operates on Uint8Array with byte alphabet (0-255)
+// Besides classic MTF, a family of list-update variants can be selected by id
+import { dcEncode, dcDecode } from './distance.js';
+
+// 'mtf' is classic move-to-front; 'dc' is Distance Coding, which emits distances instead of ranks
+export const MTF_VARIANTS = ['mtf', 'mtf-1', 'mtf-2', 'sticky', 'wfc', 'dc'];
+
+// Parameters of the tunable variants and their defaults
+export const MTF_VARIANT_DEFAULTS = {
+  sticky: { stickiness: 0.5 },
+  wfc: { decay: 0.95 }
+};
 
 /**
  * Move-to-Front encoding
@@ -101,4 +112,182 @@ export function validateMTF(bytes) {
     console.error('MTF validation failed:', error);
     return false;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Encode with a list-update variant
+ * @param {Uint8Array} bytes - Input bytes to encode
+ * @param {string} variant - One of MTF_VARIANTS
+ * @param {Object} [params] - Variant parameters (see MTF_VARIANT_DEFAULTS)
+ * @returns {Uint8Array} - Encoded bytes
+ */
+export function mtfVariantEncode(bytes, variant, params) {
+  if (variant === 'mtf') return mtfEncode(bytes);
+  if (variant === 'dc') return dcEncode(bytes);
+  if (!bytes || bytes.length === 0) {
+    return new Uint8Array(0);
+  }
+  
+  const update = createListUpdater(variant, resolveMTFParams(variant, params));
+  const alphabet = createAlphabet();
+  const result = new Uint8Array(bytes.length);
+  
+  for (let i = 0; i < bytes.length; i++) {
+    const position = alphabet.indexOf(bytes[i]);
+    result[i] = position;
+    update(alphabet, position);
+  }
+  
+  return result;
+}
+
+/**
+ * Decode output of mtfVariantEncode
+ * @param {Uint8Array} encoded - Encoded bytes
+ * @param {string} variant - Variant used for encoding
+ * @param {Object} [params] - Parameters used for encoding
+ * @returns {Uint8Array} - Original bytes
+ */
+export function mtfVariantDecode(encoded, variant, params) {
+  if (variant === 'mtf') return mtfDecode(encoded);
+  if (variant === 'dc') return dcDecode(encoded);
+  if (!encoded || encoded.length === 0) {
+    return new Uint8Array(0);
+  }
+  
+  const update = createListUpdater(variant, resolveMTFParams(variant, params));
+  const alphabet = createAlphabet();
+  const result = new Uint8Array(encoded.length);
+  
+  for (let i = 0; i < encoded.length; i++) {
+    const position = encoded[i];
+    result[i] = alphabet[position];
+    update(alphabet, position);
+  }
+  
+  return result;
+}
+
+/**
+ * Fill in default parameters for a variant and check their ranges
+ * @param {string} variant - One of MTF_VARIANTS
+ * @param {Object} [params] - Requested parameters
+ * @returns {Object} - Complete parameters ({} for variants without any)
+ * @throws {Error} - When the variant is unknown or a parameter is unknown or out of range
+ */
+export function resolveMTFParams(variant, params = {}) {
+  if (!MTF_VARIANTS.includes(variant)) {
+    throw new Error(`Unknown MTF variant: ${variant}`);
+  }
+  
+  const resolved = { ...MTF_VARIANT_DEFAULTS[variant] };
+  for (const key of Object.keys(params || {})) {
+    if (!(key in resolved)) {
+      throw new Error(`Unknown parameter ${key} for MTF variant ${variant}`);
+    }
+  }
+  for (const key of Object.keys(resolved)) {
+    if (params && params[key] !== undefined) {
+      resolved[key] = params[key];
+    }
+  }
+  
+  if (variant === 'sticky' && !(resolved.stickiness >= 0 && resolved.stickiness < 1)) {
+    throw new Error(`Invalid stickiness for sticky MTF: ${resolved.stickiness}`);
+  }
+  if (variant === 'wfc' && !(resolved.decay > 0 && resolved.decay < 1)) {
+    throw new Error(`Invalid decay for WFC: ${resolved.decay}`);
+  }
+  
+  return resolved;
+}
+
+/**
+ * Identity alphabet 0..255
+ * @returns {Uint8Array} - Initial list
+ */
+function createAlphabet() {
+  const alphabet = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) {
+    alphabet[i] = i;
+  }
+  return alphabet;
+}
+
+/**
+ * Move the symbol at one position of the list to another, shifting the rest
+ * @param {Uint8Array} list - Symbol list
+ * @param {number} from - Current position
+ * @param {number} to - Target position (to <= from)
+ */
+function moveSymbol(list, from, to) {
+  const symbol = list[from];
+  for (let j = from; j > to; j--) {
+    list[j] = list[j - 1];
+  }
+  list[to] = symbol;
+}
+
+/**
+ * Build the list update rule of a rank-based variant
+ * Encoder and decoder apply the same rule after every symbol, so they stay in sync.
+ * @param {string} variant - 'mtf-1', 'mtf-2', 'sticky' or 'wfc'
+ * @param {Object} params - Resolved variant parameters
+ * @returns {function(Uint8Array, number): void} - Updates the list after coding the symbol at a position
+ */
+function createListUpdater(variant, params) {
+  switch (variant) {
+    // Symbols beyond position 1 only reach position 1; position 1 moves to front
+    case 'mtf-1':
+      return (list, position) => {
+        moveSymbol(list, position, position > 1 ? 1 : 0);
+      };
+    
+    // As MTF-1, but position 1 moves to front only right after a non-zero rank
+    case 'mtf-2': {
+      let previous = 0;
+      return (list, position) => {
+        if (position > 1) {
+          moveSymbol(list, position, 1);
+        } else if (position === 1 && previous !== 0) {
+          moveSymbol(list, 1, 0);
+        }
+        previous = position;
+      };
+    }
+    
+    // Move only part of the way to the front
+    case 'sticky':
+      return (list, position) => {
+        moveSymbol(list, position, Math.floor(position * params.stickiness));
+      };
+    
+    // Weighted Frequency Count: the list is kept sorted by exponentially decayed
+    // symbol counts. Growing the increment instead of shrinking every weight
+    // gives the same order; weights are rescaled before they overflow.
+    case 'wfc': {
+      const weights = new Float64Array(256);
+      let increment = 1;
+      return (list, position) => {
+        const symbol = list[position];
+        weights[symbol] += increment;
+        increment /= params.decay;
+        if (increment > 1e100) {
+          for (let c = 0; c < 256; c++) {
+            weights[c] /= increment;
+          }
+          increment = 1;
+        }
+        
+        let target = position;
+        while (target > 0 && weights[list[target - 1]] < weights[symbol]) {
+          target--;
+        }
+        moveSymbol(list, position, target);
+      };
+    }
+    
+    default:
+      throw new Error(`Unknown MTF variant: ${variant}`);
+  }
+}
@@ -1,16 +1,133 @@
 // Complete BWT compression pipeline for binary-safe operation
-import { bwtEncode, bwtDecode } from './bwt.js';
-import { mtfEncode, mtfDecode } from './mtf.js';
-import { rleEncode, rleDecode } from './rle.js';
+// The stages and their order come from a pipeline spec (see stages.js);
+// decompression undoes them in exactly the reverse order.
+import { packSymbols, unpackSymbols } from './zrle.js';
+import { crc32, ChecksumError } from './checksum.js';
+import { FormatError, SizeLimitError, DEFAULT_MAX_ORIGINAL_SIZE, DEFAULT_MAX_DECODED_LENGTH } from './errors.js';
+import { validateMeta } from './metadata.js';
+import {
+  getStage,
+  parsePipelineSpec,
+  resolvePipelineSpec,
+  outputAlphabetOf,
+  registerStage,
+  unregisterStage,
+  listStages,
+  BWT_VARIANTS
+} from './stages.js';
+import {
+  buildFMIndexSection,
+  openFMIndex,
+  DEFAULT_OCC_SAMPLE_RATE,
+  DEFAULT_SA_SAMPLE_RATE
+} from './fmindex.js';
+
+export {
+  BWT_VARIANTS,
+  parsePipelineSpec,
+  registerStage,
+  unregisterStage,
+  listStages,
+  ChecksumError,
+  FormatError,
+  SizeLimitError,
+  DEFAULT_MAX_ORIGINAL_SIZE
+};
+
+// Block sizes follow bzip2: independent blocks of 100 KB to 900 KB
+export const MIN_BLOCK_SIZE = 100 * 1024;
+export const MAX_BLOCK_SIZE = 900 * 1024;
+export const DEFAULT_BLOCK_SIZE = MAX_BLOCK_SIZE;
+
+// Run stage after MTF: escape-based byte RLE, or bzip2-style RUNA/RUNB zero runs
+export const RUN_STAGES = ['rle', 'zrle'];
+
+// Entropy coder applied last; 'none' leaves the run stage output byte-aligned
+export const ENTROPY_CODERS = ['none', 'huffman', 'range', 'rans'];
+
+// Pipeline spec that trial-compresses samples of each block and keeps the smallest candidate
+export const AUTO_PIPELINE = 'auto';
+
+// Candidates tried by auto mode; storing the block unchanged is always tried as well
+export const AUTO_CANDIDATES = [
+  'bwt,mtf,rle',
+  'bwt,mtf,zrle,huffman',
+  'bwt,mtf,zrle,rans',
+  [{ id: 'range', params: { order: 1 } }]
+];
+
+// Bytes of each block that auto mode trial-compresses, taken as evenly spaced slices
+export const AUTO_SAMPLE_SIZE = 64 * 1024;
+const AUTO_SAMPLE_SLICES = 4;
+
+// Decoding limit for data between stages: this many times the block, plus slack for tiny blocks
+const MAX_STAGE_EXPANSION = 16;
+const STAGE_EXPANSION_SLACK = 4096;
 
 /**
- * Compress bytes using BWT -> MTF -> RLE pipeline
+ * Compress bytes using a pipeline of stages (BWT -> MTF -> RLE by default)
+ * The input is split into independently transformed blocks, each with its own
+ * stage state and fresh MTF/RLE state, so memory use is bounded by the block size.
+ * Blocks that do not shrink are stored unchanged (with a search index, as their BWT output
+ * of the same length), so the payload never exceeds the input.
  * @param {Uint8Array} bytes - Input bytes to compress
  * @param {Object} options - Compression options
- * @returns {{payload: Uint8Array, meta: Object}} - Compressed payload and metadata
+ * @param {number} [options.blockSize] - Block size in bytes (MIN_BLOCK_SIZE to MAX_BLOCK_SIZE)
+ * @param {string|Array<string|{id: string, params: Object}>} [options.pipeline] - Pipeline spec, e.g. "rle,bwt,mtf,rle", or AUTO_PIPELINE; replaces runStage/entropyCoder
+ * @param {Array<string|Array>} [options.candidates] - Pipeline specs tried in auto mode (default AUTO_CANDIDATES)
+ * @param {string} [options.bwtVariant] - 'bwt' (default) or 'bwts'
+ * @param {number} [options.bwtCheckpoints] - Extra primary indices per block, so decoding can split the inverse BWT (default 0)
+ * @param {string} [options.mtfVariant] - One of MTF_VARIANTS (default 'mtf')
+ * @param {Object} [options.mtfParams] - Parameters of the MTF variant
+ * @param {string} [options.runStage] - 'rle' (default) or 'zrle'
+ * @param {string} [options.entropyCoder] - One of ENTROPY_CODERS (default 'none')
+ * @param {number} [options.rangeCoderOrder] - Context order of the range coder, 0 (default) or 1
+ * @param {number} [options.ransStates] - Interleaved rANS states, one of RANS_STATE_COUNTS (default 4)
+ * @param {boolean|{occSampleRate: number, saSampleRate: number}} [options.fmIndex] - Build a search index section (classic BWT only)
+ * @param {function(Object): void} [options.onProgress] - Called before every stage of every block (see createProgress)
+ * @param {AbortSignal} [options.signal] - Aborts compression at the next stage boundary
+ * @returns {{payload: Uint8Array, meta: Object, index: (Uint8Array|undefined)}} - Compressed payload, metadata and optional search index
  */
 export function compressBytes(bytes, options = {}) {
+  return runSteps(compressSteps(bytes, options));
+}
+
+/**
+ * compressBytes that yields to the event loop between stages, so the page can
+ * repaint progress and a Cancel button can abort through options.signal
+ * @param {Uint8Array} bytes - Input bytes to compress
+ * @param {Object} options - Compression options (see compressBytes)
+ * @returns {Promise<{payload: Uint8Array, meta: Object, index: (Uint8Array|undefined)}>} - Compressed payload, metadata and optional search index
+ */
+export function compressBytesAsync(bytes, options = {}) {
+  return runStepsAsync(compressSteps(bytes, options));
+}
+
+/**
+ * Compression as a sequence of steps, one per stage of every block
+ * @param {Uint8Array} bytes - Input bytes to compress
+ * @param {Object} options - Compression options (see compressBytes)
+ * @returns {Generator<undefined, Object>} - Steps; the return value is the compressBytes result
+ */
+function* compressSteps(bytes, options) {
   const startTime = performance.now();
+  const blockSize = resolveBlockSize(options.blockSize);
+  const auto = options.pipeline === AUTO_PIPELINE;
+  const candidates = auto ? buildCandidates(options.candidates || AUTO_CANDIDATES, options) : null;
+  const stages = auto ? null : buildStages(options.pipeline ?? defaultPipelineSpec(options), options);
+  const pipeline = auto ? [AUTO_PIPELINE] : stages.map(({ id }) => id);
+  // Auto mode chooses stages per block, so meta carries the candidates instead of one stage list
+  const stageFields = auto
+    ? { auto: { sampleSize: AUTO_SAMPLE_SIZE, candidates: candidates.map(({ label }) => label) } }
+    : { stages, ...summarizeStages(stages) };
+  
+  const fmIndex = resolveFMIndexOptions(options.fmIndex);
+  if (fmIndex && auto) {
+    throw new Error('Search index is not available in auto mode');
+  }
+  if (fmIndex && !(stages[0].id === 'bwt' && stages[0].params.variant === 'bwt')) {
+    throw new Error('Search index requires the classic BWT variant as the first stage');
+  }
   
   if (!bytes || bytes.length === 0) {
     return {
@@ -19,50 +136,119 @@ export function compressBytes(bytes, options = {}) {
         originalSize: 0,
         compressedSize: 0,
         compressionRatio: 1,
-        pipeline: [],
+        pipeline,
         processingTime: performance.now() - startTime,
-        primaryIndex: 0
+        primaryIndex: 0,
+        blockSize,
+        ...stageFields,
+        blocks: [],
+        crc32: 0
       }
     };
   }
   
-  const pipeline = ['bwt', 'mtf', 'rle'];
-  let currentBytes = new Uint8Array(bytes);
-  let primaryIndex = 0;
+  const progress = createProgress('compress', bytes.length, Math.ceil(bytes.length / blockSize), options);
   
   try {
-    // Step 1: Burrows-Wheeler Transform
-    const bwtResult = bwtEncode(currentBytes);
-    currentBytes = bwtResult.transformed;
-    primaryIndex = bwtResult.primaryIndex;
+    const blocks = [];
+    const blockPayloads = [];
+    const indexSections = [];
+    let fileCrc = 0;
     
-    // Step 2: Move-to-Front Transform
-    currentBytes = mtfEncode(currentBytes);
+    for (let offset = 0; offset < bytes.length; offset += blockSize) {
+      const blockBytes = bytes.subarray(offset, Math.min(offset + blockSize, bytes.length));
+      const blockIndex = blocks.length;
+      const checkpoint = (stage, fraction) => progress(stage, blockIndex, offset + Math.floor(blockBytes.length * fraction));
+      const block = { originalSize: blockBytes.length, crc32: crc32(blockBytes) };
+      fileCrc = crc32(blockBytes, fileCrc);
+      let encoded;
+      let blockPipeline = pipeline;
+      if (auto) {
+        encoded = yield* compressBlockAuto(blockBytes, candidates, checkpoint);
+        block.selection = encoded.selection;
+        if (encoded.stages) {
+          block.stages = encoded.stages;
+          blockPipeline = encoded.stages.map(({ id }) => id);
+        } else {
+          block.stored = true;
+        }
+      } else {
+        encoded = yield* compressBlock(blockBytes, stages, checkpoint);
+        // A block the pipeline does not shrink is stored as-is; the search index needs
+        // the block's BWT, so with one the BWT output is stored instead (same length)
+        if (encoded.payload.length >= blockBytes.length) {
+          if (fmIndex) {
+            encoded = { payload: encoded.firstOutput, states: encoded.states.slice(0, 1), firstOutput: encoded.firstOutput };
+            block.stages = stages.slice(0, 1);
+            blockPipeline = ['bwt'];
+          } else {
+            encoded = { payload: blockBytes, states: [] };
+            block.stored = true;
+          }
+        }
+      }
+      
+      const { payload, states, firstOutput } = encoded;
+      block.compressedSize = payload.length;
+      if (states.some(Boolean)) {
+        block.stageStates = states;
+      }
+      // The first BWT stage's index, kept so single-BWT files stay readable by 1.1 readers
+      const bwtState = states[blockPipeline.indexOf('bwt')];
+      if (bwtState) {
+        block.primaryIndex = bwtState.primaryIndex;
+      }
+      
+      if (fmIndex) {
+        indexSections.push(buildFMIndexSection(
+          firstOutput, block.primaryIndex, fmIndex.occSampleRate, fmIndex.saSampleRate
+        ));
+      }
+      
+      blocks.push(block);
+      blockPayloads.push(payload);
+    }
     
-    // Step 3: Run-Length Encoding
-    currentBytes = rleEncode(currentBytes);
+    const payload = concatBytes(blockPayloads);
+    const index = fmIndex ? concatBytes(indexSections) : undefined;
     
     const endTime = performance.now();
     const processingTime = endTime - startTime;
     
     const originalSize = bytes.length;
-    const compressedSize = currentBytes.length;
+    const compressedSize = payload.length;
     const compressionRatio = originalSize > 0 ? compressedSize / originalSize : 1;
     
-    return {
-      payload: currentBytes,
-      meta: {
-        originalSize,
-        compressedSize,
-        compressionRatio,
-        pipeline,
-        processingTime,
-        primaryIndex,
-        algorithm: 'BWT+MTF+RLE',
-        version: '1.0'
-      }
+    const meta = {
+      originalSize,
+      compressedSize,
+      compressionRatio,
+      pipeline,
+      processingTime,
+      // First block's index, kept so single-block files stay readable by 1.0 readers
+      primaryIndex: blocks[0].primaryIndex,
+      blockSize,
+      ...stageFields,
+      blocks,
+      crc32: fileCrc,
+      algorithm: auto
+        ? 'AUTO'
+        : stages.map(({ id, params }) => (id === 'bwt' && params.variant === 'bwts' ? 'bwts' : id).toUpperCase()).join('+'),
+      // Per-block stage lists and stored blocks need a 1.3 reader
+      version: auto || blocks.some((block) => block.stored || block.stages) ? '1.3' : '1.2'
     };
+    
+    if (fmIndex) {
+      meta.fmIndex = { ...fmIndex, size: index.length };
+    }
+    
+    progress('done', blocks.length - 1, bytes.length);
+    return { payload, meta, index };
   } catch (error) {
+    // Cancellation is not a failure to fall back from
+    if (options.signal?.aborted) {
+      throw error;
+    }
     console.error('Compression failed:', error);
     
     // Return original data as fallback
@@ -75,6 +261,7 @@ export function compressBytes(bytes, options = {}) {
         pipeline: ['none'],
         processingTime: performance.now() - startTime,
         primaryIndex: 0,
+        crc32: crc32(bytes),
         error: error.message
       }
     };
@@ -82,51 +269,783 @@ export function compressBytes(bytes, options = {}) {
 }
 
 /**
- * Decompress bytes using RLE -> MTF -> BWT pipeline
+ * Decompress bytes by undoing the recorded stages in reverse order
+ * Files without a stage list (before 1.2) are read from their pipeline ids and
+ * variant fields; files without a block table (1.0) are decoded as a single block.
+ * Stored CRC-32 checksums of each block and of the whole file are verified.
+ * Metadata is validated first, and no stage may expand a block past blockDecodeLimit.
  * @param {Uint8Array} payload - Compressed payload
  * @param {Object} meta - Compression metadata
+ * @param {Object} [options] - Decompression options
+ * @param {function(Object): void} [options.onProgress] - Called before every stage of every block (see createProgress)
+ * @param {AbortSignal} [options.signal] - Aborts decompression at the next stage boundary
+ * @param {number} [options.maxOriginalSize=DEFAULT_MAX_ORIGINAL_SIZE] - Largest original size accepted
  * @returns {Uint8Array} - Original bytes
+ * @throws {ChecksumError} - When a block or the whole output fails its checksum
+ * @throws {FormatError} - When the metadata or payload is malformed
+ * @throws {SizeLimitError} - When the file expands past maxOriginalSize
+ */
+export function decompressBytes(payload, meta, options = {}) {
+  return runSteps(decompressSteps(payload, meta, options));
+}
+
+/**
+ * decompressBytes that yields to the event loop between stages (see compressBytesAsync)
+ * @param {Uint8Array} payload - Compressed payload
+ * @param {Object} meta - Compression metadata
+ * @param {Object} [options] - Decompression options (see decompressBytes)
+ * @returns {Promise<Uint8Array>} - Original bytes
+ */
+export function decompressBytesAsync(payload, meta, options = {}) {
+  return runStepsAsync(decompressSteps(payload, meta, options));
+}
+
+/**
+ * Decompression as a sequence of steps, one per stage of every block
+ * @param {Uint8Array} payload - Compressed payload
+ * @param {Object} meta - Compression metadata
+ * @param {Object} options - Decompression options (see decompressBytes)
+ * @returns {Generator<undefined, Uint8Array>} - Steps; the return value is the original bytes
  */
-export function decompressBytes(payload, meta) {
+function* decompressSteps(payload, meta, options) {
+  validateMeta(meta, { maxOriginalSize: options.maxOriginalSize });
+  
   if (!payload || payload.length === 0) {
+    if (meta.originalSize > 0) {
+      throw new FormatError(`Payload is empty, but the file holds ${meta.originalSize} bytes`, 0);
+    }
     return new Uint8Array(0);
   }
   
-  if (!meta || !meta.pipeline) {
-    throw new Error('Invalid metadata for decompression');
+  // Uncompressed fallback written when compression failed
+  if (meta.pipeline.length === 1 && meta.pipeline[0] === 'none') {
+    const bytes = new Uint8Array(payload);
+    verifyChecksum(bytes, meta.crc32, null);
+    return bytes;
   }
   
-  let currentBytes = new Uint8Array(payload);
-  
+  let blockIndex = null;
   try {
-    // Reverse the pipeline
-    const pipeline = meta.pipeline;
+    const stages = meta.auto ? null : resolveStoredStages(meta);
     
-    // Step 1: Run-Length Decoding (if RLE was used)
-    if (pipeline.includes('rle')) {
-      currentBytes = rleDecode(currentBytes);
+    if (!Array.isArray(meta.blocks)) {
+      const progress = createProgress('decompress', meta.originalSize || 0, 1, options);
+      const states = legacyStageStates(stages, meta.primaryIndex);
+      const maxLength = typeof meta.originalSize === 'number' ? blockDecodeLimit(meta.originalSize) : DEFAULT_MAX_DECODED_LENGTH;
+      const decoded = yield* decompressBlock(new Uint8Array(payload), stages, states, maxLength, 0, (stage) => progress(stage, 0, 0));
+      if (typeof meta.originalSize === 'number' && decoded.length !== meta.originalSize) {
+        throw new FormatError(`Decoded to ${decoded.length} bytes, expected ${meta.originalSize}`);
+      }
+      verifyChecksum(decoded, meta.crc32, null);
+      progress('done', 0, decoded.length);
+      return decoded;
     }
     
-    // Step 2: Move-to-Front Decoding (if MTF was used)
-    if (pipeline.includes('mtf')) {
-      currentBytes = mtfDecode(currentBytes);
-    }
+    const totalBytes = meta.blocks.reduce((sum, block) => sum + block.originalSize, 0);
+    const progress = createProgress('decompress', totalBytes, meta.blocks.length, options);
+    const outputs = [];
+    let offset = 0;
+    let bytesDone = 0;
     
-    // Step 3: Burrows-Wheeler Inverse Transform (if BWT was used)
-    if (pipeline.includes('bwt')) {
-      if (typeof meta.primaryIndex !== 'number') {
-        throw new Error('Missing primaryIndex for BWT decompression');
+    for (let i = 0; i < meta.blocks.length; i++) {
+      const block = meta.blocks[i];
+      const checkpoint = (stage, fraction) => progress(stage, i, bytesDone + Math.floor(block.originalSize * fraction));
+      blockIndex = i;
+      checkBlockBounds(block, i, offset, payload.length);
+      
+      const blockPayload = payload.subarray(offset, offset + block.compressedSize);
+      let decoded;
+      if (block.stored) {
+        checkpoint('stored', 0);
+        decoded = blockPayload.slice();
+      } else {
+        const blockStages = block.stages ? resolveRecordedSpec(block.stages) : stages;
+        if (!blockStages) {
+          throw new FormatError(`Block ${i} has no stage list`);
+        }
+        const states = block.stageStates || legacyStageStates(blockStages, block.primaryIndex);
+        decoded = yield* decompressBlock(blockPayload, blockStages, states, blockDecodeLimit(block.originalSize), 0, checkpoint);
       }
-      currentBytes = bwtDecode(currentBytes, meta.primaryIndex);
+      if (decoded.length !== block.originalSize) {
+        throw new FormatError(`Block ${i} decoded to ${decoded.length} bytes, expected ${block.originalSize}`);
+      }
+      verifyChecksum(decoded, block.crc32, i);
+      
+      outputs.push(decoded);
+      offset += block.compressedSize;
+      bytesDone += block.originalSize;
+    }
+    blockIndex = null;
+    if (offset !== payload.length) {
+      throw new FormatError(`Payload has ${payload.length - offset} bytes after the last block`, offset);
     }
     
-    return currentBytes;
+    const output = concatBytes(outputs);
+    verifyChecksum(output, meta.crc32, null);
+    progress('done', meta.blocks.length - 1, output.length);
+    return output;
   } catch (error) {
+    if (options.signal?.aborted) {
+      throw error;
+    }
     console.error('Decompression failed:', error);
+    if (error instanceof ChecksumError || error instanceof SizeLimitError) {
+      throw error;
+    }
+    if (error instanceof FormatError) {
+      const block = meta.blocks?.length > 1 ? `block ${blockIndex}, ` : '';
+      const where = error.stage ? ` (${block}${error.stage} stage)` : '';
+      throw new FormatError(`Decompression failed: ${error.message}${where}`, error.offset, {
+        blockIndex: error.blockIndex ?? blockIndex,
+        stage: error.stage
+      });
+    }
     throw new Error(`Decompression failed: ${error.message}`);
   }
 }
 
+/**
+ * Most symbols any stage may output while decoding a block of the given size
+ * Data between stages can be longer than the block (RLE escapes, nested run stages),
+ * but never by MAX_STAGE_EXPANSION; a payload claiming more is malformed.
+ * @param {number} originalSize - Original size of the block
+ * @returns {number} - Output limit passed to every stage's decode
+ */
+function blockDecodeLimit(originalSize) {
+  return MAX_STAGE_EXPANSION * originalSize + STAGE_EXPANSION_SLACK;
+}
+
+/**
+ * Check a block table entry against the block size limit and the payload
+ * @param {Object} block - Block table entry
+ * @param {number} blockIndex - Index of the block
+ * @param {number} offset - Payload offset where the block starts
+ * @param {number} payloadLength - Payload length
+ * @throws {FormatError} - When the block is larger than MAX_BLOCK_SIZE or runs past the payload
+ */
+function checkBlockBounds(block, blockIndex, offset, payloadLength) {
+  if (block.originalSize > MAX_BLOCK_SIZE) {
+    throw new FormatError(`Block ${blockIndex} holds ${block.originalSize} bytes, more than the largest block size of ${MAX_BLOCK_SIZE}`);
+  }
+  if (offset + block.compressedSize > payloadLength) {
+    throw new FormatError(`Block ${blockIndex} extends past end of payload`, offset);
+  }
+}
+
+/**
+ * Progress reporter shared by compression and decompression
+ * Every report first checks the abort signal, so cancelling takes effect at the next stage.
+ * The callback receives { phase, stage, blockIndex, blockCount, bytesDone, totalBytes,
+ * elapsedMs, etaMs }, where etaMs extrapolates the elapsed time (null before any progress).
+ * @param {string} phase - 'compress' or 'decompress'
+ * @param {number} totalBytes - Original bytes to process
+ * @param {number} blockCount - Number of blocks
+ * @param {{onProgress: (function(Object): void|undefined), signal: (AbortSignal|undefined)}} options - Caller options
+ * @returns {function(string, number, number): void} - report(stage, blockIndex, bytesDone)
+ */
+function createProgress(phase, totalBytes, blockCount, { onProgress, signal } = {}) {
+  const startTime = performance.now();
+  
+  return (stage, blockIndex, bytesDone) => {
+    signal?.throwIfAborted();
+    if (!onProgress) return;
+    
+    const elapsedMs = performance.now() - startTime;
+    const etaMs = bytesDone > 0 ? (elapsedMs * (totalBytes - bytesDone)) / bytesDone : null;
+    onProgress({ phase, stage, blockIndex, blockCount, bytesDone, totalBytes, elapsedMs, etaMs });
+  };
+}
+
+/**
+ * Run a step generator to completion
+ * @param {Generator} steps - Steps
+ * @returns {*} - Generator return value
+ */
+function runSteps(steps) {
+  let step = steps.next();
+  while (!step.done) {
+    step = steps.next();
+  }
+  return step.value;
+}
+
+/**
+ * Run a step generator, handing control back to the event loop between steps
+ * @param {Generator} steps - Steps
+ * @returns {Promise<*>} - Generator return value
+ */
+async function runStepsAsync(steps) {
+  let step = steps.next();
+  while (!step.done) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    step = steps.next();
+  }
+  return step.value;
+}
+
+/**
+ * Compare decoded bytes with a stored CRC-32; files written before checksums skip the check
+ * @param {Uint8Array} bytes - Decoded bytes
+ * @param {number} [expected] - Stored checksum
+ * @param {number|null} blockIndex - Block being checked, or null for the whole file
+ */
+function verifyChecksum(bytes, expected, blockIndex) {
+  if (typeof expected !== 'number' || crc32(bytes) === expected) {
+    return;
+  }
+  
+  const subject = blockIndex === null ? 'Decompressed file' : `Block ${blockIndex}`;
+  throw new ChecksumError(`${subject} failed its CRC-32 check (data is corrupt)`, blockIndex);
+}
+
+/**
+ * Run one block through every stage in order, yielding before each stage
+ * @param {Uint8Array} blockBytes - Block contents
+ * @param {Array<{id: string, params: Object}>} stages - Resolved pipeline spec
+ * @param {function(string, number): void} [checkpoint] - Told the stage about to run and the fraction of the block done
+ * @returns {Generator<undefined, {payload: Uint8Array, states: Array<(Object|null)>, firstOutput: Uint8Array}>} - Encoded block, per-stage state and the first stage's output
+ */
+function* compressBlock(blockBytes, stages, checkpoint = () => {}) {
+  let data = blockBytes;
+  let alphabetSize = 256;
+  let firstOutput;
+  const states = [];
+  
+  for (let k = 0; k < stages.length; k++) {
+    const { id, params } = stages[k];
+    checkpoint(id, k / stages.length);
+    yield;
+    
+    const stage = getStage(id);
+    const { output, state } = stage.encode(data, params, alphabetSize);
+    states.push(state || null);
+    data = output;
+    alphabetSize = stage.outputAlphabet;
+    if (k === 0) firstOutput = output;
+  }
+  
+  // Zero-run symbols that no entropy coder consumed are packed back into bytes
+  const payload = alphabetSize > 256 ? packSymbols(data) : data;
+  
+  return { payload, states, firstOutput };
+}
+
+/**
+ * Compress one block with whichever candidate does best on a sample of it
+ * Each candidate's sample output is scaled to the block length; storing the
+ * block counts as its own length. A block that the winner fails to shrink is
+ * stored after all.
+ * @param {Uint8Array} blockBytes - Block contents
+ * @param {Array<{label: string, stages: Array}>} candidates - Resolved candidates
+ * @param {function(string, number): void} checkpoint - Progress and cancellation hook (see compressBlock)
+ * @returns {Generator<undefined, {payload: Uint8Array, states: Array<(Object|null)>, stages: (Array|null), selection: Object}>} - Encoded block, its stages (null when stored) and the reasons for the choice
+ */
+function* compressBlockAuto(blockBytes, candidates, checkpoint) {
+  const sample = sampleBlock(blockBytes);
+  const scale = blockBytes.length / sample.length;
+  const estimates = { stored: blockBytes.length };
+  const trials = new Map();
+  
+  let best = null;
+  let runnerUp = null;
+  for (const candidate of candidates) {
+    checkpoint('auto', 0);
+    yield;
+    
+    let estimate;
+    try {
+      const trial = runSteps(compressBlock(sample, candidate.stages));
+      trials.set(candidate, trial);
+      estimate = Math.ceil(trial.payload.length * scale);
+    } catch {
+      // A candidate that cannot encode this block simply drops out
+      continue;
+    }
+    estimates[candidate.label] = estimate;
+    if (!best || estimate < estimates[best.label]) {
+      runnerUp = best;
+      best = candidate;
+    } else if (!runnerUp || estimate < estimates[runnerUp.label]) {
+      runnerUp = candidate;
+    }
+  }
+  
+  const sampled = sample === blockBytes ? 'the whole block' : `a ${sample.length}-byte sample`;
+  const stored = (reason) => ({
+    payload: blockBytes,
+    states: [],
+    stages: null,
+    selection: { choice: 'stored', reason, estimates }
+  });
+  
+  if (!best || estimates[best.label] >= blockBytes.length) {
+    return stored(best
+      ? `No candidate beat storing on ${sampled} (best was ${best.label} at ~${estimates[best.label]} bytes)`
+      : 'No candidate could encode the block');
+  }
+  
+  // A whole-block sample has already been compressed by every candidate
+  const encoded = sample === blockBytes ? trials.get(best) : yield* compressBlock(blockBytes, best.stages, checkpoint);
+  if (encoded.payload.length >= blockBytes.length) {
+    return stored(`${best.label} looked smallest on ${sampled} but produced ${encoded.payload.length} bytes for the whole block`);
+  }
+  
+  const comparison = runnerUp ? `; next best ${runnerUp.label} at ~${estimates[runnerUp.label]}` : '';
+  return {
+    ...encoded,
+    stages: best.stages,
+    selection: {
+      choice: best.label,
+      reason: `Smallest on ${sampled}: ~${estimates[best.label]} bytes${comparison}`,
+      estimates
+    }
+  };
+}
+
+/**
+ * Evenly spaced slices of a block, concatenated; small blocks are used whole
+ * @param {Uint8Array} blockBytes - Block contents
+ * @returns {Uint8Array} - Sample
+ */
+function sampleBlock(blockBytes) {
+  if (blockBytes.length <= AUTO_SAMPLE_SIZE) {
+    return blockBytes;
+  }
+  
+  const sliceSize = AUTO_SAMPLE_SIZE / AUTO_SAMPLE_SLICES;
+  const stride = (blockBytes.length - sliceSize) / (AUTO_SAMPLE_SLICES - 1);
+  const sample = new Uint8Array(AUTO_SAMPLE_SIZE);
+  for (let k = 0; k < AUTO_SAMPLE_SLICES; k++) {
+    const start = Math.floor(k * stride);
+    sample.set(blockBytes.subarray(start, start + sliceSize), k * sliceSize);
+  }
+  return sample;
+}
+
+/**
+ * Reverse the pipeline for one block, yielding before each stage
+ * @param {Uint8Array} blockPayload - Encoded block
+ * @param {Array<{id: string, params: Object}>} stages - Resolved pipeline spec
+ * @param {Array<(Object|null)>} states - Per-stage state recorded at compression
+ * @param {number} maxLength - Most symbols a stage may output (see blockDecodeLimit)
+ * @param {number} [stopAt=0] - Index of the last stage to undo
+ * @param {function(string, number): void} [checkpoint] - Told the stage about to be undone and the fraction of the block done
+ * @returns {Generator<undefined, Uint8Array>} - Decoded block (input of stage stopAt)
+ * @throws {FormatError} - Tagged with the stage that found the block malformed
+ */
+function* decompressBlock(blockPayload, stages, states, maxLength, stopAt = 0, checkpoint = () => {}) {
+  let data = outputAlphabetOf(stages) > 256 ? unpackSymbols(blockPayload) : blockPayload;
+  
+  for (let k = stages.length - 1; k >= stopAt; k--) {
+    const { id, params } = stages[k];
+    checkpoint(id, (stages.length - 1 - k) / (stages.length - stopAt));
+    yield;
+    try {
+      data = getStage(id).decode(data, params, states[k] || null, { maxLength });
+    } catch (error) {
+      if (error instanceof FormatError && !error.stage) {
+        error.stage = id;
+      }
+      throw error;
+    }
+  }
+  
+  return data;
+}
+
+/**
+ * Merge single-block compressBytes results, compressed separately (e.g. in workers), into one
+ * @param {Array<{payload: Uint8Array, meta: Object, index: (Uint8Array|undefined)}>} parts - Results in input order
+ * @param {{crc32: number, startTime: number}} whole - CRC-32 of the whole input and when compression started
+ * @returns {{payload: Uint8Array, meta: Object, index: (Uint8Array|undefined)}} - Same shape as compressBytes
+ */
+export function mergeCompressedBlocks(parts, whole) {
+  const first = parts[0].meta;
+  const blocks = parts.flatMap((part) => part.meta.blocks);
+  const payload = concatBytes(parts.map((part) => part.payload));
+  const originalSize = blocks.reduce((sum, block) => sum + block.originalSize, 0);
+  
+  const meta = {
+    ...first,
+    originalSize,
+    compressedSize: payload.length,
+    compressionRatio: originalSize > 0 ? payload.length / originalSize : 1,
+    processingTime: performance.now() - whole.startTime,
+    primaryIndex: blocks[0].primaryIndex,
+    blocks,
+    crc32: whole.crc32,
+    version: parts.some((part) => part.meta.version === '1.3') ? '1.3' : first.version
+  };
+  
+  let index;
+  if (first.fmIndex) {
+    index = concatBytes(parts.map((part) => part.index));
+    meta.fmIndex = { ...first.fmIndex, size: index.length };
+  }
+  
+  return { payload, meta, index };
+}
+
+/**
+ * Split a compressed payload into single-block jobs that decompressBytes can decode independently
+ * @param {Uint8Array} payload - Compressed payload
+ * @param {Object} meta - Compression metadata
+ * @param {{maxOriginalSize: (number|undefined)}} [options] - Decompression options (see decompressBytes)
+ * @returns {Array<{payload: Uint8Array, meta: Object}>|null} - One job per block, or null when the file has no block table
+ * @throws {FormatError} - When the metadata or block table is malformed
+ * @throws {SizeLimitError} - When the file expands past maxOriginalSize
+ */
+export function splitCompressedBlocks(payload, meta, { maxOriginalSize } = {}) {
+  if (!meta || !Array.isArray(meta.blocks) || meta.pipeline?.[0] === 'none') {
+    return null;
+  }
+  validateMeta(meta, { maxOriginalSize });
+  
+  // Jobs decode single blocks, so the search index and entry table stay behind
+  const { fmIndex, archive, ...shared } = meta;
+  const total = meta.blocks.reduce((sum, block) => sum + block.compressedSize, 0);
+  if (total !== payload.length) {
+    throw new FormatError(`Block table covers ${total} bytes, but the payload is ${payload.length} bytes`);
+  }
+  let offset = 0;
+  return meta.blocks.map((block, i) => {
+    checkBlockBounds(block, i, offset, payload.length);
+    const blockPayload = payload.subarray(offset, offset + block.compressedSize);
+    offset += block.compressedSize;
+    return {
+      payload: blockPayload,
+      meta: {
+        ...shared,
+        originalSize: block.originalSize,
+        compressedSize: block.compressedSize,
+        primaryIndex: block.primaryIndex,
+        blocks: [block],
+        crc32: block.crc32
+      }
+    };
+  });
+}
+
+/**
+ * Join blocks decoded from splitCompressedBlocks jobs and verify the whole-file checksum
+ * @param {Uint8Array[]} outputs - Decoded blocks in order
+ * @param {Object} meta - Compression metadata of the whole file
+ * @returns {Uint8Array} - Original bytes
+ * @throws {ChecksumError} - When the joined output fails the whole-file checksum
+ */
+export function joinDecompressedBlocks(outputs, meta) {
+  const output = concatBytes(outputs);
+  verifyChecksum(output, meta.crc32, null);
+  return output;
+}
+
+/**
+ * Checkpoints of a single-block job whose first stage is a checkpointed classic BWT
+ * Such a block can be decoded up to the BWT output, then its inverse BWT split into segments.
+ * @param {Object} meta - Metadata of one block (see splitCompressedBlocks)
+ * @returns {{primaryIndex: number, checkpoints: {interval: number, rows: number[]}}|null} - BWT state, or null when the block cannot be split
+ */
+export function splittableBWTState(meta) {
+  const [block] = meta.blocks;
+  const state = block.stageStates?.[0];
+  if (block.stored || !state?.checkpoints) {
+    return null;
+  }
+  
+  const [first] = blockStagesOf(block, meta);
+  return first.id === 'bwt' && first.params.variant === 'bwt' ? state : null;
+}
+
+/**
+ * Undo every stage of a single-block job except its leading BWT
+ * @param {Uint8Array} payload - Block payload
+ * @param {Object} meta - Metadata of one block (see splitCompressedBlocks)
+ * @returns {Uint8Array} - BWT output of the block
+ */
+export function decompressToBWT(payload, meta) {
+  const [block] = meta.blocks;
+  const stages = blockStagesOf(block, meta);
+  return runSteps(decompressBlock(payload, stages, block.stageStates, blockDecodeLimit(block.originalSize), 1));
+}
+
+/**
+ * Stages a block was compressed with: its own list in auto mode, otherwise the file's
+ * @param {Object} block - Block table entry
+ * @param {Object} meta - Compression metadata
+ * @returns {Array<{id: string, params: Object}>} - Resolved stages
+ */
+function blockStagesOf(block, meta) {
+  if (block.stages) {
+    return resolveRecordedSpec(block.stages);
+  }
+  if (meta.auto) {
+    throw new FormatError('Block has no stage list');
+  }
+  return resolveStoredStages(meta);
+}
+
+/**
+ * Open the FM-index stored next to a compressed payload
+ * Blocks are only decoded back to their BWT output; the inverse BWT is skipped.
+ * @param {Uint8Array} payload - Compressed payload
+ * @param {Object} meta - Compression metadata
+ * @param {Uint8Array} indexBytes - Index section from the compressed file
+ * @returns {{count: Function, locate: Function}} - Search API (see openFMIndex)
+ * @throws {FormatError} - When the metadata, a block or the index section is malformed
+ */
+export function openSearchIndex(payload, meta, indexBytes) {
+  if (!meta?.fmIndex || !indexBytes) {
+    throw new Error('File has no search index');
+  }
+  
+  validateMeta(meta);
+  if (!Array.isArray(meta.blocks)) {
+    throw new FormatError('Search index needs a block table');
+  }
+  
+  const blocks = [];
+  let payloadOffset = 0;
+  let originalOffset = 0;
+  for (let i = 0; i < meta.blocks.length; i++) {
+    const block = meta.blocks[i];
+    // Blocks that did not shrink hold only their BWT output, under their own stage list
+    const stages = block.stored ? null : blockStagesOf(block, meta);
+    if (!(stages?.[0].id === 'bwt' && stages[0].params.variant === 'bwt')) {
+      throw new Error('Search index requires the classic BWT variant as the first stage');
+    }
+    const blockPayload = payload.subarray(payloadOffset, payloadOffset + block.compressedSize);
+    const states = block.stageStates || legacyStageStates(stages, block.primaryIndex);
+    checkBlockBounds(block, i, payloadOffset, payload.length);
+    const transformed = runSteps(decompressBlock(blockPayload, stages, states, blockDecodeLimit(block.originalSize), 1));
+    if (transformed.length !== block.originalSize) {
+      throw new FormatError(`Block ${i} decoded to ${transformed.length} bytes, expected ${block.originalSize}`);
+    }
+    
+    const primaryIndex = states[0]?.primaryIndex;
+    if (!Number.isInteger(primaryIndex) || primaryIndex < 0 || (primaryIndex > 0 && primaryIndex >= transformed.length)) {
+      throw new FormatError(`Invalid primaryIndex ${primaryIndex} for block ${i}`, null, { blockIndex: i });
+    }
+    
+    blocks.push({ transformed, primaryIndex, originalOffset });
+    payloadOffset += block.compressedSize;
+    originalOffset += block.originalSize;
+  }
+  
+  return openFMIndex(blocks, indexBytes, meta.fmIndex);
+}
+
+/**
+ * Pipeline spec implied by the runStage and entropyCoder options
+ * @param {Object} options - Compression options
+ * @returns {string[]} - Stage ids
+ */
+function defaultPipelineSpec(options) {
+  const runStage = options.runStage || 'rle';
+  if (!RUN_STAGES.includes(runStage)) {
+    throw new Error(`Unknown run stage: ${runStage}`);
+  }
+  
+  const entropyCoder = options.entropyCoder || 'none';
+  if (!ENTROPY_CODERS.includes(entropyCoder)) {
+    throw new Error(`Unknown entropy coder: ${entropyCoder}`);
+  }
+  
+  return entropyCoder === 'none' ? ['bwt', 'mtf', runStage] : ['bwt', 'mtf', runStage, entropyCoder];
+}
+
+/**
+ * Resolve a spec, taking stage params missing from the spec from the flat settings
+ * (bwtVariant, mtfVariant, ...), which compression options and pre-1.2 meta share
+ * @param {string|Array} spec - Pipeline spec
+ * @param {Object} settings - Compression options or metadata
+ * @returns {Array<{id: string, params: Object}>} - Resolved stages
+ */
+function buildStages(spec, settings) {
+  const entries = parsePipelineSpec(spec).map(({ id, params }) => ({
+    id,
+    params: { ...paramsFromSettings(id, settings), ...params }
+  }));
+  return resolvePipelineSpec(entries);
+}
+
+/**
+ * Resolve auto mode candidates, labelled by their stage ids and non-default params
+ * @param {Array<string|Array>} specs - Candidate pipeline specs
+ * @param {Object} settings - Compression options
+ * @returns {Array<{label: string, stages: Array<{id: string, params: Object}>}>} - Resolved candidates
+ */
+function buildCandidates(specs, settings) {
+  if (!Array.isArray(specs) || specs.length === 0) {
+    throw new Error('Auto mode needs at least one candidate pipeline');
+  }
+  
+  return specs.map((spec) => {
+    const stages = buildStages(spec, settings);
+    const label = stages.map(({ id, params }) => {
+      const defaults = defaultParams(id);
+      const changed = Object.entries(params).filter(([key, value]) => defaults[key] !== value);
+      return changed.length > 0 ? `${id}(${changed.map(([key, value]) => `${key}=${value}`).join(' ')})` : id;
+    }).join(',');
+    return { label, stages };
+  });
+}
+
+/**
+ * Params a stage resolves to when none are given
+ * @param {string} id - Stage id
+ * @returns {Object} - Default params, or an empty object when some param has no default
+ */
+function defaultParams(id) {
+  try {
+    return getStage(id).resolveParams({});
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Stage params held in the flat settings
+ * @param {string} id - Stage id
+ * @param {Object} settings - Compression options or metadata
+ * @returns {Object} - Params for the stage (undefined values fall back to defaults)
+ */
+function paramsFromSettings(id, settings) {
+  switch (id) {
+    case 'bwt':
+      return { variant: settings.bwtVariant || undefined, checkpoints: settings.bwtCheckpoints || undefined };
+    case 'mtf':
+      return { variant: settings.mtfVariant || undefined, ...settings.mtfParams };
+    case 'range':
+      return { order: settings.rangeCoderOrder };
+    case 'rans':
+      return { states: settings.ransStates };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Flat summary fields of the first stage of each kind, for display and older readers
+ * @param {Array<{id: string, params: Object}>} stages - Resolved stages
+ * @returns {Object} - bwtVariant, bwtCheckpoints, mtfVariant/mtfParams, rangeCoderOrder, ransStates as present
+ */
+function summarizeStages(stages) {
+  const summary = {};
+  const first = (id) => stages.find((stage) => stage.id === id);
+  
+  if (first('bwt')) {
+    summary.bwtVariant = first('bwt').params.variant;
+    if (first('bwt').params.checkpoints) {
+      summary.bwtCheckpoints = first('bwt').params.checkpoints;
+    }
+  }
+  if (first('mtf')) {
+    const { variant, ...params } = first('mtf').params;
+    summary.mtfVariant = variant;
+    summary.mtfParams = params;
+  }
+  if (first('range')) {
+    summary.rangeCoderOrder = first('range').params.order;
+  }
+  if (first('rans')) {
+    summary.ransStates = first('rans').params.states;
+  }
+  return summary;
+}
+
+/**
+ * Stages recorded in meta; before 1.2 only stage ids and flat variant fields were stored
+ * @param {Object} meta - Compression metadata
+ * @returns {Array<{id: string, params: Object}>} - Resolved stages
+ * @throws {FormatError} - When this reader cannot resolve the stages (see resolveRecordedSpec)
+ */
+function resolveStoredStages(meta) {
+  if (Array.isArray(meta.stages)) {
+    return resolveRecordedSpec(meta.stages);
+  }
+  try {
+    return buildStages(meta.pipeline, meta);
+  } catch (error) {
+    throw new FormatError(error.message);
+  }
+}
+
+/**
+ * Resolve a stage list read from a file
+ * An unknown stage or variant, another plugin major version or bad params make the file unreadable.
+ * @param {Array<string|Object>} spec - Recorded stage list
+ * @returns {Array<{id: string, params: Object}>} - Resolved stages
+ * @throws {FormatError} - With the registry's message when a stage cannot be resolved
+ */
+function resolveRecordedSpec(spec) {
+  try {
+    return resolvePipelineSpec(parsePipelineSpec(spec));
+  } catch (error) {
+    throw new FormatError(error.message);
+  }
+}
+
+/**
+ * Per-stage state of a block written before stage states were recorded
+ * Only the classic BWT had state, stored as the block's primaryIndex.
+ * @param {Array<{id: string}>} stages - Resolved stages
+ * @param {number} [primaryIndex] - Primary index from the block table or meta
+ * @returns {Array<(Object|null)>} - Per-stage state
+ */
+function legacyStageStates(stages, primaryIndex) {
+  return stages.map(({ id }) => (
+    id === 'bwt' && typeof primaryIndex === 'number' ? { primaryIndex } : null
+  ));
+}
+
+/**
+ * Resolve search index sampling rates from the fmIndex option
+ * @param {boolean|Object} [option] - true for defaults, or explicit sampling rates
+ * @returns {{occSampleRate: number, saSampleRate: number}|null} - Sampling rates, or null when disabled
+ */
+function resolveFMIndexOptions(option) {
+  if (!option) {
+    return null;
+  }
+  
+  return {
+    occSampleRate: option.occSampleRate || DEFAULT_OCC_SAMPLE_RATE,
+    saSampleRate: option.saSampleRate || DEFAULT_SA_SAMPLE_RATE
+  };
+}
+
+/**
+ * Clamp a requested block size to the supported range
+ * @param {number} [blockSize] - Requested block size in bytes
+ * @returns {number} - Block size to use
+ */
+export function resolveBlockSize(blockSize) {
+  if (typeof blockSize !== 'number' || !Number.isFinite(blockSize)) {
+    return DEFAULT_BLOCK_SIZE;
+  }
+  return Math.min(MAX_BLOCK_SIZE, Math.max(MIN_BLOCK_SIZE, Math.floor(blockSize)));
+}
+
+/**
+ * Concatenate byte arrays into one Uint8Array
+ * @param {Uint8Array[]} parts - Arrays to join
+ * @returns {Uint8Array} - Joined bytes
+ */
+function concatBytes(parts) {
+  if (parts.length === 1) {
+    return parts[0];
+  }
+  
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
 /**
  * Get compression statistics
  * @param {number} originalSize - Original size in bytes
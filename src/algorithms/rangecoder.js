@@ -0,0 +1,244 @@
+// Adaptive range coder (LZMA-style carry propagation) with order-0 or order-1 models
+// Frequencies start flat and adapt as symbols are coded, so no tables are stored.
+// Layout: 4-byte big-endian symbol count, 2-byte alphabet size, 1-byte model order,
+// then the range-coded bytes.
+
+import { FormatError, DEFAULT_MAX_DECODED_LENGTH, checkDecodedLength } from './errors.js';
+
+export const RANGE_CODER_ORDERS = [0, 1];
+
+// Order 1 keeps a model per previous symbol, so its memory grows with the square of the alphabet
+export const MAX_ORDER1_ALPHABET_SIZE = 1024;
+
+const TOP = 2 ** 24;
+const UINT32 = 2 ** 32;
+const FREQ_INCREMENT = 32;
+const MAX_TOTAL = 1 << 16;
+const HEADER_SIZE = 7;
+
+/**
+ * Range encoding with an adaptive frequency model
+ * @param {Uint8Array|Uint16Array} symbols - Symbols to encode
+ * @param {number} [alphabetSize=256] - Number of distinct symbol values (up to 65535)
+ * @param {number} [order=0] - 0 for a single model, 1 to condition on the previous symbol
+ * @returns {Uint8Array} - Encoded bytes
+ */
+export function rangeEncode(symbols, alphabetSize = 256, order = 0) {
+  if (!symbols || symbols.length === 0) {
+    return new Uint8Array(0);
+  }
+  if (!RANGE_CODER_ORDERS.includes(order)) {
+    throw new Error(`Unsupported range coder order: ${order}`);
+  }
+  if (order === 1 && alphabetSize > MAX_ORDER1_ALPHABET_SIZE) {
+    throw new Error(`Order-1 range coding supports alphabets of up to ${MAX_ORDER1_ALPHABET_SIZE} symbols`);
+  }
+
+  const out = [0, 0, 0, 0, 0, 0, order];
+  const view = new DataView(new ArrayBuffer(HEADER_SIZE));
+  view.setUint32(0, symbols.length);
+  view.setUint16(4, alphabetSize);
+  for (let i = 0; i < 6; i++) out[i] = view.getUint8(i);
+
+  let low = 0;
+  let range = 0xFFFFFFFF;
+  let cache = 0;
+  let cacheSize = 1;
+
+  // Emit the top byte of low, resolving any pending carry into buffered 0xFF bytes
+  const shiftLow = () => {
+    if (low < 0xFF000000 || low >= UINT32) {
+      const carry = low >= UINT32 ? 1 : 0;
+      let pending = cache;
+      do {
+        out.push((pending + carry) & 0xFF);
+        pending = 0xFF;
+      } while (--cacheSize !== 0);
+      cache = Math.floor(low / TOP) & 0xFF;
+    }
+    cacheSize++;
+    low = (low % TOP) * 256;
+  };
+
+  const contexts = createContexts(alphabetSize, order);
+  let previous = 0;
+  for (let i = 0; i < symbols.length; i++) {
+    const symbol = symbols[i];
+    if (symbol >= alphabetSize) {
+      throw new Error(`Symbol ${symbol} is outside the alphabet of ${alphabetSize}`);
+    }
+    const model = contexts.get(previous);
+    const r = Math.floor(range / model.total());
+    low += r * model.cumulative(symbol);
+    range = r * model.frequency(symbol);
+    while (range < TOP) {
+      range *= 256;
+      shiftLow();
+    }
+    model.update(symbol);
+    previous = symbol;
+  }
+
+  for (let i = 0; i < 5; i++) {
+    shiftLow();
+  }
+
+  return new Uint8Array(out);
+}
+
+/**
+ * Range decoding
+ * @param {Uint8Array} encoded - Encoded bytes
+ * @param {number} [maxLength=DEFAULT_MAX_DECODED_LENGTH] - Largest output accepted
+ * @returns {Uint8Array|Uint16Array} - Symbols (Uint8Array when the alphabet fits in a byte)
+ * @throws {FormatError} - When the stream is malformed, truncated or decodes to more than maxLength symbols
+ */
+export function rangeDecode(encoded, maxLength = DEFAULT_MAX_DECODED_LENGTH) {
+  if (!encoded || encoded.length === 0) {
+    return new Uint8Array(0);
+  }
+  if (encoded.length < HEADER_SIZE + 5) {
+    throw new FormatError('Range coder stream is truncated', encoded.length);
+  }
+
+  const view = new DataView(encoded.buffer, encoded.byteOffset, encoded.byteLength);
+  const symbolCount = view.getUint32(0);
+  const alphabetSize = view.getUint16(4);
+  const order = encoded[6];
+  checkDecodedLength(symbolCount, maxLength, 'Range coder stream', 0);
+  if (alphabetSize === 0 || (order === 1 && alphabetSize > MAX_ORDER1_ALPHABET_SIZE)) {
+    throw new FormatError(`Unsupported range coder alphabet size: ${alphabetSize}`, 4);
+  }
+  if (!RANGE_CODER_ORDERS.includes(order)) {
+    throw new FormatError(`Unsupported range coder order: ${order}`, 6);
+  }
+
+  let offset = HEADER_SIZE;
+  const nextByte = () => {
+    if (offset >= encoded.length) {
+      throw new FormatError('Range coder stream is truncated', encoded.length);
+    }
+    return encoded[offset++];
+  };
+
+  // The first byte is the encoder's initial cache and always zero
+  nextByte();
+  let code = 0;
+  for (let i = 0; i < 4; i++) {
+    code = code * 256 + nextByte();
+  }
+  let range = 0xFFFFFFFF;
+
+  const contexts = createContexts(alphabetSize, order);
+  const result = alphabetSize <= 256 ? new Uint8Array(symbolCount) : new Uint16Array(symbolCount);
+  let previous = 0;
+  for (let i = 0; i < symbolCount; i++) {
+    const model = contexts.get(previous);
+    const total = model.total();
+    const r = Math.floor(range / total);
+    const target = Math.min(Math.floor(code / r), total - 1);
+    const symbol = model.find(target);
+
+    code -= r * model.cumulative(symbol);
+    range = r * model.frequency(symbol);
+    while (range < TOP) {
+      range *= 256;
+      code = code * 256 + nextByte();
+    }
+    if (code >= range) {
+      throw new FormatError(`Range coder stream is corrupt at symbol ${i}`, offset);
+    }
+
+    model.update(symbol);
+    result[i] = symbol;
+    previous = symbol;
+  }
+
+  return result;
+}
+
+/**
+ * Models keyed by context: one shared model for order 0, one per previous symbol for order 1
+ * @param {number} alphabetSize - Number of symbol values
+ * @param {number} order - Model order
+ * @returns {{get: function(number): Object}} - Context lookup, creating models on first use
+ */
+function createContexts(alphabetSize, order) {
+  const models = new Map();
+  return {
+    get(previous) {
+      const key = order === 0 ? 0 : previous;
+      let model = models.get(key);
+      if (!model) {
+        model = createAdaptiveModel(alphabetSize);
+        models.set(key, model);
+      }
+      return model;
+    }
+  };
+}
+
+/**
+ * Adaptive frequency model over a Fenwick tree of symbol counts
+ * Counts are halved once the total passes MAX_TOTAL, which also lets the model
+ * follow local changes in the statistics.
+ * @param {number} alphabetSize - Number of symbol values
+ * @returns {{total: Function, frequency: Function, cumulative: Function, find: Function, update: Function}} - Model operations
+ */
+function createAdaptiveModel(alphabetSize) {
+  const frequencies = new Uint32Array(alphabetSize).fill(1);
+  const tree = new Uint32Array(alphabetSize + 1);
+  let total = 0;
+  let topBit = 1;
+  while (topBit * 2 <= alphabetSize) topBit *= 2;
+
+  const rebuild = () => {
+    tree.fill(0);
+    total = 0;
+    for (let i = 1; i <= alphabetSize; i++) {
+      tree[i] += frequencies[i - 1];
+      total += frequencies[i - 1];
+      const parent = i + (i & -i);
+      if (parent <= alphabetSize) tree[parent] += tree[i];
+    }
+  };
+  rebuild();
+
+  return {
+    total: () => total,
+
+    frequency: (symbol) => frequencies[symbol],
+
+    // Sum of the frequencies of all smaller symbols
+    cumulative(symbol) {
+      let sum = 0;
+      for (let k = symbol; k > 0; k -= k & -k) sum += tree[k];
+      return sum;
+    },
+
+    // Symbol whose cumulative range contains target
+    find(target) {
+      let position = 0;
+      for (let step = topBit; step > 0; step >>= 1) {
+        const next = position + step;
+        if (next <= alphabetSize && tree[next] <= target) {
+          position = next;
+          target -= tree[next];
+        }
+      }
+      return position;
+    },
+
+    update(symbol) {
+      frequencies[symbol] += FREQ_INCREMENT;
+      total += FREQ_INCREMENT;
+      for (let k = symbol + 1; k <= alphabetSize; k += k & -k) tree[k] += FREQ_INCREMENT;
+      if (total > MAX_TOTAL) {
+        for (let s = 0; s < alphabetSize; s++) {
+          frequencies[s] = (frequencies[s] + 1) >>> 1;
+        }
+        rebuild();
+      }
+    }
+  };
+}
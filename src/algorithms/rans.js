@@ -0,0 +1,232 @@
+// Range Asymmetric Numeral Systems (rANS) with interleaved states
+// Byte-wise renormalization over 32-bit states (after Giesen's ryg_rans).
+// Symbol i is coded by state i % stateCount, so the decoder's states form
+// independent dependency chains. Frequencies are normalized to 2^RANS_SCALE_BITS.
+// Layout: 4-byte big-endian symbol count, 2-byte alphabet size, 1-byte state count,
+// varint used-symbol count, then (varint symbol gap, varint frequency) pairs,
+// then the initial states (4 bytes each) and the renormalization bytes.
+
+import { writeVarint, readVarint } from './varint.js';
+import { FormatError, DEFAULT_MAX_DECODED_LENGTH, checkDecodedLength } from './errors.js';
+
+export const RANS_SCALE_BITS = 14;
+export const RANS_STATE_COUNTS = [1, 2, 4, 8];
+export const DEFAULT_RANS_STATES = 4;
+
+const SCALE = 1 << RANS_SCALE_BITS;
+const RANS_L = 1 << 23;
+
+/**
+ * rANS encoding with a static, normalized frequency table
+ * @param {Uint8Array|Uint16Array} symbols - Symbols to encode
+ * @param {number} [alphabetSize=256] - Number of distinct symbol values (up to 65535)
+ * @param {number} [stateCount=DEFAULT_RANS_STATES] - Number of interleaved states
+ * @returns {Uint8Array} - Encoded bytes
+ */
+export function ransEncode(symbols, alphabetSize = 256, stateCount = DEFAULT_RANS_STATES) {
+  if (!symbols || symbols.length === 0) {
+    return new Uint8Array(0);
+  }
+  if (!RANS_STATE_COUNTS.includes(stateCount)) {
+    throw new Error(`Unsupported rANS state count: ${stateCount}`);
+  }
+
+  const counts = new Uint32Array(alphabetSize);
+  for (let i = 0; i < symbols.length; i++) {
+    if (symbols[i] >= alphabetSize) {
+      throw new Error(`Symbol ${symbols[i]} is outside the alphabet of ${alphabetSize}`);
+    }
+    counts[symbols[i]]++;
+  }
+  const frequencies = normalizeFrequencies(counts, symbols.length);
+  const starts = cumulativeStarts(frequencies);
+
+  // Encode back to front; bytes are collected reversed and flipped at the end
+  const reversed = [];
+  const states = new Array(stateCount).fill(RANS_L);
+  for (let i = symbols.length - 1; i >= 0; i--) {
+    const symbol = symbols[i];
+    const frequency = frequencies[symbol];
+    const j = i % stateCount;
+    let x = states[j];
+
+    const xMax = ((RANS_L >>> RANS_SCALE_BITS) << 8) * frequency;
+    while (x >= xMax) {
+      reversed.push(x & 0xFF);
+      x = Math.floor(x / 256);
+    }
+    states[j] = Math.floor(x / frequency) * SCALE + (x % frequency) + starts[symbol];
+  }
+
+  // Final states, written so that the decoder reads state 0 first, big-endian
+  for (let j = stateCount - 1; j >= 0; j--) {
+    let x = states[j];
+    for (let k = 0; k < 4; k++) {
+      reversed.push(x & 0xFF);
+      x = Math.floor(x / 256);
+    }
+  }
+  reversed.reverse();
+
+  const header = [0, 0, 0, 0, 0, 0, stateCount];
+  const view = new DataView(new ArrayBuffer(6));
+  view.setUint32(0, symbols.length);
+  view.setUint16(4, alphabetSize);
+  for (let i = 0; i < 6; i++) header[i] = view.getUint8(i);
+
+  let usedCount = 0;
+  for (let s = 0; s < alphabetSize; s++) {
+    if (frequencies[s] > 0) usedCount++;
+  }
+  writeVarint(header, usedCount);
+  let previous = -1;
+  for (let s = 0; s < alphabetSize; s++) {
+    if (frequencies[s] === 0) continue;
+    writeVarint(header, s - previous - 1);
+    writeVarint(header, frequencies[s]);
+    previous = s;
+  }
+
+  const result = new Uint8Array(header.length + reversed.length);
+  result.set(header);
+  result.set(reversed, header.length);
+  return result;
+}
+
+/**
+ * rANS decoding
+ * @param {Uint8Array} encoded - Encoded bytes
+ * @param {number} [maxLength=DEFAULT_MAX_DECODED_LENGTH] - Largest output accepted
+ * @returns {Uint8Array|Uint16Array} - Symbols (Uint8Array when the alphabet fits in a byte)
+ * @throws {FormatError} - When the stream is malformed, truncated or decodes to more than maxLength symbols
+ */
+export function ransDecode(encoded, maxLength = DEFAULT_MAX_DECODED_LENGTH) {
+  if (!encoded || encoded.length === 0) {
+    return new Uint8Array(0);
+  }
+  if (encoded.length < 7) {
+    throw new FormatError('rANS stream is truncated', encoded.length);
+  }
+
+  const view = new DataView(encoded.buffer, encoded.byteOffset, encoded.byteLength);
+  const symbolCount = view.getUint32(0);
+  const alphabetSize = view.getUint16(4);
+  const stateCount = encoded[6];
+  checkDecodedLength(symbolCount, maxLength, 'rANS stream', 0);
+  if (!RANS_STATE_COUNTS.includes(stateCount)) {
+    throw new FormatError(`Unsupported rANS state count: ${stateCount}`, 6);
+  }
+
+  const reader = { bytes: encoded, offset: 7 };
+  const frequencies = new Uint32Array(alphabetSize);
+  const usedCount = readVarint(reader);
+  if (usedCount > alphabetSize) {
+    throw new FormatError(`rANS frequency table lists ${usedCount} symbols for an alphabet of ${alphabetSize}`, 7);
+  }
+  let symbol = -1;
+  let total = 0;
+  for (let k = 0; k < usedCount; k++) {
+    const entryOffset = reader.offset;
+    symbol += readVarint(reader) + 1;
+    const frequency = readVarint(reader);
+    if (symbol >= alphabetSize || frequency === 0) {
+      throw new FormatError(`Invalid rANS frequency table entry for symbol ${symbol}`, entryOffset);
+    }
+    frequencies[symbol] = frequency;
+    total += frequency;
+  }
+  if (total !== SCALE) {
+    throw new FormatError(`rANS frequencies sum to ${total}, expected ${SCALE}`, reader.offset);
+  }
+
+  const starts = cumulativeStarts(frequencies);
+  const slotSymbol = new Uint16Array(SCALE);
+  for (let s = 0; s < alphabetSize; s++) {
+    slotSymbol.fill(s, starts[s], starts[s] + frequencies[s]);
+  }
+
+  const nextByte = () => {
+    if (reader.offset >= encoded.length) {
+      throw new FormatError('rANS stream is truncated', encoded.length);
+    }
+    return encoded[reader.offset++];
+  };
+
+  const states = new Array(stateCount);
+  for (let j = 0; j < stateCount; j++) {
+    states[j] = ((nextByte() << 24) | (nextByte() << 16) | (nextByte() << 8) | nextByte()) >>> 0;
+  }
+
+  const result = alphabetSize <= 256 ? new Uint8Array(symbolCount) : new Uint16Array(symbolCount);
+  const mask = SCALE - 1;
+  for (let i = 0; i < symbolCount; i++) {
+    const j = i % stateCount;
+    let x = states[j];
+    const s = slotSymbol[x & mask];
+    result[i] = s;
+
+    x = frequencies[s] * (x >>> RANS_SCALE_BITS) + (x & mask) - starts[s];
+    while (x < RANS_L) {
+      x = (x << 8) | nextByte();
+    }
+    states[j] = x;
+  }
+
+  // Every state returns to its starting value exactly when the stream is intact
+  if (states.some((x) => x !== RANS_L) || reader.offset !== encoded.length) {
+    throw new FormatError('rANS stream is corrupt', reader.offset);
+  }
+
+  return result;
+}
+
+/**
+ * Scale symbol counts so they sum to SCALE, keeping every used symbol at least 1
+ * @param {Uint32Array} counts - Symbol counts
+ * @param {number} total - Sum of counts
+ * @returns {Uint32Array} - Normalized frequencies
+ */
+function normalizeFrequencies(counts, total) {
+  const frequencies = new Uint32Array(counts.length);
+  let sum = 0;
+  for (let s = 0; s < counts.length; s++) {
+    if (counts[s] > 0) {
+      frequencies[s] = Math.max(1, Math.round((counts[s] * SCALE) / total));
+      sum += frequencies[s];
+    }
+  }
+
+  // Settle the rounding error on the most frequent symbols, where it costs the least
+  const bySize = Array.from(frequencies.keys())
+    .filter((s) => frequencies[s] > 0)
+    .sort((a, b) => frequencies[b] - frequencies[a]);
+  if (bySize.length > SCALE) {
+    throw new Error(`rANS supports at most ${SCALE} distinct symbols`);
+  }
+  for (let k = 0; sum !== SCALE; k = (k + 1) % bySize.length) {
+    const s = bySize[k];
+    if (sum < SCALE) {
+      frequencies[s]++;
+      sum++;
+    } else if (frequencies[s] > 1) {
+      frequencies[s]--;
+      sum--;
+    }
+  }
+
+  return frequencies;
+}
+
+/**
+ * Start of every symbol's slot range
+ * @param {Uint32Array} frequencies - Normalized frequencies
+ * @returns {Uint32Array} - Cumulative frequency below each symbol
+ */
+function cumulativeStarts(frequencies) {
+  const starts = new Uint32Array(frequencies.length);
+  for (let s = 0, sum = 0; s < frequencies.length; s++) {
+    starts[s] = sum;
+    sum += frequencies[s];
+  }
+  return starts;
+}
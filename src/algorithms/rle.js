@@ -1,6 +1,8 @@
 // Binary-safe Run-Length Encoding implementation
 // Operates on Uint8Array with efficient encoding for runs
 
+import { FormatError, DEFAULT_MAX_DECODED_LENGTH, checkDecodedLength } from './errors.js';
+
 /**
  * Run-Length Encoding with escape-based format
  * Format: [byte][count-1] for runs >= 2, [byte] for single bytes
@@ -48,9 +50,11 @@ export function rleEncode(bytes) {
 /**
  * Run-Length Decoding
  * @param {Uint8Array} encoded - RLE encoded bytes
+ * @param {number} [maxLength=DEFAULT_MAX_DECODED_LENGTH] - Largest output accepted
  * @returns {Uint8Array} - Original bytes
+ * @throws {FormatError} - When an escape sequence is cut short or the output exceeds maxLength
  */
-export function rleDecode(encoded) {
+export function rleDecode(encoded, maxLength = DEFAULT_MAX_DECODED_LENGTH) {
   if (!encoded || encoded.length === 0) {
     return new Uint8Array(0);
   }
@@ -59,8 +63,12 @@ export function rleDecode(encoded) {
   let i = 0;
   
   while (i < encoded.length) {
-    if (encoded[i] === 0xFF && i + 2 < encoded.length) {
-      // Potential escape sequence
+    checkDecodedLength(result.length, maxLength, 'RLE stream', i);
+    if (encoded[i] === 0xFF) {
+      if (i + 2 >= encoded.length) {
+        throw new FormatError(`RLE escape sequence at offset ${i} is truncated`, i);
+      }
+      // Escape sequence
       const nextByte = encoded[i + 1];
       const count = encoded[i + 2];
       
@@ -81,6 +89,7 @@ export function rleDecode(encoded) {
       i++;
     }
   }
+  checkDecodedLength(result.length, maxLength, 'RLE stream', encoded.length);
   
   return new Uint8Array(result);
 }
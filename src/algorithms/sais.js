@@ -0,0 +1,168 @@
+// Linear-time suffix array construction by induced sorting (SA-IS)
+// Nong, Zhang & Chan, "Two Efficient Algorithms for Linear Time Suffix Array Construction"
+// Operates on Int32Array so it can recurse on the reduced (named) string
+
+/**
+ * Build the suffix array of a byte sequence
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {Int32Array} - Start offsets of all suffixes in lexicographic order
+ */
+export function buildSuffixArray(bytes) {
+  const n = bytes ? bytes.length : 0;
+  if (n === 0) {
+    return new Int32Array(0);
+  }
+
+  // Shift the alphabet up by one so 0 can serve as the unique sentinel
+  const text = new Int32Array(n + 1);
+  for (let i = 0; i < n; i++) {
+    text[i] = bytes[i] + 1;
+  }
+
+  const sa = new Int32Array(n + 1);
+  sais(text, sa, n + 1, 257);
+
+  // Drop the sentinel suffix, which always sorts first
+  return sa.subarray(1);
+}
+
+/**
+ * Compute bucket boundaries for every symbol of the alphabet
+ * @param {Int32Array} s - Input string
+ * @param {number} n - Length of s
+ * @param {Int32Array} bkt - Output buckets (length K)
+ * @param {boolean} end - True for bucket ends, false for bucket starts
+ */
+function getBuckets(s, n, bkt, end) {
+  bkt.fill(0);
+  for (let i = 0; i < n; i++) {
+    bkt[s[i]]++;
+  }
+
+  let sum = 0;
+  for (let c = 0; c < bkt.length; c++) {
+    sum += bkt[c];
+    bkt[c] = end ? sum : sum - bkt[c];
+  }
+}
+
+/**
+ * Induce the order of L-type and then S-type suffixes from the seeded entries
+ * @param {Int32Array} s - Input string
+ * @param {Int32Array} sa - Suffix array under construction
+ * @param {number} n - Length of s
+ * @param {Uint8Array} t - Suffix types (1 = S-type, 0 = L-type)
+ * @param {Int32Array} bkt - Bucket scratch space
+ */
+function induce(s, sa, n, t, bkt) {
+  getBuckets(s, n, bkt, false);
+  for (let i = 0; i < n; i++) {
+    const j = sa[i] - 1;
+    if (j >= 0 && t[j] === 0) {
+      sa[bkt[s[j]]++] = j;
+    }
+  }
+
+  getBuckets(s, n, bkt, true);
+  for (let i = n - 1; i >= 0; i--) {
+    const j = sa[i] - 1;
+    if (j >= 0 && t[j] === 1) {
+      sa[--bkt[s[j]]] = j;
+    }
+  }
+}
+
+/**
+ * Core SA-IS recursion
+ * @param {Int32Array} s - Input string, terminated by a unique smallest symbol 0
+ * @param {Int32Array} sa - Output suffix array (length n)
+ * @param {number} n - Length of s
+ * @param {number} K - Alphabet size
+ */
+function sais(s, sa, n, K) {
+  // Classify suffixes: S-type if smaller than its successor, L-type otherwise
+  const t = new Uint8Array(n);
+  t[n - 1] = 1;
+  for (let i = n - 2; i >= 0; i--) {
+    t[i] = s[i] < s[i + 1] || (s[i] === s[i + 1] && t[i + 1] === 1) ? 1 : 0;
+  }
+
+  const isLMS = (i) => i > 0 && t[i] === 1 && t[i - 1] === 0;
+  const bkt = new Int32Array(K);
+
+  // Stage 1: sort LMS substrings by seeding them at bucket ends and inducing
+  getBuckets(s, n, bkt, true);
+  sa.fill(-1, 0, n);
+  for (let i = 1; i < n; i++) {
+    if (isLMS(i)) {
+      sa[--bkt[s[i]]] = i;
+    }
+  }
+  induce(s, sa, n, t, bkt);
+
+  // Compact the sorted LMS positions into the front of sa
+  let n1 = 0;
+  for (let i = 0; i < n; i++) {
+    if (isLMS(sa[i])) {
+      sa[n1++] = sa[i];
+    }
+  }
+
+  // Name the LMS substrings; equal substrings share a name
+  sa.fill(-1, n1, n);
+  let name = 0;
+  let prev = -1;
+  for (let i = 0; i < n1; i++) {
+    const pos = sa[i];
+    let diff = false;
+    for (let d = 0; d < n; d++) {
+      if (prev === -1 || s[pos + d] !== s[prev + d] || t[pos + d] !== t[prev + d]) {
+        diff = true;
+        break;
+      }
+      if (d > 0 && (isLMS(pos + d) || isLMS(prev + d))) {
+        break;
+      }
+    }
+    if (diff) {
+      name++;
+      prev = pos;
+    }
+    sa[n1 + (pos >> 1)] = name - 1;
+  }
+  for (let i = n - 1, j = n - 1; i >= n1; i--) {
+    if (sa[i] >= 0) {
+      sa[j--] = sa[i];
+    }
+  }
+
+  // Stage 2: sort the reduced string, recursing while names are not unique
+  const s1 = sa.subarray(n - n1, n);
+  const sa1 = sa.subarray(0, n1);
+  if (name < n1) {
+    sais(s1, sa1, n1, name);
+  } else {
+    for (let i = 0; i < n1; i++) {
+      sa1[s1[i]] = i;
+    }
+  }
+
+  // Stage 3: induce the full suffix array from the sorted LMS suffixes
+  for (let i = 1, j = 0; i < n; i++) {
+    if (isLMS(i)) {
+      s1[j++] = i;
+    }
+  }
+  for (let i = 0; i < n1; i++) {
+    sa1[i] = s1[sa1[i]];
+  }
+  sa.fill(-1, n1, n);
+
+  getBuckets(s, n, bkt, true);
+  for (let i = n1 - 1; i >= 0; i--) {
+    const j = sa[i];
+    sa[i] = -1;
+    sa[--bkt[s[j]]] = j;
+  }
+  induce(s, sa, n, t, bkt);
+}
@@ -1,62 +1,193 @@
-// Binary serialization format for compressed files
-// Format: Magic header + metadata length + JSON metadata + payload
+// Binary serialization formats for compressed files
+// BWTJS2 (written by default): magic + fixed binary header (version, flags, block count,
+// sizes) + block descriptor table + optional JSON extension metadata + payload
+// [+ search index] + trailer. BWTJS1 (still read and optionally written): magic +
+// metadata length + JSON metadata + payload [+ search index], where meta.fmIndex.size
+// gives the length of the trailing search index section. BWTJS2 files can be
+// encrypted with a password (see encryption.js) and signed (see signature.js).
 
-// Magic header: "BWTJS1\0" (7 bytes)
+import { crc32 } from './checksum.js';
+import { FormatError, SizeLimitError, DEFAULT_MAX_ORIGINAL_SIZE } from './errors.js';
+import { validateMeta } from './metadata.js';
+import {
+  AuthenticationError,
+  PasswordRequiredError,
+  KDF_PBKDF2_SHA256,
+  CIPHER_AES_256_GCM,
+  DEFAULT_PBKDF2_ITERATIONS,
+  MIN_PBKDF2_ITERATIONS,
+  MAX_PBKDF2_ITERATIONS,
+  SALT_LENGTH,
+  IV_LENGTH,
+  TAG_LENGTH,
+  METADATA_COUNTER,
+  FIRST_BLOCK_COUNTER,
+  randomBytes,
+  deriveKey,
+  createKeyCheck,
+  verifyKeyCheck,
+  sealSection,
+  openSection
+} from './encryption.js';
+import {
+  SIGNATURE_LENGTH,
+  KEY_ID_LENGTH,
+  signatureAlgorithmId,
+  signatureAlgorithmName,
+  keyIdToBytes,
+  keyIdFromBytes,
+  signBytes,
+  verifyBytes
+} from './signature.js';
+
+// Magic headers: "BWTJS" + format version digit + NUL (7 bytes)
+const MAGIC_PREFIX = new Uint8Array([0x42, 0x57, 0x54, 0x4A, 0x53]); // "BWTJS"
 const MAGIC_HEADER = new Uint8Array([0x42, 0x57, 0x54, 0x4A, 0x53, 0x31, 0x00]); // "BWTJS1\0"
+const MAGIC_HEADER_V2 = new Uint8Array([0x42, 0x57, 0x54, 0x4A, 0x53, 0x32, 0x00]); // "BWTJS2\0"
+
+export const FORMAT_VERSION = 2;
+export const SUPPORTED_FORMAT_VERSIONS = [1, 2];
+
+// BWTJS2 layout. The header after the magic is big-endian:
+// u8 major version, u8 minor version, u16 flags, u32 block count, u64 original size,
+// u64 payload length, u32 search index length, u32 extension length, u32 file CRC-32
+const V2_MINOR_VERSION = 0;
+const V2_HEADER_SIZE = 40;
+const V2_DESCRIPTOR_SIZE = 16; // u32 original size, u32 compressed size, u32 CRC-32, u8 flags, 3 reserved
+const V2_TRAILER_SIZE = 8; // u32 CRC-32 of everything before the payload, then "BWTE"
+const V2_END_MARKER = new Uint8Array([0x42, 0x57, 0x54, 0x45]); // "BWTE"
+
+// Header flags; a reader refuses files with flags it does not know
+export const FORMAT_FLAGS = {
+  searchIndex: 0x1,
+  extension: 0x2,
+  fileChecksum: 0x4,
+  encrypted: 0x8,
+  signed: 0x10
+};
+const KNOWN_FLAGS = Object.values(FORMAT_FLAGS).reduce((known, flag) => known | flag, 0);
+
+// Encryption header, after the fixed header of an encrypted file: u8 KDF id, u8 cipher id,
+// u16 encryption flags, u32 KDF iterations, salt, IV, key check
+const ENCRYPTION_HEADER_SIZE = 8 + SALT_LENGTH + IV_LENGTH + TAG_LENGTH;
+const ENCRYPTED_METADATA = 0x1;
+
+// Signature header, after the encryption header if any: u8 algorithm id, u8 reserved,
+// u16 signature length, signer key ID. The signature itself sits between the search index
+// and the trailer, and covers everything before it.
+const SIGNATURE_HEADER_SIZE = 4 + KEY_ID_LENGTH;
+
+// Block descriptor flags
+const BLOCK_STORED = 0x1;
+const BLOCK_CHECKSUM = 0x2;
+
+// Block fields held in descriptors rather than in the extension metadata
+const DESCRIPTOR_FIELDS = ['originalSize', 'compressedSize', 'crc32', 'stored'];
+// Encrypted files keep checksums of the plaintext out of the descriptors: with the BWT
+// indices and other per-block state, they are sealed in front of a readable extension
+const ENCRYPTED_DESCRIPTOR_FIELDS = ['originalSize', 'compressedSize', 'stored'];
 
 /**
  * Serialize compressed data into a binary blob
  * @param {Object} meta - Metadata object
  * @param {Uint8Array} payloadBytes - Compressed payload
+ * @param {Uint8Array} [indexBytes] - Optional search index section
+ * @param {{formatVersion: number}} [options] - Container version to write (default FORMAT_VERSION)
  * @returns {Blob} - Serialized binary blob
  */
-export function serializeCompressed(meta, payloadBytes) {
+export function serializeCompressed(meta, payloadBytes, indexBytes, { formatVersion = FORMAT_VERSION } = {}) {
   try {
-    // Ensure required metadata fields
-    const fullMeta = {
-      originalFilename: meta.originalFilename || 'untitled',
-      mimeType: meta.mimeType || 'application/octet-stream',
-      originalSize: meta.originalSize || 0,
-      pipeline: meta.pipeline || ['bwt', 'mtf', 'rle'],
-      encoding: meta.encoding || 'binary',
-      createdAt: meta.createdAt || new Date().toISOString(),
-      ...meta // Include all other metadata
-    };
-    
-    // Convert metadata to UTF-8 JSON bytes
-    const metadataJson = JSON.stringify(fullMeta);
-    const metadataBytes = new TextEncoder().encode(metadataJson);
+    const fullMeta = completeMeta(meta, indexBytes);
     
-    // Create metadata length as 4-byte big-endian uint32
-    const metadataLength = new Uint32Array([metadataBytes.length]);
-    const metadataLengthBytes = new Uint8Array(metadataLength.buffer);
-    
-    // Convert to big-endian (network byte order)
-    if (isLittleEndian()) {
-      metadataLengthBytes.reverse();
+    let serialized;
+    if (formatVersion === 1) {
+      serialized = serializeV1(fullMeta, payloadBytes, indexBytes);
+    } else if (formatVersion === 2) {
+      serialized = serializeV2(fullMeta, payloadBytes, indexBytes);
+    } else {
+      throw new Error(`Unknown format version: ${formatVersion}`);
     }
     
-    // Combine all parts: header + length + metadata + payload
-    const totalLength = MAGIC_HEADER.length + 4 + metadataBytes.length + payloadBytes.length;
-    const serialized = new Uint8Array(totalLength);
-    
-    let offset = 0;
-    
-    // Copy magic header
-    serialized.set(MAGIC_HEADER, offset);
-    offset += MAGIC_HEADER.length;
+    return new Blob([serialized], { type: 'application/octet-stream' });
+  } catch (error) {
+    throw new Error(`Serialization failed: ${error.message}`);
+  }
+}
+
+/**
+ * Serialize compressed data into a password-encrypted BWTJS2 blob
+ * Every block and the search index are sealed with AES-256-GCM, authenticated together
+ * with the file head. The header still shows the sizes and block count; with
+ * encryptMetadata the JSON extension (file name, MIME type, stages, checksums) is sealed too.
+ * @param {Object} meta - Metadata object
+ * @param {Uint8Array} payloadBytes - Compressed payload
+ * @param {Uint8Array} [indexBytes] - Optional search index section
+ * @param {Object} options - Encryption options
+ * @param {string} options.password - Password to derive the key from
+ * @param {boolean} [options.encryptMetadata=false] - Also encrypt the extension metadata
+ * @param {number} [options.iterations=DEFAULT_PBKDF2_ITERATIONS] - PBKDF2 iterations
+ * @returns {Promise<Blob>} - Serialized binary blob
+ */
+export async function serializeEncrypted(meta, payloadBytes, indexBytes, {
+  password,
+  encryptMetadata = false,
+  iterations = DEFAULT_PBKDF2_ITERATIONS
+} = {}) {
+  try {
+    checkEncryptionOptions(password, iterations);
     
-    // Copy metadata length
-    serialized.set(metadataLengthBytes, offset);
-    offset += 4;
+    const serialized = await serializeV2Encrypted(completeMeta(meta, indexBytes), payloadBytes, indexBytes, {
+      password,
+      encryptMetadata,
+      iterations
+    });
+    return new Blob([serialized], { type: 'application/octet-stream' });
+  } catch (error) {
+    throw new Error(`Serialization failed: ${error.message}`);
+  }
+}
+
+/**
+ * Serialize compressed data into a signed BWTJS2 blob, encrypting it first when a password is given
+ * The signature covers the header, metadata, payload and search index as written, so it can
+ * be checked without the password.
+ * @param {Object} meta - Metadata object
+ * @param {Uint8Array} payloadBytes - Compressed payload
+ * @param {Uint8Array} [indexBytes] - Optional search index section
+ * @param {Object} options - Signing and encryption options
+ * @param {{algorithm: string, keyId: string, privateKey: CryptoKey}} options.signingKey - Key pair to sign with (see signature.js)
+ * @param {string} [options.password] - Password to encrypt with; empty for a readable file
+ * @param {boolean} [options.encryptMetadata=false] - Also encrypt the extension metadata
+ * @param {number} [options.iterations=DEFAULT_PBKDF2_ITERATIONS] - PBKDF2 iterations
+ * @returns {Promise<Blob>} - Serialized binary blob
+ */
+export async function serializeSigned(meta, payloadBytes, indexBytes, {
+  signingKey,
+  password,
+  encryptMetadata = false,
+  iterations = DEFAULT_PBKDF2_ITERATIONS
+} = {}) {
+  try {
+    if (!signingKey?.privateKey) {
+      throw new Error('A key pair with a private key is needed to sign');
+    }
+    if (password) {
+      checkEncryptionOptions(password, iterations);
+    }
     
-    // Copy metadata
-    serialized.set(metadataBytes, offset);
-    offset += metadataBytes.length;
+    const signatureHeader = new Uint8Array(SIGNATURE_HEADER_SIZE);
+    const view = new DataView(signatureHeader.buffer);
+    view.setUint8(0, signatureAlgorithmId(signingKey.algorithm));
+    view.setUint16(2, SIGNATURE_LENGTH);
+    signatureHeader.set(keyIdToBytes(signingKey.keyId), 4);
     
-    // Copy payload
-    serialized.set(payloadBytes, offset);
+    const fullMeta = completeMeta(meta, indexBytes);
+    const serialized = password
+      ? await serializeV2Encrypted(fullMeta, payloadBytes, indexBytes, { password, encryptMetadata, iterations, signatureHeader })
+      : serializeV2(fullMeta, payloadBytes, indexBytes, signatureHeader);
     
+    const signatureOffset = serialized.length - V2_TRAILER_SIZE - SIGNATURE_LENGTH;
+    serialized.set(await signBytes(signingKey, serialized.subarray(0, signatureOffset)), signatureOffset);
     return new Blob([serialized], { type: 'application/octet-stream' });
   } catch (error) {
     throw new Error(`Serialization failed: ${error.message}`);
@@ -64,62 +195,776 @@ export function serializeCompressed(meta, payloadBytes) {
 }
 
 /**
- * Parse a compressed file blob
+ * Check a password and iteration count before encrypting
+ * @param {string} password - Password
+ * @param {number} iterations - PBKDF2 iterations
+ * @throws {Error} - When either is invalid
+ */
+function checkEncryptionOptions(password, iterations) {
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new Error('A password is needed to encrypt');
+  }
+  if (!Number.isInteger(iterations) || iterations < MIN_PBKDF2_ITERATIONS || iterations > MAX_PBKDF2_ITERATIONS) {
+    throw new Error(`PBKDF2 iterations must be an integer from ${MIN_PBKDF2_ITERATIONS} to ${MAX_PBKDF2_ITERATIONS}`);
+  }
+}
+
+/**
+ * Metadata with the required fields filled in and the search index size recorded
+ * @param {Object} meta - Metadata object
+ * @param {Uint8Array} [indexBytes] - Optional search index section
+ * @returns {Object} - Complete metadata
+ */
+function completeMeta(meta, indexBytes) {
+  // Ensure required metadata fields
+  const fullMeta = {
+    originalFilename: meta.originalFilename || 'untitled',
+    mimeType: meta.mimeType || 'application/octet-stream',
+    originalSize: meta.originalSize || 0,
+    pipeline: meta.pipeline || ['bwt', 'mtf', 'rle'],
+    encoding: meta.encoding || 'binary',
+    createdAt: meta.createdAt || new Date().toISOString(),
+    ...meta // Include all other metadata
+  };
+  
+  if (indexBytes) {
+    fullMeta.fmIndex = { ...fullMeta.fmIndex, size: indexBytes.length };
+  } else {
+    delete fullMeta.fmIndex;
+  }
+  return fullMeta;
+}
+
+/**
+ * Parse a compressed file blob in either the BWTJS1 or BWTJS2 format
+ * Every length is checked against the file before it is used, and the metadata
+ * against metaSchema, so a crafted file fails here rather than in the decoder.
  * @param {File|Blob} fileOrBlob - Compressed file to parse
- * @returns {Promise<{meta: Object, payloadUint8Array: Uint8Array}>} - Parsed metadata and payload
+ * @param {Object} [options] - Parsing options
+ * @param {number} [options.maxOriginalSize=DEFAULT_MAX_ORIGINAL_SIZE] - Largest original size accepted
+ * @param {string} [options.password] - Password of an encrypted file
+ * @param {Array<{keyId: string, algorithm: string, publicKey: CryptoKey}>} [options.verificationKeys] - Public keys to check a signature against
+ * @returns {Promise<{meta: Object, payloadUint8Array: Uint8Array, indexUint8Array: (Uint8Array|undefined), formatVersion: number, encryption: (Object|null), signature: (Object|null)}>} - Parsed metadata, decrypted payload, optional search index, container version, for encrypted files { kdf, iterations, metadataEncrypted }, and for signed files the signature status (see verifyFileSignature)
+ * @throws {FormatError} - When the file is malformed; offset is the byte offset in the file
+ * @throws {SizeLimitError} - When the file expands past maxOriginalSize
+ * @throws {PasswordRequiredError} - When the file is encrypted and no password was given
+ * @throws {AuthenticationError} - When the password is wrong or an encrypted section was modified
  */
-export async function parseCompressedFile(fileOrBlob) {
+export async function parseCompressedFile(fileOrBlob, { maxOriginalSize = DEFAULT_MAX_ORIGINAL_SIZE, password, verificationKeys = [] } = {}) {
+  const arrayBuffer = await fileOrBlob.arrayBuffer();
+  const bytes = new Uint8Array(arrayBuffer);
+  
   try {
-    const arrayBuffer = await fileOrBlob.arrayBuffer();
-    const bytes = new Uint8Array(arrayBuffer);
-    
-    // Verify magic header
-    if (bytes.length < MAGIC_HEADER.length) {
-      throw new Error('File too short to be a valid compressed file');
+    const formatVersion = checkMagic(bytes);
+    const parsed = formatVersion === 1
+      ? parseV1(bytes, maxOriginalSize)
+      : await parseV2(bytes, maxOriginalSize, password, verificationKeys);
+    return { encryption: null, signature: null, ...parsed, formatVersion };
+  } catch (error) {
+    if (error instanceof SizeLimitError || error instanceof PasswordRequiredError || error instanceof AuthenticationError) {
+      throw error;
     }
-    
-    for (let i = 0; i < MAGIC_HEADER.length; i++) {
-      if (bytes[i] !== MAGIC_HEADER[i]) {
-        throw new Error('Invalid file format: magic header mismatch');
+    throw new FormatError(`File parsing failed: ${error.message}`, error.offset ?? null);
+  }
+}
+
+/**
+ * Check the signature of a compressed file without decoding or decrypting it
+ * The status is 'valid' or 'invalid' when the signer's key is among verificationKeys,
+ * and 'unknown-key' otherwise.
+ * @param {File|Blob} fileOrBlob - Compressed file
+ * @param {Array<{keyId: string, algorithm: string, publicKey: CryptoKey}>} [verificationKeys] - Public keys to check against
+ * @returns {Promise<{status: string, algorithm: string, keyId: string}|null>} - Signature status, or null for an unsigned file
+ * @throws {FormatError} - When the file is malformed
+ */
+export async function verifyFileSignature(fileOrBlob, verificationKeys = []) {
+  const bytes = new Uint8Array(await fileOrBlob.arrayBuffer());
+  
+  try {
+    if (checkMagic(bytes) === 1) {
+      return null;
+    }
+    return await checkSignature(bytes, readV2Layout(bytes, Infinity), verificationKeys);
+  } catch (error) {
+    throw new FormatError(`File parsing failed: ${error.message}`, error.offset ?? null);
+  }
+}
+
+/**
+ * Container version of a file, checked against the versions this reader supports
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {number} - Format version
+ * @throws {FormatError} - When the magic header is missing or from a newer version
+ */
+function checkMagic(bytes) {
+  // Verify magic header
+  if (bytes.length < MAGIC_HEADER.length) {
+    throw new FormatError('File too short to be a valid compressed file', bytes.length);
+  }
+  
+  const formatVersion = readMagicVersion(bytes);
+  if (formatVersion === null) {
+    throw new FormatError('Invalid file format: magic header mismatch', 0);
+  }
+  if (!SUPPORTED_FORMAT_VERSIONS.includes(formatVersion)) {
+    throw new FormatError(
+      `Unsupported format BWTJS${formatVersion}: the file was written by a newer version of this tool ` +
+      `(this reader supports ${SUPPORTED_FORMAT_VERSIONS.map((version) => `BWTJS${version}`).join(' and ')})`,
+      5
+    );
+  }
+  return formatVersion;
+}
+
+/**
+ * Container version from a magic header
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {number|null} - Version digit, or null when the bytes are not a BWTJS container
+ */
+function readMagicVersion(bytes) {
+  for (let i = 0; i < MAGIC_PREFIX.length; i++) {
+    if (bytes[i] !== MAGIC_PREFIX[i]) return null;
+  }
+  const digit = bytes[MAGIC_PREFIX.length];
+  if (digit < 0x31 || digit > 0x39 || bytes[MAGIC_PREFIX.length + 1] !== 0x00) {
+    return null;
+  }
+  return digit - 0x30;
+}
+
+/**
+ * BWTJS1 layout: magic, 4-byte big-endian metadata length, JSON metadata, payload, search index
+ * @param {Object} meta - Complete metadata
+ * @param {Uint8Array} payloadBytes - Compressed payload
+ * @param {Uint8Array} [indexBytes] - Optional search index section
+ * @returns {Uint8Array} - Serialized bytes
+ */
+function serializeV1(meta, payloadBytes, indexBytes) {
+  const indexLength = indexBytes ? indexBytes.length : 0;
+  
+  // Convert metadata to UTF-8 JSON bytes
+  const metadataJson = JSON.stringify(meta);
+  const metadataBytes = new TextEncoder().encode(metadataJson);
+  
+  // Create metadata length as 4-byte big-endian uint32
+  const metadataLength = new Uint32Array([metadataBytes.length]);
+  const metadataLengthBytes = new Uint8Array(metadataLength.buffer);
+  
+  // Convert to big-endian (network byte order)
+  if (isLittleEndian()) {
+    metadataLengthBytes.reverse();
+  }
+  
+  // Combine all parts: header + length + metadata + payload
+  const totalLength = MAGIC_HEADER.length + 4 + metadataBytes.length + payloadBytes.length + indexLength;
+  const serialized = new Uint8Array(totalLength);
+  
+  let offset = 0;
+  
+  // Copy magic header
+  serialized.set(MAGIC_HEADER, offset);
+  offset += MAGIC_HEADER.length;
+  
+  // Copy metadata length
+  serialized.set(metadataLengthBytes, offset);
+  offset += 4;
+  
+  // Copy metadata
+  serialized.set(metadataBytes, offset);
+  offset += metadataBytes.length;
+  
+  // Copy payload
+  serialized.set(payloadBytes, offset);
+  offset += payloadBytes.length;
+  
+  // Copy search index section
+  if (indexBytes) {
+    serialized.set(indexBytes, offset);
+  }
+  
+  return serialized;
+}
+
+/**
+ * Read the BWTJS1 layout
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} maxOriginalSize - Largest original size accepted
+ * @returns {{meta: Object, payloadUint8Array: Uint8Array, indexUint8Array: (Uint8Array|undefined)}} - Parsed sections
+ */
+function parseV1(bytes, maxOriginalSize) {
+  let offset = MAGIC_HEADER.length;
+  
+  // Read metadata length (4-byte big-endian uint32)
+  if (bytes.length < offset + 4) {
+    throw new FormatError('File truncated: missing metadata length', bytes.length);
+  }
+  
+  const metadataLengthBytes = bytes.slice(offset, offset + 4);
+  
+  // Convert from big-endian
+  if (isLittleEndian()) {
+    metadataLengthBytes.reverse();
+  }
+  
+  const metadataLength = new Uint32Array(metadataLengthBytes.buffer)[0];
+  offset += 4;
+  
+  // Read metadata
+  if (bytes.length < offset + metadataLength) {
+    throw new FormatError('File truncated: missing metadata', bytes.length);
+  }
+  
+  const meta = parseJSONSection(bytes.subarray(offset, offset + metadataLength), offset, 'metadata');
+  validateMeta(meta, { maxOriginalSize, offset });
+  offset += metadataLength;
+  
+  // Read payload, then the search index section if the metadata declares one
+  const indexLength = meta.fmIndex?.size || 0;
+  if (bytes.length < offset + indexLength) {
+    throw new FormatError('File truncated: missing search index', bytes.length);
+  }
+  
+  const payloadUint8Array = bytes.slice(offset, bytes.length - indexLength);
+  const indexUint8Array = indexLength > 0 ? bytes.slice(bytes.length - indexLength) : undefined;
+  
+  return { meta, payloadUint8Array, indexUint8Array };
+}
+
+/**
+ * BWTJS2 layout: magic, binary header, block descriptors, JSON extension, payload, search index, trailer
+ * Sizes and checksums live in the binary fields; everything else in meta (stages, stage
+ * states, file name, ...) goes to the extension, with per-block extras under "blocks".
+ * @param {Object} meta - Complete metadata
+ * @param {Uint8Array} payloadBytes - Compressed payload
+ * @param {Uint8Array} [indexBytes] - Optional search index section
+ * @param {Uint8Array} [signatureHeader] - Signature header of a signed file; the signature is left zeroed
+ * @returns {Uint8Array} - Serialized bytes
+ */
+function serializeV2(meta, payloadBytes, indexBytes, signatureHeader) {
+  const { blocks, originalSize, fileCrc, extension } = splitV2Meta(meta, DESCRIPTOR_FIELDS);
+  const indexLength = indexBytes ? indexBytes.length : 0;
+  let flags = FORMAT_FLAGS.extension;
+  if (indexLength > 0) flags |= FORMAT_FLAGS.searchIndex;
+  if (typeof fileCrc === 'number') flags |= FORMAT_FLAGS.fileChecksum;
+  if (signatureHeader) flags |= FORMAT_FLAGS.signed;
+  
+  const head = writeV2Head({
+    flags,
+    blocks,
+    originalSize,
+    fileCrc,
+    payloadLength: payloadBytes.length,
+    indexLength,
+    extensionBytes: new TextEncoder().encode(JSON.stringify(extension)),
+    signatureHeader
+  });
+  return finishV2(head, [payloadBytes, indexBytes], signatureHeader ? SIGNATURE_LENGTH : 0);
+}
+
+/**
+ * Encrypted BWTJS2 layout: as serializeV2, with an encryption header after the fixed header
+ * Blocks carry no checksums in their descriptors and each grows by a GCM tag; a file
+ * without a block table seals its payload as one section.
+ * @param {Object} meta - Complete metadata
+ * @param {Uint8Array} payloadBytes - Compressed payload
+ * @param {Uint8Array} [indexBytes] - Optional search index section
+ * @param {{password: string, encryptMetadata: boolean, iterations: number, signatureHeader: (Uint8Array|undefined)}} options - Encryption options, and the signature header of a signed file
+ * @returns {Promise<Uint8Array>} - Serialized bytes
+ */
+async function serializeV2Encrypted(meta, payloadBytes, indexBytes, { password, encryptMetadata, iterations, signatureHeader }) {
+  const { blocks, originalSize, fileCrc, extension } = splitV2Meta(meta, ENCRYPTED_DESCRIPTOR_FIELDS);
+  // Checksums and BWT indices of the plaintext would let anyone test guesses about it
+  const { blocks: blockExtras, primaryIndex, ...readable } = extension;
+  const sealedExtras = { crc32: fileCrc, primaryIndex, blocks: blockExtras };
+  const descriptors = blocks.map((block) => omit(block, ['crc32']));
+  const sections = payloadSections(payloadBytes, blocks, 0);
+  
+  const salt = randomBytes(SALT_LENGTH);
+  const iv = randomBytes(IV_LENGTH);
+  const key = await deriveKey(password, salt, iterations);
+  const encryptionHeader = new Uint8Array(ENCRYPTION_HEADER_SIZE);
+  const view = new DataView(encryptionHeader.buffer);
+  view.setUint8(0, KDF_PBKDF2_SHA256);
+  view.setUint8(1, CIPHER_AES_256_GCM);
+  view.setUint16(2, encryptMetadata ? ENCRYPTED_METADATA : 0);
+  view.setUint32(4, iterations);
+  encryptionHeader.set(salt, 8);
+  encryptionHeader.set(iv, 8 + SALT_LENGTH);
+  encryptionHeader.set(await createKeyCheck(key, iv), 8 + SALT_LENGTH + IV_LENGTH);
+  
+  let extensionBytes;
+  if (encryptMetadata) {
+    extensionBytes = await sealSection(key, iv, METADATA_COUNTER, new TextEncoder().encode(JSON.stringify({ ...readable, ...sealedExtras })));
+  } else {
+    const sealed = await sealSection(key, iv, METADATA_COUNTER, new TextEncoder().encode(JSON.stringify(sealedExtras)));
+    const sealedLength = new Uint8Array(4);
+    new DataView(sealedLength.buffer).setUint32(0, sealed.length);
+    extensionBytes = concatBytes([sealedLength, sealed, new TextEncoder().encode(JSON.stringify(readable))]);
+  }
+  
+  const indexLength = indexBytes?.length > 0 ? indexBytes.length + TAG_LENGTH : 0;
+  let flags = FORMAT_FLAGS.extension | FORMAT_FLAGS.encrypted;
+  if (indexLength > 0) flags |= FORMAT_FLAGS.searchIndex;
+  if (signatureHeader) flags |= FORMAT_FLAGS.signed;
+  
+  const head = writeV2Head({
+    flags,
+    blocks: descriptors,
+    originalSize,
+    payloadLength: payloadBytes.length + sections.length * TAG_LENGTH,
+    indexLength,
+    extensionBytes,
+    encryptionHeader,
+    signatureHeader
+  });
+  
+  // Sealing every section with the head as additional data also authenticates the metadata
+  const sealed = [];
+  for (let i = 0; i < sections.length; i++) {
+    sealed.push(await sealSection(key, iv, FIRST_BLOCK_COUNTER + i, sections[i], head));
+  }
+  if (indexLength > 0) {
+    sealed.push(await sealSection(key, iv, FIRST_BLOCK_COUNTER + sections.length, indexBytes, head));
+  }
+  return finishV2(head, sealed, signatureHeader ? SIGNATURE_LENGTH : 0);
+}
+
+/**
+ * Split metadata into the BWTJS2 binary fields and the JSON extension
+ * @param {Object} meta - Complete metadata
+ * @param {string[]} descriptorFields - Block fields held in descriptors
+ * @returns {{blocks: Object[], originalSize: number, fileCrc: (number|undefined), extension: Object}} - Binary fields and extension
+ */
+function splitV2Meta(meta, descriptorFields) {
+  const blocks = Array.isArray(meta.blocks) ? meta.blocks : [];
+  const { originalSize, crc32: fileCrc, ...extension } = meta;
+  if (Array.isArray(meta.blocks)) {
+    extension.blocks = blocks.map((block) => omit(block, descriptorFields));
+  }
+  if (extension.fmIndex) {
+    extension.fmIndex = omit(extension.fmIndex, ['size']);
+  }
+  return { blocks, originalSize, fileCrc, extension };
+}
+
+/**
+ * Magic, fixed header, encryption and signature headers, block descriptors and extension of a BWTJS2 file
+ * @param {Object} fields - Header fields
+ * @param {number} fields.flags - FORMAT_FLAGS
+ * @param {Object[]} fields.blocks - Block descriptors
+ * @param {number} fields.originalSize - Original size
+ * @param {number} [fields.fileCrc] - CRC-32 of the original file
+ * @param {number} fields.payloadLength - Payload length as stored
+ * @param {number} fields.indexLength - Search index length as stored
+ * @param {Uint8Array} fields.extensionBytes - Extension as stored
+ * @param {Uint8Array} [fields.encryptionHeader] - Encryption header of an encrypted file
+ * @param {Uint8Array} [fields.signatureHeader] - Signature header of a signed file
+ * @returns {Uint8Array} - File head, up to the payload
+ */
+function writeV2Head({ flags, blocks, originalSize, fileCrc, payloadLength, indexLength, extensionBytes, encryptionHeader, signatureHeader }) {
+  const encryptionLength = encryptionHeader ? ENCRYPTION_HEADER_SIZE : 0;
+  const signatureLength = signatureHeader ? SIGNATURE_HEADER_SIZE : 0;
+  const head = new Uint8Array(
+    MAGIC_HEADER_V2.length + V2_HEADER_SIZE + encryptionLength + signatureLength +
+    blocks.length * V2_DESCRIPTOR_SIZE + extensionBytes.length
+  );
+  const view = new DataView(head.buffer);
+  
+  head.set(MAGIC_HEADER_V2, 0);
+  let offset = MAGIC_HEADER_V2.length;
+  view.setUint8(offset, FORMAT_VERSION);
+  view.setUint8(offset + 1, V2_MINOR_VERSION);
+  view.setUint16(offset + 2, flags);
+  view.setUint32(offset + 4, blocks.length);
+  view.setBigUint64(offset + 8, BigInt(originalSize));
+  view.setBigUint64(offset + 16, BigInt(payloadLength));
+  view.setUint32(offset + 24, indexLength);
+  view.setUint32(offset + 28, extensionBytes.length);
+  view.setUint32(offset + 32, typeof fileCrc === 'number' ? fileCrc : 0);
+  offset += V2_HEADER_SIZE;
+  
+  if (encryptionHeader) {
+    head.set(encryptionHeader, offset);
+    offset += ENCRYPTION_HEADER_SIZE;
+  }
+  if (signatureHeader) {
+    head.set(signatureHeader, offset);
+    offset += SIGNATURE_HEADER_SIZE;
+  }
+  
+  for (const block of blocks) {
+    view.setUint32(offset, block.originalSize);
+    view.setUint32(offset + 4, block.compressedSize);
+    view.setUint32(offset + 8, typeof block.crc32 === 'number' ? block.crc32 : 0);
+    view.setUint8(offset + 12, (block.stored ? BLOCK_STORED : 0) | (typeof block.crc32 === 'number' ? BLOCK_CHECKSUM : 0));
+    offset += V2_DESCRIPTOR_SIZE;
+  }
+  
+  head.set(extensionBytes, offset);
+  return head;
+}
+
+/**
+ * Join the head and the sections after it, and append the trailer
+ * @param {Uint8Array} head - File head (see writeV2Head)
+ * @param {Array<Uint8Array|undefined>} sections - Payload and search index sections in order
+ * @param {number} [signatureLength=0] - Zeroed bytes to leave before the trailer for a signature
+ * @returns {Uint8Array} - Serialized bytes
+ */
+function finishV2(head, sections, signatureLength = 0) {
+  const present = sections.filter(Boolean);
+  const length = present.reduce((sum, section) => sum + section.length, head.length + signatureLength + V2_TRAILER_SIZE);
+  const serialized = new Uint8Array(length);
+  serialized.set(head, 0);
+  let offset = head.length;
+  for (const section of present) {
+    serialized.set(section, offset);
+    offset += section.length;
+  }
+  offset += signatureLength;
+  
+  const view = new DataView(serialized.buffer);
+  view.setUint32(offset, crc32(head));
+  serialized.set(V2_END_MARKER, offset + 4);
+  
+  return serialized;
+}
+
+/**
+ * Split a payload into its encrypted sections: one per block, or the whole payload without a block table
+ * @param {Uint8Array} payload - Payload
+ * @param {Array<{compressedSize: number}>} blocks - Block descriptors
+ * @param {number} tagLength - Bytes each section has beyond its block's compressed size
+ * @returns {Uint8Array[]} - Sections in order
+ */
+function payloadSections(payload, blocks, tagLength) {
+  if (blocks.length === 0) {
+    return payload.length > 0 ? [payload] : [];
+  }
+  const sections = [];
+  let offset = 0;
+  for (const block of blocks) {
+    sections.push(payload.subarray(offset, offset + block.compressedSize + tagLength));
+    offset += block.compressedSize + tagLength;
+  }
+  if (offset !== payload.length) {
+    throw new FormatError(`Block table covers ${offset} bytes, but the payload is ${payload.length} bytes`);
+  }
+  return sections;
+}
+
+/**
+ * Read the BWTJS2 layout, decrypting an encrypted file with the password
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} maxOriginalSize - Largest original size accepted
+ * @param {string} [password] - Password of an encrypted file
+ * @param {Array<Object>} verificationKeys - Public keys to check a signature against
+ * @returns {Promise<{meta: Object, payloadUint8Array: Uint8Array, indexUint8Array: (Uint8Array|undefined), encryption: (Object|null), signature: (Object|null)}>} - Parsed sections
+ */
+async function parseV2(bytes, maxOriginalSize, password, verificationKeys) {
+  const layout = readV2Layout(bytes, maxOriginalSize);
+  const { flags, encrypted, blockCount, originalSize, fileCrc, descriptors, extensionOffset, headEnd, payloadEnd, indexEnd } = layout;
+  const signature = await checkSignature(bytes, layout, verificationKeys);
+  
+  let extensionBytes = bytes.subarray(extensionOffset, headEnd);
+  let readableOffset = extensionOffset;
+  let cipher = null;
+  let sealedExtras = {};
+  if (encrypted) {
+    cipher = await openCipher(bytes, layout.encryptionOffset, password);
+    if (cipher.metadataEncrypted) {
+      extensionBytes = await openSection(cipher.key, cipher.iv, METADATA_COUNTER, extensionBytes, {
+        failure: 'Encrypted metadata failed authentication (file is corrupt or was modified)'
+      });
+    } else {
+      const sealedLength = extensionBytes.length >= 4
+        ? new DataView(extensionBytes.buffer, extensionBytes.byteOffset, 4).getUint32(0)
+        : null;
+      if (sealedLength === null || 4 + sealedLength > extensionBytes.length) {
+        throw new FormatError('Extension metadata is too short for its sealed checksums', extensionOffset);
       }
+      const opened = await openSection(cipher.key, cipher.iv, METADATA_COUNTER, extensionBytes.subarray(4, 4 + sealedLength), {
+        failure: 'Sealed checksums failed authentication (file is corrupt or was modified)'
+      });
+      sealedExtras = parseJSONSection(opened, extensionOffset + 4, 'sealed checksums');
+      readableOffset = extensionOffset + 4 + sealedLength;
+      extensionBytes = extensionBytes.subarray(4 + sealedLength);
     }
-    
-    let offset = MAGIC_HEADER.length;
-    
-    // Read metadata length (4-byte big-endian uint32)
-    if (bytes.length < offset + 4) {
-      throw new Error('File truncated: missing metadata length');
+  }
+  
+  const parsed = (flags & FORMAT_FLAGS.extension)
+    ? parseJSONSection(extensionBytes, readableOffset, 'extension metadata')
+    : {};
+  if ([parsed, sealedExtras].some((value) => typeof value !== 'object' || value === null || Array.isArray(value))) {
+    throw new FormatError('Extension metadata is not a JSON object', readableOffset);
+  }
+  const extension = { ...parsed, ...sealedExtras };
+  const meta = { ...extension, originalSize };
+  if (flags & FORMAT_FLAGS.fileChecksum) {
+    meta.crc32 = fileCrc;
+  }
+  if (blockCount > 0 || Array.isArray(extension.blocks)) {
+    const extras = Array.isArray(extension.blocks) ? extension.blocks : [];
+    meta.blocks = descriptors.map((descriptor, i) => ({ ...extras[i], ...descriptor }));
+  }
+  if (indexEnd > payloadEnd) {
+    meta.fmIndex = { ...extension.fmIndex, size: indexEnd - payloadEnd - (encrypted ? TAG_LENGTH : 0) };
+  }
+  validateMeta(meta, { maxOriginalSize, offset: extensionOffset });
+  
+  if (!encrypted) {
+    const payloadUint8Array = bytes.slice(headEnd, payloadEnd);
+    const indexUint8Array = indexEnd > payloadEnd ? bytes.slice(payloadEnd, indexEnd) : undefined;
+    return { meta, payloadUint8Array, indexUint8Array, encryption: null, signature };
+  }
+  
+  const head = bytes.subarray(0, headEnd);
+  const sealed = payloadSections(bytes.subarray(headEnd, payloadEnd), descriptors, TAG_LENGTH);
+  const opened = [];
+  for (let i = 0; i < sealed.length; i++) {
+    opened.push(await openSection(cipher.key, cipher.iv, FIRST_BLOCK_COUNTER + i, sealed[i], {
+      additionalData: head,
+      failure: `Block ${i} failed authentication (file is corrupt or was modified)`,
+      blockIndex: blockCount > 0 ? i : null
+    }));
+  }
+  const payloadUint8Array = concatBytes(opened);
+  const indexUint8Array = indexEnd > payloadEnd
+    ? await openSection(cipher.key, cipher.iv, FIRST_BLOCK_COUNTER + sealed.length, bytes.subarray(payloadEnd, indexEnd), {
+      additionalData: head,
+      failure: 'Search index failed authentication (file is corrupt or was modified)'
+    })
+    : undefined;
+  const encryption = { kdf: 'PBKDF2-SHA-256', iterations: cipher.iterations, metadataEncrypted: cipher.metadataEncrypted };
+  return { meta, payloadUint8Array, indexUint8Array, encryption, signature };
+}
+
+/**
+ * Read and check the binary structure of a BWTJS2 file: header, optional encryption and
+ * signature headers, block descriptors, section lengths and trailer
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} maxOriginalSize - Largest original size accepted
+ * @returns {Object} - Flags, header fields, descriptors and section offsets
+ * @throws {FormatError} - When the structure is malformed
+ * @throws {SizeLimitError} - When the file expands past maxOriginalSize
+ */
+function readV2Layout(bytes, maxOriginalSize) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = MAGIC_HEADER_V2.length;
+  if (bytes.length < offset + V2_HEADER_SIZE) {
+    throw new FormatError('File truncated: missing header', bytes.length);
+  }
+  
+  const major = view.getUint8(offset);
+  if (major !== 2) {
+    throw new FormatError(`Unsupported BWTJS2 major version ${major}`, offset);
+  }
+  const flags = view.getUint16(offset + 2);
+  if (flags & ~KNOWN_FLAGS) {
+    throw new FormatError(`File uses features this reader does not support (flags 0x${flags.toString(16)}); it was written by a newer version of this tool`, offset + 2);
+  }
+  const encrypted = Boolean(flags & FORMAT_FLAGS.encrypted);
+  
+  const blockCount = view.getUint32(offset + 4);
+  const originalSize = Number(view.getBigUint64(offset + 8));
+  const payloadLength = Number(view.getBigUint64(offset + 16));
+  const indexLength = view.getUint32(offset + 24);
+  const extensionLength = view.getUint32(offset + 28);
+  const fileCrc = view.getUint32(offset + 32);
+  if (originalSize > maxOriginalSize) {
+    throw new SizeLimitError(
+      `File expands to ${originalSize} bytes, more than the limit of ${maxOriginalSize} bytes`,
+      originalSize,
+      maxOriginalSize
+    );
+  }
+  offset += V2_HEADER_SIZE;
+  
+  const encryptionOffset = offset;
+  if (encrypted) {
+    if (bytes.length < offset + ENCRYPTION_HEADER_SIZE) {
+      throw new FormatError('File truncated: missing encryption header', bytes.length);
     }
-    
-    const metadataLengthBytes = bytes.slice(offset, offset + 4);
-    
-    // Convert from big-endian
-    if (isLittleEndian()) {
-      metadataLengthBytes.reverse();
+    offset += ENCRYPTION_HEADER_SIZE;
+  }
+  
+  let signature = null;
+  if (flags & FORMAT_FLAGS.signed) {
+    if (bytes.length < offset + SIGNATURE_HEADER_SIZE) {
+      throw new FormatError('File truncated: missing signature header', bytes.length);
     }
-    
-    const metadataLength = new Uint32Array(metadataLengthBytes.buffer)[0];
-    offset += 4;
-    
-    // Read metadata
-    if (bytes.length < offset + metadataLength) {
-      throw new Error('File truncated: missing metadata');
+    const algorithm = signatureAlgorithmName(view.getUint8(offset));
+    if (!algorithm) {
+      throw new FormatError(`Unsupported signature algorithm ${view.getUint8(offset)}; it was written by a newer version of this tool`, offset);
     }
-    
-    const metadataBytes = bytes.slice(offset, offset + metadataLength);
-    const metadataJson = new TextDecoder().decode(metadataBytes);
-    const meta = JSON.parse(metadataJson);
-    offset += metadataLength;
-    
-    // Read payload
-    const payloadUint8Array = bytes.slice(offset);
-    
-    return { meta, payloadUint8Array };
+    const length = view.getUint16(offset + 2);
+    if (length !== SIGNATURE_LENGTH) {
+      throw new FormatError(`Invalid signature length ${length} (expected ${SIGNATURE_LENGTH})`, offset + 2);
+    }
+    signature = { algorithm, keyId: keyIdFromBytes(bytes.subarray(offset + 4, offset + SIGNATURE_HEADER_SIZE)), length };
+    offset += SIGNATURE_HEADER_SIZE;
+  }
+  const signatureLength = signature ? signature.length : 0;
+  
+  const headEnd = offset + blockCount * V2_DESCRIPTOR_SIZE + extensionLength;
+  const expectedLength = headEnd + payloadLength + indexLength + signatureLength + V2_TRAILER_SIZE;
+  if (bytes.length !== expectedLength) {
+    throw new FormatError(bytes.length < expectedLength
+      ? 'File truncated: sections are shorter than the header declares'
+      : 'Unexpected data after the end of the file', MAGIC_HEADER_V2.length);
+  }
+  
+  const trailerOffset = bytes.length - V2_TRAILER_SIZE;
+  for (let i = 0; i < V2_END_MARKER.length; i++) {
+    if (bytes[trailerOffset + 4 + i] !== V2_END_MARKER[i]) {
+      throw new FormatError('File truncated: missing trailer', trailerOffset + 4);
+    }
+  }
+  if (crc32(bytes.subarray(0, headEnd)) !== view.getUint32(trailerOffset)) {
+    throw new FormatError('Header checksum mismatch (file header is corrupt)', trailerOffset);
+  }
+  
+  const descriptors = [];
+  let blockBytes = 0;
+  for (let i = 0; i < blockCount; i++, offset += V2_DESCRIPTOR_SIZE) {
+    const blockFlags = view.getUint8(offset + 12);
+    const descriptor = {
+      originalSize: view.getUint32(offset),
+      compressedSize: view.getUint32(offset + 4)
+    };
+    if (blockFlags & BLOCK_CHECKSUM) descriptor.crc32 = view.getUint32(offset + 8);
+    if (blockFlags & BLOCK_STORED) descriptor.stored = true;
+    blockBytes += descriptor.compressedSize;
+    descriptors.push(descriptor);
+  }
+  // Each encrypted block carries a GCM tag on top of its compressed size
+  const tagBytes = encrypted ? TAG_LENGTH : 0;
+  if (blockCount > 0 && blockBytes + blockCount * tagBytes !== payloadLength) {
+    throw new FormatError(`Block table covers ${blockBytes + blockCount * tagBytes} bytes, but the payload is ${payloadLength} bytes`, MAGIC_HEADER_V2.length + V2_HEADER_SIZE);
+  }
+  if (encrypted && ((payloadLength > 0 && payloadLength < tagBytes) || (indexLength > 0 && indexLength < tagBytes))) {
+    throw new FormatError('Encrypted section is shorter than its authentication tag', headEnd);
+  }
+  
+  const payloadEnd = headEnd + payloadLength;
+  return {
+    flags,
+    encrypted,
+    blockCount,
+    originalSize,
+    fileCrc,
+    descriptors,
+    encryptionOffset,
+    extensionOffset: offset,
+    headEnd,
+    payloadEnd,
+    indexEnd: payloadEnd + indexLength,
+    signature
+  };
+}
+
+/**
+ * Check the signature of a BWTJS2 file against the known public keys
+ * @param {Uint8Array} bytes - File bytes
+ * @param {Object} layout - Layout from readV2Layout
+ * @param {Array<{keyId: string, algorithm: string, publicKey: CryptoKey}>} verificationKeys - Public keys to check against
+ * @returns {Promise<{status: string, algorithm: string, keyId: string}|null>} - Signature status, or null for an unsigned file
+ */
+async function checkSignature(bytes, layout, verificationKeys) {
+  if (!layout.signature) {
+    return null;
+  }
+  const { algorithm, keyId } = layout.signature;
+  const key = verificationKeys.find((candidate) => candidate.keyId === keyId && candidate.algorithm === algorithm);
+  if (!key) {
+    return { status: 'unknown-key', algorithm, keyId };
+  }
+  const signed = bytes.subarray(0, layout.indexEnd);
+  const valid = await verifyBytes(key, bytes.subarray(layout.indexEnd, layout.indexEnd + layout.signature.length), signed);
+  return { status: valid ? 'valid' : 'invalid', algorithm, keyId };
+}
+
+/**
+ * Read the encryption header and derive the key from the password
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} offset - Byte offset of the encryption header
+ * @param {string} [password] - Password
+ * @returns {Promise<{key: CryptoKey, iv: Uint8Array, iterations: number, metadataEncrypted: boolean}>} - Key and parameters
+ * @throws {FormatError} - When the header names an unknown algorithm
+ * @throws {PasswordRequiredError} - When no password was given
+ * @throws {AuthenticationError} - When the password is wrong
+ */
+async function openCipher(bytes, offset, password) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset + offset, ENCRYPTION_HEADER_SIZE);
+  const kdf = view.getUint8(0);
+  const cipher = view.getUint8(1);
+  const encryptionFlags = view.getUint16(2);
+  const iterations = view.getUint32(4);
+  if (kdf !== KDF_PBKDF2_SHA256 || cipher !== CIPHER_AES_256_GCM) {
+    throw new FormatError(`Unsupported encryption (key derivation ${kdf}, cipher ${cipher}); it was written by a newer version of this tool`, offset);
+  }
+  if (encryptionFlags & ~ENCRYPTED_METADATA) {
+    throw new FormatError(`File uses encryption features this reader does not support (flags 0x${encryptionFlags.toString(16)})`, offset + 2);
+  }
+  if (iterations < MIN_PBKDF2_ITERATIONS || iterations > MAX_PBKDF2_ITERATIONS) {
+    throw new FormatError(`Invalid PBKDF2 iteration count ${iterations}`, offset + 4);
+  }
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new PasswordRequiredError('File is encrypted: a password is needed to open it');
+  }
+  
+  const saltOffset = offset + 8;
+  const ivOffset = saltOffset + SALT_LENGTH;
+  const salt = bytes.slice(saltOffset, ivOffset);
+  const iv = bytes.slice(ivOffset, ivOffset + IV_LENGTH);
+  const key = await deriveKey(password, salt, iterations);
+  await verifyKeyCheck(key, iv, bytes.subarray(ivOffset + IV_LENGTH, ivOffset + IV_LENGTH + TAG_LENGTH));
+  return { key, iv, iterations, metadataEncrypted: Boolean(encryptionFlags & ENCRYPTED_METADATA) };
+}
+
+/**
+ * Join byte arrays
+ * @param {Uint8Array[]} parts - Arrays in order
+ * @returns {Uint8Array} - Joined bytes
+ */
+function concatBytes(parts) {
+  const joined = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    joined.set(part, offset);
+    offset += part.length;
+  }
+  return joined;
+}
+
+/**
+ * Decode a UTF-8 JSON section of the file
+ * @param {Uint8Array} sectionBytes - Section contents
+ * @param {number} offset - Byte offset of the section in the file
+ * @param {string} what - Section name for the message
+ * @returns {*} - Parsed value
+ * @throws {FormatError} - When the section is not valid JSON
+ */
+function parseJSONSection(sectionBytes, offset, what) {
+  try {
+    return JSON.parse(new TextDecoder().decode(sectionBytes));
   } catch (error) {
-    throw new Error(`File parsing failed: ${error.message}`);
+    throw new FormatError(`Invalid ${what}: ${error.message}`, offset);
   }
 }
 
+/**
+ * Copy of an object without the given keys
+ * @param {Object} object - Source object
+ * @param {string[]} keys - Keys to leave out
+ * @returns {Object} - Copy
+ */
+function omit(object, keys) {
+  const copy = { ...object };
+  keys.forEach((key) => delete copy[key]);
+  return copy;
+}
+
 /**
  * Check if system is little-endian
  * @returns {boolean} - True if little-endian
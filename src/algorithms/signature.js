@@ -0,0 +1,174 @@
+// Digital signatures of BWTJS2 files with WebCrypto
+// A file is signed with ECDSA P-256 (SHA-256) or Ed25519 over everything before its
+// signature: header, metadata, payload and search index, encrypted or not. It records
+// the signer's key ID, the first 8 bytes of the SHA-256 of the public key (SPKI), so a
+// reader can look the public key up among the keys it trusts.
+
+// Algorithm ids stored in the signature header, with their WebCrypto parameters
+const ALGORITHMS = {
+  'ECDSA-P256': {
+    id: 1,
+    keyParams: { name: 'ECDSA', namedCurve: 'P-256' },
+    signParams: { name: 'ECDSA', hash: 'SHA-256' },
+    jwk: { kty: 'EC', crv: 'P-256' }
+  },
+  Ed25519: {
+    id: 2,
+    keyParams: { name: 'Ed25519' },
+    signParams: { name: 'Ed25519' },
+    jwk: { kty: 'OKP', crv: 'Ed25519' }
+  }
+};
+
+export const SIGNATURE_ALGORITHMS = Object.keys(ALGORITHMS);
+export const DEFAULT_SIGNATURE_ALGORITHM = 'ECDSA-P256';
+
+// Both algorithms give 64-byte signatures (ECDSA as r || s)
+export const SIGNATURE_LENGTH = 64;
+export const KEY_ID_LENGTH = 8;
+
+// Public JWK members of each key type
+const PUBLIC_JWK_MEMBERS = { EC: ['kty', 'crv', 'x', 'y'], OKP: ['kty', 'crv', 'x'] };
+
+/**
+ * Id of a signature algorithm, as stored in the signature header
+ * @param {string} algorithm - Algorithm name (see SIGNATURE_ALGORITHMS)
+ * @returns {number} - Algorithm id
+ * @throws {Error} - When the algorithm is unknown
+ */
+export function signatureAlgorithmId(algorithm) {
+  const entry = ALGORITHMS[algorithm];
+  if (!entry) {
+    throw new Error(`Unknown signature algorithm: ${algorithm} (expected ${SIGNATURE_ALGORITHMS.join(' or ')})`);
+  }
+  return entry.id;
+}
+
+/**
+ * Name of a signature algorithm id
+ * @param {number} id - Algorithm id from a signature header
+ * @returns {string|null} - Algorithm name, or null when the id is unknown
+ */
+export function signatureAlgorithmName(id) {
+  return SIGNATURE_ALGORITHMS.find((algorithm) => ALGORITHMS[algorithm].id === id) || null;
+}
+
+/**
+ * Generate a new signing key pair
+ * @param {string} [algorithm=DEFAULT_SIGNATURE_ALGORITHM] - 'ECDSA-P256' or 'Ed25519'
+ * @returns {Promise<{algorithm: string, keyId: string, publicKey: CryptoKey, privateKey: CryptoKey}>} - Key pair with its key ID
+ */
+export async function generateKeyPair(algorithm = DEFAULT_SIGNATURE_ALGORITHM) {
+  signatureAlgorithmId(algorithm);
+  const { publicKey, privateKey } = await crypto.subtle.generateKey(ALGORITHMS[algorithm].keyParams, true, ['sign', 'verify']);
+  return { algorithm, keyId: await computeKeyId(publicKey), publicKey, privateKey };
+}
+
+/**
+ * Import a key from a JWK; a private JWK gives a key pair, a public one a verify-only key
+ * @param {Object} jwk - JSON Web Key (EC P-256 or OKP Ed25519)
+ * @returns {Promise<{algorithm: string, keyId: string, publicKey: CryptoKey, privateKey: (CryptoKey|null)}>} - Imported key with its key ID
+ * @throws {Error} - When the JWK is not a supported signing key
+ */
+export async function importJwk(jwk) {
+  if (typeof jwk !== 'object' || jwk === null) {
+    throw new Error('Key must be a JSON Web Key object');
+  }
+  const algorithm = SIGNATURE_ALGORITHMS.find((name) =>
+    ALGORITHMS[name].jwk.kty === jwk.kty && ALGORITHMS[name].jwk.crv === jwk.crv
+  );
+  if (!algorithm) {
+    throw new Error(`Unsupported key type ${jwk.kty}/${jwk.crv} (expected EC P-256 or OKP Ed25519)`);
+  }
+
+  const { keyParams } = ALGORITHMS[algorithm];
+  const publicJwk = {};
+  PUBLIC_JWK_MEMBERS[jwk.kty].forEach((member) => {
+    publicJwk[member] = jwk[member];
+  });
+  const publicKey = await crypto.subtle.importKey('jwk', publicJwk, keyParams, true, ['verify']);
+  const privateKey = jwk.d
+    ? await crypto.subtle.importKey('jwk', { ...publicJwk, d: jwk.d }, keyParams, true, ['sign'])
+    : null;
+  return { algorithm, keyId: await computeKeyId(publicKey), publicKey, privateKey };
+}
+
+/**
+ * Export a key as a JWK, with its key ID as "kid"
+ * @param {{keyId: string, publicKey: CryptoKey, privateKey: (CryptoKey|null)}} keyPair - Key to export
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.includePrivate=false] - Export the private key (which includes the public part)
+ * @returns {Promise<Object>} - JSON Web Key
+ * @throws {Error} - When includePrivate is set and the key has no private part
+ */
+export async function exportJwk(keyPair, { includePrivate = false } = {}) {
+  if (includePrivate && !keyPair.privateKey) {
+    throw new Error(`Key ${keyPair.keyId} has no private part to export`);
+  }
+  const jwk = await crypto.subtle.exportKey('jwk', includePrivate ? keyPair.privateKey : keyPair.publicKey);
+  delete jwk.key_ops;
+  delete jwk.ext;
+  return { ...jwk, kid: keyPair.keyId };
+}
+
+/**
+ * Key ID of a public key: hex of the first KEY_ID_LENGTH bytes of the SHA-256 of its SPKI encoding
+ * @param {CryptoKey} publicKey - Public key
+ * @returns {Promise<string>} - Key ID (16 hex digits)
+ */
+export async function computeKeyId(publicKey) {
+  const spki = await crypto.subtle.exportKey('spki', publicKey);
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', spki));
+  return keyIdFromBytes(digest.subarray(0, KEY_ID_LENGTH));
+}
+
+/**
+ * Key ID as stored in a file
+ * @param {string} keyId - Key ID (16 hex digits)
+ * @returns {Uint8Array} - KEY_ID_LENGTH bytes
+ */
+export function keyIdToBytes(keyId) {
+  if (!/^[0-9a-f]{16}$/.test(keyId)) {
+    throw new Error(`Invalid key ID: ${keyId}`);
+  }
+  const bytes = new Uint8Array(KEY_ID_LENGTH);
+  for (let i = 0; i < KEY_ID_LENGTH; i++) {
+    bytes[i] = parseInt(keyId.slice(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Key ID read from a file
+ * @param {Uint8Array} bytes - KEY_ID_LENGTH bytes
+ * @returns {string} - Key ID (16 hex digits)
+ */
+export function keyIdFromBytes(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Sign bytes with the private key of a key pair
+ * @param {{algorithm: string, keyId: string, privateKey: (CryptoKey|null)}} keyPair - Signing key
+ * @param {Uint8Array} bytes - Data to sign
+ * @returns {Promise<Uint8Array>} - SIGNATURE_LENGTH bytes
+ * @throws {Error} - When the key has no private part
+ */
+export async function signBytes(keyPair, bytes) {
+  if (!keyPair.privateKey) {
+    throw new Error(`Key ${keyPair.keyId} has no private part and cannot sign`);
+  }
+  const signature = await crypto.subtle.sign(ALGORITHMS[keyPair.algorithm].signParams, keyPair.privateKey, bytes);
+  return new Uint8Array(signature);
+}
+
+/**
+ * Check a signature against the public key of a key pair
+ * @param {{algorithm: string, publicKey: CryptoKey}} keyPair - Verifying key
+ * @param {Uint8Array} signature - Signature
+ * @param {Uint8Array} bytes - Signed data
+ * @returns {Promise<boolean>} - True when the signature is valid
+ */
+export function verifyBytes(keyPair, signature, bytes) {
+  return crypto.subtle.verify(ALGORITHMS[keyPair.algorithm].signParams, keyPair.publicKey, signature, bytes);
+}
@@ -0,0 +1,380 @@
+// Pipeline stage registry
+// A pipeline spec is an ordered list of { id, params } entries. Every stage maps
+// its input to an output and back; stages that need per-block state to decode
+// (the classic BWT's primary index) return it from encode, and the pipeline
+// stores it in the block table. Data between stages is bytes (alphabet 256) or
+// wider symbols (zero-run output) that only an entropy coder may consume.
+// Third-party byte transforms join the registry through registerStage; meta
+// records each stage's version so files name the plugin they need.
+// decode also receives { maxLength }, the most symbols a stage may output for the
+// block, so a hostile payload cannot expand without bound.
+import { bwtEncode, bwtDecode, bwtsEncode, bwtsDecode, MAX_BWT_CHECKPOINTS } from './bwt.js';
+import { mtfVariantEncode, mtfVariantDecode, resolveMTFParams } from './mtf.js';
+import { rleEncode, rleDecode } from './rle.js';
+import { zrleEncode, zrleDecode, ZRLE_ALPHABET_SIZE } from './zrle.js';
+import { huffmanEncode, huffmanDecode } from './huffman.js';
+import { rangeEncode, rangeDecode, RANGE_CODER_ORDERS } from './rangecoder.js';
+import { ransEncode, ransDecode, RANS_STATE_COUNTS, DEFAULT_RANS_STATES } from './rans.js';
+import { FormatError } from './errors.js';
+
+// Classic BWT stores a primary index per block; bijective BWTS needs none
+export const BWT_VARIANTS = ['bwt', 'bwts'];
+
+// Input alphabet of stages that accept wider symbols as well as bytes
+const ANY_ALPHABET = 'any';
+
+// Version recorded in meta for the stages that ship with the pipeline
+const BUILTIN_STAGE_VERSION = '1.0.0';
+
+const PARAM_TYPES = ['number', 'integer', 'string', 'boolean'];
+const STAGE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+const registry = new Map();
+
+/**
+ * Add a stage to the registry
+ * @param {Object} stage - Stage definition
+ * @param {string} stage.id - Identifier used in pipeline specs and meta
+ * @param {string} stage.version - Version recorded in meta
+ * @param {number|string} stage.inputAlphabet - 256 for bytes, or ANY_ALPHABET
+ * @param {number} stage.outputAlphabet - Alphabet size of the output
+ * @param {function(Object): Object} stage.resolveParams - Fill in defaults and validate
+ * @param {function(Uint8Array|Uint16Array, Object, number): {output: (Uint8Array|Uint16Array), state: (Object|undefined)}} stage.encode - Forward transform
+ * @param {function(Uint8Array|Uint16Array, Object, (Object|null), {maxLength: number}): (Uint8Array|Uint16Array)} stage.decode - Inverse transform
+ */
+function defineStage(stage) {
+  registry.set(stage.id, { version: BUILTIN_STAGE_VERSION, name: stage.id, plugin: false, ...stage });
+}
+
+/**
+ * Register a third-party byte transform as a pipeline stage
+ * encode may return the output bytes, or { output, state } when decoding needs
+ * per-block state; the state is stored in meta and must be JSON-serializable.
+ * @param {Object} definition - Plugin definition
+ * @param {string} definition.id - Stage id used in pipeline specs (letters, digits, '-' and '_')
+ * @param {string} definition.version - Plugin version; files written by another major version are refused
+ * @param {string} [definition.name] - Human-readable plugin name, used in error messages
+ * @param {function(Uint8Array, Object): (Uint8Array|{output: Uint8Array, state: Object})} definition.encode - Forward transform
+ * @param {function(Uint8Array, Object, (Object|null)): Uint8Array} definition.decode - Inverse transform
+ * @param {Object<string, {type: string, default: *, enum: Array, min: number, max: number}>} [definition.paramSchema] - Accepted params
+ */
+export function registerStage(definition) {
+  const { id, version, name = id, encode, decode, paramSchema = {} } = definition || {};
+
+  if (typeof id !== 'string' || !STAGE_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid stage id: ${id}`);
+  }
+  if (registry.has(id)) {
+    throw new Error(`Stage ${id} is already registered`);
+  }
+  if (typeof version !== 'string' || !/^\d+(\.\d+)*$/.test(version)) {
+    throw new Error(`Stage ${id} needs a version such as "1.0.0"`);
+  }
+  if (typeof encode !== 'function' || typeof decode !== 'function') {
+    throw new Error(`Stage ${id} needs encode and decode functions`);
+  }
+  for (const [key, rule] of Object.entries(paramSchema)) {
+    if (!PARAM_TYPES.includes(rule?.type)) {
+      throw new Error(`Parameter ${key} of stage ${id} has unsupported type ${rule?.type}`);
+    }
+  }
+
+  const checkOutput = (output, direction) => {
+    if (!(output instanceof Uint8Array)) {
+      throw new Error(`Stage ${id} ${direction} must return a Uint8Array`);
+    }
+    return output;
+  };
+
+  registry.set(id, {
+    id,
+    name,
+    version,
+    plugin: true,
+    paramSchema,
+    inputAlphabet: 256,
+    outputAlphabet: 256,
+    resolveParams: (params) => resolveSchemaParams(id, paramSchema, params),
+    encode(data, params) {
+      const result = encode(data, params);
+      if (result instanceof Uint8Array) {
+        return { output: result };
+      }
+      return { output: checkOutput(result?.output, 'encode'), state: result.state };
+    },
+    decode(data, params, state, { maxLength }) {
+      const output = checkOutput(decode(data, params, state), 'decode');
+      if (output.length > maxLength) {
+        throw new FormatError(`Stage ${id} decoded to more than ${maxLength} bytes`);
+      }
+      return output;
+    }
+  });
+}
+
+/**
+ * Remove a registered plugin stage
+ * @param {string} id - Stage id
+ * @returns {boolean} - True if a plugin was removed
+ */
+export function unregisterStage(id) {
+  const stage = registry.get(id);
+  if (stage && !stage.plugin) {
+    throw new Error(`Built-in stage ${id} cannot be unregistered`);
+  }
+  return registry.delete(id);
+}
+
+/**
+ * Describe every registered stage
+ * @returns {Array<{id: string, name: string, version: string, plugin: boolean, paramSchema: (Object|undefined)}>} - Registered stages
+ */
+export function listStages() {
+  return Array.from(registry.values(), ({ id, name, version, plugin, paramSchema }) => ({
+    id, name, version, plugin, paramSchema
+  }));
+}
+
+/**
+ * Look up a registered stage
+ * @param {string} id - Stage identifier
+ * @param {{name: string, version: string}} [recorded] - Plugin name and version recorded in a file
+ * @returns {Object} - Stage definition
+ */
+export function getStage(id, recorded) {
+  const stage = registry.get(id);
+  if (!stage) {
+    const plugin = recorded?.version ? ` (plugin ${recorded.name || id} v${recorded.version} is not registered; add it with registerStage)` : '';
+    throw new Error(`Unknown pipeline stage: ${id}${plugin}`);
+  }
+  if (recorded?.version && majorVersion(recorded.version) !== majorVersion(stage.version)) {
+    throw new Error(`Stage ${id} was written by version ${recorded.version}, but version ${stage.version} is registered`);
+  }
+  return stage;
+}
+
+/**
+ * Normalize a pipeline spec to a list of { id, params } entries
+ * Accepts a comma-separated string ("rle,bwt,mtf,rle") or an array of ids and entries.
+ * @param {string|Array<string|{id: string, params: Object}>} spec - Pipeline spec
+ * @returns {Array<{id: string, params: Object}>} - Entries with unresolved params
+ */
+export function parsePipelineSpec(spec) {
+  const entries = typeof spec === 'string'
+    ? spec.split(',').map((id) => id.trim()).filter(Boolean)
+    : spec;
+
+  if (!Array.isArray(entries)) {
+    throw new Error('Pipeline spec must be a string or an array of stages');
+  }
+
+  return entries.map((entry) => {
+    if (typeof entry === 'string') {
+      return { id: entry, params: {} };
+    }
+    const parsed = { id: entry.id, params: entry.params || {} };
+    if (entry.version) parsed.version = entry.version;
+    if (entry.name) parsed.name = entry.name;
+    return parsed;
+  });
+}
+
+/**
+ * Resolve stage params against the registry and check that stages fit together
+ * Entries read from a file carry the version (and plugin name) they were written with.
+ * @param {Array<{id: string, params: Object, version: (string|undefined), name: (string|undefined)}>} entries - Parsed spec
+ * @returns {Array<{id: string, version: string, params: Object}>} - Entries with complete params and registered versions
+ */
+export function resolvePipelineSpec(entries) {
+  if (entries.length === 0) {
+    throw new Error('Pipeline must contain at least one stage');
+  }
+
+  let alphabetSize = 256;
+  let previous = 'input';
+  return entries.map(({ id, params, version, name }) => {
+    const stage = getStage(id, { version, name });
+    if (stage.inputAlphabet !== ANY_ALPHABET && alphabetSize !== stage.inputAlphabet) {
+      throw new Error(`Stage ${id} needs bytes and cannot follow ${previous}`);
+    }
+    alphabetSize = stage.outputAlphabet;
+    previous = id;
+
+    const resolved = { id, version: stage.version, params: stage.resolveParams(params) };
+    if (stage.plugin) resolved.name = stage.name;
+    return resolved;
+  });
+}
+
+/**
+ * Apply a plugin's param schema: defaults for missing params, errors for unknown or invalid ones
+ * @param {string} id - Stage id, for error messages
+ * @param {Object} schema - Param schema
+ * @param {Object} params - Requested params
+ * @returns {Object} - Complete params
+ */
+function resolveSchemaParams(id, schema, params = {}) {
+  rejectUnknownParams(id, params, Object.keys(schema));
+
+  const resolved = {};
+  for (const [key, rule] of Object.entries(schema)) {
+    const value = params[key] ?? rule.default;
+    if (value === undefined) {
+      throw new Error(`Missing parameter ${key} for stage ${id}`);
+    }
+
+    const typeMatches = rule.type === 'integer'
+      ? Number.isInteger(value)
+      : rule.type === 'number' ? Number.isFinite(value) : typeof value === rule.type;
+    const inRange = (rule.min === undefined || value >= rule.min) && (rule.max === undefined || value <= rule.max);
+    if (!typeMatches || !inRange || (rule.enum && !rule.enum.includes(value))) {
+      throw new Error(`Invalid value ${JSON.stringify(value)} for parameter ${key} of stage ${id}`);
+    }
+    resolved[key] = value;
+  }
+  return resolved;
+}
+
+/**
+ * Refuse params a stage does not accept, so a typo is not silently dropped from the pipeline
+ * @param {string} id - Stage id, for error messages
+ * @param {Object} params - Requested params
+ * @param {Array<string>} known - Names of the accepted params
+ */
+function rejectUnknownParams(id, params, known) {
+  for (const key of Object.keys(params)) {
+    if (!known.includes(key)) {
+      throw new Error(`Unknown parameter ${key} for stage ${id}`);
+    }
+  }
+}
+
+/**
+ * Major component of a version string
+ * @param {string} version - Version such as "1.2.0"
+ * @returns {string} - Major version
+ */
+function majorVersion(version) {
+  return String(version).split('.')[0];
+}
+
+/**
+ * Alphabet size of a pipeline's final output
+ * @param {Array<{id: string}>} stages - Resolved spec
+ * @returns {number} - 256 when the output is bytes
+ */
+export function outputAlphabetOf(stages) {
+  return getStage(stages[stages.length - 1].id).outputAlphabet;
+}
+
+defineStage({
+  id: 'bwt',
+  inputAlphabet: 256,
+  outputAlphabet: 256,
+  // checkpoints: extra primary indices per block, so the inverse can be split across workers
+  resolveParams(params) {
+    rejectUnknownParams('bwt', params, ['variant', 'checkpoints']);
+    const { variant = 'bwt', checkpoints = 0 } = params;
+    if (!BWT_VARIANTS.includes(variant)) {
+      throw new Error(`Unknown BWT variant: ${variant}`);
+    }
+    if (!Number.isInteger(checkpoints) || checkpoints < 0 || checkpoints > MAX_BWT_CHECKPOINTS) {
+      throw new Error(`BWT checkpoints must be an integer from 0 to ${MAX_BWT_CHECKPOINTS}`);
+    }
+    if (checkpoints > 0 && variant !== 'bwt') {
+      throw new Error('BWT checkpoints require the classic BWT variant');
+    }
+    return checkpoints > 0 ? { variant, checkpoints } : { variant };
+  },
+  encode(data, { variant, checkpoints }) {
+    if (variant === 'bwts') {
+      return { output: bwtsEncode(data) };
+    }
+    const { transformed, ...state } = bwtEncode(data, checkpoints);
+    return { output: transformed, state };
+  },
+  decode(data, { variant }, state) {
+    if (variant === 'bwts') {
+      return bwtsDecode(data);
+    }
+    if (typeof state?.primaryIndex !== 'number') {
+      throw new FormatError('Missing primaryIndex for BWT decompression');
+    }
+    return bwtDecode(data, state.primaryIndex, state.checkpoints);
+  }
+});
+
+defineStage({
+  id: 'mtf',
+  inputAlphabet: 256,
+  outputAlphabet: 256,
+  resolveParams({ variant = 'mtf', ...params }) {
+    return { variant, ...resolveMTFParams(variant, params) };
+  },
+  encode(data, { variant, ...params }) {
+    return { output: mtfVariantEncode(data, variant, params) };
+  },
+  decode(data, { variant, ...params }) {
+    return mtfVariantDecode(data, variant, params);
+  }
+});
+
+defineStage({
+  id: 'rle',
+  inputAlphabet: 256,
+  outputAlphabet: 256,
+  resolveParams: (params) => resolveSchemaParams('rle', {}, params),
+  encode: (data) => ({ output: rleEncode(data) }),
+  decode: (data, params, state, { maxLength }) => rleDecode(data, maxLength)
+});
+
+defineStage({
+  id: 'zrle',
+  inputAlphabet: 256,
+  outputAlphabet: ZRLE_ALPHABET_SIZE,
+  resolveParams: (params) => resolveSchemaParams('zrle', {}, params),
+  encode: (data) => ({ output: zrleEncode(data) }),
+  decode: (data, params, state, { maxLength }) => zrleDecode(data, maxLength)
+});
+
+defineStage({
+  id: 'huffman',
+  inputAlphabet: ANY_ALPHABET,
+  outputAlphabet: 256,
+  resolveParams: (params) => resolveSchemaParams('huffman', {}, params),
+  encode: (data, params, alphabetSize) => ({ output: huffmanEncode(data, alphabetSize) }),
+  decode: (data, params, state, { maxLength }) => huffmanDecode(data, maxLength)
+});
+
+defineStage({
+  id: 'range',
+  inputAlphabet: ANY_ALPHABET,
+  outputAlphabet: 256,
+  resolveParams(params) {
+    rejectUnknownParams('range', params, ['order']);
+    const { order = 0 } = params;
+    if (!RANGE_CODER_ORDERS.includes(order)) {
+      throw new Error(`Unsupported range coder order: ${order}`);
+    }
+    return { order };
+  },
+  encode: (data, { order }, alphabetSize) => ({ output: rangeEncode(data, alphabetSize, order) }),
+  // The order is also stored in the stream header
+  decode: (data, params, state, { maxLength }) => rangeDecode(data, maxLength)
+});
+
+defineStage({
+  id: 'rans',
+  inputAlphabet: ANY_ALPHABET,
+  outputAlphabet: 256,
+  resolveParams(params) {
+    rejectUnknownParams('rans', params, ['states']);
+    const { states = DEFAULT_RANS_STATES } = params;
+    if (!RANS_STATE_COUNTS.includes(states)) {
+      throw new Error(`Unsupported rANS state count: ${states}`);
+    }
+    return { states };
+  },
+  encode: (data, { states }, alphabetSize) => ({ output: ransEncode(data, alphabetSize, states) }),
+  decode: (data, params, state, { maxLength }) => ransDecode(data, maxLength)
+});
@@ -0,0 +1,257 @@
+// Streaming compression built on WHATWG TransformStreams
+// Input is cut into blocks of the configured size and each block is compressed on
+// its own, so memory use stays bounded by the block size however large the input.
+// Layout: "BWTJSS" + format version byte, then frames of 4-byte big-endian metadata
+// length, JSON metadata (compressBytes meta for the block) and the block payload.
+// A final frame with { end: true, originalSize, crc32 } and no payload closes the stream.
+import { compressBytes, decompressBytes, resolveBlockSize, MAX_BLOCK_SIZE } from './pipeline.js';
+import { crc32, ChecksumError } from './checksum.js';
+import { FormatError } from './errors.js';
+
+export const STREAM_MAGIC = new Uint8Array([0x42, 0x57, 0x54, 0x4A, 0x53, 0x53, 0x01]); // "BWTJSS\x01"
+
+// Frame metadata is a few hundred bytes; anything this large is not a frame
+const MAX_FRAME_META_LENGTH = 1024 * 1024;
+
+/**
+ * Create a stream that compresses Uint8Array chunks, e.g. file.stream().pipeThrough(createCompressStream())
+ * @param {Object} [options] - Compression options passed to compressBytes for every block (no search index)
+ * @returns {TransformStream<Uint8Array, Uint8Array>} - Compressing transform
+ */
+export function createCompressStream(options = {}) {
+  if (options.fmIndex) {
+    throw new Error('Search index is not available for streamed compression');
+  }
+
+  const blockSize = resolveBlockSize(options.blockSize);
+  const pending = createByteQueue();
+  let originalSize = 0;
+  let streamCrc = 0;
+
+  const emitBlock = (controller, block) => {
+    const { payload, meta } = compressBytes(block, options);
+    if (meta.error) {
+      throw new Error(`Compression failed: ${meta.error}`);
+    }
+    originalSize += block.length;
+    streamCrc = crc32(block, streamCrc);
+    controller.enqueue(encodeFrame(meta, payload));
+  };
+
+  return new TransformStream({
+    start(controller) {
+      controller.enqueue(STREAM_MAGIC.slice());
+    },
+
+    transform(chunk, controller) {
+      pending.push(toBytes(chunk));
+      while (pending.length >= blockSize) {
+        emitBlock(controller, pending.read(blockSize));
+      }
+    },
+
+    flush(controller) {
+      if (pending.length > 0) {
+        emitBlock(controller, pending.read(pending.length));
+      }
+      controller.enqueue(encodeFrame({ end: true, originalSize, crc32: streamCrc }, new Uint8Array(0)));
+    }
+  });
+}
+
+/**
+ * Create a stream that turns the output of createCompressStream back into the original bytes
+ * @returns {TransformStream<Uint8Array, Uint8Array>} - Decompressing transform
+ * @throws {ChecksumError} - Through the stream, when a block or the whole stream fails its checksum
+ * @throws {FormatError} - Through the stream, when a frame is malformed; offset is the frame's offset in the stream
+ */
+export function createDecompressStream() {
+  const pending = createByteQueue();
+  let headerRead = false;
+  let ended = false;
+  let frameIndex = 0;
+  let frameOffset = STREAM_MAGIC.length;
+  let originalSize = 0;
+  let streamCrc = 0;
+
+  // Decode every complete frame in the queue; partial frames wait for more input
+  const drain = (controller) => {
+    if (!headerRead) {
+      if (pending.length < STREAM_MAGIC.length) return;
+      const magic = pending.read(STREAM_MAGIC.length);
+      if (!magic.every((byte, i) => byte === STREAM_MAGIC[i])) {
+        throw new FormatError('Invalid stream format: magic header mismatch', 0);
+      }
+      headerRead = true;
+    }
+
+    while (pending.length >= 4) {
+      if (ended) {
+        throw new FormatError('Unexpected data after the end of the stream', frameOffset);
+      }
+
+      const metaLength = new DataView(pending.peek(4).buffer).getUint32(0);
+      if (metaLength > MAX_FRAME_META_LENGTH) {
+        throw new FormatError(`Frame ${frameIndex} declares ${metaLength} bytes of metadata`, frameOffset);
+      }
+      if (pending.length < 4 + metaLength) return;
+      const meta = parseFrameMeta(pending.peek(4 + metaLength).subarray(4), frameIndex, frameOffset);
+      const payloadLength = meta.end ? 0 : meta.compressedSize;
+      if (!Number.isInteger(payloadLength) || payloadLength < 0 || payloadLength > MAX_BLOCK_SIZE) {
+        throw new FormatError(`Frame ${frameIndex} has no valid payload length`, frameOffset + 4);
+      }
+      if (pending.length < 4 + metaLength + payloadLength) return;
+
+      pending.read(4 + metaLength);
+      const payload = pending.read(payloadLength);
+      const payloadOffset = frameOffset + 4 + metaLength;
+      frameOffset = payloadOffset + payloadLength;
+
+      if (meta.end) {
+        if (meta.originalSize !== originalSize) {
+          throw new FormatError(`Stream decoded to ${originalSize} bytes, expected ${meta.originalSize}`, payloadOffset);
+        }
+        if (meta.crc32 !== streamCrc) {
+          throw new ChecksumError('Decompressed stream failed its CRC-32 check (data is corrupt)', null);
+        }
+        ended = true;
+        continue;
+      }
+
+      let output;
+      try {
+        output = decompressBytes(payload, meta);
+      } catch (error) {
+        // Each frame is a single compressBytes result, so its block index is the frame's
+        if (error instanceof ChecksumError) {
+          throw new ChecksumError(`Block ${frameIndex} failed its CRC-32 check (data is corrupt)`, frameIndex);
+        }
+        if (error instanceof FormatError) {
+          throw new FormatError(`${error.message} (block ${frameIndex})`, payloadOffset, { blockIndex: frameIndex, stage: error.stage });
+        }
+        throw error;
+      }
+      originalSize += output.length;
+      streamCrc = crc32(output, streamCrc);
+      frameIndex++;
+      if (output.length > 0) {
+        controller.enqueue(output);
+      }
+    }
+  };
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      pending.push(toBytes(chunk));
+      drain(controller);
+    },
+
+    flush(controller) {
+      drain(controller);
+      if (!ended) {
+        throw new FormatError('Stream is truncated: missing end marker', frameOffset);
+      }
+      // Fewer than 4 trailing bytes never reach the check in drain
+      if (pending.length > 0) {
+        throw new FormatError('Unexpected data after the end of the stream', frameOffset);
+      }
+    }
+  });
+}
+
+/**
+ * Decode the JSON metadata of a frame
+ * @param {Uint8Array} bytes - Metadata bytes
+ * @param {number} frameIndex - Index of the frame
+ * @param {number} frameOffset - Offset of the frame in the stream
+ * @returns {Object} - Frame metadata
+ * @throws {FormatError} - When the metadata is not a JSON object
+ */
+function parseFrameMeta(bytes, frameIndex, frameOffset) {
+  let meta;
+  try {
+    meta = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw new FormatError(`Frame ${frameIndex} has invalid metadata: ${error.message}`, frameOffset + 4);
+  }
+  if (typeof meta !== 'object' || meta === null || Array.isArray(meta)) {
+    throw new FormatError(`Frame ${frameIndex} metadata is not a JSON object`, frameOffset + 4);
+  }
+  return meta;
+}
+
+/**
+ * Serialize one frame
+ * @param {Object} meta - Frame metadata
+ * @param {Uint8Array} payload - Frame payload
+ * @returns {Uint8Array} - Frame bytes
+ */
+function encodeFrame(meta, payload) {
+  const metaBytes = new TextEncoder().encode(JSON.stringify(meta));
+  const frame = new Uint8Array(4 + metaBytes.length + payload.length);
+  new DataView(frame.buffer).setUint32(0, metaBytes.length);
+  frame.set(metaBytes, 4);
+  frame.set(payload, 4 + metaBytes.length);
+  return frame;
+}
+
+/**
+ * Accept the chunk types streams commonly carry
+ * @param {Uint8Array|ArrayBuffer|ArrayBufferView} chunk - Stream chunk
+ * @returns {Uint8Array} - Chunk bytes
+ */
+function toBytes(chunk) {
+  if (chunk instanceof Uint8Array) return chunk;
+  if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk);
+  if (ArrayBuffer.isView(chunk)) return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  throw new TypeError('Stream chunks must be Uint8Array or ArrayBuffer');
+}
+
+/**
+ * FIFO of byte chunks that hands out contiguous reads
+ * @returns {{push: Function, peek: Function, read: Function, length: number}} - Queue operations
+ */
+function createByteQueue() {
+  const chunks = [];
+  let head = 0;
+  let length = 0;
+
+  // Copy the first n queued bytes, consuming them when requested
+  const take = (n, consume) => {
+    const out = new Uint8Array(n);
+    let filled = 0;
+    let index = 0;
+    let offset = head;
+    while (filled < n) {
+      const chunk = chunks[index];
+      const count = Math.min(n - filled, chunk.length - offset);
+      out.set(chunk.subarray(offset, offset + count), filled);
+      filled += count;
+      offset += count;
+      if (offset === chunk.length) {
+        index++;
+        offset = 0;
+      }
+    }
+    if (consume) {
+      chunks.splice(0, index);
+      head = offset;
+      length -= n;
+    }
+    return out;
+  };
+
+  return {
+    push(chunk) {
+      if (chunk.length > 0) {
+        chunks.push(chunk);
+        length += chunk.length;
+      }
+    },
+    peek: (n) => take(n, false),
+    read: (n) => take(n, true),
+    get length() {
+      return length;
+    }
+  };
+}
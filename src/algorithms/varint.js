@@ -0,0 +1,43 @@
+// Unsigned LEB128 varints, used by stream headers that store small counts
+
+import { FormatError } from './errors.js';
+
+// Longest varint accepted; seven bytes cover every length a browser can hold
+const MAX_VARINT_BYTES = 7;
+
+/**
+ * Append an unsigned LEB128 varint
+ * @param {number[]} out - Output byte list
+ * @param {number} value - Non-negative integer
+ */
+export function writeVarint(out, value) {
+  while (value >= 0x80) {
+    out.push((value & 0x7F) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  out.push(value);
+}
+
+/**
+ * Read an unsigned LEB128 varint
+ * @param {{bytes: Uint8Array, offset: number}} reader - Input cursor, advanced past the varint
+ * @returns {number} - Decoded value
+ * @throws {FormatError} - When the input ends inside the varint or it is too long
+ */
+export function readVarint(reader) {
+  const start = reader.offset;
+  let value = 0;
+  let scale = 1;
+  while (true) {
+    if (reader.offset >= reader.bytes.length) {
+      throw new FormatError('Stream is truncated inside a varint', reader.offset);
+    }
+    if (reader.offset - start >= MAX_VARINT_BYTES) {
+      throw new FormatError(`Varint at offset ${start} is longer than ${MAX_VARINT_BYTES} bytes`, start);
+    }
+    const byte = reader.bytes[reader.offset++];
+    value += (byte & 0x7F) * scale;
+    if (byte < 0x80) return value;
+    scale *= 128;
+  }
+}
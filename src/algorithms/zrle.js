@@ -0,0 +1,135 @@
+// Zero-run-length encoding (bzip2 RUNA/RUNB) for MTF output
+// Runs of zeros become their length written in bijective base 2, least
+// significant digit first: RUNA is digit 1 and RUNB is digit 2.
+// Non-zero bytes b are shifted up to symbol b + 1, giving a 257-symbol alphabet.
+
+import { FormatError, DEFAULT_MAX_DECODED_LENGTH, checkDecodedLength } from './errors.js';
+
+export const RUNA = 0;
+export const RUNB = 1;
+export const ZRLE_ALPHABET_SIZE = 257;
+
+/**
+ * Zero-run-length encoding
+ * @param {Uint8Array} bytes - MTF output
+ * @returns {Uint16Array} - Symbols over the extended alphabet
+ */
+export function zrleEncode(bytes) {
+  if (!bytes || bytes.length === 0) {
+    return new Uint16Array(0);
+  }
+
+  const symbols = [];
+  let run = 0;
+
+  const flushRun = () => {
+    while (run > 0) {
+      if (run & 1) {
+        symbols.push(RUNA);
+        run = (run - 1) / 2;
+      } else {
+        symbols.push(RUNB);
+        run = (run - 2) / 2;
+      }
+    }
+  };
+
+  for (let i = 0; i < bytes.length; i++) {
+    if (bytes[i] === 0) {
+      run++;
+    } else {
+      flushRun();
+      symbols.push(bytes[i] + 1);
+    }
+  }
+  flushRun();
+
+  return Uint16Array.from(symbols);
+}
+
+/**
+ * Zero-run-length decoding
+ * A few run symbols can describe a huge run, so the output is checked against maxLength before it is allocated.
+ * @param {Uint16Array} symbols - Symbols produced by zrleEncode
+ * @param {number} [maxLength=DEFAULT_MAX_DECODED_LENGTH] - Largest output accepted
+ * @returns {Uint8Array} - MTF output
+ * @throws {FormatError} - On a symbol outside the alphabet or an output above maxLength
+ */
+export function zrleDecode(symbols, maxLength = DEFAULT_MAX_DECODED_LENGTH) {
+  if (!symbols || symbols.length === 0) {
+    return new Uint8Array(0);
+  }
+
+  // Size the output first so runs can be left as the zero fill
+  let length = 0;
+  let weight = 1;
+  for (let i = 0; i < symbols.length; i++) {
+    const symbol = symbols[i];
+    if (symbol === RUNA || symbol === RUNB) {
+      length += (symbol === RUNA ? 1 : 2) * weight;
+      weight *= 2;
+    } else if (symbol < ZRLE_ALPHABET_SIZE) {
+      length++;
+      weight = 1;
+    } else {
+      throw new FormatError(`Invalid zero-run symbol ${symbol} at ${i}`, i);
+    }
+    checkDecodedLength(length, maxLength, 'Zero-run stream', i);
+  }
+
+  const result = new Uint8Array(length);
+  let position = 0;
+  weight = 1;
+  for (let i = 0; i < symbols.length; i++) {
+    const symbol = symbols[i];
+    if (symbol === RUNA || symbol === RUNB) {
+      position += (symbol === RUNA ? 1 : 2) * weight;
+      weight *= 2;
+    } else {
+      result[position++] = symbol - 1;
+      weight = 1;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Byte form of the symbol stream, for when no entropy coder follows
+ * Symbols below 0xFF take one byte; 0xFF and 0x100 are written as 0xFF 0x00 / 0xFF 0x01.
+ * @param {Uint16Array} symbols - Symbols over the extended alphabet
+ * @returns {Uint8Array} - Packed bytes
+ */
+export function packSymbols(symbols) {
+  const result = [];
+  for (let i = 0; i < symbols.length; i++) {
+    const symbol = symbols[i];
+    if (symbol < 0xFF) {
+      result.push(symbol);
+    } else {
+      result.push(0xFF, symbol - 0xFF);
+    }
+  }
+  return new Uint8Array(result);
+}
+
+/**
+ * Reverse packSymbols
+ * @param {Uint8Array} bytes - Packed bytes
+ * @returns {Uint16Array} - Symbols over the extended alphabet
+ * @throws {FormatError} - On an escape byte not followed by 0 or 1
+ */
+export function unpackSymbols(bytes) {
+  const symbols = [];
+  for (let i = 0; i < bytes.length; i++) {
+    if (bytes[i] !== 0xFF) {
+      symbols.push(bytes[i]);
+      continue;
+    }
+    if (i + 1 >= bytes.length || bytes[i + 1] > 1) {
+      throw new FormatError(`Invalid zero-run escape at ${i}`, i);
+    }
+    symbols.push(0xFF + bytes[++i]);
+  }
+  return Uint16Array.from(symbols);
+}
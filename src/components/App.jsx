@@ -1,17 +1,26 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import { InputPanel } from './InputPanel.jsx';
 import { ResultPanel } from './ResultPanel.jsx';
 import { SavedList } from './SavedList.jsx';
+import { KeyManager } from './KeyManager.jsx';
+import { PasswordDialog } from './PasswordDialog.jsx';
 import { 
   compressFromText, 
   compressFromFile, 
+  compressFromFiles,
   decompressToText, 
   decompressFileBlob,
+  extractAllFromBlob,
+  extractEntryFromBlob,
+  searchCompressedBlob,
   saveToLocalStorage,
   downloadBytes 
 } from '../utils/io.js';
-import { parseCompressedFile } from '../algorithms/serialization.js';
-import { Binary, ChevronRight, Github, Info } from 'lucide-react';
+import { listKeys, loadKey, loadKeys } from '../utils/keyring.js';
+import { verifyFileSignature } from '../algorithms/serialization.js';
+import { DEFAULT_BLOCK_SIZE } from '../algorithms/pipeline.js';
+import { DEFAULT_ARCHIVE_MODE, splitArchive } from '../algorithms/archive.js';
+import { Binary, ChevronRight, Github, Info, BarChart3 } from 'lucide-react';
 import { Card, CardContent } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 
@@ -20,29 +29,111 @@ function App() {
   const [decompressedResult, setDecompressedResult] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [inputType, setInputType] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const abortControllerRef = useRef(null);
+  // Password of the current file, once it has opened it
+  const passwordRef = useRef('');
+  // Resolves the open password dialog with the entered password, or '' when cancelled
+  const [passwordRequest, setPasswordRequest] = useState(null);
+  const [keys, setKeys] = useState([]);
+  const [signingKeyId, setSigningKeyId] = useState(null);
+  const [compressionOptions, setCompressionOptions] = useState({
+    blockSize: DEFAULT_BLOCK_SIZE,
+    bwtVariant: 'bwt',
+    bwtCheckpoints: 0,
+    mtfVariant: 'mtf',
+    runStage: 'rle',
+    entropyCoder: 'huffman',
+    fmIndex: false,
+    archiveMode: DEFAULT_ARCHIVE_MODE,
+    password: '',
+    encryptMetadata: false
+  });
+
+  // Progress callback and abort signal for one long-running task
+  const startTask = () => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setProgress(null);
+    return { onProgress: setProgress, signal: controller.signal };
+  };
+
+  const refreshKeys = () => {
+    try {
+      setKeys(listKeys());
+    } catch (error) {
+      console.error('Failed to load keys:', error);
+    }
+  };
+
+  useEffect(() => {
+    refreshKeys();
+  }, []);
+
+  // Signature status with the name of the signer's key, if it is one of ours
+  const describeSignature = (signature, verificationKeys) => signature && {
+    ...signature,
+    signer: verificationKeys.find((key) => key.keyId === signature.keyId)?.name
+  };
+
+  const finishTask = () => {
+    abortControllerRef.current = null;
+    setProgress(null);
+    setIsProcessing(false);
+  };
+
+  const handleCancel = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  // Run a task that opens the current file, asking for the password if it is encrypted
+  const withPassword = async (run) => {
+    try {
+      return await run(passwordRef.current || undefined);
+    } catch (error) {
+      if (error.name !== 'PasswordRequiredError') throw error;
+      const password = await new Promise((resolve) => setPasswordRequest({ resolve }));
+      setPasswordRequest(null);
+      if (!password) throw error;
+      const result = await run(password);
+      passwordRef.current = password;
+      return result;
+    }
+  };
 
   const handleInputChange = async (input, type) => {
     setIsProcessing(true);
     setDecompressedResult(null);
     setInputType(type);
+    passwordRef.current = '';
+    const task = startTask();
     
     try {
       let result;
+      const signingKey = signingKeyId ? await loadKey(signingKeyId) : null;
+      const options = { ...compressionOptions, signingKey, ...task };
       
       if (type === 'text') {
         // Text input
-        const blob = compressFromText(input, 'text.txt');
-        const arrayBuffer = await blob.arrayBuffer();
-        const { meta, payloadUint8Array } = await parseCompressedFile(blob);
+        const { blob, meta } = await compressFromText(input, 'text.txt', options);
         
         result = {
           ...meta,
-          compressedData: arrayBuffer,
+          compressedData: await blob.arrayBuffer(),
           blob: blob
         };
       } else if (type === 'file') {
         // File input (File object)
-        const { blob, meta } = await compressFromFile(input);
+        const { blob, meta } = await compressFromFile(input, options);
+        
+        result = {
+          ...meta,
+          compressedData: await blob.arrayBuffer(),
+          blob: blob
+        };
+      } else if (type === 'archive') {
+        // Several files or a folder (File objects)
+        const { blob, meta } = await compressFromFiles(input, options);
         
         result = {
           ...meta,
@@ -51,12 +142,20 @@ function App() {
         };
       }
       
-      setCompressionResult(result);
+      passwordRef.current = compressionOptions.password;
+      setCompressionResult({
+        ...result,
+        encryption: compressionOptions.password ? { metadataEncrypted: compressionOptions.encryptMetadata } : null,
+        signature: signingKey
+          ? { status: 'valid', algorithm: signingKey.algorithm, keyId: signingKey.keyId, signer: signingKey.name }
+          : null
+      });
     } catch (error) {
+      if (task.signal.aborted) return;
       console.error('Compression failed:', error);
       alert('Compression failed: ' + error.message);
     } finally {
-      setIsProcessing(false);
+      finishTask();
     }
   };
 
@@ -64,39 +163,101 @@ function App() {
     if (!compressionResult) return;
     
     setIsProcessing(true);
+    const task = startTask();
     
     try {
+      const verificationKeys = await loadKeys();
       if (inputType === 'text') {
         // Decompress as text
-        const { text, meta } = await decompressToText(compressionResult.blob);
+        const { text, meta, integrityVerified, encryption, signature } = await withPassword((password) =>
+          decompressToText(compressionResult.blob, { ...task, password, verificationKeys })
+        );
         setDecompressedResult({
           success: true,
           text: text,
           meta: meta,
+          integrityVerified,
+          encryption,
+          signature: describeSignature(signature, verificationKeys),
+          processingTime: performance.now() // Simplified for demo
+        });
+      } else if (inputType === 'archive') {
+        // Decompress every entry of an archive
+        const { entries, meta, integrityVerified, encryption, signature } = await withPassword((password) =>
+          extractAllFromBlob(compressionResult.blob, { ...task, password, verificationKeys })
+        );
+        setDecompressedResult({
+          success: true,
+          entries,
+          meta: meta,
+          integrityVerified,
+          encryption,
+          signature: describeSignature(signature, verificationKeys),
           processingTime: performance.now() // Simplified for demo
         });
       } else {
-        // Decompress as binary file
-        const { fileBytes, meta } = await decompressFileBlob(compressionResult.blob);
+        // Decompress as binary file; uploaded files only reveal that they are archives here
+        const { fileBytes, meta, integrityVerified, encryption, signature } = await withPassword((password) =>
+          decompressFileBlob(compressionResult.blob, { ...task, password, verificationKeys })
+        );
         setDecompressedResult({
           success: true,
           fileBytes: fileBytes,
+          entries: meta.archive ? splitArchive(fileBytes, meta) : undefined,
           meta: meta,
+          integrityVerified,
+          encryption,
+          signature: describeSignature(signature, verificationKeys),
           processingTime: performance.now() // Simplified for demo
         });
       }
     } catch (error) {
+      if (task.signal.aborted) return;
       console.error('Decompression failed:', error);
       setDecompressedResult({
         success: false,
         error: error.message,
+        // The message of a checksum failure names the corrupt block
+        integrityFailed: error.name === 'ChecksumError',
+        authenticationFailed: error.name === 'AuthenticationError',
         processingTime: performance.now()
       });
     } finally {
-      setIsProcessing(false);
+      finishTask();
+    }
+  };
+
+  const handleExtractEntry = async (path) => {
+    const entry = decompressedResult?.entries?.find((candidate) => candidate.path === path);
+    const name = path.split('/').pop();
+    if (entry) {
+      downloadBytes(entry.bytes, name, entry.mimeType);
+      return;
+    }
+    if (!compressionResult?.blob) return;
+    
+    setIsProcessing(true);
+    const task = startTask();
+    
+    try {
+      const { fileBytes, entry: extracted } = await withPassword((password) =>
+        extractEntryFromBlob(compressionResult.blob, path, { ...task, password })
+      );
+      downloadBytes(fileBytes, name, extracted.mimeType);
+    } catch (error) {
+      if (task.signal.aborted) return;
+      console.error('Extraction failed:', error);
+      alert('Extraction failed: ' + error.message);
+    } finally {
+      finishTask();
     }
   };
 
+  const handleSearch = async (pattern) => {
+    if (!compressionResult?.blob) return null;
+    return withPassword((password) => searchCompressedBlob(compressionResult.blob, pattern, { password }));
+  };
+
   const handleDownload = () => {
     if (!compressionResult?.blob) return;
     
@@ -112,8 +273,17 @@ function App() {
     if (!compressionResult?.blob) return;
     
     try {
-      const key = `${Date.now()}_${compressionResult.originalFilename || 'untitled'}`;
-      await saveToLocalStorage(key, compressionResult.blob, compressionResult);
+      // Keep encrypted metadata out of the plaintext storage record
+      const meta = compressionResult.encryption?.metadataEncrypted
+        ? {
+          originalFilename: 'encrypted',
+          originalSize: compressionResult.originalSize,
+          compressionRatio: compressionResult.compressionRatio,
+          encryption: compressionResult.encryption
+        }
+        : compressionResult;
+      const key = `${Date.now()}_${meta.originalFilename || 'untitled'}`;
+      await saveToLocalStorage(key, compressionResult.blob, meta);
       alert('Compressed file saved to localStorage successfully!');
     } catch (error) {
       console.error('Save failed:', error);
@@ -124,13 +294,23 @@ function App() {
   const handleLoadSaved = async (blob, meta) => {
     try {
       const arrayBuffer = await blob.arrayBuffer();
+      // Check the signature up front; a malformed file is reported when decompressed
+      let signature;
+      try {
+        const verificationKeys = await loadKeys();
+        signature = describeSignature(await verifyFileSignature(blob, verificationKeys), verificationKeys);
+      } catch (error) {
+        console.warn('Signature check failed:', error);
+      }
       setCompressionResult({
         ...meta,
         compressedData: arrayBuffer,
-        blob: blob
+        blob: blob,
+        signature
       });
       setDecompressedResult(null);
-      setInputType(meta.encoding === 'utf-8' ? 'text' : 'file');
+      setInputType(meta.encoding === 'utf-8' ? 'text' : meta.archive ? 'archive' : 'file');
+      passwordRef.current = '';
     } catch (error) {
       console.error('Load failed:', error);
       alert('Failed to load saved item: ' + error.message);
@@ -141,6 +321,7 @@ function App() {
     setCompressionResult(null);
     setDecompressedResult(null);
     setInputType(null);
+    passwordRef.current = '';
   };
 
   const handleUploadCompressed = (event) => {
@@ -172,6 +353,10 @@ function App() {
               <span>MTF</span>
               <ChevronRight className="h-4 w-4" />
               <span>RLE</span>
+              <a href="/benchmark" className="ml-4 flex items-center gap-1 hover:text-foreground">
+                <BarChart3 className="h-4 w-4" />
+                Benchmark
+              </a>
             </div>
           </div>
         </div>
@@ -213,6 +398,8 @@ function App() {
             <InputPanel 
               onInputChange={handleInputChange}
               isProcessing={isProcessing}
+              options={compressionOptions}
+              onOptionsChange={setCompressionOptions}
             />
           </div>
           
@@ -222,8 +409,12 @@ function App() {
               decompressedResult={decompressedResult}
               onDownload={handleDownload}
               onDecompress={handleDecompress}
+              onSearch={handleSearch}
+              onExtractEntry={handleExtractEntry}
               onSave={handleSave}
               onReset={handleReset}
+              onCancel={handleCancel}
+              progress={progress}
               isProcessing={isProcessing}
             />
           </div>
@@ -237,6 +428,17 @@ function App() {
           />
         </div>
 
+        {/* Signing Keys */}
+        <div className="mb-8">
+          <KeyManager
+            keys={keys}
+            signingKeyId={signingKeyId}
+            onSigningKeyChange={setSigningKeyId}
+            onKeysChange={refreshKeys}
+            isProcessing={isProcessing}
+          />
+        </div>
+
         {/* Algorithm Info */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
           <Card className="bg-gradient-surface border-tech-border">
@@ -299,16 +501,26 @@ function App() {
               <div>
                 <h4 className="font-medium text-foreground mb-2">File Format</h4>
                 <ul className="space-y-1">
-                  <li>• Magic header: "BWTJS1\0" (7 bytes)</li>
-                  <li>• 4-byte big-endian metadata length</li>
-                  <li>• UTF-8 JSON metadata with all recovery info</li>
-                  <li>• Binary compressed payload</li>
+                  <li>• Magic header: "BWTJS2\0" (7 bytes)</li>
+                  <li>• Binary header: version, flags, block count, sizes</li>
+                  <li>• Block table with sizes and CRC-32 per block</li>
+                  <li>• Optional AES-256-GCM encryption per block (PBKDF2 key)</li>
+                  <li>• Optional ECDSA P-256 or Ed25519 signature with signer key ID</li>
+                  <li>• UTF-8 JSON extension with stage settings</li>
+                  <li>• Binary compressed payload and checksummed trailer</li>
+                  <li>• Older BWTJS1 files still open</li>
                 </ul>
               </div>
             </div>
           </CardContent>
         </Card>
       </main>
+
+      <PasswordDialog
+        open={Boolean(passwordRequest)}
+        onSubmit={(password) => passwordRequest?.resolve(password)}
+        onCancel={() => passwordRequest?.resolve('')}
+      />
     </div>
   );
 }
@@ -0,0 +1,85 @@
+import React, { useMemo, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { ChevronDown, ChevronRight, Download, File, Folder } from 'lucide-react';
+import { buildArchiveTree } from '../algorithms/archive.js';
+
+// Chevron width plus gap, so file names line up with folder names
+const FILE_INDENT = 24;
+const LEVEL_INDENT = 16;
+
+/**
+ * One folder or file of the archive tree; folders expand and collapse, files can be extracted
+ */
+function TreeNode({ node, depth, onExtract, disabled, formatBytes }) {
+  const [isOpen, setIsOpen] = useState(depth === 0);
+
+  if (!node.children) {
+    return (
+      <div className="flex items-center gap-2 py-1 text-sm" style={{ paddingLeft: depth * LEVEL_INDENT + FILE_INDENT }}>
+        <File className="h-4 w-4 text-muted-foreground shrink-0" />
+        <span className="font-mono text-xs truncate flex-1" title={node.path}>{node.name}</span>
+        <span className="text-xs text-muted-foreground font-mono">{formatBytes(node.size)}</span>
+        {onExtract && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onExtract(node.path)}
+            disabled={disabled}
+            className="h-6 px-2"
+            title={`Extract ${node.path}`}
+          >
+            <Download className="h-3 w-3" />
+          </Button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-2 w-full py-1 text-sm hover:text-primary"
+        style={{ paddingLeft: depth * LEVEL_INDENT }}
+      >
+        {isOpen ? <ChevronDown className="h-4 w-4 shrink-0" /> : <ChevronRight className="h-4 w-4 shrink-0" />}
+        <Folder className="h-4 w-4 text-primary shrink-0" />
+        <span className="font-mono text-xs text-left truncate flex-1">{node.name}/</span>
+        <span className="text-xs text-muted-foreground font-mono">{formatBytes(node.size)}</span>
+      </button>
+      {isOpen && node.children.map((child) => (
+        <TreeNode
+          key={child.path}
+          node={child}
+          depth={depth + 1}
+          onExtract={onExtract}
+          disabled={disabled}
+          formatBytes={formatBytes}
+        />
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Contents of a multi-file archive as a folder tree
+ */
+export function ArchiveTree({ entries, onExtract, disabled, formatBytes }) {
+  const tree = useMemo(() => buildArchiveTree(entries), [entries]);
+
+  return (
+    <div className="bg-tech-surface rounded-lg p-3 border border-tech-border max-h-80 overflow-auto">
+      {tree.children.map((node) => (
+        <TreeNode
+          key={node.path}
+          node={node}
+          depth={0}
+          onExtract={onExtract}
+          disabled={disabled}
+          formatBytes={formatBytes}
+        />
+      ))}
+    </div>
+  );
+}
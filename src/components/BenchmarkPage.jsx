@@ -0,0 +1,317 @@
+import React, { useState, useRef } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Textarea } from '@/components/ui/textarea';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Progress } from '@/components/ui/progress';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip, Legend, CartesianGrid } from 'recharts';
+import { ArrowLeft, BarChart3, Download, Play, Upload, X } from 'lucide-react';
+import {
+  BENCHMARK_CORPORA,
+  DEFAULT_BENCHMARK_PIPELINES,
+  DEFAULT_CORPUS_SIZE,
+  generateCorpus,
+  runBenchmark,
+  resultsToJSON,
+  resultsToCSV
+} from '../utils/benchmark.js';
+import { readFileAsBytes, textToBytes, downloadBytes } from '../utils/io.js';
+
+const CORPUS_SIZE_OPTIONS = [64 * 1024, DEFAULT_CORPUS_SIZE, 1024 * 1024];
+
+// Bar colours per method, cycling when there are more methods than colours
+const METHOD_COLORS = ['#22d3ee', '#a78bfa', '#34d399', '#f472b6', '#fbbf24', '#60a5fa', '#f87171', '#94a3b8'];
+
+/**
+ * Grouped bar chart of one result field, one group per corpus and one bar per method
+ */
+function ResultChart({ results, field, label }) {
+  const methods = [...new Set(results.map((result) => result.method))];
+  const rows = [...new Set(results.map((result) => result.corpus))].map((corpus) => {
+    const row = { corpus };
+    results.filter((result) => result.corpus === corpus).forEach((result) => {
+      row[result.method] = result[field] === null ? null : Number(result[field].toFixed(3));
+    });
+    return row;
+  });
+
+  return (
+    <div>
+      <h4 className="text-sm font-medium mb-2">{label}</h4>
+      <ResponsiveContainer width="100%" height={260}>
+        <BarChart data={rows}>
+          <CartesianGrid strokeDasharray="3 3" stroke="hsl(var(--border))" />
+          <XAxis dataKey="corpus" tick={{ fontSize: 12 }} />
+          <YAxis tick={{ fontSize: 12 }} />
+          <Tooltip />
+          <Legend />
+          {methods.map((method, i) => (
+            <Bar key={method} dataKey={method} fill={METHOD_COLORS[i % METHOD_COLORS.length]} />
+          ))}
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+export function BenchmarkPage() {
+  const [selectedCorpora, setSelectedCorpora] = useState(Object.keys(BENCHMARK_CORPORA));
+  const [corpusSize, setCorpusSize] = useState(DEFAULT_CORPUS_SIZE);
+  const [pipelineText, setPipelineText] = useState(DEFAULT_BENCHMARK_PIPELINES.join('\n'));
+  const [files, setFiles] = useState([]);
+  const [results, setResults] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const abortControllerRef = useRef(null);
+  const isRunning = progress !== null;
+
+  const toggleCorpus = (id, checked) => {
+    setSelectedCorpora((current) => (checked ? [...current, id] : current.filter((corpus) => corpus !== id)));
+  };
+
+  const handleFiles = async (fileList) => {
+    const added = await Promise.all(Array.from(fileList).map(async (file) => ({
+      name: file.name,
+      bytes: await readFileAsBytes(file)
+    })));
+    setFiles((current) => [...current, ...added]);
+  };
+
+  const handleRun = async () => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setResults([]);
+    setError(null);
+    setProgress({ done: 0, total: 0 });
+
+    try {
+      const corpora = [
+        ...selectedCorpora.map((id) => ({ name: id, bytes: generateCorpus(id, corpusSize) })),
+        ...files
+      ];
+      const pipelines = pipelineText.split('\n').map((line) => line.trim()).filter(Boolean);
+      await runBenchmark({
+        corpora,
+        pipelines,
+        signal: controller.signal,
+        onResult: (result, done, total) => {
+          setResults((current) => [...current, result]);
+          setProgress({ done, total, current: `${result.corpus} • ${result.method}` });
+        }
+      });
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        setError(err.message);
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const handleExport = (format) => {
+    const text = format === 'csv' ? resultsToCSV(results) : resultsToJSON(results);
+    downloadBytes(textToBytes(text), `bwt-benchmark.${format}`, format === 'csv' ? 'text/csv' : 'application/json');
+  };
+
+  const formatNumber = (value, digits = 2) => (value === null || value === undefined ? '—' : value.toFixed(digits));
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-tech-dark via-background to-tech-surface">
+      <header className="border-b border-tech-border bg-card/50 backdrop-blur-sm">
+        <div className="container mx-auto px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="bg-gradient-primary p-2 rounded-lg">
+              <BarChart3 className="h-6 w-6 text-primary-foreground" />
+            </div>
+            <div>
+              <h1 className="text-2xl font-bold gradient-text">Pipeline Benchmark</h1>
+              <p className="text-sm text-muted-foreground">Compression ratio and speed against the browser's gzip and deflate</p>
+            </div>
+          </div>
+          <a href="/" className="flex items-center gap-2 text-sm text-muted-foreground hover:text-foreground">
+            <ArrowLeft className="h-4 w-4" />
+            Back to compressor
+          </a>
+        </div>
+      </header>
+
+      <main className="container mx-auto px-6 py-8 space-y-8">
+        <Card className="bg-gradient-surface border-tech-border">
+          <CardHeader>
+            <CardTitle>Setup</CardTitle>
+          </CardHeader>
+          <CardContent className="grid gap-6 md:grid-cols-3">
+            <div className="space-y-3">
+              <h4 className="text-sm font-medium">Synthetic corpora</h4>
+              {Object.entries(BENCHMARK_CORPORA).map(([id, description]) => (
+                <label key={id} className="flex items-center gap-2 text-sm">
+                  <Checkbox
+                    checked={selectedCorpora.includes(id)}
+                    onCheckedChange={(checked) => toggleCorpus(id, checked === true)}
+                    disabled={isRunning}
+                  />
+                  <span className="font-mono">{id}</span>
+                  <span className="text-muted-foreground">— {description}</span>
+                </label>
+              ))}
+              <div className="flex items-center justify-between gap-4 pt-2">
+                <span className="text-sm font-medium">Corpus size:</span>
+                <Select value={String(corpusSize)} onValueChange={(value) => setCorpusSize(Number(value))} disabled={isRunning}>
+                  <SelectTrigger className="w-32 bg-tech-surface border-tech-border">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {CORPUS_SIZE_OPTIONS.map((size) => (
+                      <SelectItem key={size} value={String(size)}>{size / 1024} KB</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="space-y-3">
+              <label htmlFor="benchmark-pipelines" className="text-sm font-medium">Pipelines (one spec per line):</label>
+              <Textarea
+                id="benchmark-pipelines"
+                value={pipelineText}
+                onChange={(e) => setPipelineText(e.target.value)}
+                className="min-h-[160px] bg-tech-surface border-tech-border font-mono text-xs"
+                disabled={isRunning}
+              />
+              <p className="text-xs text-muted-foreground">gzip and deflate are added automatically where the browser supports CompressionStream.</p>
+            </div>
+
+            <div className="space-y-3">
+              <h4 className="text-sm font-medium">Your files</h4>
+              <div
+                className="border-2 border-dashed border-tech-border rounded-lg p-6 text-center"
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  if (!isRunning) handleFiles(e.dataTransfer.files);
+                }}
+              >
+                <Upload className="h-8 w-8 mx-auto mb-2 text-muted-foreground" />
+                <input
+                  type="file"
+                  multiple
+                  id="benchmark-files"
+                  className="hidden"
+                  onChange={(e) => handleFiles(e.target.files)}
+                  disabled={isRunning}
+                />
+                <label htmlFor="benchmark-files" className="text-sm cursor-pointer">
+                  Drop files here or <span className="text-primary underline">browse</span>
+                </label>
+              </div>
+              {files.map((file, i) => (
+                <div key={i} className="flex items-center justify-between text-sm">
+                  <span className="font-mono truncate">{file.name}</span>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setFiles((current) => current.filter((_, k) => k !== i))}
+                    disabled={isRunning}
+                  >
+                    <X className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+            </div>
+          </CardContent>
+          <CardContent className="pt-0 space-y-3">
+            <div className="flex gap-2">
+              <Button
+                onClick={handleRun}
+                disabled={isRunning || (selectedCorpora.length === 0 && files.length === 0)}
+                className="bg-gradient-primary hover:opacity-90"
+              >
+                <Play className="h-4 w-4 mr-2" />
+                Run Benchmark
+              </Button>
+              {isRunning && (
+                <Button variant="outline" onClick={() => abortControllerRef.current?.abort()} className="border-tech-border">
+                  <X className="h-4 w-4 mr-2" />
+                  Cancel
+                </Button>
+              )}
+            </div>
+            {isRunning && (
+              <div className="space-y-1">
+                <Progress value={progress.total > 0 ? (progress.done / progress.total) * 100 : 0} className="h-2" />
+                <p className="text-xs text-muted-foreground font-mono">
+                  {progress.total > 0 ? `${progress.done} of ${progress.total} runs • ${progress.current}` : 'Generating corpora…'}
+                </p>
+              </div>
+            )}
+            {error && <p className="text-sm text-destructive">{error}</p>}
+          </CardContent>
+        </Card>
+
+        {results.length > 0 && (
+          <Card className="bg-gradient-surface border-tech-border">
+            <CardHeader className="flex flex-row items-center justify-between">
+              <CardTitle>Results</CardTitle>
+              <div className="flex gap-2">
+                <Button variant="outline" size="sm" onClick={() => handleExport('json')} className="border-tech-border">
+                  <Download className="h-4 w-4 mr-2" />
+                  JSON
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => handleExport('csv')} className="border-tech-border">
+                  <Download className="h-4 w-4 mr-2" />
+                  CSV
+                </Button>
+              </div>
+            </CardHeader>
+            <CardContent className="space-y-8">
+              <div className="grid gap-6 lg:grid-cols-3">
+                <ResultChart results={results} field="bitsPerByte" label="Bits per byte (lower is better)" />
+                <ResultChart results={results} field="compressMBps" label="Compression speed (MB/s)" />
+                <ResultChart results={results} field="decompressMBps" label="Decompression speed (MB/s)" />
+              </div>
+
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Corpus</TableHead>
+                    <TableHead>Method</TableHead>
+                    <TableHead className="text-right">Size</TableHead>
+                    <TableHead className="text-right">Ratio</TableHead>
+                    <TableHead className="text-right">Compress MB/s</TableHead>
+                    <TableHead className="text-right">Decompress MB/s</TableHead>
+                    <TableHead className="text-right">Heap growth</TableHead>
+                    <TableHead>Roundtrip</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {results.map((result, i) => (
+                    <TableRow key={i}>
+                      <TableCell className="font-mono">{result.corpus}</TableCell>
+                      <TableCell className="font-mono">{result.method}</TableCell>
+                      <TableCell className="text-right font-mono">{result.compressedSize.toLocaleString()}</TableCell>
+                      <TableCell className="text-right font-mono">{(result.ratio * 100).toFixed(1)}%</TableCell>
+                      <TableCell className="text-right font-mono">{formatNumber(result.compressMBps)}</TableCell>
+                      <TableCell className="text-right font-mono">{formatNumber(result.decompressMBps)}</TableCell>
+                      <TableCell className="text-right font-mono">
+                        {result.memoryBytes === null ? '—' : `${(result.memoryBytes / (1024 * 1024)).toFixed(1)} MB`}
+                      </TableCell>
+                      <TableCell>
+                        <Badge variant={result.verified ? 'secondary' : 'destructive'}>
+                          {result.verified ? 'OK' : 'Mismatch'}
+                        </Badge>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </CardContent>
+          </Card>
+        )}
+      </main>
+    </div>
+  );
+}
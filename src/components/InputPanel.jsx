@@ -4,12 +4,41 @@ import { Button } from '@/components/ui/button';
 import { Textarea } from '@/components/ui/textarea';
 import { Input } from '@/components/ui/input';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
-import { Upload, FileText, Type, Image } from 'lucide-react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Switch } from '@/components/ui/switch';
+import { Upload, FileText, Type, Image, FolderOpen } from 'lucide-react';
+import { MIN_BLOCK_SIZE, MAX_BLOCK_SIZE, AUTO_PIPELINE } from '../algorithms/pipeline.js';
+import { MTF_VARIANTS } from '../algorithms/mtf.js';
+import { DEFAULT_ARCHIVE_MODE } from '../algorithms/archive.js';
 
-export function InputPanel({ onInputChange, isProcessing }) {
+// bzip2-style block sizes: 100 KB, 200 KB, ... 900 KB
+const BLOCK_SIZE_OPTIONS = [];
+for (let size = MIN_BLOCK_SIZE; size <= MAX_BLOCK_SIZE; size += MIN_BLOCK_SIZE) {
+  BLOCK_SIZE_OPTIONS.push(size);
+}
+
+// Extra primary indices per block; each one lets decoding split the inverse BWT once more
+const BWT_CHECKPOINT_OPTIONS = [0, 4, 8, 16];
+
+const MTF_VARIANT_LABELS = {
+  mtf: 'Classic MTF',
+  'mtf-1': 'MTF-1',
+  'mtf-2': 'MTF-2',
+  sticky: 'Sticky MTF',
+  wfc: 'Weighted Frequency Count',
+  dc: 'Distance Coding'
+};
+
+export function InputPanel({ onInputChange, isProcessing, options, onOptionsChange }) {
   const [textInput, setTextInput] = useState('');
   const [activeTab, setActiveTab] = useState('text');
 
+  const isAuto = options.pipeline === AUTO_PIPELINE;
+
+  const updateOption = (key, value) => {
+    onOptionsChange({ ...options, [key]: value });
+  };
+
   const handleFileUpload = useCallback((event) => {
     const file = event.target.files?.[0];
     if (!file) return;
@@ -18,6 +47,14 @@ export function InputPanel({ onInputChange, isProcessing }) {
     event.target.value = ''; // Reset file input
   }, [onInputChange]);
 
+  const handleFilesUpload = useCallback((event) => {
+    const files = Array.from(event.target.files || []);
+    if (files.length === 0) return;
+
+    onInputChange(files, 'archive');
+    event.target.value = ''; // Reset file input
+  }, [onInputChange]);
+
   const handleTextSubmit = useCallback(() => {
     if (textInput.trim()) {
       onInputChange(textInput, 'text');
@@ -45,7 +82,7 @@ Lorem ipsum dolor sit amet, consectetur adipiscing elit.`;
       </CardHeader>
       <CardContent>
         <Tabs value={activeTab} onValueChange={setActiveTab} className="w-full">
-          <TabsList className="grid w-full grid-cols-3 bg-tech-surface">
+          <TabsList className="grid w-full grid-cols-4 bg-tech-surface">
             <TabsTrigger value="text" className="data-[state=active]:bg-primary data-[state=active]:text-primary-foreground">
               <Type className="h-4 w-4 mr-2" />
               Text
@@ -58,6 +95,10 @@ Lorem ipsum dolor sit amet, consectetur adipiscing elit.`;
               <Image className="h-4 w-4 mr-2" />
               Image
             </TabsTrigger>
+            <TabsTrigger value="archive" className="data-[state=active]:bg-primary data-[state=active]:text-primary-foreground">
+              <FolderOpen className="h-4 w-4 mr-2" />
+              Files
+            </TabsTrigger>
           </TabsList>
 
           <TabsContent value="text" className="space-y-4">
@@ -138,8 +179,267 @@ Try pasting repetitive text for better compression ratios!"
               </p>
             </div>
           </TabsContent>
+
+          <TabsContent value="archive" className="space-y-4">
+            <div className="border-2 border-dashed border-tech-border rounded-lg p-8 text-center hover:border-primary/50 transition-colors">
+              <FolderOpen className="h-12 w-12 mx-auto mb-4 text-muted-foreground" />
+              <Input
+                type="file"
+                multiple
+                onChange={handleFilesUpload}
+                className="hidden"
+                id="files-upload"
+                disabled={isProcessing}
+              />
+              <Input
+                type="file"
+                webkitdirectory=""
+                onChange={handleFilesUpload}
+                className="hidden"
+                id="folder-upload"
+                disabled={isProcessing}
+              />
+              <div className="text-sm text-muted-foreground mb-2">
+                Pack several files or a whole folder into one archive
+              </div>
+              <div className="flex justify-center gap-2">
+                <label htmlFor="files-upload" className="cursor-pointer">
+                  <Button variant="outline" disabled={isProcessing} className="border-tech-border">
+                    Choose Files
+                  </Button>
+                </label>
+                <label htmlFor="folder-upload" className="cursor-pointer">
+                  <Button variant="outline" disabled={isProcessing} className="border-tech-border">
+                    Choose Folder
+                  </Button>
+                </label>
+              </div>
+            </div>
+            {onOptionsChange && (
+              <>
+                <div className="flex items-center justify-between gap-4">
+                  <label className="text-sm font-medium">Archive Mode:</label>
+                  <Select
+                    value={options.archiveMode || DEFAULT_ARCHIVE_MODE}
+                    onValueChange={(value) => updateOption('archiveMode', value)}
+                    disabled={isProcessing}
+                  >
+                    <SelectTrigger className="w-40 bg-tech-surface border-tech-border">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="separate">Separate files</SelectItem>
+                      <SelectItem value="solid">Solid</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  {(options.archiveMode || DEFAULT_ARCHIVE_MODE) === 'solid'
+                    ? 'Files are compressed as one stream: better for many small files.'
+                    : 'Each file starts its own blocks, so one file extracts without decoding the others.'}
+                </p>
+              </>
+            )}
+          </TabsContent>
         </Tabs>
 
+        {onOptionsChange && (
+          <div className="mt-4 space-y-3">
+            <div className="flex items-center justify-between gap-4">
+              <label className="text-sm font-medium">Block Size:</label>
+              <Select
+                value={String(options.blockSize)}
+                onValueChange={(value) => updateOption('blockSize', Number(value))}
+                disabled={isProcessing}
+              >
+                <SelectTrigger className="w-40 bg-tech-surface border-tech-border">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {BLOCK_SIZE_OPTIONS.map((size) => (
+                    <SelectItem key={size} value={String(size)}>
+                      {size / 1024} KB
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex items-center justify-between gap-4">
+              <label className="text-sm font-medium">BWT Variant:</label>
+              <Select
+                value={options.bwtVariant}
+                onValueChange={(value) => onOptionsChange({
+                  ...options,
+                  bwtVariant: value,
+                  // The search index and checkpoints need the classic BWT's primary index
+                  fmIndex: value === 'bwt' && options.fmIndex,
+                  bwtCheckpoints: value === 'bwt' ? options.bwtCheckpoints : 0
+                })}
+                disabled={isProcessing}
+              >
+                <SelectTrigger className="w-40 bg-tech-surface border-tech-border">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="bwt">Classic BWT</SelectItem>
+                  <SelectItem value="bwts">Bijective (BWTS)</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex items-center justify-between gap-4">
+              <label className="text-sm font-medium">Decode Checkpoints:</label>
+              <Select
+                value={String(options.bwtCheckpoints || 0)}
+                onValueChange={(value) => updateOption('bwtCheckpoints', Number(value))}
+                disabled={isProcessing || options.bwtVariant !== 'bwt'}
+              >
+                <SelectTrigger className="w-40 bg-tech-surface border-tech-border">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {BWT_CHECKPOINT_OPTIONS.map((count) => (
+                    <SelectItem key={count} value={String(count)}>
+                      {count === 0 ? 'None' : `${count} per block`}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex items-center justify-between gap-4">
+              <label className="text-sm font-medium">MTF Variant:</label>
+              <Select
+                value={options.mtfVariant}
+                onValueChange={(value) => updateOption('mtfVariant', value)}
+                disabled={isProcessing}
+              >
+                <SelectTrigger className="w-40 bg-tech-surface border-tech-border">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {MTF_VARIANTS.map((variant) => (
+                    <SelectItem key={variant} value={variant}>
+                      {MTF_VARIANT_LABELS[variant]}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex items-center justify-between gap-4">
+              <label className="text-sm font-medium">Run Encoding:</label>
+              <Select
+                value={options.runStage}
+                onValueChange={(value) => updateOption('runStage', value)}
+                disabled={isProcessing}
+              >
+                <SelectTrigger className="w-40 bg-tech-surface border-tech-border">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="rle">Escape RLE</SelectItem>
+                  <SelectItem value="zrle">Zero runs (RUNA/RUNB)</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex items-center justify-between gap-4">
+              <label className="text-sm font-medium">Entropy Coder:</label>
+              <Select
+                value={options.entropyCoder === 'range' ? `range-${options.rangeCoderOrder ?? 0}` : options.entropyCoder}
+                onValueChange={(value) => {
+                  const [entropyCoder, order] = value.split('-');
+                  onOptionsChange({ ...options, entropyCoder, rangeCoderOrder: Number(order || 0) });
+                }}
+                disabled={isProcessing}
+              >
+                <SelectTrigger className="w-40 bg-tech-surface border-tech-border">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="none">None</SelectItem>
+                  <SelectItem value="huffman">Huffman</SelectItem>
+                  <SelectItem value="range-0">Range coder (order 0)</SelectItem>
+                  <SelectItem value="range-1">Range coder (order 1)</SelectItem>
+                  <SelectItem value="rans">rANS (4 states)</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex items-center justify-between gap-4">
+              <label htmlFor="auto-pipeline-switch" className="text-sm font-medium">
+                Auto-select Pipeline:
+              </label>
+              <Switch
+                id="auto-pipeline-switch"
+                checked={isAuto}
+                onCheckedChange={(checked) => onOptionsChange({
+                  ...options,
+                  pipeline: checked ? AUTO_PIPELINE : undefined,
+                  fmIndex: checked ? false : options.fmIndex
+                })}
+                disabled={isProcessing}
+              />
+            </div>
+            <div className="flex items-center justify-between gap-4">
+              <label htmlFor="pipeline-spec" className="text-sm font-medium">Custom Pipeline:</label>
+              <Input
+                id="pipeline-spec"
+                value={isAuto ? '' : options.pipeline || ''}
+                onChange={(e) => updateOption('pipeline', e.target.value.trim() ? e.target.value : undefined)}
+                placeholder="e.g. rle,bwt,mtf,rle"
+                className="w-40 bg-tech-surface border-tech-border font-mono text-xs"
+                disabled={isProcessing || isAuto}
+              />
+            </div>
+            {options.pipeline && (
+              <p className="text-xs text-muted-foreground">
+                {isAuto
+                  ? 'Each block is trial-compressed with several pipelines (and stored as-is) on a sample; the smallest wins.'
+                  : 'Stages run in the order given; run encoding and entropy coder selections are ignored.'}
+              </p>
+            )}
+            <div className="flex items-center justify-between gap-4">
+              <label htmlFor="fm-index-switch" className="text-sm font-medium">
+                Build Search Index:
+              </label>
+              <Switch
+                id="fm-index-switch"
+                checked={Boolean(options.fmIndex)}
+                onCheckedChange={(checked) => updateOption('fmIndex', checked)}
+                disabled={isProcessing || isAuto || options.bwtVariant !== 'bwt'}
+              />
+            </div>
+            <div className="flex items-center justify-between gap-4">
+              <label htmlFor="password-input" className="text-sm font-medium">Password:</label>
+              <Input
+                id="password-input"
+                type="password"
+                autoComplete="new-password"
+                value={options.password || ''}
+                onChange={(e) => updateOption('password', e.target.value)}
+                placeholder="none (not encrypted)"
+                className="w-40 bg-tech-surface border-tech-border text-xs"
+                disabled={isProcessing}
+              />
+            </div>
+            <div className="flex items-center justify-between gap-4">
+              <label htmlFor="encrypt-metadata-switch" className="text-sm font-medium">
+                Encrypt File Names:
+              </label>
+              <Switch
+                id="encrypt-metadata-switch"
+                checked={Boolean(options.encryptMetadata)}
+                onCheckedChange={(checked) => updateOption('encryptMetadata', checked)}
+                disabled={isProcessing || !options.password}
+              />
+            </div>
+            {options.password && (
+              <p className="text-xs text-muted-foreground">
+                {options.encryptMetadata
+                  ? 'Blocks, search index and metadata (file names, MIME types, stages) are encrypted with AES-256-GCM.'
+                  : 'Blocks and search index are encrypted with AES-256-GCM; file names and stages stay readable.'}
+              </p>
+            )}
+          </div>
+        )}
+
         <div className="mt-4 p-3 bg-tech-surface rounded-lg border border-tech-border">
           <h4 className="text-sm font-medium mb-2">Binary-Safe Processing</h4>
           <p className="text-xs text-muted-foreground">
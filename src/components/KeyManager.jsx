@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { KeyRound, Plus, Upload, Download, Trash2, PenLine } from 'lucide-react';
+import { SIGNATURE_ALGORITHMS, DEFAULT_SIGNATURE_ALGORITHM, generateKeyPair, importJwk } from '../algorithms/signature.js';
+import { saveKey, getKeyJwk, deleteKey } from '../utils/keyring.js';
+import { readFileAsBytes, bytesToText, textToBytes, downloadBytes } from '../utils/io.js';
+
+/**
+ * Key pair manager: generate, import and export signing keys as JWK, and pick the one to sign with
+ */
+export function KeyManager({ keys, signingKeyId, onSigningKeyChange, onKeysChange, isProcessing }) {
+  const [name, setName] = useState('');
+  const [algorithm, setAlgorithm] = useState(DEFAULT_SIGNATURE_ALGORITHM);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const handleGenerate = async () => {
+    setIsBusy(true);
+    try {
+      const keyPair = await generateKeyPair(algorithm);
+      await saveKey(keyPair, name.trim() || `${algorithm} key`);
+      setName('');
+      onKeysChange();
+    } catch (error) {
+      console.error('Key generation failed:', error);
+      alert('Key generation failed: ' + error.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = ''; // Reset file input
+    if (!file) return;
+
+    setIsBusy(true);
+    try {
+      const keyPair = await importJwk(JSON.parse(bytesToText(await readFileAsBytes(file))));
+      await saveKey(keyPair, name.trim() || file.name.replace(/\.(jwk|json)$/i, ''));
+      setName('');
+      onKeysChange();
+    } catch (error) {
+      console.error('Key import failed:', error);
+      alert('Key import failed: ' + error.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleExport = (key, includePrivate) => {
+    if (includePrivate && !window.confirm('The private key lets anyone sign as you. Export it anyway?')) {
+      return;
+    }
+    try {
+      const jwk = getKeyJwk(key.keyId, { includePrivate });
+      const suffix = includePrivate ? 'private' : 'public';
+      downloadBytes(textToBytes(JSON.stringify(jwk, null, 2)), `${key.name}.${suffix}.jwk`, 'application/json');
+    } catch (error) {
+      console.error('Key export failed:', error);
+      alert('Key export failed: ' + error.message);
+    }
+  };
+
+  const handleDelete = (key) => {
+    if (window.confirm(`Delete key "${key.name}"? Files it signed can no longer be verified here.`)) {
+      deleteKey(key.keyId);
+      if (key.keyId === signingKeyId) {
+        onSigningKeyChange(null);
+      }
+      onKeysChange();
+    }
+  };
+
+  const disabled = isProcessing || isBusy;
+
+  return (
+    <Card className="bg-gradient-surface border-tech-border shadow-card">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 gradient-text">
+          <KeyRound className="h-5 w-5" />
+          Signing Keys
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <Input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Key name"
+            className="w-40 bg-tech-surface border-tech-border text-xs"
+            disabled={disabled}
+          />
+          <Select value={algorithm} onValueChange={setAlgorithm} disabled={disabled}>
+            <SelectTrigger className="w-36 bg-tech-surface border-tech-border">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {SIGNATURE_ALGORITHMS.map((option) => (
+                <SelectItem key={option} value={option}>{option}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button variant="outline" size="sm" onClick={handleGenerate} disabled={disabled} className="border-tech-border">
+            <Plus className="h-4 w-4 mr-1" />
+            Generate
+          </Button>
+          <input
+            type="file"
+            accept=".jwk,.json"
+            onChange={handleImport}
+            className="hidden"
+            id="key-import"
+            disabled={disabled}
+          />
+          <label htmlFor="key-import">
+            <Button variant="outline" size="sm" disabled={disabled} className="border-tech-border" asChild>
+              <span>
+                <Upload className="h-4 w-4 mr-1" />
+                Import JWK
+              </span>
+            </Button>
+          </label>
+        </div>
+
+        {keys.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            No keys yet. Generate a key pair to sign files, or import someone's public key to verify theirs.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {keys.map((key) => (
+              <div
+                key={key.keyId}
+                className="bg-tech-surface rounded-lg p-3 border border-tech-border flex items-center gap-3"
+              >
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium truncate">{key.name}</span>
+                    <Badge variant="secondary" className="text-xs">{key.algorithm}</Badge>
+                    <Badge variant="outline" className="text-xs">
+                      {key.hasPrivateKey ? 'key pair' : 'public only'}
+                    </Badge>
+                  </div>
+                  <div className="text-xs text-muted-foreground font-mono mt-1">ID {key.keyId}</div>
+                </div>
+                {key.hasPrivateKey && (
+                  <Button
+                    variant={key.keyId === signingKeyId ? 'default' : 'outline'}
+                    size="sm"
+                    onClick={() => onSigningKeyChange(key.keyId === signingKeyId ? null : key.keyId)}
+                    disabled={disabled}
+                    className="border-tech-border"
+                    title="Sign new files with this key"
+                  >
+                    <PenLine className="h-4 w-4 mr-1" />
+                    {key.keyId === signingKeyId ? 'Signing' : 'Sign with'}
+                  </Button>
+                )}
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleExport(key, false)}
+                  className="border-tech-border"
+                  title="Export public key (JWK)"
+                >
+                  <Download className="h-4 w-4 mr-1" />
+                  Public
+                </Button>
+                {key.hasPrivateKey && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleExport(key, true)}
+                    className="border-tech-border"
+                    title="Export private key (JWK)"
+                  >
+                    <Download className="h-4 w-4 mr-1" />
+                    Private
+                  </Button>
+                )}
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleDelete(key)}
+                  disabled={disabled}
+                  className="border-tech-border hover:bg-destructive hover:text-destructive-foreground"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Lock } from 'lucide-react';
+
+/**
+ * Masked password prompt for opening an encrypted file
+ */
+export function PasswordDialog({ open, onSubmit, onCancel }) {
+  const [password, setPassword] = useState('');
+
+  const close = (value) => {
+    setPassword('');
+    if (value) {
+      onSubmit(value);
+    } else {
+      onCancel();
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    close(password);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && close('')}>
+      <DialogContent className="bg-gradient-surface border-tech-border sm:max-w-md">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle className="flex items-center gap-2 gradient-text">
+              <Lock className="h-5 w-5" />
+              Encrypted File
+            </DialogTitle>
+            <DialogDescription>This file is encrypted. Enter its password to open it.</DialogDescription>
+          </DialogHeader>
+          <Input
+            type="password"
+            autoComplete="current-password"
+            autoFocus
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            className="bg-tech-surface border-tech-border"
+          />
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => close('')} className="border-tech-border">
+              Cancel
+            </Button>
+            <Button type="submit" disabled={!password}>
+              Open
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -3,19 +3,69 @@ import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Textarea } from '@/components/ui/textarea';
+import { Input } from '@/components/ui/input';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
-import { Download, ArrowLeft, BarChart3, Zap, Clock, FileArchive, Eye, Save } from 'lucide-react';
+import { Progress } from '@/components/ui/progress';
+import { Download, ArrowLeft, BarChart3, Zap, Clock, FileArchive, Eye, Save, Search, X, FolderTree, Lock, ShieldCheck, ShieldAlert, ShieldQuestion } from 'lucide-react';
+import { ArchiveTree } from './ArchiveTree.jsx';
+
+// Auto mode lists the choice for at most this many blocks
+const MAX_LISTED_BLOCKS = 8;
+
+/**
+ * Progress of a running compression or decompression, with a Cancel button
+ */
+function TaskProgress({ progress, isProcessing, onCancel }) {
+  if (!isProcessing) return null;
+
+  const percent = progress?.totalBytes > 0 ? (progress.bytesDone / progress.totalBytes) * 100 : 0;
+  const action = progress?.phase === 'decompress' ? 'Decompressing' : 'Compressing';
+
+  return (
+    <div className="bg-tech-surface rounded-lg p-3 border border-tech-border space-y-2">
+      <div className="flex items-center justify-between gap-2 text-sm">
+        <span>
+          {progress ? (
+            <>
+              {action} block {progress.blockIndex + 1} of {progress.blockCount}
+              <span className="text-muted-foreground"> • stage </span>
+              <span className="font-mono">{progress.stage}</span>
+            </>
+          ) : 'Starting…'}
+        </span>
+        {onCancel && (
+          <Button variant="outline" size="sm" onClick={onCancel} className="border-tech-border hover:bg-tech-surface">
+            <X className="h-4 w-4 mr-2" />
+            Cancel
+          </Button>
+        )}
+      </div>
+      <Progress value={percent} className="h-2" />
+      <div className="flex justify-between text-xs text-muted-foreground font-mono">
+        <span>{percent.toFixed(0)}%</span>
+        {typeof progress?.etaMs === 'number' && <span>~{(progress.etaMs / 1000).toFixed(1)} s left</span>}
+      </div>
+    </div>
+  );
+}
 
 export function ResultPanel({ 
   result, 
   decompressedResult, 
   onDownload, 
   onDecompress, 
+  onSearch,
+  onExtractEntry,
   onReset,
   onSave,
+  onCancel,
+  progress,
   isProcessing 
 }) {
   const [previewUrl, setPreviewUrl] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResult, setSearchResult] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
 
   React.useEffect(() => {
     // Clean up preview URL on unmount
@@ -26,6 +76,11 @@ export function ResultPanel({
     };
   }, [previewUrl]);
 
+  React.useEffect(() => {
+    // Search results belong to the file they were run against
+    setSearchResult(null);
+  }, [result]);
+
   if (!result) {
     return (
       <Card className="bg-gradient-surface border-tech-border shadow-card">
@@ -36,6 +91,7 @@ export function ResultPanel({
           </CardTitle>
         </CardHeader>
         <CardContent>
+          <TaskProgress progress={progress} isProcessing={isProcessing} onCancel={onCancel} />
           <div className="text-center py-12 text-muted-foreground">
             <FileArchive className="h-16 w-16 mx-auto mb-4 opacity-50" />
             <p>Compression results will appear here</p>
@@ -62,6 +118,35 @@ export function ResultPanel({
 
   const compressionPercent = ((1 - result.compressionRatio) * 100).toFixed(1);
   const isCompressionEffective = result.compressionRatio < 1;
+  const storedBlocks = result.blocks?.filter((block) => block.stored).length || 0;
+  const isStoredOnly = storedBlocks > 0 && storedBlocks === result.blocks.length;
+
+  // Uploaded archives show their contents once decompressed
+  const archive = result.archive || decompressedResult?.meta?.archive;
+  // Likewise, uploaded files show their encryption once opened with the password
+  const encryption = result.encryption || decompressedResult?.encryption;
+  // null for an unsigned file, undefined while unknown (e.g. a malformed upload)
+  const signature = decompressedResult?.signature !== undefined ? decompressedResult.signature : result.signature;
+  const recoveredBytes = decompressedResult?.entries
+    ? decompressedResult.entries.reduce((sum, entry) => sum + entry.size, 0)
+    : decompressedResult?.fileBytes?.length || 0;
+
+  // Uploaded files carry no metadata until parsed, so offer search and let it report a missing index
+  const canSearch = onSearch && (Boolean(result.fmIndex) || !result.pipeline);
+
+  const handleSearch = async () => {
+    if (!searchQuery) return;
+    
+    setIsSearching(true);
+    try {
+      const { count, offsets } = await onSearch(searchQuery);
+      setSearchResult({ success: true, pattern: searchQuery, count, offsets });
+    } catch (error) {
+      setSearchResult({ success: false, error: error.message });
+    } finally {
+      setIsSearching(false);
+    }
+  };
 
   const handlePreview = () => {
     if (decompressedResult && decompressedResult.fileBytes) {
@@ -122,6 +207,8 @@ export function ResultPanel({
         </CardTitle>
       </CardHeader>
       <CardContent className="space-y-6">
+        <TaskProgress progress={progress} isProcessing={isProcessing} onCancel={onCancel} />
+
         {/* File Info */}
         <div className="bg-tech-surface rounded-lg p-3 border border-tech-border">
           <div className="grid grid-cols-2 gap-4 text-sm">
@@ -138,6 +225,35 @@ export function ResultPanel({
               <Badge variant="secondary" className="ml-2">
                 {result.encoding || 'binary'}
               </Badge>
+              {encryption && (
+                <Badge variant="outline" className="ml-2">
+                  <Lock className="h-3 w-3 mr-1" />
+                  Encrypted
+                </Badge>
+              )}
+            </div>
+            <div>
+              <span className="text-muted-foreground">Signature:</span>
+              {signature === undefined ? (
+                <span className="ml-2 text-xs text-muted-foreground">not checked</span>
+              ) : signature === null ? (
+                <Badge variant="secondary" className="ml-2">Unsigned</Badge>
+              ) : signature.status === 'valid' ? (
+                <Badge variant="default" className="ml-2 bg-green-500" title={`${signature.algorithm}, key ${signature.keyId}`}>
+                  <ShieldCheck className="h-3 w-3 mr-1" />
+                  Signed by {signature.signer || signature.keyId}
+                </Badge>
+              ) : signature.status === 'invalid' ? (
+                <Badge variant="destructive" className="ml-2" title={`Claims key ${signature.signer || signature.keyId}`}>
+                  <ShieldAlert className="h-3 w-3 mr-1" />
+                  Signature invalid
+                </Badge>
+              ) : (
+                <Badge variant="outline" className="ml-2" title="Import the signer's public key to verify it">
+                  <ShieldQuestion className="h-3 w-3 mr-1" />
+                  Signed by unknown key {signature.keyId}
+                </Badge>
+              )}
             </div>
             <div>
               <span className="text-muted-foreground">Pipeline:</span>
@@ -164,8 +280,8 @@ export function ResultPanel({
               <span className="text-lg font-mono">
                 {isCompressionEffective ? `-${compressionPercent}%` : `+${Math.abs(parseFloat(compressionPercent)).toFixed(1)}%`}
               </span>
-              <Badge variant={isCompressionEffective ? "default" : "destructive"} className="text-xs">
-                {isCompressionEffective ? "Effective" : "Expanded"}
+              <Badge variant={isCompressionEffective ? "default" : isStoredOnly ? "secondary" : "destructive"} className="text-xs">
+                {isCompressionEffective ? "Effective" : isStoredOnly ? "Stored" : "Expanded"}
               </Badge>
             </div>
           </div>
@@ -178,6 +294,24 @@ export function ResultPanel({
           </div>
         </div>
 
+        {/* Archive Contents */}
+        {archive && (
+          <div className="space-y-2">
+            <h4 className="font-medium flex items-center gap-2">
+              <FolderTree className="h-4 w-4" />
+              Archive Contents
+              <Badge variant="secondary">{archive.entries.length} files</Badge>
+              <Badge variant="outline">{archive.mode === 'solid' ? 'Solid' : 'Separate files'}</Badge>
+            </h4>
+            <ArchiveTree
+              entries={archive.entries}
+              onExtract={onExtractEntry}
+              disabled={isProcessing}
+              formatBytes={formatBytes}
+            />
+          </div>
+        )}
+
         {/* Actions */}
         <div className="flex gap-3 flex-wrap">
           <Button 
@@ -196,7 +330,7 @@ export function ResultPanel({
             <Zap className="h-4 w-4 mr-2" />
             Test Decompress
           </Button>
-          {decompressedResult && decompressedResult.success && (
+          {decompressedResult && decompressedResult.success && !decompressedResult.entries && (
             <Button 
               variant="outline" 
               onClick={handlePreview}
@@ -219,15 +353,30 @@ export function ResultPanel({
               <div className="space-y-2">
                 <div className="flex items-center gap-2 mb-3">
                   <Badge variant="default" className="bg-green-500">✓ Success</Badge>
+                  {decompressedResult.integrityVerified ? (
+                    <Badge variant="secondary">Integrity verified (CRC-32)</Badge>
+                  ) : (
+                    <span className="text-sm text-muted-foreground">No checksums stored</span>
+                  )}
+                  {decompressedResult.encryption && (
+                    <Badge variant="secondary">Decrypted and authenticated (AES-GCM)</Badge>
+                  )}
                   <span className="text-sm text-muted-foreground">
                     Processed in {formatTime(decompressedResult.processingTime)}
                   </span>
                   <span className="text-sm text-muted-foreground">
-                    • {formatBytes(decompressedResult.fileBytes?.length || 0)} bytes recovered
+                    • {formatBytes(recoveredBytes)} bytes recovered
                   </span>
                 </div>
                 
-                {decompressedResult.text ? (
+                {decompressedResult.entries ? (
+                  <div className="bg-tech-surface rounded-lg p-4 border border-tech-border">
+                    <p className="text-sm text-muted-foreground">
+                      {decompressedResult.entries.length} files decompressed and checked against their CRC-32.
+                      Download any of them from the archive contents above.
+                    </p>
+                  </div>
+                ) : decompressedResult.text ? (
                   <div className="space-y-2">
                     <label className="text-sm font-medium">Decompressed Text:</label>
                     <Textarea 
@@ -258,6 +407,16 @@ export function ResultPanel({
             ) : (
               <div className="space-y-2">
                 <Badge variant="destructive">✗ Failed</Badge>
+                {decompressedResult.integrityFailed && (
+                  <Badge variant="outline" className="ml-2 border-destructive text-destructive">
+                    Integrity check failed
+                  </Badge>
+                )}
+                {decompressedResult.authenticationFailed && (
+                  <Badge variant="outline" className="ml-2 border-destructive text-destructive">
+                    Authentication failed
+                  </Badge>
+                )}
                 <p className="text-sm text-destructive">
                   {decompressedResult.error || 'Unknown error occurred during decompression'}
                 </p>
@@ -266,14 +425,113 @@ export function ResultPanel({
           </div>
         )}
 
+        {/* Search Inside Compressed File */}
+        {canSearch && (
+          <div className="border-t border-tech-border pt-4 space-y-3">
+            <h4 className="font-medium flex items-center gap-2">
+              <Search className="h-4 w-4" />
+              Search inside compressed file
+            </h4>
+            <div className="flex gap-2">
+              <Input
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                placeholder="Pattern to find..."
+                className="font-mono bg-tech-surface border-tech-border"
+              />
+              <Button
+                variant="outline"
+                onClick={handleSearch}
+                disabled={!searchQuery || isSearching || isProcessing}
+                className="border-tech-border hover:bg-tech-surface"
+              >
+                Search
+              </Button>
+            </div>
+            {searchResult && (searchResult.success ? (
+              <div className="text-sm space-y-1">
+                <p>
+                  <Badge variant="secondary">{searchResult.count} matches</Badge>
+                  <span className="ml-2 text-muted-foreground">
+                    for <span className="font-mono">"{searchResult.pattern}"</span> (BWT not inverted)
+                  </span>
+                </p>
+                {searchResult.offsets.length > 0 && (
+                  <p className="text-xs text-muted-foreground font-mono break-all">
+                    Offsets: {searchResult.offsets.join(', ')}
+                    {searchResult.count > searchResult.offsets.length && ' …'}
+                  </p>
+                )}
+              </div>
+            ) : (
+              <p className="text-sm text-destructive">{searchResult.error}</p>
+            ))}
+          </div>
+        )}
+
         {/* Technical Details */}
         <div className="border-t border-tech-border pt-4">
           <h4 className="font-medium mb-2">Technical Details</h4>
           <div className="text-xs text-muted-foreground space-y-1">
             <p>• Binary-safe BWT with suffix array implementation</p>
-            <p>• Primary index: {result.primaryIndex}</p>
+            {result.blocks?.length > 1 && (
+              <p>• Blocks: {result.blocks.length} × {formatBytes(result.blockSize)}</p>
+            )}
+            {result.blocks?.length > 0 && (
+              <p>
+                • {result.blocks.length - storedBlocks} compressed, {storedBlocks} stored unchanged
+                {storedBlocks > 0 && ' (compression did not pay off)'}
+              </p>
+            )}
+            {result.auto ? (
+              <div className="space-y-1">
+                <p>• Auto selection from {formatBytes(result.auto.sampleSize)} samples per block:</p>
+                {result.blocks?.slice(0, MAX_LISTED_BLOCKS).map((block, i) => (
+                  <p key={i} className="pl-3">
+                    Block {i + 1}: <span className="font-mono">{block.selection?.choice}</span> — {block.selection?.reason}
+                  </p>
+                ))}
+                {result.blocks?.length > MAX_LISTED_BLOCKS && (
+                  <p className="pl-3">… and {result.blocks.length - MAX_LISTED_BLOCKS} more blocks</p>
+                )}
+              </div>
+            ) : result.bwtVariant === 'bwts' ? (
+              <p>• Bijective BWT (BWTS): no primary index stored</p>
+            ) : result.bwtCheckpoints ? (
+              <p>• Primary index and {result.bwtCheckpoints} decode checkpoints stored per block</p>
+            ) : result.blocks?.length > 1 ? (
+              <p>• Primary index stored per block</p>
+            ) : (
+              <p>• Primary index: {result.primaryIndex}</p>
+            )}
+            {result.mtfVariant && result.mtfVariant !== 'mtf' && (
+              <p>
+                • MTF variant: {result.mtfVariant}
+                {Object.entries(result.mtfParams || {}).map(([key, value]) => ` (${key} ${value})`).join('')}
+              </p>
+            )}
+            {typeof result.rangeCoderOrder === 'number' && (
+              <p>• Range coder: adaptive order-{result.rangeCoderOrder} model</p>
+            )}
+            {typeof result.ransStates === 'number' && (
+              <p>• rANS: {result.ransStates} interleaved states</p>
+            )}
+            {result.originalSize > 0 && (
+              <p>• Output rate: {((result.compressedSize * 8) / result.originalSize).toFixed(3)} bits per input byte</p>
+            )}
             <p>• Algorithm version: {result.algorithm || 'BWT+MTF+RLE'} v{result.version || '1.0'}</p>
-            <p>• Serialization format: BWTJS1 with JSON metadata header</p>
+            <p>• Serialization format: BWTJS2 with binary block table and JSON extension</p>
+            {encryption && (
+              <p>
+                • Encryption: AES-256-GCM per block, key from PBKDF2-SHA-256
+                {encryption.iterations && ` (${encryption.iterations.toLocaleString()} iterations)`}
+                {encryption.metadataEncrypted ? '; metadata encrypted' : '; metadata readable'}
+              </p>
+            )}
+            {signature && (
+              <p>• Signature: {signature.algorithm} by key <span className="font-mono">{signature.keyId}</span></p>
+            )}
           </div>
         </div>
       </CardContent>
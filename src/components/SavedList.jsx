@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
-import { Archive, Download, Trash2, Clock, FileText } from 'lucide-react';
+import { Archive, Download, Trash2, Clock, FileText, Lock } from 'lucide-react';
 import { listSavedItems, loadFromLocalStorage, deleteSavedItem } from '../utils/io.js';
 
 export function SavedList({ onLoadSaved, isProcessing }) {
@@ -102,6 +102,12 @@ export function SavedList({ onLoadSaved, isProcessing }) {
                       <Badge variant="outline" className="text-xs">
                         {item.meta.mimeType?.split('/')[0] || 'file'}
                       </Badge>
+                      {item.meta.encryption && (
+                        <Badge variant="outline" className="text-xs">
+                          <Lock className="h-3 w-3 mr-1" />
+                          encrypted
+                        </Badge>
+                      )}
                     </div>
                   </div>
                   
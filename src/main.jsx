@@ -1,6 +1,15 @@
 import { createRoot } from 'react-dom/client';
+import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import App from './components/App.jsx';
+import { BenchmarkPage } from './components/BenchmarkPage.jsx';
 import './index.css';
 
 // Mount the React application
-createRoot(document.getElementById("root")).render(<App />);
\ No newline at end of file
+createRoot(document.getElementById("root")).render(
+  <BrowserRouter>
+    <Routes>
+      <Route path="/benchmark" element={<BenchmarkPage />} />
+      <Route path="*" element={<App />} />
+    </Routes>
+  </BrowserRouter>
+);
@@ -0,0 +1,169 @@
+// Unit tests for multi-file archives
+import {
+  compressArchive,
+  listArchive,
+  extractArchiveEntry,
+  extractArchive,
+  splitArchive,
+  buildArchiveTree
+} from '../algorithms/archive.js';
+import { decompressBytes, decompressBytesAsync, ChecksumError, FormatError, MIN_BLOCK_SIZE } from '../algorithms/pipeline.js';
+import { serializeCompressed, parseCompressedFile } from '../algorithms/serialization.js';
+
+/**
+ * CSV-like text of roughly the given length, varied by seed
+ */
+function textOfLength(length, seed) {
+  let text = '';
+  for (let i = 0; text.length < length; i++) {
+    text += `${seed},row-${i},${(i * 31 + seed) % 997}\n`;
+  }
+  return new TextEncoder().encode(text.slice(0, length));
+}
+
+/**
+ * Original offsets where each block starts
+ */
+function blockStarts(meta) {
+  const starts = [];
+  let offset = 0;
+  for (const block of meta.blocks) {
+    starts.push(offset);
+    offset += block.originalSize;
+  }
+  return starts;
+}
+
+describe('Archives', () => {
+  const files = [
+    { path: 'logs/app.log', bytes: textOfLength(150 * 1024, 1), mtime: 1700000000000, mimeType: 'text/plain' },
+    { path: 'README.md', bytes: textOfLength(3000, 2), mtime: 1700000001000, mimeType: 'text/markdown' },
+    { path: 'logs/empty.log', bytes: new Uint8Array(0) },
+    { path: 'data/deep/values.csv', bytes: textOfLength(120 * 1024, 3), mimeType: 'text/csv' }
+  ];
+  const options = { blockSize: MIN_BLOCK_SIZE, entropyCoder: 'huffman' };
+
+  test('lists entries with paths, sizes, mtime and MIME type', async () => {
+    const { meta } = await compressArchive(files, options);
+    const entries = listArchive(meta);
+
+    expect(meta.archive.mode).toBe('separate');
+    expect(entries.map((entry) => entry.path)).toEqual(files.map((file) => file.path));
+    expect(entries.map((entry) => entry.size)).toEqual(files.map((file) => file.bytes.length));
+    expect(entries[0]).toMatchObject({ offset: 0, mtime: 1700000000000, mimeType: 'text/plain' });
+    expect(entries[2].mimeType).toBe('application/octet-stream');
+    expect(entries[2].mtime).toBeUndefined();
+    expect(() => listArchive({ ...meta, archive: undefined })).toThrow(/not an archive/);
+  });
+
+  test('starts a new block for every entry in separate mode', async () => {
+    const { payload, meta } = await compressArchive(files, options);
+    const starts = blockStarts(meta);
+
+    listArchive(meta).filter((entry) => entry.size > 0).forEach((entry) => {
+      expect(starts).toContain(entry.offset);
+    });
+    expect(meta.blocks).toHaveLength(5);
+    // Still an ordinary compressed file of all entries
+    expect(decompressBytes(payload, meta)).toEqual(new Uint8Array(files.flatMap((file) => [...file.bytes])));
+  });
+
+  test('runs blocks across entries in solid mode', async () => {
+    const { payload, meta } = await compressArchive(files, { ...options, archiveMode: 'solid' });
+
+    expect(meta.archive.mode).toBe('solid');
+    expect(meta.blocks).toHaveLength(3);
+    const extracted = await extractArchive(payload, meta);
+    extracted.forEach((entry, i) => {
+      expect(entry.path).toBe(files[i].path);
+      expect(entry.bytes).toEqual(files[i].bytes);
+    });
+  });
+
+  test('extracts one entry by decoding only the blocks it overlaps', async () => {
+    for (const archiveMode of ['separate', 'solid']) {
+      const { payload, meta } = await compressArchive(files, { ...options, archiveMode });
+      const decoded = [];
+      const decompress = (blockPayload, blockMeta, decodeOptions) => {
+        decoded.push(blockMeta.blocks.length);
+        return decompressBytesAsync(blockPayload, blockMeta, decodeOptions);
+      };
+
+      for (const file of files) {
+        expect(await extractArchiveEntry(payload, meta, file.path, {}, decompress)).toEqual(file.bytes);
+      }
+      // The empty entry decodes nothing
+      expect(decoded).toHaveLength(3);
+      expect(decoded.every((count) => count < meta.blocks.length)).toBe(true);
+      await expect(extractArchiveEntry(payload, meta, 'missing.txt')).rejects.toThrow(/no entry missing.txt/);
+    }
+  });
+
+  test('survives serialization', async () => {
+    const { payload, meta, index } = await compressArchive(files, { ...options, archiveMode: 'solid' });
+    const blob = serializeCompressed({ ...meta, originalFilename: 'project' }, payload, index);
+    const parsed = await parseCompressedFile(blob);
+
+    expect(listArchive(parsed.meta)).toEqual(meta.archive.entries);
+    expect(await extractArchiveEntry(parsed.payloadUint8Array, parsed.meta, 'README.md')).toEqual(files[1].bytes);
+  });
+
+  test('reports progress across all entries', async () => {
+    const events = [];
+    await compressArchive(files, { ...options, onProgress: (event) => events.push(event) });
+    const total = files.reduce((sum, file) => sum + file.bytes.length, 0);
+
+    expect(events.length).toBeGreaterThan(0);
+    expect(events.every((event) => event.totalBytes === total && event.blockCount === 5)).toBe(true);
+    expect(events.every((event) => event.blockIndex < 5)).toBe(true);
+    expect(events[events.length - 1].bytesDone).toBeLessThanOrEqual(total);
+  });
+
+  test('refuses unsafe or conflicting paths', async () => {
+    const bytes = new Uint8Array([1, 2, 3]);
+    const invalid = [
+      [{ path: '../escape.txt', bytes }],
+      [{ path: '/etc/passwd', bytes }],
+      [{ path: 'a//b.txt', bytes }],
+      [{ path: 'C:/windows.txt', bytes }],
+      [{ path: 'a\\b.txt', bytes }],
+      [{ path: 'same.txt', bytes }, { path: 'same.txt', bytes }],
+      [{ path: 'dir', bytes }, { path: 'dir/file.txt', bytes }]
+    ];
+    for (const entries of invalid) {
+      await expect(compressArchive(entries)).rejects.toThrow(/Invalid archive entry/);
+    }
+    await expect(compressArchive([])).rejects.toThrow(/at least one file/);
+    await expect(compressArchive([{ path: 'a', bytes }], { archiveMode: 'zip' })).rejects.toThrow(/Unknown archive mode/);
+  });
+
+  test('rejects corrupt entry tables and contents', async () => {
+    const { payload, meta } = await compressArchive(files.slice(0, 2), options);
+    const [first, second] = meta.archive.entries;
+    const withEntries = (entries) => ({ ...meta, archive: { ...meta.archive, entries } });
+
+    expect(() => listArchive(withEntries([first, { ...second, offset: second.offset + 1 }]))).toThrow(FormatError);
+    expect(() => listArchive(withEntries([first]))).toThrow(/original size/);
+    expect(() => listArchive(withEntries([first, { ...second, path: '../x' }]))).toThrow(FormatError);
+
+    const bytes = decompressBytes(payload, meta);
+    expect(() => splitArchive(bytes, withEntries([first, { ...second, crc32: second.crc32 ^ 1 }]))).toThrow(ChecksumError);
+    expect(() => splitArchive(bytes.subarray(1), meta)).toThrow(FormatError);
+  });
+
+  test('builds a folder tree with folders first', () => {
+    const tree = buildArchiveTree([
+      { path: 'b.txt', size: 1 },
+      { path: 'src/z.js', size: 2 },
+      { path: 'src/lib/a.js', size: 3 },
+      { path: 'a.txt', size: 4 }
+    ]);
+
+    expect(tree.size).toBe(10);
+    expect(tree.children.map((node) => node.name)).toEqual(['src', 'a.txt', 'b.txt']);
+    const [src] = tree.children;
+    expect(src).toMatchObject({ path: 'src', size: 5 });
+    expect(src.children.map((node) => node.path)).toEqual(['src/lib', 'src/z.js']);
+    expect(src.children[0].children[0].entry).toEqual({ path: 'src/lib/a.js', size: 3 });
+  });
+});
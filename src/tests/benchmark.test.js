@@ -0,0 +1,79 @@
+// Unit tests for the benchmark harness
+import {
+  BENCHMARK_CORPORA,
+  generateCorpus,
+  runBenchmark,
+  platformCompress,
+  platformDecompress,
+  resultsToCSV,
+  resultsToJSON
+} from '../utils/benchmark.js';
+
+describe('Benchmark', () => {
+  test('generates every corpus deterministically at the requested size', () => {
+    Object.keys(BENCHMARK_CORPORA).forEach(id => {
+      const corpus = generateCorpus(id, 10000);
+      expect(corpus).toHaveLength(10000);
+      expect(generateCorpus(id, 10000)).toEqual(corpus);
+    });
+    expect(() => generateCorpus('video')).toThrow(/Unknown benchmark corpus/);
+  });
+
+  test('roundtrips the platform baselines', async () => {
+    const bytes = generateCorpus('logs', 20000);
+    for (const format of ['gzip', 'deflate']) {
+      const compressed = await platformCompress(bytes, format);
+      expect(compressed.length).toBeLessThan(bytes.length);
+      expect(await platformDecompress(compressed, format)).toEqual(bytes);
+    }
+  });
+
+  test('measures each pipeline and baseline on each corpus', async () => {
+    const corpora = [
+      { name: 'json', bytes: generateCorpus('json', 20000) },
+      { name: 'random', bytes: generateCorpus('random', 20000) }
+    ];
+    const seen = [];
+    const results = await runBenchmark({
+      corpora,
+      pipelines: ['bwt,mtf,zrle,huffman'],
+      onResult: (result, done, total) => seen.push([result.method, done, total])
+    });
+
+    expect(results.map(result => `${result.corpus}/${result.method}`)).toEqual([
+      'json/bwt,mtf,zrle,huffman', 'json/gzip', 'json/deflate',
+      'random/bwt,mtf,zrle,huffman', 'random/gzip', 'random/deflate'
+    ]);
+    expect(seen.at(-1)).toEqual(['deflate', 6, 6]);
+    results.forEach(result => {
+      expect(result.verified).toBe(true);
+      expect(result.ratio).toBeCloseTo(result.compressedSize / result.originalSize);
+      expect(result.compressMs).toBeGreaterThanOrEqual(0);
+    });
+    expect(results[0].ratio).toBeLessThan(0.5);
+    // Random bytes are stored, never expanded by the pipeline
+    expect(results[3].ratio).toBeLessThanOrEqual(1);
+  });
+
+  test('stops between runs when aborted', async () => {
+    const controller = new AbortController();
+    const pending = runBenchmark({
+      corpora: [{ name: 'text', bytes: generateCorpus('text', 5000) }],
+      onResult: () => controller.abort(),
+      signal: controller.signal
+    });
+    await expect(pending).rejects.toThrow(/abort/i);
+  });
+
+  test('exports results as CSV and JSON', () => {
+    const results = [{
+      corpus: 'notes, "draft"', method: 'gzip', originalSize: 100, compressedSize: 40, ratio: 0.4, bitsPerByte: 3.2,
+      compressMs: 1, decompressMs: 0.5, compressMBps: 0.1, decompressMBps: 0.2, memoryBytes: null, verified: true
+    }];
+
+    const [header, row] = resultsToCSV(results).trim().split('\n');
+    expect(header.split(',')).toContain('decompressMBps');
+    expect(row).toBe('"notes, ""draft""",gzip,100,40,0.4,3.2,1,0.5,0.1,0.2,,true');
+    expect(JSON.parse(resultsToJSON(results)).results).toEqual(results);
+  });
+});
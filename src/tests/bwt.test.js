@@ -1,5 +1,8 @@
 // Unit tests for Burrows-Wheeler Transform
-import { bwtEncode, bwtDecode, validateBWT } from '../algorithms/bwt.js';
+import {
+  bwtEncode, bwtDecode, bwtsEncode, bwtsDecode, lyndonFactors, validateBWT,
+  bwtSegments, bwtDecodeSegment, buildNextMapping
+} from '../algorithms/bwt.js';
 
 describe('Burrows-Wheeler Transform', () => {
   describe('bwtEncode', () => {
@@ -52,6 +55,50 @@ describe('Burrows-Wheeler Transform', () => {
       
       expect(result.transformed.length).toBe(input.length);
     });
+
+    test('matches sorted-rotation reference', () => {
+      // Reference BWT built by sorting all rotations directly
+      const referenceBWT = (bytes) => {
+        const n = bytes.length;
+        const rotations = Array.from({ length: n }, (_, i) => i);
+        rotations.sort((a, b) => {
+          for (let i = 0; i < n; i++) {
+            const diff = bytes[(a + i) % n] - bytes[(b + i) % n];
+            if (diff !== 0) return diff;
+          }
+          return 0;
+        });
+        return new Uint8Array(rotations.map(r => bytes[(r + n - 1) % n]));
+      };
+
+      const testCases = [
+        new TextEncoder().encode('BANANA'),
+        new TextEncoder().encode('MISSISSIPPI'),
+        new TextEncoder().encode('ABAB'),
+        new Uint8Array(Array.from({length: 200}, () => Math.floor(Math.random() * 3)))
+      ];
+
+      testCases.forEach(input => {
+        const { transformed, primaryIndex } = bwtEncode(input);
+        expect(transformed).toEqual(referenceBWT(input));
+        // Row at primaryIndex must be the unrotated input, so its last byte is the input's last byte
+        expect(transformed[primaryIndex]).toBe(input[input.length - 1]);
+      });
+    });
+
+    test('handles multi-megabyte worst cases quickly', () => {
+      const inputs = [
+        new Uint8Array(2 * 1024 * 1024), // All zeros
+        new TextEncoder().encode('[INFO] request served in 12ms\n'.repeat(60000))
+      ];
+
+      inputs.forEach(input => {
+        const start = performance.now();
+        const { transformed } = bwtEncode(input);
+        expect(transformed.length).toBe(input.length);
+        expect(performance.now() - start).toBeLessThan(10000);
+      });
+    });
   });
 
   describe('bwtDecode', () => {
@@ -84,6 +131,142 @@ describe('Burrows-Wheeler Transform', () => {
     });
   });
 
+  describe('bwtDecode (LF mapping)', () => {
+    test('roundtrips inputs longer than 256 bytes', () => {
+      const testCases = [
+        new Uint8Array(1000).map((_, i) => (i * 31) % 256),
+        new TextEncoder().encode('The quick brown fox jumps over the lazy dog. '.repeat(40)),
+        new Uint8Array(70000).map(() => Math.floor(Math.random() * 256))
+      ];
+
+      testCases.forEach(input => {
+        const { transformed, primaryIndex } = bwtEncode(input);
+        expect(bwtDecode(transformed, primaryIndex)).toEqual(input);
+      });
+    });
+
+    test('decodes large blocks quickly', () => {
+      const input = new TextEncoder().encode('2024-01-01 12:00:00 GET /api/items 200\n'.repeat(20000));
+      const { transformed, primaryIndex } = bwtEncode(input);
+
+      const start = performance.now();
+      const decoded = bwtDecode(transformed, primaryIndex);
+      expect(performance.now() - start).toBeLessThan(2000);
+      expect(decoded).toEqual(input);
+    });
+
+    test('rejects out-of-range primary index', () => {
+      const { transformed } = bwtEncode(new TextEncoder().encode('BANANA'));
+
+      expect(() => bwtDecode(transformed, -1)).toThrow(/primaryIndex/);
+      expect(() => bwtDecode(transformed, 6)).toThrow(/primaryIndex/);
+      expect(() => bwtDecode(transformed, 1.5)).toThrow(/primaryIndex/);
+    });
+  });
+
+  describe('primary index checkpoints', () => {
+    const input = new TextEncoder().encode('The quick brown fox jumps over the lazy dog. '.repeat(50));
+
+    test('records the row of every interval-th offset', () => {
+      const { transformed, primaryIndex, checkpoints } = bwtEncode(input, 7);
+
+      expect(checkpoints.interval).toBe(Math.ceil(input.length / 8));
+      expect(checkpoints.rows).toHaveLength(7);
+      expect(bwtEncode(input, 0)).not.toHaveProperty('checkpoints');
+      expect(bwtDecode(transformed, primaryIndex, checkpoints)).toEqual(input);
+    });
+
+    test('decodes segments independently', () => {
+      const { transformed, primaryIndex, checkpoints } = bwtEncode(input, 4);
+      const next = buildNextMapping(transformed);
+      const segments = bwtSegments(transformed.length, primaryIndex, checkpoints);
+
+      expect(segments).toHaveLength(5);
+      segments.reverse().forEach(({ start, length, row }) => {
+        expect(bwtDecodeSegment(transformed, next, row, length)).toEqual(input.subarray(start, start + length));
+      });
+    });
+
+    test('caps checkpoints at one per byte', () => {
+      const tiny = new TextEncoder().encode('BANANA');
+      const { transformed, primaryIndex, checkpoints } = bwtEncode(tiny, 100);
+
+      expect(checkpoints).toEqual({ interval: 1, rows: expect.any(Array) });
+      expect(checkpoints.rows).toHaveLength(5);
+      expect(bwtDecode(transformed, primaryIndex, checkpoints)).toEqual(tiny);
+    });
+
+    test('rejects inconsistent checkpoints', () => {
+      const { transformed, primaryIndex, checkpoints } = bwtEncode(input, 4);
+
+      expect(() => bwtDecode(transformed, primaryIndex, { ...checkpoints, rows: checkpoints.rows.slice(1) }))
+        .toThrow(/Invalid BWT checkpoints/);
+      expect(() => bwtDecode(transformed, primaryIndex, { ...checkpoints, rows: [...checkpoints.rows.slice(1), input.length] }))
+        .toThrow(/Invalid BWT checkpoint/);
+    });
+  });
+
+  describe('bijective BWT (BWTS)', () => {
+    // Reference BWTS: sort every rotation of every Lyndon factor in omega order
+    const referenceBWTS = (bytes) => {
+      const rotations = [];
+      for (const [start, end] of lyndonFactors(bytes)) {
+        for (let offset = 0; offset < end - start; offset++) {
+          rotations.push({ start, length: end - start, offset });
+        }
+      }
+      const at = (r, k) => bytes[r.start + (r.offset + k) % r.length];
+      rotations.sort((a, b) => {
+        for (let k = 0; k < a.length + b.length; k++) {
+          const diff = at(a, k) - at(b, k);
+          if (diff !== 0) return diff;
+        }
+        return 0;
+      });
+      return new Uint8Array(rotations.map(r => at(r, r.length - 1)));
+    };
+
+    test('factorizes into non-increasing Lyndon words', () => {
+      const input = new TextEncoder().encode('banana');
+      const factors = lyndonFactors(input).map(([s, e]) => new TextDecoder().decode(input.subarray(s, e)));
+      expect(factors).toEqual(['b', 'an', 'an', 'a']);
+    });
+
+    test('handles empty and single-byte input', () => {
+      expect(bwtsEncode(new Uint8Array(0))).toEqual(new Uint8Array(0));
+      expect(bwtsDecode(new Uint8Array(0))).toEqual(new Uint8Array(0));
+      expect(bwtsDecode(bwtsEncode(new Uint8Array([7])))).toEqual(new Uint8Array([7]));
+    });
+
+    test('matches omega-order reference', () => {
+      const testCases = [
+        new TextEncoder().encode('banana'),
+        new TextEncoder().encode('MISSISSIPPI'),
+        new TextEncoder().encode('abab'),
+        new Uint8Array(Array.from({length: 300}, () => Math.floor(Math.random() * 3)))
+      ];
+
+      testCases.forEach(input => {
+        expect(bwtsEncode(input)).toEqual(referenceBWTS(input));
+      });
+    });
+
+    test('roundtrips without a primary index', () => {
+      const testCases = [
+        new TextEncoder().encode('BANANA'),
+        new TextEncoder().encode('abracadabra'),
+        new Uint8Array(1000).fill(0),
+        new Uint8Array(256).map((_, i) => 255 - i),
+        new TextEncoder().encode('level=info msg="ok" '.repeat(500)),
+        new Uint8Array(5000).map(() => Math.floor(Math.random() * 256))
+      ];
+
+      testCases.forEach(input => {
+        expect(bwtsDecode(bwtsEncode(input))).toEqual(input);
+      });
+    });
+  });
+
   describe('validateBWT', () => {
     test('validates various inputs', () => {
       const testCases = [
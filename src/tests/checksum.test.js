@@ -0,0 +1,36 @@
+// Unit tests for the CRC-32 integrity checksum
+import { crc32, ChecksumError } from '../algorithms/checksum.js';
+
+describe('CRC-32', () => {
+  test('matches the standard check values', () => {
+    expect(crc32(new Uint8Array(0))).toBe(0);
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+    expect(crc32(new TextEncoder().encode('The quick brown fox jumps over the lazy dog'))).toBe(0x414FA339);
+  });
+
+  test('continues a checksum across chunks', () => {
+    const bytes = Uint8Array.from({ length: 5000 }, (_, i) => (i * 31) % 256);
+    const chunked = crc32(bytes.subarray(3000), crc32(bytes.subarray(1234, 3000), crc32(bytes.subarray(0, 1234))));
+
+    expect(chunked).toBe(crc32(bytes));
+  });
+
+  test('detects single bit flips', () => {
+    const bytes = new TextEncoder().encode('binary-safe BWT compression');
+    const reference = crc32(bytes);
+
+    for (let i = 0; i < bytes.length; i++) {
+      const flipped = new Uint8Array(bytes);
+      flipped[i] ^= 1 << (i % 8);
+      expect(crc32(flipped)).not.toBe(reference);
+    }
+  });
+
+  test('ChecksumError carries the block index', () => {
+    const error = new ChecksumError('Block 2 failed', 2);
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('ChecksumError');
+    expect(error.blockIndex).toBe(2);
+  });
+});
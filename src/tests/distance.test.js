@@ -0,0 +1,54 @@
+// Unit tests for Distance Coding
+import { dcEncode, dcDecode } from '../algorithms/distance.js';
+import { bwtEncode } from '../algorithms/bwt.js';
+
+describe('Distance Coding', () => {
+  test('handles empty input', () => {
+    expect(dcEncode(new Uint8Array(0))).toEqual(new Uint8Array(0));
+    expect(dcDecode(new Uint8Array(0))).toEqual(new Uint8Array(0));
+  });
+
+  test('roundtrip on small inputs', () => {
+    const inputs = [
+      new Uint8Array([7]),
+      new Uint8Array([1, 1, 1, 1]),
+      new Uint8Array([3, 1, 3, 2, 1, 3]),
+      new TextEncoder().encode('abracadabra')
+    ];
+
+    inputs.forEach(input => {
+      expect(dcDecode(dcEncode(input))).toEqual(input);
+    });
+  });
+
+  test('roundtrip on all byte values and BWT output', () => {
+    const allBytes = new Uint8Array(512);
+    for (let i = 0; i < allBytes.length; i++) {
+      allBytes[i] = (i * 131) % 256;
+    }
+    expect(dcDecode(dcEncode(allBytes))).toEqual(allBytes);
+
+    const { transformed } = bwtEncode(new TextEncoder().encode('2024-01-01,INFO,started\n'.repeat(200)));
+    expect(dcDecode(dcEncode(transformed))).toEqual(transformed);
+  });
+
+  test('skips positions that are already known', () => {
+    // a b a b: first offsets fill 0 and 1, so the next 'a' is only one unknown slot away
+    const encoded = dcEncode(new Uint8Array([97, 98, 97, 98]));
+    const body = Array.from(encoded.subarray(encoded.length - 4));
+    expect(body).toEqual([1, 1, 0, 0]);
+  });
+
+  test('runs collapse to distance 1', () => {
+    const input = new Uint8Array(1000).fill(5);
+    const encoded = dcEncode(input);
+    const body = encoded.subarray(encoded.length - 1000);
+    expect(body.filter(d => d === 1).length).toBe(999);
+  });
+
+  test('rejects truncated streams', () => {
+    const encoded = dcEncode(new TextEncoder().encode('mississippi'));
+    expect(() => dcDecode(encoded.subarray(0, 10))).toThrow(/truncated/);
+    expect(() => dcDecode(encoded.subarray(0, encoded.length - 1))).toThrow(/truncated/);
+  });
+});
@@ -0,0 +1,201 @@
+// Tests for password-based encryption of BWTJS2 files
+import { serializeEncrypted, serializeCompressed, parseCompressedFile } from '../algorithms/serialization.js';
+import { AuthenticationError, PasswordRequiredError, TAG_LENGTH, MIN_PBKDF2_ITERATIONS } from '../algorithms/encryption.js';
+import { compressBytes, decompressBytes, openSearchIndex, FormatError, MIN_BLOCK_SIZE } from '../algorithms/pipeline.js';
+import { compressArchive, extractArchiveEntry } from '../algorithms/archive.js';
+import { crc32 } from '../algorithms/checksum.js';
+
+// Few iterations keep the tests fast; files written by the app use DEFAULT_PBKDF2_ITERATIONS
+const iterations = MIN_PBKDF2_ITERATIONS;
+const password = 'correct horse battery staple';
+
+/**
+ * Log-like text of roughly the given length
+ */
+function logText(length) {
+  let text = '';
+  for (let i = 0; text.length < length; i++) {
+    text += `2024-01-01T00:00:${String(i % 60).padStart(2, '0')} customer=${i % 17} status=ok\n`;
+  }
+  return new TextEncoder().encode(text.slice(0, length));
+}
+
+/**
+ * Bytes of a blob
+ */
+async function blobBytes(blob) {
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+/**
+ * Whether needle occurs in haystack
+ */
+function containsBytes(haystack, needle) {
+  outer: for (let i = 0; i + needle.length <= haystack.length; i++) {
+    for (let j = 0; j < needle.length; j++) {
+      if (haystack[i + j] !== needle[j]) continue outer;
+    }
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Recompute the header checksum in the trailer, so only the encryption can notice a change
+ */
+function rewriteHeaderChecksum(bytes, headEnd) {
+  new DataView(bytes.buffer).setUint32(bytes.length - 8, crc32(bytes.subarray(0, headEnd)));
+}
+
+describe('Encryption', () => {
+  const original = logText(250 * 1024);
+  const compressed = compressBytes(original, { blockSize: MIN_BLOCK_SIZE });
+  const meta = { ...compressed.meta, originalFilename: 'customer-logs.txt', mimeType: 'text/plain' };
+  // A search index needs the whole file in one block
+  const indexed = compressBytes(original, { fmIndex: true });
+
+  test('round-trips with readable metadata', async () => {
+    const blob = await serializeEncrypted(meta, compressed.payload, undefined, { password, iterations });
+    const parsed = await parseCompressedFile(blob, { password });
+
+    expect(meta.blocks.length).toBeGreaterThan(1);
+    expect(parsed.encryption).toEqual({ kdf: 'PBKDF2-SHA-256', iterations, metadataEncrypted: false });
+    expect(parsed.meta.originalFilename).toBe('customer-logs.txt');
+    expect(parsed.meta.blocks.map((block) => block.crc32)).toEqual(meta.blocks.map((block) => block.crc32));
+    expect(parsed.payloadUint8Array).toEqual(compressed.payload);
+    expect(decompressBytes(parsed.payloadUint8Array, parsed.meta)).toEqual(original);
+    // Each block grows by one tag
+    expect(blob.size - serializeCompressed(meta, compressed.payload).size)
+      .toBeGreaterThan(meta.blocks.length * TAG_LENGTH);
+  });
+
+  test('round-trips with encrypted metadata and hides the file name', async () => {
+    const blob = await serializeEncrypted(meta, compressed.payload, undefined, {
+      password,
+      iterations,
+      encryptMetadata: true
+    });
+    const bytes = await blobBytes(blob);
+    const parsed = await parseCompressedFile(blob, { password });
+
+    expect(containsBytes(bytes, new TextEncoder().encode('customer-logs'))).toBe(false);
+    expect(containsBytes(await blobBytes(serializeCompressed(meta, compressed.payload)), new TextEncoder().encode('customer-logs'))).toBe(true);
+    expect(parsed.encryption.metadataEncrypted).toBe(true);
+    expect(parsed.meta.originalFilename).toBe('customer-logs.txt');
+    expect(decompressBytes(parsed.payloadUint8Array, parsed.meta)).toEqual(original);
+  });
+
+  test('keeps plaintext checksums and BWT indices out of readable bytes', async () => {
+    const checksums = [meta.crc32, ...meta.blocks.map((block) => block.crc32)];
+    for (const encryptMetadata of [false, true]) {
+      const bytes = await blobBytes(await serializeEncrypted(meta, compressed.payload, undefined, { password, iterations, encryptMetadata }));
+      const text = new TextDecoder('latin1').decode(bytes);
+      // Only the head is readable; ciphertext could match four bytes by chance
+      const head = bytes.subarray(0, bytes.length - 8 - compressed.payload.length - meta.blocks.length * TAG_LENGTH);
+
+      for (const checksum of checksums) {
+        const binary = new Uint8Array(4);
+        new DataView(binary.buffer).setUint32(0, checksum);
+        expect(containsBytes(head, binary)).toBe(false);
+        expect(text).not.toContain(String(checksum));
+      }
+      expect(text).not.toMatch(/crc32|primaryIndex|stageStates/);
+      if (!encryptMetadata) {
+        expect(containsBytes(bytes, new TextEncoder().encode('customer-logs.txt'))).toBe(true);
+      }
+      const parsed = await parseCompressedFile(new Blob([bytes]), { password });
+      expect(parsed.meta.crc32).toBe(meta.crc32);
+      expect(parsed.meta.blocks).toEqual(meta.blocks);
+    }
+  });
+
+  test('decrypts the search index', async () => {
+    const blob = await serializeEncrypted(indexed.meta, indexed.payload, indexed.index, { password, iterations });
+    const parsed = await parseCompressedFile(blob, { password });
+
+    expect(parsed.indexUint8Array).toEqual(indexed.index);
+    expect(parsed.meta.fmIndex.size).toBe(indexed.index.length);
+    expect(openSearchIndex(parsed.payloadUint8Array, parsed.meta, parsed.indexUint8Array).count('customer=3 ')).toBeGreaterThan(0);
+  });
+
+  test('asks for a password', async () => {
+    const blob = await serializeEncrypted(meta, compressed.payload, undefined, { password, iterations });
+
+    await expect(parseCompressedFile(blob)).rejects.toThrow(PasswordRequiredError);
+    await expect(parseCompressedFile(blob, { password: '' })).rejects.toThrow(/password is needed/);
+  });
+
+  test('rejects a wrong password with an authentication error', async () => {
+    for (const encryptMetadata of [false, true]) {
+      const blob = await serializeEncrypted(indexed.meta, indexed.payload, indexed.index, { password, iterations, encryptMetadata });
+      const attempt = parseCompressedFile(blob, { password: 'wrong password' });
+
+      await expect(attempt).rejects.toThrow(AuthenticationError);
+      await expect(attempt).rejects.toMatchObject({ blockIndex: null, message: expect.stringMatching(/Wrong password/) });
+    }
+  });
+
+  test('names the block that was modified', async () => {
+    const blob = await serializeEncrypted(meta, compressed.payload, undefined, { password, iterations });
+    const bytes = await blobBytes(blob);
+    // Flip a byte in the middle of the second block; the header and trailer stay intact
+    const payloadStart = bytes.length - 8 - compressed.payload.length - meta.blocks.length * TAG_LENGTH;
+    const target = payloadStart + meta.blocks[0].compressedSize + TAG_LENGTH + 5;
+    bytes[target] ^= 0xff;
+    const attempt = parseCompressedFile(new Blob([bytes]), { password });
+
+    await expect(attempt).rejects.toThrow(AuthenticationError);
+    await expect(attempt).rejects.toMatchObject({ blockIndex: 1 });
+  });
+
+  test('authenticates the readable metadata', async () => {
+    const blob = await serializeEncrypted({ ...meta, originalFilename: 'a.txt' }, compressed.payload, undefined, { password, iterations });
+    const bytes = await blobBytes(blob);
+    const text = new TextDecoder('latin1').decode(bytes);
+    bytes[text.indexOf('a.txt')] = 'b'.charCodeAt(0);
+    rewriteHeaderChecksum(bytes, bytes.length - 8 - compressed.payload.length - meta.blocks.length * TAG_LENGTH);
+
+    await expect(parseCompressedFile(new Blob([bytes]), { password })).rejects.toMatchObject({ name: 'AuthenticationError', blockIndex: 0 });
+  });
+
+  test('encrypts single-block and empty files', async () => {
+    for (const input of [logText(1000), new Uint8Array(0)]) {
+      const { payload, meta: singleMeta } = compressBytes(input);
+      const blob = await serializeEncrypted(singleMeta, payload, undefined, { password, iterations });
+      const parsed = await parseCompressedFile(blob, { password });
+
+      expect(decompressBytes(parsed.payloadUint8Array, parsed.meta)).toEqual(input);
+    }
+  });
+
+  test('encrypts archives', async () => {
+    const files = [
+      { path: 'logs/a.log', bytes: logText(5000) },
+      { path: 'logs/b.log', bytes: logText(7000) }
+    ];
+    const archived = await compressArchive(files);
+    const blob = await serializeEncrypted({ ...archived.meta, originalFilename: 'logs' }, archived.payload, archived.index, {
+      password,
+      iterations,
+      encryptMetadata: true
+    });
+
+    expect(containsBytes(await blobBytes(blob), new TextEncoder().encode('logs/a.log'))).toBe(false);
+    const parsed = await parseCompressedFile(blob, { password });
+    expect(await extractArchiveEntry(parsed.payloadUint8Array, parsed.meta, 'logs/b.log')).toEqual(files[1].bytes);
+  });
+
+  test('refuses invalid parameters', async () => {
+    await expect(serializeEncrypted(meta, compressed.payload, undefined, { iterations })).rejects.toThrow(/password is needed/);
+    await expect(serializeEncrypted(meta, compressed.payload, undefined, { password, iterations: 10 })).rejects.toThrow(/iterations/);
+
+    const blob = await serializeEncrypted(meta, compressed.payload, undefined, { password, iterations });
+    const bytes = await blobBytes(blob);
+    // KDF id, right after the 7-byte magic and 40-byte header
+    bytes[47] = 9;
+    rewriteHeaderChecksum(bytes, bytes.length - 8 - compressed.payload.length - meta.blocks.length * TAG_LENGTH);
+    const attempt = parseCompressedFile(new Blob([bytes]), { password });
+    await expect(attempt).rejects.toThrow(FormatError);
+    await expect(attempt).rejects.toThrow(/Unsupported encryption/);
+  });
+});
@@ -0,0 +1,108 @@
+// Tests for FM-index search inside compressed payloads
+import { compressBytes, openSearchIndex, MIN_BLOCK_SIZE } from '../algorithms/pipeline.js';
+
+// Reference search: every offset where the pattern occurs in the input
+function naiveLocate(bytes, pattern) {
+  const offsets = [];
+  for (let i = 0; i + pattern.length <= bytes.length; i++) {
+    let match = true;
+    for (let j = 0; j < pattern.length && match; j++) {
+      match = bytes[i + j] === pattern[j];
+    }
+    if (match) offsets.push(i);
+  }
+  return offsets;
+}
+
+function indexFor(input, options = {}) {
+  const { payload, meta, index } = compressBytes(input, { fmIndex: true, ...options });
+  return openSearchIndex(payload, meta, index);
+}
+
+describe('FM-index search', () => {
+  test('counts and locates matches in text', () => {
+    const text = 'the cat sat on the mat with the hat';
+    const input = new TextEncoder().encode(text);
+    const index = indexFor(input);
+
+    ['the', 'at', 't', 'cat sat', 'dog', 'the hat'].forEach(pattern => {
+      const expected = naiveLocate(input, new TextEncoder().encode(pattern));
+      expect(index.count(pattern)).toBe(expected.length);
+      expect(index.locate(pattern)).toEqual(expected);
+    });
+  });
+
+  test('ignores matches that wrap around the block end', () => {
+    const index = indexFor(new TextEncoder().encode('ABAB'));
+
+    expect(index.count('BA')).toBe(1);
+    expect(index.locate('BA')).toEqual([1]);
+    expect(index.count('BAB')).toBe(1);
+    expect(index.count('ABABA')).toBe(0);
+  });
+
+  test('matches naive search on random binary data', () => {
+    const input = new Uint8Array(5000).map(() => Math.floor(Math.random() * 4));
+    const index = indexFor(input, { fmIndex: { occSampleRate: 64, saSampleRate: 8 } });
+
+    for (let length = 1; length <= 6; length++) {
+      const start = Math.floor(Math.random() * (input.length - length));
+      const pattern = input.slice(start, start + length);
+      const expected = naiveLocate(input, pattern);
+      expect(index.count(pattern)).toBe(expected.length);
+      expect(index.locate(pattern, { limit: Infinity })).toEqual(expected);
+    }
+  });
+
+  test('reports global offsets across blocks', () => {
+    const line = 'GET /index.html 200\n';
+    const input = new TextEncoder().encode(line.repeat(Math.ceil((MIN_BLOCK_SIZE * 2.5) / line.length)));
+    const index = indexFor(input, { blockSize: MIN_BLOCK_SIZE });
+    const expected = naiveLocate(input, new TextEncoder().encode('200'));
+
+    // Lines are 20 bytes and the block size is a multiple of 20, so no match spans a boundary
+    expect(index.count('200')).toBe(expected.length);
+    expect(index.locate('200', { limit: 5 })).toEqual(expected.slice(0, 5));
+  });
+
+  test('locates every copy in periodic blocks', () => {
+    const zeros = new Uint8Array(4096);
+    const zeroIndex = indexFor(zeros);
+    const pattern = new Uint8Array(3);
+
+    expect(zeroIndex.count(pattern)).toBe(4094);
+    expect(zeroIndex.locate(pattern, { limit: Infinity })).toEqual(naiveLocate(zeros, pattern));
+
+    const input = new TextEncoder().encode('abcab'.repeat(50));
+    const index = indexFor(input, { fmIndex: { saSampleRate: 2 } });
+    ['ab', 'bca', 'cabab', 'b'].forEach(text => {
+      const expected = naiveLocate(input, new TextEncoder().encode(text));
+      expect(index.count(text)).toBe(expected.length);
+      expect(index.locate(text, { limit: Infinity })).toEqual(expected);
+    });
+  });
+
+  test('limits the number of located offsets', () => {
+    const index = indexFor(new Uint8Array(1000).fill(7));
+
+    expect(index.count(new Uint8Array([7, 7]))).toBe(999);
+    expect(index.locate(new Uint8Array([7, 7]), { limit: 10 })).toHaveLength(10);
+  });
+
+  test('records the index section in metadata', () => {
+    const input = new TextEncoder().encode('BANANA');
+    const { meta, index } = compressBytes(input, { fmIndex: { occSampleRate: 4, saSampleRate: 2 } });
+
+    // Two checkpoint rows, the period and three sampled groups
+    expect(meta.fmIndex).toEqual({ occSampleRate: 4, saSampleRate: 2, size: index.length });
+    expect(index.length).toBe((2 * 256 + 1 + 3) * 4);
+  });
+
+  test('rejects files without an index and the bijective variant', () => {
+    const input = new TextEncoder().encode('BANANA');
+    const { payload, meta } = compressBytes(input);
+
+    expect(() => openSearchIndex(payload, meta, undefined)).toThrow(/no search index/);
+    expect(() => compressBytes(input, { fmIndex: true, bwtVariant: 'bwts' })).toThrow(/classic BWT/);
+  });
+});
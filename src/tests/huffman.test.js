@@ -0,0 +1,94 @@
+// Unit tests for canonical Huffman coding and the bit reader/writer
+import { huffmanEncode, huffmanDecode, HUFFMAN_GROUP_SIZE } from '../algorithms/huffman.js';
+import { createBitWriter, createBitReader } from '../algorithms/bitio.js';
+
+describe('Bit I/O', () => {
+  test('roundtrip of mixed widths', () => {
+    const writer = createBitWriter(4);
+    const values = [[1, 1], [0, 3], [5, 3], [0xABCD, 16], [0x12345678, 32], [7, 24]];
+    values.forEach(([value, count]) => writer.writeBits(value, count));
+    const bytes = writer.finish();
+
+    expect(bytes.length).toBe(Math.ceil((1 + 3 + 3 + 16 + 32 + 24) / 8));
+    const reader = createBitReader(bytes);
+    values.forEach(([value, count]) => expect(reader.readBits(count)).toBe(value));
+  });
+
+  test('peeks zeros past the end but refuses to read them', () => {
+    const reader = createBitReader(new Uint8Array([0b10100000]));
+    expect(reader.peekBits(12)).toBe(0b101000000000);
+    reader.readBits(8);
+    expect(() => reader.readBits(1)).toThrow(/truncated/);
+  });
+});
+
+describe('Canonical Huffman', () => {
+  test('handles empty input', () => {
+    expect(huffmanEncode(new Uint8Array(0))).toEqual(new Uint8Array(0));
+    expect(huffmanDecode(new Uint8Array(0))).toEqual(new Uint8Array(0));
+  });
+
+  test('roundtrip of a single repeated symbol', () => {
+    const input = new Uint8Array(1000).fill(9);
+    const encoded = huffmanEncode(input);
+    expect(encoded.length).toBeLessThan(200);
+    expect(huffmanDecode(encoded)).toEqual(input);
+  });
+
+  test('roundtrip of all byte values', () => {
+    const input = new Uint8Array(4096);
+    for (let i = 0; i < input.length; i++) input[i] = (i * 167) % 256;
+    expect(huffmanDecode(huffmanEncode(input))).toEqual(input);
+  });
+
+  test('roundtrip over an extended alphabet', () => {
+    const input = new Uint16Array(3000);
+    for (let i = 0; i < input.length; i++) input[i] = i % 7 === 0 ? 256 : i % 3;
+    const decoded = huffmanDecode(huffmanEncode(input, 257));
+
+    expect(decoded).toBeInstanceOf(Uint16Array);
+    expect(decoded).toEqual(input);
+  });
+
+  test('compresses skewed distributions', () => {
+    const input = new Uint8Array(20000);
+    for (let i = 0; i < input.length; i++) input[i] = i % 10 === 0 ? (i * 7) % 40 : 0;
+    expect(huffmanEncode(input).length).toBeLessThan(input.length / 3);
+  });
+
+  test('uses different tables for differently distributed groups', () => {
+    // Alternate long stretches over disjoint alphabets: one table cannot code both cheaply
+    const input = new Uint8Array(HUFFMAN_GROUP_SIZE * 200);
+    for (let i = 0; i < input.length; i++) {
+      const stretch = Math.floor(i / (HUFFMAN_GROUP_SIZE * 10)) % 2;
+      input[i] = stretch ? 100 + (i % 4) : i % 2;
+    }
+    const singleTableBits = input.length * 3;
+    expect(huffmanEncode(input).length * 8).toBeLessThan(singleTableBits);
+    expect(huffmanDecode(huffmanEncode(input))).toEqual(input);
+  });
+
+  test('limits code lengths on very skewed frequencies', () => {
+    // Fibonacci-like frequencies force deep unbounded trees
+    const parts = [];
+    let a = 1;
+    let b = 1;
+    for (let s = 0; s < 22; s++) {
+      parts.push(new Uint8Array(a).fill(s));
+      [a, b] = [b, a + b];
+    }
+    const input = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let offset = 0;
+    parts.forEach(p => { input.set(p, offset); offset += p.length; });
+
+    expect(huffmanDecode(huffmanEncode(input))).toEqual(input);
+  });
+
+  test('rejects out-of-alphabet symbols and truncated streams', () => {
+    expect(() => huffmanEncode(new Uint16Array([300]), 257)).toThrow(/outside the alphabet/);
+
+    const input = new TextEncoder().encode('the quick brown fox jumps over the lazy dog '.repeat(50));
+    const encoded = huffmanEncode(input);
+    expect(() => huffmanDecode(encoded.subarray(0, encoded.length - 20))).toThrow();
+  });
+});
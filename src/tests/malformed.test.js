@@ -0,0 +1,295 @@
+// Malformed-input corpus: truncated, bit-flipped and random inputs against every decoder
+// Each input must either decode or be rejected with a typed error; a TypeError,
+// RangeError or runaway allocation means a bounds check is missing.
+import { rleEncode, rleDecode } from '../algorithms/rle.js';
+import { zrleEncode, zrleDecode, packSymbols, unpackSymbols } from '../algorithms/zrle.js';
+import { huffmanEncode, huffmanDecode } from '../algorithms/huffman.js';
+import { rangeEncode, rangeDecode } from '../algorithms/rangecoder.js';
+import { ransEncode, ransDecode } from '../algorithms/rans.js';
+import { dcEncode, dcDecode } from '../algorithms/distance.js';
+import { mtfEncode, mtfDecode } from '../algorithms/mtf.js';
+import { bwtEncode, bwtDecode, bwtsEncode, bwtsDecode } from '../algorithms/bwt.js';
+import { compressBytes, decompressBytes, openSearchIndex } from '../algorithms/pipeline.js';
+import { serializeCompressed, parseCompressedFile } from '../algorithms/serialization.js';
+import { createCompressStream, createDecompressStream } from '../algorithms/stream.js';
+import { ChecksumError } from '../algorithms/checksum.js';
+import { FormatError, SizeLimitError } from '../algorithms/errors.js';
+import { validateMeta } from '../algorithms/metadata.js';
+
+// Output limit for direct decoder calls, so hostile lengths fail fast
+const LIMIT = 1 << 20;
+
+/**
+ * Deterministic pseudo-random generator (LCG), so failures are reproducible
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return (bound) => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state % bound;
+  };
+}
+
+/**
+ * Truncations, single bit flips and random buffers derived from a valid encoding
+ */
+function corruptions(valid, seed = 1) {
+  const random = createRandom(seed);
+  const cases = [];
+  const cuts = new Set([0, 1, 2, 3, 4, 5, 6, 7, 8, 12, 16, 32, valid.length - 1, valid.length >> 1]);
+  cuts.forEach((length) => {
+    if (length >= 0 && length < valid.length) cases.push(valid.slice(0, length));
+  });
+  for (let k = 0; k < 48; k++) {
+    const flipped = valid.slice();
+    const position = k < 16 ? Math.min(k, valid.length - 1) : random(valid.length);
+    flipped[position] ^= 1 << random(8);
+    cases.push(flipped);
+  }
+  for (let k = 0; k < 16; k++) {
+    cases.push(Uint8Array.from({ length: 1 + random(64) }, () => random(256)));
+  }
+  return cases;
+}
+
+/**
+ * The error thrown by run, or null when it returns
+ */
+function thrownBy(run) {
+  try {
+    run();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Expect an error, if any, to be one of the typed errors for bad input
+ */
+function expectTyped(error, label) {
+  if (error === null) return;
+  const typed = error instanceof FormatError || error instanceof ChecksumError || error instanceof SizeLimitError;
+  expect(typed, `${label}: ${error.stack}`).toBe(true);
+}
+
+const sample = new TextEncoder().encode(
+  'the quick brown fox jumps over the lazy dog. '.repeat(20) + 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa\xff\xff\xff banana bandana '.repeat(8)
+);
+
+const DECODERS = [
+  { name: 'rle', encoded: rleEncode(sample), decode: (bytes) => rleDecode(bytes, LIMIT) },
+  { name: 'zrle', encoded: packSymbols(zrleEncode(mtfEncode(sample))), decode: (bytes) => zrleDecode(unpackSymbols(bytes), LIMIT) },
+  { name: 'huffman', encoded: huffmanEncode(sample), decode: (bytes) => huffmanDecode(bytes, LIMIT) },
+  { name: 'huffman (zero runs)', encoded: huffmanEncode(zrleEncode(mtfEncode(sample)), 257), decode: (bytes) => huffmanDecode(bytes, LIMIT) },
+  { name: 'range order 0', encoded: rangeEncode(sample, 256, 0), decode: (bytes) => rangeDecode(bytes, LIMIT) },
+  { name: 'range order 1', encoded: rangeEncode(sample, 256, 1), decode: (bytes) => rangeDecode(bytes, LIMIT) },
+  { name: 'rans', encoded: ransEncode(sample, 256, 4), decode: (bytes) => ransDecode(bytes, LIMIT) },
+  { name: 'distance coding', encoded: dcEncode(sample), decode: (bytes) => dcDecode(bytes) },
+  { name: 'mtf', encoded: mtfEncode(sample), decode: (bytes) => mtfDecode(bytes) },
+  { name: 'bwt', encoded: bwtEncode(sample).transformed, decode: (bytes) => bwtDecode(bytes, bwtEncode(sample).primaryIndex) },
+  { name: 'bwts', encoded: bwtsEncode(sample), decode: (bytes) => bwtsDecode(bytes) }
+];
+
+const PIPELINES = [
+  'bwt,mtf,rle',
+  'bwt,mtf,zrle,huffman',
+  'bwt,mtf,zrle,rans',
+  'rle,bwt,mtf,rle,range',
+  [{ id: 'range', params: { order: 1 } }],
+  [{ id: 'bwt', params: { variant: 'bwts' } }, 'mtf', 'zrle'],
+  ['bwt', { id: 'mtf', params: { variant: 'dc' } }, 'rle']
+];
+
+describe('Malformed input', () => {
+  describe('decoders', () => {
+    DECODERS.forEach(({ name, encoded, decode }) => {
+      test(`${name} rejects corrupt input with a FormatError`, () => {
+        expect(thrownBy(() => decode(encoded))).toBeNull();
+        corruptions(encoded).forEach((bytes, k) => {
+          expectTyped(thrownBy(() => decode(bytes)), `${name} case ${k}`);
+        });
+      });
+    });
+
+    test('refuses claimed lengths before allocating', () => {
+      const huge = [0xFF, 0xFF, 0xFF, 0xFF, 0x01, 0x00, 0x00, 0, 0, 0, 0, 0];
+      [huffmanDecode, rangeDecode, ransDecode].forEach((decode) => {
+        expect(() => decode(Uint8Array.from(huge))).toThrow(FormatError);
+      });
+      // A dozen zero-run symbols describe a run of thousands of bytes
+      expect(() => zrleDecode(new Uint16Array(24).fill(1), LIMIT)).toThrow(/more than/);
+      expect(() => dcDecode(Uint8Array.from([0xFF, 0xFF, 0xFF, 0x7F, ...new Uint8Array(32)]))).toThrow(FormatError);
+    });
+
+    test('reports byte offsets', () => {
+      const encoded = huffmanEncode(sample);
+      const error = thrownBy(() => huffmanDecode(encoded.subarray(0, encoded.length >> 1)));
+      expect(error).toBeInstanceOf(FormatError);
+      expect(error.offset).toBe(encoded.length >> 1);
+      expect(thrownBy(() => rleDecode(Uint8Array.from([1, 2, 0xFF, 3]))).offset).toBe(2);
+    });
+  });
+
+  describe('decompressBytes', () => {
+    PIPELINES.forEach((pipeline) => {
+      test(`rejects corrupt ${JSON.stringify(pipeline)} payloads`, () => {
+        const { payload, meta } = compressBytes(sample, { pipeline });
+        expect(decompressBytes(payload, meta)).toEqual(sample);
+        corruptions(payload, 7).forEach((bytes, k) => {
+          expectTyped(thrownBy(() => decompressBytes(bytes, meta)), `${JSON.stringify(pipeline)} case ${k}`);
+        });
+      });
+    });
+
+    test('rejects hostile metadata', () => {
+      const { payload, meta } = compressBytes(sample);
+      const [block] = meta.blocks;
+      const hostile = [
+        null,
+        { ...meta, pipeline: 'bwt' },
+        { ...meta, originalSize: -1 },
+        { ...meta, originalSize: 1e12 },
+        { ...meta, blocks: {} },
+        { ...meta, blocks: [{ ...block, compressedSize: 1e9 }] },
+        { ...meta, blocks: [{ ...block, originalSize: block.originalSize + 1 }] },
+        { ...meta, blocks: [{ ...block, stageStates: [{ primaryIndex: 1e9 }, null, null] }] },
+        { ...meta, blocks: [{ ...block, stageStates: ['x', 5, null] }] },
+        { ...meta, blocks: [{ ...block, primaryIndex: sample.length, stageStates: undefined }] },
+        { ...meta, blocks: [block, block] },
+        { ...meta, blocks: [{ ...block, compressedSize: block.compressedSize - 1 }] }
+      ];
+      hostile.forEach((bad, k) => {
+        const error = thrownBy(() => decompressBytes(payload, bad));
+        expect(error, `meta case ${k}`).not.toBeNull();
+        expectTyped(error, `meta case ${k}`);
+      });
+    });
+
+    test('tags errors with the block and stage', () => {
+      const { payload, meta } = compressBytes(sample, { pipeline: 'bwt,mtf,rle' });
+      const truncated = { ...meta, blocks: [{ ...meta.blocks[0], compressedSize: payload.length - 1 }] };
+      const rleEnd = payload.subarray(0, payload.length - 1);
+      const error = thrownBy(() => decompressBytes(rleEnd, truncated));
+      expect(error).toBeInstanceOf(FormatError);
+      expect(error.blockIndex).toBe(0);
+      expect(error.stage).not.toBeNull();
+      expect(error.message).toMatch(/^Decompression failed: /);
+    });
+
+    test('enforces the maximum original size', () => {
+      const { payload, meta } = compressBytes(sample);
+      expect(() => decompressBytes(payload, meta, { maxOriginalSize: sample.length - 1 })).toThrow(SizeLimitError);
+      expect(decompressBytes(payload, meta, { maxOriginalSize: sample.length })).toEqual(sample);
+    });
+  });
+
+  describe('metadata schema', () => {
+    test('accepts metadata from every format version', () => {
+      const { meta } = compressBytes(sample);
+      const { blocks, blockSize, stages, ...legacy } = meta;
+      expect(validateMeta(meta)).toBe(meta);
+      expect(validateMeta(legacy)).toBe(legacy);
+      expect(validateMeta({ pipeline: ['none'], originalSize: 3, crc32: 1 })).toBeTruthy();
+    });
+
+    test('names the offending field', () => {
+      expect(() => validateMeta({ pipeline: ['bwt'], blocks: [{ originalSize: 'big', compressedSize: 1 }] }))
+        .toThrow(/blocks\.0\.originalSize/);
+      expect(() => validateMeta({ pipeline: ['bwt'], originalSize: 5, blocks: [{ originalSize: 4, compressedSize: 1 }] }))
+        .toThrow(/Blocks hold 4 bytes/);
+    });
+  });
+
+  describe('parseCompressedFile', () => {
+    [1, 2].forEach((formatVersion) => {
+      test(`rejects corrupt BWTJS${formatVersion} files`, async () => {
+        const { payload, meta, index } = compressBytes(sample, { fmIndex: true });
+        const file = serializeCompressed(meta, payload, index, { formatVersion });
+        const bytes = new Uint8Array(await file.arrayBuffer());
+
+        for (const [k, corrupt] of corruptions(bytes, 11).entries()) {
+          let error = null;
+          try {
+            const parsed = await parseCompressedFile(new Blob([corrupt]));
+            decompressBytes(parsed.payloadUint8Array, parsed.meta);
+          } catch (caught) {
+            error = caught;
+          }
+          expectTyped(error, `BWTJS${formatVersion} case ${k}`);
+        }
+      });
+    });
+
+    test('reports file offsets and refuses oversized files', async () => {
+      const { payload, meta } = compressBytes(sample);
+      const bytes = new Uint8Array(await serializeCompressed(meta, payload).arrayBuffer());
+
+      const truncated = await parseCompressedFile(new Blob([bytes.subarray(0, 20)])).catch((error) => error);
+      expect(truncated).toBeInstanceOf(FormatError);
+      expect(truncated.offset).toBe(20);
+
+      const limited = await parseCompressedFile(new Blob([bytes]), { maxOriginalSize: 100 }).catch((error) => error);
+      expect(limited).toBeInstanceOf(SizeLimitError);
+      expect(limited.size).toBe(sample.length);
+    });
+
+    test('rejects metadata that is not valid JSON', async () => {
+      const json = new TextEncoder().encode('{"pipeline": [');
+      const bytes = new Uint8Array(11 + json.length);
+      bytes.set([0x42, 0x57, 0x54, 0x4A, 0x53, 0x31, 0x00, 0, 0, 0, json.length]);
+      bytes.set(json, 11);
+      const error = await parseCompressedFile(new Blob([bytes])).catch((caught) => caught);
+      expect(error).toBeInstanceOf(FormatError);
+      expect(error.offset).toBe(11);
+    });
+  });
+
+  describe('openSearchIndex', () => {
+    const { payload, meta, index } = compressBytes(sample, { fmIndex: true });
+    // One block: the sampled row groups are the last entries of the section
+    const sampleCount = Math.ceil(sample.length / meta.fmIndex.saSampleRate);
+    const groupsOffset = index.length - sampleCount * 4;
+    const withGroups = (...groups) => {
+      const corrupt = index.slice();
+      groups.forEach((group, i) => new DataView(corrupt.buffer).setUint32(groupsOffset + i * 4, group));
+      return corrupt;
+    };
+
+    test('rejects out-of-range and duplicate sampled row groups', () => {
+      expect(openSearchIndex(payload, meta, index).locate('fox')).toHaveLength(20);
+
+      const outOfRange = thrownBy(() => openSearchIndex(payload, meta, withGroups(0xFFFFFFF0)));
+      expect(outOfRange).toBeInstanceOf(FormatError);
+      expect(outOfRange.offset).toBe(groupsOffset);
+
+      const first = new DataView(index.buffer, index.byteOffset).getUint32(groupsOffset);
+      const duplicate = thrownBy(() => openSearchIndex(payload, meta, withGroups(first, first)));
+      expect(duplicate).toBeInstanceOf(FormatError);
+      expect(duplicate.offset).toBe(groupsOffset + 4);
+    });
+
+    test('rejects trailing bytes after the last block', () => {
+      const padded = new Uint8Array(index.length + 3);
+      padded.set(index);
+      const error = thrownBy(() => openSearchIndex(payload, { ...meta, fmIndex: { ...meta.fmIndex, size: padded.length } }, padded));
+      expect(error).toBeInstanceOf(FormatError);
+      expect(error.offset).toBe(index.length);
+    });
+  });
+
+  describe('createDecompressStream', () => {
+    test('rejects corrupt streams', async () => {
+      const compressed = new Uint8Array(await new Response(
+        new Blob([sample]).stream().pipeThrough(createCompressStream({ entropyCoder: 'huffman' }))
+      ).arrayBuffer());
+
+      for (const [k, corrupt] of corruptions(compressed, 5).entries()) {
+        const error = await new Response(new Blob([corrupt]).stream().pipeThrough(createDecompressStream()))
+          .arrayBuffer()
+          .then(() => null, (caught) => caught);
+        expectTyped(error, `stream case ${k}`);
+      }
+    });
+  });
+});
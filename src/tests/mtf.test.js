@@ -1,5 +1,13 @@
 // Unit tests for Move-to-Front Transform
-import { mtfEncode, mtfDecode, validateMTF } from '../algorithms/mtf.js';
+import {
+  mtfEncode,
+  mtfDecode,
+  validateMTF,
+  mtfVariantEncode,
+  mtfVariantDecode,
+  resolveMTFParams,
+  MTF_VARIANTS
+} from '../algorithms/mtf.js';
 
 describe('Move-to-Front Transform', () => {
   describe('mtfEncode', () => {
@@ -183,4 +191,73 @@ describe('Move-to-Front Transform', () => {
       expect(decoded).toEqual(input); // Still works correctly
     });
   });
-});
\ No newline at end of file
+
+  describe('List-update variants', () => {
+    const bwtLike = new TextEncoder().encode('nnnnbbbaaaaaAAAAaaaaa$$$,,,,,,nnnnee');
+
+    test('roundtrip for every variant', () => {
+      const inputs = [
+        new Uint8Array(0),
+        new Uint8Array([42]),
+        bwtLike,
+        new Uint8Array(Array.from({ length: 1000 }, (_, i) => (i * 97 + (i >> 4)) % 256))
+      ];
+
+      MTF_VARIANTS.forEach(variant => {
+        inputs.forEach(input => {
+          const encoded = mtfVariantEncode(input, variant);
+          expect(mtfVariantDecode(encoded, variant)).toEqual(input);
+        });
+      });
+    });
+
+    test('classic variant matches mtfEncode', () => {
+      expect(mtfVariantEncode(bwtLike, 'mtf')).toEqual(mtfEncode(bwtLike));
+    });
+
+    test('MTF-1 moves symbols to position 1 before the front', () => {
+      // 'b' goes to position 1 on first use and only reaches the front when seen again
+      const encoded = mtfVariantEncode(new Uint8Array([98, 98, 98]), 'mtf-1');
+      expect(Array.from(encoded)).toEqual([98, 1, 0]);
+    });
+
+    test('MTF-2 keeps position 1 after a zero rank', () => {
+      // a (front), b -> pos 1, a (0), b at pos 1 after a zero rank stays at pos 1
+      const input = new Uint8Array([0, 1, 0, 1, 1]);
+      expect(Array.from(mtfVariantEncode(input, 'mtf-1'))).toEqual([0, 1, 1, 1, 0]);
+      expect(Array.from(mtfVariantEncode(input, 'mtf-2'))).toEqual([0, 1, 0, 1, 1]);
+    });
+
+    test('sticky MTF with zero stickiness behaves like classic MTF', () => {
+      const encoded = mtfVariantEncode(bwtLike, 'sticky', { stickiness: 0 });
+      expect(encoded).toEqual(mtfEncode(bwtLike));
+    });
+
+    test('parameters change the output and must match when decoding', () => {
+      const half = mtfVariantEncode(bwtLike, 'wfc', { decay: 0.5 });
+      const slow = mtfVariantEncode(bwtLike, 'wfc', { decay: 0.99 });
+      expect(half).not.toEqual(slow);
+      expect(mtfVariantDecode(slow, 'wfc', { decay: 0.99 })).toEqual(bwtLike);
+    });
+
+    test('WFC stays in sync over long inputs', () => {
+      const input = new Uint8Array(50000);
+      for (let i = 0; i < input.length; i++) {
+        input[i] = (i >> 6) % 3 === 0 ? 65 : (i * 31) % 7;
+      }
+      const encoded = mtfVariantEncode(input, 'wfc', { decay: 0.6 });
+      expect(mtfVariantDecode(encoded, 'wfc', { decay: 0.6 })).toEqual(input);
+    });
+
+    test('resolves defaults and rejects bad parameters', () => {
+      expect(resolveMTFParams('sticky')).toEqual({ stickiness: 0.5 });
+      expect(resolveMTFParams('wfc', { decay: 0.8 })).toEqual({ decay: 0.8 });
+      expect(resolveMTFParams('mtf-2')).toEqual({});
+      expect(() => resolveMTFParams('wfc', { decay: 0.8, unused: 1 })).toThrow(/Unknown parameter unused for MTF variant wfc/);
+      expect(() => resolveMTFParams('mtf-2', { stickiness: 0.5 })).toThrow(/Unknown parameter stickiness/);
+      expect(() => resolveMTFParams('sticky', { stickiness: 1 })).toThrow(/Invalid stickiness/);
+      expect(() => resolveMTFParams('wfc', { decay: 0 })).toThrow(/Invalid decay/);
+      expect(() => mtfVariantEncode(bwtLike, 'mtf-9')).toThrow(/Unknown MTF variant/);
+    });
+  });
+});
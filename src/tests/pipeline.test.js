@@ -1,5 +1,24 @@
 // Integration tests for the complete BWT compression pipeline
-import { compressBytes, decompressBytes, validatePipeline, getCompressionStats } from '../algorithms/pipeline.js';
+import {
+  compressBytes,
+  decompressBytes,
+  validatePipeline,
+  getCompressionStats,
+  DEFAULT_BLOCK_SIZE,
+  MIN_BLOCK_SIZE,
+  MAX_BLOCK_SIZE,
+  BWT_VARIANTS,
+  RUN_STAGES,
+  ENTROPY_CODERS,
+  AUTO_PIPELINE,
+  ChecksumError,
+  compressBytesAsync,
+  decompressBytesAsync,
+  parsePipelineSpec,
+  openSearchIndex
+} from '../algorithms/pipeline.js';
+import { MTF_VARIANTS } from '../algorithms/mtf.js';
+import { crc32 } from '../algorithms/checksum.js';
 
 describe('BWT Compression Pipeline', () => {
   describe('compressBytes', () => {
@@ -12,15 +31,15 @@ describe('BWT Compression Pipeline', () => {
     });
 
     test('compresses small text successfully', () => {
-      const input = new TextEncoder().encode('BANANA');
+      const input = new TextEncoder().encode('BANANA'.repeat(8));
       const result = compressBytes(input);
       
       expect(result.payload).toBeInstanceOf(Uint8Array);
-      expect(result.meta.originalSize).toBe(6);
+      expect(result.meta.originalSize).toBe(48);
       expect(result.meta.compressedSize).toBe(result.payload.length);
       expect(result.meta.pipeline).toEqual(['bwt', 'mtf', 'rle']);
       expect(result.meta.primaryIndex).toBeGreaterThanOrEqual(0);
-      expect(result.meta.primaryIndex).toBeLessThan(6);
+      expect(result.meta.primaryIndex).toBeLessThan(48);
       expect(result.meta.processingTime).toBeGreaterThan(0);
     });
 
@@ -39,13 +58,13 @@ describe('BWT Compression Pipeline', () => {
     });
 
     test('compresses binary data', () => {
-      const input = new Uint8Array([0, 1, 2, 3, 255, 254, 253, 0, 1, 2]);
+      const input = new Uint8Array(Array(5).fill([0, 1, 2, 3, 255, 254, 253, 0, 1, 2]).flat());
       const result = compressBytes(input);
       
       expect(result.payload).toBeInstanceOf(Uint8Array);
-      expect(result.meta.originalSize).toBe(10);
+      expect(result.meta.originalSize).toBe(50);
       expect(result.meta.primaryIndex).toBeGreaterThanOrEqual(0);
-      expect(result.meta.primaryIndex).toBeLessThan(10);
+      expect(result.meta.primaryIndex).toBeLessThan(50);
     });
 
     test('handles repetitive data efficiently', () => {
@@ -57,6 +76,549 @@ describe('BWT Compression Pipeline', () => {
     });
   });
 
+  describe('block splitting', () => {
+    test('single block for inputs up to the block size', () => {
+      const input = new TextEncoder().encode('BANANA');
+      const { meta } = compressBytes(input);
+      
+      expect(meta.blockSize).toBe(DEFAULT_BLOCK_SIZE);
+      expect(meta.blocks).toHaveLength(1);
+      expect(meta.blocks[0].originalSize).toBe(6);
+      expect(meta.blocks[0].compressedSize).toBe(meta.compressedSize);
+      expect(meta.blocks[0].primaryIndex).toBe(meta.primaryIndex);
+    });
+
+    test('splits input into independently transformed blocks', () => {
+      const input = new Uint8Array(250 * 1024).map((_, i) => i % 7);
+      const { payload, meta } = compressBytes(input, { blockSize: MIN_BLOCK_SIZE });
+      
+      expect(meta.blocks.map(b => b.originalSize)).toEqual([MIN_BLOCK_SIZE, MIN_BLOCK_SIZE, 50 * 1024]);
+      expect(meta.blocks.reduce((sum, b) => sum + b.compressedSize, 0)).toBe(payload.length);
+      meta.blocks.forEach(block => {
+        expect(block.primaryIndex).toBeGreaterThanOrEqual(0);
+        expect(block.primaryIndex).toBeLessThan(block.originalSize);
+      });
+    });
+
+    test('roundtrips multi-block input', () => {
+      const text = 'id,name,status\n' + Array.from({ length: 20000 }, (_, i) => `${i},user${i % 97},ok`).join('\n');
+      const input = new TextEncoder().encode(text);
+      const { payload, meta } = compressBytes(input, { blockSize: MIN_BLOCK_SIZE });
+      
+      expect(meta.blocks.length).toBeGreaterThan(1);
+      expect(decompressBytes(payload, meta)).toEqual(input);
+    });
+
+    test('decodes legacy metadata without a block table', () => {
+      const input = new TextEncoder().encode('MISSISSIPPI'.repeat(6));
+      const { payload, meta } = compressBytes(input);
+      const { blocks, blockSize, ...legacyMeta } = meta;
+      
+      expect(decompressBytes(payload, legacyMeta)).toEqual(input);
+    });
+
+    test('clamps block size to the supported range', () => {
+      const input = new Uint8Array(10).fill(1);
+      
+      expect(compressBytes(input, { blockSize: 1 }).meta.blockSize).toBe(MIN_BLOCK_SIZE);
+      expect(compressBytes(input, { blockSize: 1 << 30 }).meta.blockSize).toBe(MAX_BLOCK_SIZE);
+    });
+
+    test('rejects a block table that runs past the payload', () => {
+      const input = new TextEncoder().encode('BANANA');
+      const { payload, meta } = compressBytes(input);
+      const badMeta = { ...meta, blocks: [{ ...meta.blocks[0], compressedSize: payload.length + 1 }] };
+      
+      expect(() => decompressBytes(payload, badMeta)).toThrow(/past end of payload/);
+    });
+  });
+
+  describe('Stored blocks', () => {
+    const noise = new Uint8Array(MIN_BLOCK_SIZE);
+    let seed = 2024;
+    for (let i = 0; i < noise.length; i++) {
+      seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+      noise[i] = seed >>> 24;
+    }
+    
+    test('stores blocks that do not shrink', () => {
+      const { payload, meta } = compressBytes(noise, { entropyCoder: 'huffman' });
+      
+      expect(meta.blocks).toHaveLength(1);
+      expect(meta.blocks[0].stored).toBe(true);
+      expect(meta.blocks[0].stageStates).toBeUndefined();
+      expect(meta.compressedSize).toBe(noise.length);
+      expect(meta.version).toBe('1.3');
+      expect(decompressBytes(payload, meta)).toEqual(noise);
+    });
+    
+    test('never grows the payload, whatever the pipeline', () => {
+      ['bwt,mtf,rle', 'rle,bwt,mtf,rle', 'bwt,mtf,zrle', 'range'].forEach(pipeline => {
+        [noise.subarray(0, 1), noise.subarray(0, 7), noise.subarray(0, 3000)].forEach(input => {
+          const { payload, meta } = compressBytes(input, { pipeline });
+          expect(payload.length).toBeLessThanOrEqual(input.length);
+          expect(decompressBytes(payload, meta)).toEqual(input);
+        });
+      });
+    });
+    
+    test('mixes stored and compressed blocks', () => {
+      const input = new Uint8Array(3 * MIN_BLOCK_SIZE);
+      input.set(noise, MIN_BLOCK_SIZE);
+      const { payload, meta } = compressBytes(input, { blockSize: MIN_BLOCK_SIZE });
+      
+      expect(meta.blocks.map(block => Boolean(block.stored))).toEqual([false, true, false]);
+      expect(meta.blocks[0].primaryIndex).toBeGreaterThanOrEqual(0);
+      expect(meta.compressedSize).toBeLessThan(MIN_BLOCK_SIZE * 1.05);
+      expect(decompressBytes(payload, meta)).toEqual(input);
+    });
+    
+    test('stores the BWT output of blocks that do not shrink when building a search index', () => {
+      const input = noise.subarray(0, 5000);
+      const { payload, meta, index } = compressBytes(input, { fmIndex: true });
+      
+      expect(payload.length).toBe(input.length);
+      expect(meta.blocks[0].stored).toBeUndefined();
+      expect(meta.blocks[0].stages.map(({ id }) => id)).toEqual(['bwt']);
+      expect(meta.version).toBe('1.3');
+      expect(decompressBytes(payload, meta)).toEqual(input);
+      expect(openSearchIndex(payload, meta, index).count(input.subarray(100, 104))).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Integrity checks', () => {
+    const text = new TextEncoder().encode('Checksums catch what decoding misses. '.repeat(8000));
+    
+    test('records CRC-32 per block and for the whole input', () => {
+      const { meta } = compressBytes(text, { blockSize: MIN_BLOCK_SIZE });
+      
+      expect(meta.crc32).toBe(crc32(text));
+      expect(meta.blocks).toHaveLength(3);
+      meta.blocks.forEach((block, i) => {
+        expect(block.crc32).toBe(crc32(text.subarray(i * MIN_BLOCK_SIZE, (i + 1) * MIN_BLOCK_SIZE)));
+      });
+    });
+    
+    test('reports the index of a corrupt block', () => {
+      const { payload, meta } = compressBytes(text, { blockSize: MIN_BLOCK_SIZE });
+      const tampered = { ...meta, blocks: meta.blocks.map((block, i) => (i === 1 ? { ...block, crc32: block.crc32 ^ 1 } : block)) };
+      
+      let caught;
+      try {
+        decompressBytes(payload, tampered);
+      } catch (error) {
+        caught = error;
+      }
+      expect(caught).toBeInstanceOf(ChecksumError);
+      expect(caught.blockIndex).toBe(1);
+      expect(caught.message).toMatch(/Block 1 failed its CRC-32 check/);
+    });
+    
+    test('catches flipped bits in stored blocks', () => {
+      const input = new TextEncoder().encode('no');
+      const { payload, meta } = compressBytes(input);
+      const corrupted = new Uint8Array(payload);
+      corrupted[1] ^= 0x10;
+      
+      expect(meta.blocks[0].stored).toBe(true);
+      expect(() => decompressBytes(corrupted, meta)).toThrow(ChecksumError);
+    });
+    
+    test('checks the whole file and the uncompressed fallback', () => {
+      const { payload, meta } = compressBytes(text);
+      expect(() => decompressBytes(payload, { ...meta, crc32: meta.crc32 ^ 1 })).toThrow(/Decompressed file failed its CRC-32 check/);
+      
+      const fallbackMeta = { pipeline: ['none'], crc32: meta.crc32 };
+      expect(decompressBytes(text, fallbackMeta)).toEqual(text);
+      expect(() => decompressBytes(text.subarray(1), fallbackMeta)).toThrow(ChecksumError);
+    });
+    
+    test('reads files written before checksums', () => {
+      const { payload, meta } = compressBytes(text);
+      const { crc32: fileCrc, ...oldMeta } = meta;
+      oldMeta.blocks = meta.blocks.map(({ crc32: blockCrc, ...block }) => block);
+      
+      expect(decompressBytes(payload, oldMeta)).toEqual(text);
+    });
+  });
+
+  describe('Progress and cancellation', () => {
+    const input = new TextEncoder().encode('progress,report,cancel\n'.repeat(10000));
+    
+    test('reports every stage of every block', () => {
+      const events = [];
+      compressBytes(input, { blockSize: MIN_BLOCK_SIZE, entropyCoder: 'huffman', onProgress: event => events.push(event) });
+      
+      const blockCount = Math.ceil(input.length / MIN_BLOCK_SIZE);
+      expect(events.filter(event => event.stage !== 'done').map(event => event.stage))
+        .toEqual(Array(blockCount).fill(['bwt', 'mtf', 'rle', 'huffman']).flat());
+      events.forEach((event, i) => {
+        expect(event).toMatchObject({ phase: 'compress', blockCount, totalBytes: input.length });
+        if (i > 0) expect(event.bytesDone).toBeGreaterThanOrEqual(events[i - 1].bytesDone);
+      });
+      expect(events[events.length - 1]).toMatchObject({ stage: 'done', bytesDone: input.length, etaMs: 0 });
+      expect(events[0].etaMs).toBeNull();
+    });
+    
+    test('reports decompression in reverse stage order', () => {
+      const { payload, meta } = compressBytes(input, { entropyCoder: 'rans' });
+      const stages = [];
+      decompressBytes(payload, meta, { onProgress: event => stages.push(event.phase === 'decompress' && event.stage) });
+      
+      expect(stages).toEqual(['rans', 'rle', 'mtf', 'bwt', 'done']);
+    });
+    
+    test('aborts instead of falling back to storing the input', () => {
+      const controller = new AbortController();
+      const onProgress = event => event.stage === 'mtf' && controller.abort();
+      
+      expect(() => compressBytes(input, { onProgress, signal: controller.signal })).toThrow(/abort/i);
+      expect(() => compressBytes(input, { signal: AbortSignal.abort() })).toThrow(/abort/i);
+      
+      const { payload, meta } = compressBytes(input);
+      expect(() => decompressBytes(payload, meta, { signal: AbortSignal.abort() })).toThrow(/abort/i);
+    });
+    
+    test('async variants yield between stages and can be cancelled', async () => {
+      const controller = new AbortController();
+      const pending = compressBytesAsync(input, { blockSize: MIN_BLOCK_SIZE, signal: controller.signal });
+      setTimeout(() => controller.abort(), 0);
+      await expect(pending).rejects.toThrow(/abort/i);
+      
+      const { payload, meta } = await compressBytesAsync(input, { entropyCoder: 'huffman' });
+      expect(await decompressBytesAsync(payload, meta)).toEqual(input);
+    });
+  });
+
+  describe('BWT variants', () => {
+    test('records the variant and omits primary indices for BWTS', () => {
+      const input = new TextEncoder().encode('BANANA BANDANA');
+      const { meta } = compressBytes(input, { bwtVariant: 'bwts' });
+      
+      expect(meta.bwtVariant).toBe('bwts');
+      expect(meta.algorithm).toBe('BWTS+MTF+RLE');
+      expect(meta.primaryIndex).toBeUndefined();
+      expect(meta.blocks[0]).not.toHaveProperty('primaryIndex');
+    });
+
+    test('dispatches on the recorded variant when decompressing', () => {
+      const input = new TextEncoder().encode('The quick brown fox jumps over the lazy dog. '.repeat(20));
+      
+      BWT_VARIANTS.forEach(bwtVariant => {
+        const { payload, meta } = compressBytes(input, { bwtVariant });
+        expect(decompressBytes(payload, meta)).toEqual(input);
+      });
+    });
+
+    test('records primary index checkpoints per block', () => {
+      const input = new TextEncoder().encode('MISSISSIPPI RIVER '.repeat(8000));
+      const { payload, meta } = compressBytes(input, { blockSize: MIN_BLOCK_SIZE, bwtCheckpoints: 8 });
+      
+      expect(meta.bwtCheckpoints).toBe(8);
+      expect(meta.stages[0].params).toEqual({ variant: 'bwt', checkpoints: 8 });
+      meta.blocks.forEach(block => {
+        expect(block.stageStates[0].primaryIndex).toBe(block.primaryIndex);
+        expect(block.stageStates[0].checkpoints.rows).toHaveLength(8);
+      });
+      expect(decompressBytes(payload, meta)).toEqual(input);
+      
+      expect(compressBytes(input, {}).meta).not.toHaveProperty('bwtCheckpoints');
+      expect(() => compressBytes(input, { bwtVariant: 'bwts', bwtCheckpoints: 4 })).toThrow(/classic BWT/);
+      expect(() => compressBytes(input, { bwtCheckpoints: 1000 })).toThrow(/BWT checkpoints must be/);
+    });
+    
+    test('rejects unknown variants', () => {
+      const input = new TextEncoder().encode('BANANA');
+      const { payload, meta } = compressBytes(input);
+      
+      expect(() => compressBytes(input, { bwtVariant: 'lzw' })).toThrow(/Unknown BWT variant/);
+      expect(() => decompressBytes(payload, { ...meta, stages: [{ id: 'bwt', params: { variant: 'lzw' } }] })).toThrow(/Unknown BWT variant/);
+      
+      const legacyMeta = { ...meta, bwtVariant: 'lzw' };
+      delete legacyMeta.stages;
+      expect(() => decompressBytes(payload, legacyMeta)).toThrow(/Unknown BWT variant/);
+    });
+  });
+
+  describe('MTF variants', () => {
+    test('records the variant and parameters in meta', () => {
+      const input = new TextEncoder().encode('timestamp,level,message\n'.repeat(30));
+      const { meta } = compressBytes(input, { mtfVariant: 'sticky', mtfParams: { stickiness: 0.25 } });
+      
+      expect(meta.mtfVariant).toBe('sticky');
+      expect(meta.mtfParams).toEqual({ stickiness: 0.25 });
+    });
+
+    test('roundtrips every variant across blocks', () => {
+      const input = new Uint8Array(MIN_BLOCK_SIZE + 5000);
+      for (let i = 0; i < input.length; i++) {
+        input[i] = 'id,name,value\n'.charCodeAt(i % 14) + ((i >> 10) % 3);
+      }
+      
+      MTF_VARIANTS.forEach(mtfVariant => {
+        const { payload, meta } = compressBytes(input, { blockSize: MIN_BLOCK_SIZE, mtfVariant });
+        expect(meta.pipeline).toEqual(['bwt', 'mtf', 'rle']);
+        expect(decompressBytes(payload, meta)).toEqual(input);
+      });
+    });
+
+    test('decodes files without a recorded variant as classic MTF', () => {
+      const input = new TextEncoder().encode('BANANA BANDANA');
+      const { payload, meta } = compressBytes(input);
+      const legacyMeta = { ...meta };
+      delete legacyMeta.stages;
+      delete legacyMeta.mtfVariant;
+      delete legacyMeta.mtfParams;
+      
+      expect(decompressBytes(payload, legacyMeta)).toEqual(input);
+    });
+
+    test('records primary index checkpoints per block', () => {
+      const input = new TextEncoder().encode('MISSISSIPPI RIVER '.repeat(8000));
+      const { payload, meta } = compressBytes(input, { blockSize: MIN_BLOCK_SIZE, bwtCheckpoints: 8 });
+      
+      expect(meta.bwtCheckpoints).toBe(8);
+      expect(meta.stages[0].params).toEqual({ variant: 'bwt', checkpoints: 8 });
+      meta.blocks.forEach(block => {
+        expect(block.stageStates[0].primaryIndex).toBe(block.primaryIndex);
+        expect(block.stageStates[0].checkpoints.rows).toHaveLength(8);
+      });
+      expect(decompressBytes(payload, meta)).toEqual(input);
+      
+      expect(compressBytes(input, {}).meta).not.toHaveProperty('bwtCheckpoints');
+      expect(() => compressBytes(input, { bwtVariant: 'bwts', bwtCheckpoints: 4 })).toThrow(/classic BWT/);
+      expect(() => compressBytes(input, { bwtCheckpoints: 1000 })).toThrow(/BWT checkpoints must be/);
+    });
+    
+    test('rejects unknown variants', () => {
+      const input = new TextEncoder().encode('BANANA');
+      const { payload, meta } = compressBytes(input);
+      
+      expect(() => compressBytes(input, { mtfVariant: 'lzw' })).toThrow(/Unknown MTF variant/);
+      const stages = meta.stages.map(stage => (stage.id === 'mtf' ? { id: 'mtf', params: { variant: 'lzw' } } : stage));
+      expect(() => decompressBytes(payload, { ...meta, stages })).toThrow(/Unknown MTF variant/);
+      
+      const legacyMeta = { ...meta, mtfVariant: 'lzw' };
+      delete legacyMeta.stages;
+      expect(() => decompressBytes(payload, legacyMeta)).toThrow(/Unknown MTF variant/);
+    });
+  });
+
+  describe('Run stages', () => {
+    test('zero-run stage roundtrips and is recorded in the pipeline', () => {
+      const input = new TextEncoder().encode('2024-05-01 12:00:00 INFO request ok\n'.repeat(500));
+      const { payload, meta } = compressBytes(input, { runStage: 'zrle' });
+      
+      expect(meta.pipeline).toEqual(['bwt', 'mtf', 'zrle']);
+      expect(meta.algorithm).toBe('BWT+MTF+ZRLE');
+      expect(decompressBytes(payload, meta)).toEqual(input);
+    });
+    
+    test('zero runs beat escape RLE on long runs', () => {
+      const input = new TextEncoder().encode('a'.repeat(100000));
+      const rle = compressBytes(input, { runStage: 'rle' });
+      const zrle = compressBytes(input, { runStage: 'zrle' });
+      
+      expect(zrle.payload.length).toBeLessThan(rle.payload.length);
+    });
+    
+    test('roundtrips every stage with every MTF variant', () => {
+      const input = new TextEncoder().encode('id,name\n1,alpha\n2,beta\n3,gamma\n'.repeat(40));
+      
+      RUN_STAGES.forEach(runStage => {
+        MTF_VARIANTS.forEach(mtfVariant => {
+          const { payload, meta } = compressBytes(input, { runStage, mtfVariant });
+          expect(decompressBytes(payload, meta)).toEqual(input);
+        });
+      });
+    });
+    
+    test('rejects unknown run stages', () => {
+      expect(() => compressBytes(new Uint8Array([1]), { runStage: 'lz' })).toThrow(/Unknown run stage/);
+    });
+  });
+
+  describe('Entropy coding', () => {
+    test('Huffman stage shrinks the payload and roundtrips', () => {
+      const line = (i) => `2024-05-01T12:${String(i % 60).padStart(2, '0')}:00Z,GET,/api/items/${i % 17},200\n`;
+      const input = new TextEncoder().encode(Array.from({ length: 2000 }, (_, i) => line(i)).join(''));
+      const plain = compressBytes(input);
+      const coded = compressBytes(input, { entropyCoder: 'huffman' });
+      
+      expect(coded.meta.pipeline).toEqual(['bwt', 'mtf', 'rle', 'huffman']);
+      expect(coded.meta.algorithm).toBe('BWT+MTF+RLE+HUFFMAN');
+      expect(coded.payload.length).toBeLessThan(plain.payload.length);
+      expect(decompressBytes(coded.payload, coded.meta)).toEqual(input);
+    });
+    
+    test('roundtrips every run stage and coder across blocks', () => {
+      const input = new Uint8Array(MIN_BLOCK_SIZE + 3000);
+      for (let i = 0; i < input.length; i++) {
+        input[i] = i % 9 === 0 ? (i * 13) % 256 : 'abcabd'.charCodeAt(i % 6);
+      }
+      
+      RUN_STAGES.forEach(runStage => {
+        ENTROPY_CODERS.forEach(entropyCoder => {
+          const { payload, meta } = compressBytes(input, { blockSize: MIN_BLOCK_SIZE, runStage, entropyCoder });
+          expect(decompressBytes(payload, meta)).toEqual(input);
+        });
+      });
+    });
+    
+    test('range coder is selectable per file and records its order', () => {
+      const input = new TextEncoder().encode('level=info msg="cache hit" key=user:42\n'.repeat(400));
+      
+      [0, 1].forEach(rangeCoderOrder => {
+        const { payload, meta } = compressBytes(input, { entropyCoder: 'range', rangeCoderOrder });
+        expect(meta.pipeline).toEqual(['bwt', 'mtf', 'rle', 'range']);
+        expect(meta.rangeCoderOrder).toBe(rangeCoderOrder);
+        expect(decompressBytes(payload, meta)).toEqual(input);
+      });
+      
+      expect(() => compressBytes(input, { entropyCoder: 'range', rangeCoderOrder: 3 })).toThrow(/Unsupported range coder order/);
+    });
+    
+    test('rANS is selectable per file and records its state count', () => {
+      const input = new TextEncoder().encode('sensor,temp,humidity\nA1,21.5,40\nA2,21.7,41\n'.repeat(300));
+      const { payload, meta } = compressBytes(input, { entropyCoder: 'rans', ransStates: 8, runStage: 'zrle' });
+      
+      expect(meta.pipeline).toEqual(['bwt', 'mtf', 'zrle', 'rans']);
+      expect(meta.ransStates).toBe(8);
+      expect(decompressBytes(payload, meta)).toEqual(input);
+    });
+    
+    test('rejects unknown entropy coders', () => {
+      expect(() => compressBytes(new Uint8Array([1]), { entropyCoder: 'lzma' })).toThrow(/Unknown entropy coder/);
+    });
+  });
+
+  describe('Pipeline specs', () => {
+    const input = new TextEncoder().encode('aaaaaaaabbbbbbbbccccccccdddd,1,2,3\n'.repeat(300));
+    
+    test('parses strings and arrays', () => {
+      expect(parsePipelineSpec(' rle, bwt,mtf ,rle')).toEqual([
+        { id: 'rle', params: {} },
+        { id: 'bwt', params: {} },
+        { id: 'mtf', params: {} },
+        { id: 'rle', params: {} }
+      ]);
+      expect(parsePipelineSpec(['bwt', { id: 'range', params: { order: 1 } }])).toEqual([
+        { id: 'bwt', params: {} },
+        { id: 'range', params: { order: 1 } }
+      ]);
+    });
+    
+    test('roundtrips reordered and repeated stages', () => {
+      ['rle,bwt,mtf,rle', 'bwt,mtf', 'mtf,bwt', 'bwt,bwt,mtf,zrle,huffman', 'rle', 'zrle'].forEach(spec => {
+        const { payload, meta } = compressBytes(input, { pipeline: spec });
+        expect(meta.pipeline).toEqual(spec.split(','));
+        expect(decompressBytes(payload, meta)).toEqual(input);
+      });
+    });
+    
+    test('records resolved params and per-stage state', () => {
+      const { payload, meta } = compressBytes(input, {
+        pipeline: ['bwt', { id: 'mtf', params: { variant: 'wfc' } }, 'bwt', 'rle', { id: 'rans', params: { states: 2 } }]
+      });
+      
+      expect(meta.stages).toEqual([
+        { id: 'bwt', version: '1.0.0', params: { variant: 'bwt' } },
+        { id: 'mtf', version: '1.0.0', params: { variant: 'wfc', decay: 0.95 } },
+        { id: 'bwt', version: '1.0.0', params: { variant: 'bwt' } },
+        { id: 'rle', version: '1.0.0', params: {} },
+        { id: 'rans', version: '1.0.0', params: { states: 2 } }
+      ]);
+      const states = meta.blocks[0].stageStates;
+      expect(states.map(state => (state ? Object.keys(state) : null))).toEqual([['primaryIndex'], null, ['primaryIndex'], null, null]);
+      expect(decompressBytes(payload, meta)).toEqual(input);
+    });
+    
+    test('decodes in exactly the reverse order', () => {
+      const { payload, meta } = compressBytes(input, { pipeline: 'rle,bwt,mtf,rle' });
+      const swapped = { ...meta, stages: [meta.stages[1], meta.stages[0], meta.stages[2], meta.stages[3]] };
+      
+      expect(() => {
+        const decoded = decompressBytes(payload, swapped);
+        if (decoded.length === input.length && decoded.every((b, i) => b === input[i])) {
+          throw new Error('decoded correctly with the wrong order');
+        }
+        throw new Error('mismatch');
+      }).toThrow();
+    });
+    
+    test('takes params missing from the spec from the flat options', () => {
+      const { meta } = compressBytes(input, { pipeline: 'bwt,mtf,range', bwtVariant: 'bwts', mtfVariant: 'mtf-1', rangeCoderOrder: 1 });
+      expect(meta.stages.map(stage => stage.params)).toEqual([{ variant: 'bwts' }, { variant: 'mtf-1' }, { order: 1 }]);
+      expect(meta.algorithm).toBe('BWTS+MTF+RANGE');
+    });
+    
+    test('rejects unknown, empty and mistyped specs', () => {
+      expect(() => compressBytes(input, { pipeline: 'bwt,lz77' })).toThrow(/Unknown pipeline stage: lz77/);
+      expect(() => compressBytes(input, { pipeline: '' })).toThrow(/at least one stage/);
+      expect(() => compressBytes(input, { pipeline: 'zrle,mtf' })).toThrow(/mtf needs bytes and cannot follow zrle/);
+      expect(() => compressBytes(input, { pipeline: 'mtf,bwt', fmIndex: true })).toThrow(/classic BWT/);
+    });
+  });
+
+  describe('Auto mode', () => {
+    const text = new TextEncoder().encode('The quick brown fox jumps over the lazy dog. '.repeat(2500));
+    const noise = new Uint8Array(MIN_BLOCK_SIZE);
+    let seed = 12345;
+    for (let i = 0; i < noise.length; i++) {
+      seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+      noise[i] = seed >>> 24;
+    }
+    
+    test('compresses redundant blocks and stores incompressible ones', () => {
+      const input = new Uint8Array(MIN_BLOCK_SIZE + noise.length);
+      input.set(text.subarray(0, MIN_BLOCK_SIZE));
+      input.set(noise, MIN_BLOCK_SIZE);
+      const { payload, meta } = compressBytes(input, { pipeline: AUTO_PIPELINE, blockSize: MIN_BLOCK_SIZE });
+      
+      expect(meta.pipeline).toEqual([AUTO_PIPELINE]);
+      expect(meta.version).toBe('1.3');
+      expect(meta.auto.candidates).toContain('range(order=1)');
+      
+      const [textBlock, noiseBlock] = meta.blocks;
+      expect(textBlock.stored).toBeUndefined();
+      expect(textBlock.selection.choice).toBe(textBlock.stages.map(stage => stage.id).join(','));
+      expect(textBlock.selection.reason).toMatch(/^Smallest on a 65536-byte sample/);
+      expect(textBlock.compressedSize).toBeLessThan(MIN_BLOCK_SIZE / 10);
+      
+      expect(noiseBlock.stored).toBe(true);
+      expect(noiseBlock.selection.choice).toBe('stored');
+      expect(noiseBlock.selection.reason).toMatch(/No candidate beat storing/);
+      expect(noiseBlock.compressedSize).toBe(noise.length);
+      expect(meta.compressedSize).toBeLessThan(input.length);
+      
+      expect(decompressBytes(payload, meta)).toEqual(input);
+    });
+    
+    test('records estimates for every candidate', () => {
+      const { meta } = compressBytes(text.subarray(0, 5000), { pipeline: AUTO_PIPELINE });
+      const { selection } = meta.blocks[0];
+      
+      expect(Object.keys(selection.estimates).sort()).toEqual([...meta.auto.candidates, 'stored'].sort());
+      expect(selection.estimates.stored).toBe(5000);
+      expect(selection.reason).toMatch(/the whole block/);
+      expect(selection.estimates[selection.choice]).toBe(meta.blocks[0].compressedSize);
+    });
+    
+    test('uses custom candidates', () => {
+      const input = text.subarray(0, 20000);
+      const { payload, meta } = compressBytes(input, { pipeline: AUTO_PIPELINE, candidates: ['rle', 'bwt,mtf,zrle,rans'] });
+      
+      expect(meta.auto.candidates).toEqual(['rle', 'bwt,mtf,zrle,rans']);
+      expect(meta.blocks[0].selection.choice).toBe('bwt,mtf,zrle,rans');
+      expect(decompressBytes(payload, meta)).toEqual(input);
+      expect(() => compressBytes(input, { pipeline: AUTO_PIPELINE, candidates: [] })).toThrow(/at least one candidate/);
+    });
+    
+    test('rejects a search index', () => {
+      expect(() => compressBytes(text, { pipeline: AUTO_PIPELINE, fmIndex: true })).toThrow(/not available in auto mode/);
+    });
+  });
+
   describe('decompressBytes', () => {
     test('handles empty payload', () => {
       const meta = {
@@ -309,15 +871,15 @@ describe('BWT Compression Pipeline', () => {
       expect(() => decompressBytes(payload, badMeta)).toThrow();
     });
 
-    test('handles missing pipeline steps', () => {
+    test('rejects unknown pipeline steps', () => {
       const payload = new Uint8Array([1, 2, 3]);
       const incompleteMeta = {
         pipeline: ['unknown_algorithm'],
         primaryIndex: 0
       };
       
-      // Should handle unknown algorithms gracefully
-      expect(() => decompressBytes(payload, incompleteMeta)).not.toThrow();
+      // Stages are checked against the registry instead of being skipped
+      expect(() => decompressBytes(payload, incompleteMeta)).toThrow(/Unknown pipeline stage: unknown_algorithm/);
     });
 
     test('handles buffer overflow scenarios', () => {
@@ -0,0 +1,64 @@
+// Unit tests for the adaptive range coder
+import { rangeEncode, rangeDecode } from '../algorithms/rangecoder.js';
+
+describe('Adaptive range coder', () => {
+  const skewed = new Uint8Array(50000);
+  for (let i = 0; i < skewed.length; i++) {
+    skewed[i] = i % 16 === 0 ? (i * 7) % 64 : i % 5 === 0 ? 1 : 0;
+  }
+
+  test('handles empty input', () => {
+    expect(rangeEncode(new Uint8Array(0))).toEqual(new Uint8Array(0));
+    expect(rangeDecode(new Uint8Array(0))).toEqual(new Uint8Array(0));
+  });
+
+  test('roundtrip with both model orders', () => {
+    [0, 1].forEach(order => {
+      expect(rangeDecode(rangeEncode(skewed, 256, order))).toEqual(skewed);
+    });
+  });
+
+  test('roundtrip of single symbols and all byte values', () => {
+    expect(rangeDecode(rangeEncode(new Uint8Array([200])))).toEqual(new Uint8Array([200]));
+
+    const allBytes = new Uint8Array(2048);
+    for (let i = 0; i < allBytes.length; i++) allBytes[i] = (i * 151) % 256;
+    expect(rangeDecode(rangeEncode(allBytes))).toEqual(allBytes);
+  });
+
+  test('roundtrip over an extended alphabet', () => {
+    const input = new Uint16Array(5000);
+    for (let i = 0; i < input.length; i++) input[i] = i % 11 === 0 ? 256 : i % 4;
+    const decoded = rangeDecode(rangeEncode(input, 257, 1));
+
+    expect(decoded).toBeInstanceOf(Uint16Array);
+    expect(decoded).toEqual(input);
+  });
+
+  test('comes close to the order-0 entropy', () => {
+    const counts = new Map();
+    skewed.forEach(b => counts.set(b, (counts.get(b) || 0) + 1));
+    let entropyBits = 0;
+    counts.forEach(count => {
+      entropyBits -= count * Math.log2(count / skewed.length);
+    });
+
+    const encoded = rangeEncode(skewed);
+    expect(encoded.length * 8).toBeLessThan(entropyBits * 1.1 + 2048);
+  });
+
+  test('order-1 model exploits context', () => {
+    // Each byte is fully determined by the previous one
+    const input = new Uint8Array(30000);
+    for (let i = 1; i < input.length; i++) input[i] = (input[i - 1] * 5 + 3) % 17;
+
+    expect(rangeEncode(input, 256, 1).length).toBeLessThan(rangeEncode(input, 256, 0).length / 2);
+  });
+
+  test('rejects bad orders and truncated streams', () => {
+    expect(() => rangeEncode(skewed, 256, 2)).toThrow(/Unsupported range coder order/);
+
+    const encoded = rangeEncode(skewed);
+    expect(() => rangeDecode(encoded.subarray(0, encoded.length - 100))).toThrow();
+  });
+});
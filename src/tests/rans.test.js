@@ -0,0 +1,69 @@
+// Unit tests for the interleaved rANS coder
+import { ransEncode, ransDecode, RANS_STATE_COUNTS } from '../algorithms/rans.js';
+
+describe('rANS coder', () => {
+  const skewed = new Uint8Array(40000);
+  for (let i = 0; i < skewed.length; i++) {
+    skewed[i] = i % 9 === 0 ? (i * 13) % 200 : i % 4 === 0 ? 1 : 0;
+  }
+
+  test('handles empty input', () => {
+    expect(ransEncode(new Uint8Array(0))).toEqual(new Uint8Array(0));
+    expect(ransDecode(new Uint8Array(0))).toEqual(new Uint8Array(0));
+  });
+
+  test('roundtrip with every state count', () => {
+    RANS_STATE_COUNTS.forEach(states => {
+      expect(ransDecode(ransEncode(skewed, 256, states))).toEqual(skewed);
+    });
+  });
+
+  test('roundtrip of edge cases', () => {
+    const inputs = [
+      new Uint8Array([5]),
+      new Uint8Array(1000).fill(77),
+      new Uint8Array([1, 2, 3]),
+      Uint8Array.from({ length: 4096 }, (_, i) => (i * 101) % 256)
+    ];
+    inputs.forEach(input => {
+      expect(ransDecode(ransEncode(input, 256, 8))).toEqual(input);
+    });
+  });
+
+  test('roundtrip over an extended alphabet', () => {
+    const input = Uint16Array.from({ length: 3000 }, (_, i) => (i % 13 === 0 ? 256 : i % 3));
+    const decoded = ransDecode(ransEncode(input, 257));
+
+    expect(decoded).toBeInstanceOf(Uint16Array);
+    expect(decoded).toEqual(input);
+  });
+
+  test('single-symbol input costs no payload bits', () => {
+    const small = ransEncode(new Uint8Array(10).fill(3));
+    const large = ransEncode(new Uint8Array(100000).fill(3));
+    expect(large.length - small.length).toBeLessThanOrEqual(2);
+  });
+
+  test('stores the frequency table in the header and compresses near entropy', () => {
+    const counts = new Map();
+    skewed.forEach(b => counts.set(b, (counts.get(b) || 0) + 1));
+    let entropyBits = 0;
+    counts.forEach(count => {
+      entropyBits -= count * Math.log2(count / skewed.length);
+    });
+
+    const encoded = ransEncode(skewed);
+    expect(encoded.length * 8).toBeLessThan(entropyBits * 1.02 + 8 * (4 * counts.size + 64));
+  });
+
+  test('detects corruption and truncation', () => {
+    expect(() => ransEncode(skewed, 256, 3)).toThrow(/Unsupported rANS state count/);
+
+    const encoded = ransEncode(skewed);
+    expect(() => ransDecode(encoded.subarray(0, encoded.length - 50))).toThrow();
+
+    const corrupted = new Uint8Array(encoded);
+    corrupted[corrupted.length - 200] ^= 0x55;
+    expect(() => ransDecode(corrupted)).toThrow(/corrupt/);
+  });
+});
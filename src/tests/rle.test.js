@@ -1,5 +1,6 @@
 // Unit tests for Run-Length Encoding
 import { rleEncode, rleDecode, validateRLE, rleEncodeSimple, rleDecodeSimple } from '../algorithms/rle.js';
+import { FormatError } from '../algorithms/errors.js';
 
 describe('Run-Length Encoding', () => {
   describe('rleEncode (escape-based)', () => {
@@ -87,10 +88,16 @@ describe('Run-Length Encoding', () => {
       expect(result).toEqual(new Uint8Array([0xFF]));
     });
 
-    test('handles truncated input gracefully', () => {
-      const encoded = new Uint8Array([0xFF, 65]); // Incomplete escape sequence
-      const result = rleDecode(encoded);
-      expect(result).toEqual(new Uint8Array([65])); // Just process what we can
+    test('rejects a truncated escape sequence', () => {
+      const encoded = new Uint8Array([65, 0xFF, 65]); // Incomplete escape sequence
+      expect(() => rleDecode(encoded)).toThrow(FormatError);
+      expect(() => rleDecode(encoded)).toThrow(expect.objectContaining({ offset: 1 }));
+    });
+
+    test('stops at the output limit', () => {
+      const encoded = new Uint8Array([0xFF, 65, 255, 0xFF, 66, 255]);
+      expect(rleDecode(encoded, 512)).toHaveLength(512);
+      expect(() => rleDecode(encoded, 511)).toThrow(/more than 511/);
     });
   });
 
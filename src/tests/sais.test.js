@@ -0,0 +1,70 @@
+// Unit tests for SA-IS suffix array construction
+import { buildSuffixArray } from '../algorithms/sais.js';
+
+// Reference implementation: sort suffixes by direct comparison
+function naiveSuffixArray(bytes) {
+  const indices = Array.from({ length: bytes.length }, (_, i) => i);
+  indices.sort((a, b) => {
+    while (a < bytes.length && b < bytes.length) {
+      if (bytes[a] !== bytes[b]) return bytes[a] - bytes[b];
+      a++;
+      b++;
+    }
+    return b - a; // Shorter suffix (larger start) sorts first
+  });
+  return indices;
+}
+
+describe('SA-IS suffix array construction', () => {
+  test('handles empty input', () => {
+    expect(buildSuffixArray(new Uint8Array(0))).toEqual(new Int32Array(0));
+  });
+
+  test('handles single byte', () => {
+    expect(Array.from(buildSuffixArray(new Uint8Array([65])))).toEqual([0]);
+  });
+
+  test('sorts known string "BANANA"', () => {
+    const input = new TextEncoder().encode('BANANA');
+    // A, ANA, ANANA, BANANA, NA, NANA
+    expect(Array.from(buildSuffixArray(input))).toEqual([5, 3, 1, 0, 4, 2]);
+  });
+
+  test('matches naive sort on structured inputs', () => {
+    const testCases = [
+      new TextEncoder().encode('MISSISSIPPI'),
+      new TextEncoder().encode('abracadabra'),
+      new TextEncoder().encode('ABCABC'.repeat(20)),
+      new Uint8Array(64).fill(0),
+      new Uint8Array(64).fill(255),
+      new Uint8Array(256).map((_, i) => 255 - i),
+      new Uint8Array(200).map((_, i) => i % 3)
+    ];
+
+    testCases.forEach(input => {
+      expect(Array.from(buildSuffixArray(input))).toEqual(naiveSuffixArray(input));
+    });
+  });
+
+  test('matches naive sort on random inputs', () => {
+    for (let length = 1; length <= 300; length += 37) {
+      const input = new Uint8Array(length);
+      for (let i = 0; i < length; i++) {
+        input[i] = Math.floor(Math.random() * 4); // Small alphabet forces recursion
+      }
+
+      expect(Array.from(buildSuffixArray(input))).toEqual(naiveSuffixArray(input));
+    }
+  });
+
+  test('sorts a large all-zero buffer in linear time', () => {
+    const input = new Uint8Array(1 << 20);
+    const start = performance.now();
+    const sa = buildSuffixArray(input);
+
+    expect(sa.length).toBe(input.length);
+    expect(sa[0]).toBe(input.length - 1);
+    expect(sa[sa.length - 1]).toBe(0);
+    expect(performance.now() - start).toBeLessThan(5000);
+  });
+});
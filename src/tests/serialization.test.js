@@ -1,5 +1,6 @@
 // Tests for binary serialization format
 import { serializeCompressed, parseCompressedFile, validateSerialization } from '../algorithms/serialization.js';
+import { compressBytes, decompressBytes, MIN_BLOCK_SIZE } from '../algorithms/pipeline.js';
 
 describe('Binary Serialization Format', () => {
   describe('serializeCompressed', () => {
@@ -91,6 +92,29 @@ describe('Binary Serialization Format', () => {
       expect(payloadUint8Array).toEqual(originalPayload);
     });
 
+    test('splits the optional search index section from the payload', async () => {
+      const meta = { originalSize: 5, pipeline: ['bwt', 'mtf', 'rle'], fmIndex: { occSampleRate: 4096, saSampleRate: 32 } };
+      const payload = new Uint8Array([1, 2, 3, 4, 5]);
+      const index = new Uint8Array([9, 8, 7]);
+      
+      const parsed = await parseCompressedFile(serializeCompressed(meta, payload, index));
+      
+      expect(parsed.meta.fmIndex.size).toBe(3);
+      expect(parsed.payloadUint8Array).toEqual(payload);
+      expect(parsed.indexUint8Array).toEqual(index);
+    });
+
+    test('omits the search index section when none is given', async () => {
+      const meta = { pipeline: ['bwt', 'mtf', 'rle'], fmIndex: { occSampleRate: 4096, saSampleRate: 32, size: 3 } };
+      const payload = new Uint8Array([1, 2, 3]);
+      
+      const parsed = await parseCompressedFile(serializeCompressed(meta, payload));
+      
+      expect(parsed.meta.fmIndex).toBeUndefined();
+      expect(parsed.payloadUint8Array).toEqual(payload);
+      expect(parsed.indexUint8Array).toBeUndefined();
+    });
+
     test('rejects invalid magic header', async () => {
       const invalidData = new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
       const blob = new Blob([invalidData]);
@@ -275,7 +299,7 @@ describe('Binary Serialization Format', () => {
       const meta = { test: 'data' };
       const payload = new Uint8Array([1, 2, 3]);
       
-      const blob = serializeCompressed(meta, payload);
+      const blob = serializeCompressed(meta, payload, undefined, { formatVersion: 1 });
       const arrayBuffer = await blob.arrayBuffer();
       const bytes = new Uint8Array(arrayBuffer);
       
@@ -289,7 +313,7 @@ describe('Binary Serialization Format', () => {
       const meta = { short: 'data' };
       const payload = new Uint8Array([42]);
       
-      const blob = serializeCompressed(meta, payload);
+      const blob = serializeCompressed(meta, payload, undefined, { formatVersion: 1 });
       const arrayBuffer = await blob.arrayBuffer();
       const bytes = new Uint8Array(arrayBuffer);
       
@@ -313,7 +337,7 @@ describe('Binary Serialization Format', () => {
       };
       const payload = new Uint8Array([1]);
       
-      const blob = serializeCompressed(meta, payload);
+      const blob = serializeCompressed(meta, payload, undefined, { formatVersion: 1 });
       const arrayBuffer = await blob.arrayBuffer();
       const bytes = new Uint8Array(arrayBuffer);
       
@@ -342,6 +366,79 @@ describe('Binary Serialization Format', () => {
     });
   });
 
+  describe('BWTJS2 container', () => {
+    const text = new TextEncoder().encode('BWTJS2 block framing test line\n'.repeat(8000));
+    
+    const bytesOf = async (blob) => new Uint8Array(await blob.arrayBuffer());
+    
+    test('writes BWTJS2 by default with a fixed binary header', async () => {
+      const { payload, meta } = compressBytes(text, { blockSize: MIN_BLOCK_SIZE });
+      const bytes = await bytesOf(serializeCompressed(meta, payload));
+      const view = new DataView(bytes.buffer);
+      
+      expect(new TextDecoder().decode(bytes.subarray(0, 7))).toBe('BWTJS2\0');
+      expect(bytes[7]).toBe(2); // major version
+      expect(view.getUint32(11)).toBe(meta.blocks.length);
+      expect(Number(view.getBigUint64(15))).toBe(text.length);
+      expect(Number(view.getBigUint64(23))).toBe(payload.length);
+      expect(new TextDecoder().decode(bytes.subarray(bytes.length - 4))).toBe('BWTE');
+    });
+    
+    test('roundtrips meta, block table, payload and search index', async () => {
+      const { payload, meta, index } = compressBytes(text, { blockSize: MIN_BLOCK_SIZE, fmIndex: true });
+      const parsed = await parseCompressedFile(serializeCompressed({ ...meta, originalFilename: 'log.txt' }, payload, index));
+      
+      expect(parsed.formatVersion).toBe(2);
+      expect(parsed.meta).toMatchObject({ ...meta, originalFilename: 'log.txt' });
+      expect(parsed.meta.blocks).toEqual(meta.blocks);
+      expect(parsed.payloadUint8Array).toEqual(payload);
+      expect(parsed.indexUint8Array).toEqual(index);
+      expect(decompressBytes(parsed.payloadUint8Array, parsed.meta)).toEqual(text);
+    });
+    
+    test('keeps stored blocks and empty inputs', async () => {
+      const noise = new Uint8Array(5000).map((_, i) => (Math.imul(i + 1, 2654435761) >>> 24));
+      for (const input of [noise, new Uint8Array(0)]) {
+        const { payload, meta } = compressBytes(input);
+        const parsed = await parseCompressedFile(serializeCompressed(meta, payload));
+        expect(decompressBytes(parsed.payloadUint8Array, parsed.meta)).toEqual(input);
+      }
+    });
+    
+    test('still reads BWTJS1 files', async () => {
+      const { payload, meta } = compressBytes(text);
+      const parsed = await parseCompressedFile(serializeCompressed(meta, payload, undefined, { formatVersion: 1 }));
+      
+      expect(parsed.formatVersion).toBe(1);
+      expect(decompressBytes(parsed.payloadUint8Array, parsed.meta)).toEqual(text);
+    });
+    
+    test('rejects newer formats and unknown flags with a clear message', async () => {
+      const { payload, meta } = compressBytes(text);
+      const bytes = await bytesOf(serializeCompressed(meta, payload));
+      
+      const newer = bytes.slice();
+      newer[5] = 0x33; // "BWTJS3"
+      await expect(parseCompressedFile(new Blob([newer]))).rejects.toThrow(/Unsupported format BWTJS3.*newer version/);
+      
+      const flagged = bytes.slice();
+      flagged[9] |= 0x80;
+      await expect(parseCompressedFile(new Blob([flagged]))).rejects.toThrow(/features this reader does not support/);
+    });
+    
+    test('detects truncation and header corruption', async () => {
+      const { payload, meta } = compressBytes(text);
+      const bytes = await bytesOf(serializeCompressed(meta, payload));
+      
+      await expect(parseCompressedFile(new Blob([bytes.subarray(0, bytes.length - 10)]))).rejects.toThrow(/File truncated/);
+      await expect(parseCompressedFile(new Blob([bytes.subarray(0, 20)]))).rejects.toThrow(/File truncated/);
+      
+      const corrupt = bytes.slice();
+      corrupt[7 + 40 + meta.blocks.length * 16 + 5] ^= 0x01; // inside the JSON extension
+      await expect(parseCompressedFile(new Blob([corrupt]))).rejects.toThrow(/Header checksum mismatch/);
+    });
+  });
+
   describe('Error conditions and edge cases', () => {
     test('handles very large payloads', async () => {
       const meta = { large: 'payload' };
@@ -367,7 +464,7 @@ describe('Binary Serialization Format', () => {
     });
 
     test('rejects files with wrong magic header', async () => {
-      const wrongMagic = new Uint8Array([0x42, 0x57, 0x54, 0x4A, 0x53, 0x32, 0x00]); // "BWTJS2\0"
+      const wrongMagic = new Uint8Array([0x42, 0x57, 0x54, 0x4A, 0x58, 0x32, 0x00]); // "BWTJX2\0"
       const blob = new Blob([wrongMagic]);
       
       await expect(parseCompressedFile(blob)).rejects.toThrow('Invalid file format');
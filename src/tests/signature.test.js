@@ -0,0 +1,126 @@
+// Tests for signed BWTJS2 files and signing keys
+import { serializeSigned, serializeCompressed, parseCompressedFile, verifyFileSignature } from '../algorithms/serialization.js';
+import {
+  SIGNATURE_ALGORITHMS,
+  generateKeyPair,
+  importJwk,
+  exportJwk,
+  signBytes,
+  verifyBytes
+} from '../algorithms/signature.js';
+import { PasswordRequiredError, MIN_PBKDF2_ITERATIONS } from '../algorithms/encryption.js';
+import { compressBytes, decompressBytes, FormatError } from '../algorithms/pipeline.js';
+import { crc32 } from '../algorithms/checksum.js';
+
+/**
+ * Bytes of a blob
+ */
+async function blobBytes(blob) {
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+describe('Signatures', () => {
+  const original = new TextEncoder().encode('signed customer log line\n'.repeat(500));
+  const { payload, meta } = compressBytes(original);
+
+  test.each(SIGNATURE_ALGORITHMS)('signs and verifies with %s', async (algorithm) => {
+    const keyPair = await generateKeyPair(algorithm);
+    const blob = await serializeSigned(meta, payload, undefined, { signingKey: keyPair });
+    const parsed = await parseCompressedFile(blob, { verificationKeys: [keyPair] });
+
+    expect(keyPair.keyId).toMatch(/^[0-9a-f]{16}$/);
+    expect(parsed.signature).toEqual({ status: 'valid', algorithm, keyId: keyPair.keyId });
+    expect(decompressBytes(parsed.payloadUint8Array, parsed.meta)).toEqual(original);
+    expect(await verifyFileSignature(blob, [keyPair])).toEqual(parsed.signature);
+  });
+
+  test('reports unsigned files and unknown signers', async () => {
+    const keyPair = await generateKeyPair();
+    const other = await generateKeyPair();
+    const signed = await serializeSigned(meta, payload, undefined, { signingKey: keyPair });
+
+    expect((await parseCompressedFile(serializeCompressed(meta, payload))).signature).toBeNull();
+    expect(await verifyFileSignature(serializeCompressed(meta, payload), [keyPair])).toBeNull();
+    expect(await verifyFileSignature(serializeCompressed(meta, payload, undefined, { formatVersion: 1 }))).toBeNull();
+    expect(await verifyFileSignature(signed, [other])).toEqual({ status: 'unknown-key', algorithm: 'ECDSA-P256', keyId: keyPair.keyId });
+  });
+
+  test('detects a modified payload', async () => {
+    const keyPair = await generateKeyPair('Ed25519');
+    const bytes = await blobBytes(await serializeSigned(meta, payload, undefined, { signingKey: keyPair }));
+    // The header checksum does not cover the payload, so only the signature notices
+    bytes[bytes.length - 8 - 64 - 3] ^= 0x01;
+    const parsed = await parseCompressedFile(new Blob([bytes]), { verificationKeys: [keyPair] });
+
+    expect(parsed.signature.status).toBe('invalid');
+  });
+
+  test('detects modified metadata', async () => {
+    const keyPair = await generateKeyPair();
+    const bytes = await blobBytes(await serializeSigned({ ...meta, originalFilename: 'a.txt' }, payload, undefined, { signingKey: keyPair }));
+    const text = new TextDecoder('latin1').decode(bytes);
+    bytes[text.indexOf('a.txt')] = 'b'.charCodeAt(0);
+    const headEnd = bytes.length - 8 - 64 - payload.length;
+    new DataView(bytes.buffer).setUint32(bytes.length - 8, crc32(bytes.subarray(0, headEnd)));
+    const parsed = await parseCompressedFile(new Blob([bytes]), { verificationKeys: [keyPair] });
+
+    expect(parsed.meta.originalFilename).toBe('b.txt');
+    expect(parsed.signature.status).toBe('invalid');
+  });
+
+  test('verifies encrypted files without the password', async () => {
+    const keyPair = await generateKeyPair();
+    const blob = await serializeSigned(meta, payload, undefined, {
+      signingKey: keyPair,
+      password: 'secret',
+      encryptMetadata: true,
+      iterations: MIN_PBKDF2_ITERATIONS
+    });
+
+    expect((await verifyFileSignature(blob, [keyPair])).status).toBe('valid');
+    await expect(parseCompressedFile(blob, { verificationKeys: [keyPair] })).rejects.toThrow(PasswordRequiredError);
+    const parsed = await parseCompressedFile(blob, { password: 'secret', verificationKeys: [keyPair] });
+    expect(parsed.signature.status).toBe('valid');
+    expect(parsed.encryption.metadataEncrypted).toBe(true);
+    expect(decompressBytes(parsed.payloadUint8Array, parsed.meta)).toEqual(original);
+  });
+
+  test('keeps the key ID across a JWK export and import', async () => {
+    for (const algorithm of SIGNATURE_ALGORITHMS) {
+      const keyPair = await generateKeyPair(algorithm);
+      const privateJwk = await exportJwk(keyPair, { includePrivate: true });
+      const publicJwk = await exportJwk(keyPair);
+
+      expect(publicJwk.kid).toBe(keyPair.keyId);
+      expect(publicJwk.d).toBeUndefined();
+      expect(privateJwk.d).toBeDefined();
+
+      const restored = await importJwk(privateJwk);
+      const verifier = await importJwk(publicJwk);
+      expect(restored).toMatchObject({ algorithm, keyId: keyPair.keyId });
+      expect(verifier).toMatchObject({ algorithm, keyId: keyPair.keyId, privateKey: null });
+
+      const data = new Uint8Array([1, 2, 3]);
+      expect(await verifyBytes(verifier, await signBytes(restored, data), data)).toBe(true);
+      await expect(signBytes(verifier, data)).rejects.toThrow(/no private part/);
+      await expect(exportJwk(verifier, { includePrivate: true })).rejects.toThrow(/no private part/);
+    }
+  });
+
+  test('refuses unsupported keys and signature headers', async () => {
+    await expect(importJwk({ kty: 'RSA', n: 'AQAB', e: 'AQAB' })).rejects.toThrow(/Unsupported key type/);
+    await expect(generateKeyPair('DSA')).rejects.toThrow(/Unknown signature algorithm/);
+    await expect(serializeSigned(meta, payload, undefined, { signingKey: await importJwk(await exportJwk(await generateKeyPair())) }))
+      .rejects.toThrow(/private key is needed/);
+
+    const keyPair = await generateKeyPair();
+    const bytes = await blobBytes(await serializeSigned(meta, payload, undefined, { signingKey: keyPair }));
+    // Algorithm id, right after the 7-byte magic and 40-byte header
+    bytes[47] = 9;
+    const headEnd = bytes.length - 8 - 64 - payload.length;
+    new DataView(bytes.buffer).setUint32(bytes.length - 8, crc32(bytes.subarray(0, headEnd)));
+
+    await expect(parseCompressedFile(new Blob([bytes]))).rejects.toThrow(FormatError);
+    await expect(verifyFileSignature(new Blob([bytes]))).rejects.toThrow(/Unsupported signature algorithm/);
+  });
+});
@@ -0,0 +1,138 @@
+// Unit tests for the stage registry and third-party stage plugins
+import { compressBytes, decompressBytes, registerStage, unregisterStage, listStages } from '../algorithms/pipeline.js';
+
+describe('Stage plugins', () => {
+  const input = new TextEncoder().encode('id,price,qty\n'.concat(
+    Array.from({ length: 400 }, (_, i) => `${i},${100 + (i % 7)},${i % 3}\n`).join('')
+  ));
+
+  const deltaFilter = {
+    id: 'test-delta',
+    name: 'Delta filter',
+    version: '1.2.0',
+    paramSchema: { distance: { type: 'integer', default: 1, min: 1, max: 16 } },
+    encode(bytes, { distance }) {
+      const out = new Uint8Array(bytes.length);
+      for (let i = 0; i < bytes.length; i++) {
+        out[i] = (bytes[i] - (i >= distance ? bytes[i - distance] : 0)) & 0xFF;
+      }
+      return out;
+    },
+    decode(bytes, { distance }) {
+      const out = new Uint8Array(bytes.length);
+      for (let i = 0; i < bytes.length; i++) {
+        out[i] = (bytes[i] + (i >= distance ? out[i - distance] : 0)) & 0xFF;
+      }
+      return out;
+    }
+  };
+
+  afterEach(() => {
+    unregisterStage('test-delta');
+    unregisterStage('test-xor');
+  });
+
+  test('roundtrips a pipeline with a plugin stage', () => {
+    registerStage(deltaFilter);
+    const { payload, meta } = compressBytes(input, {
+      pipeline: [{ id: 'test-delta', params: { distance: 4 } }, 'bwt', 'mtf', 'rle', 'huffman']
+    });
+
+    expect(meta.stages[0]).toEqual({ id: 'test-delta', version: '1.2.0', name: 'Delta filter', params: { distance: 4 } });
+    expect(decompressBytes(payload, meta)).toEqual(input);
+  });
+
+  test('stores per-block state returned by encode', () => {
+    registerStage({
+      id: 'test-xor',
+      version: '1.0.0',
+      encode: (bytes) => ({ output: bytes.map(b => b ^ bytes[0]), state: { key: bytes[0] } }),
+      decode: (bytes, params, state) => bytes.map(b => b ^ state.key)
+    });
+    const { payload, meta } = compressBytes(input, { pipeline: 'test-xor,bwt,mtf,rle' });
+
+    expect(meta.blocks[0].stageStates[0]).toEqual({ key: input[0] });
+    expect(decompressBytes(payload, meta)).toEqual(input);
+  });
+
+  test('lists built-in and plugin stages', () => {
+    registerStage(deltaFilter);
+    const stages = listStages();
+
+    expect(stages.find(stage => stage.id === 'bwt')).toMatchObject({ version: '1.0.0', plugin: false });
+    expect(stages.find(stage => stage.id === 'test-delta')).toMatchObject({ name: 'Delta filter', version: '1.2.0', plugin: true });
+  });
+
+  test('validates params against the schema', () => {
+    registerStage(deltaFilter);
+
+    expect(compressBytes(input, { pipeline: 'test-delta,bwt' }).meta.stages[0].params).toEqual({ distance: 1 });
+    expect(() => compressBytes(input, { pipeline: [{ id: 'test-delta', params: { distance: 0 } }] }))
+      .toThrow(/Invalid value 0 for parameter distance of stage test-delta/);
+    expect(() => compressBytes(input, { pipeline: [{ id: 'test-delta', params: { distance: 1.5 } }] }))
+      .toThrow(/Invalid value/);
+    expect(() => compressBytes(input, { pipeline: [{ id: 'test-delta', params: { width: 2 } }] }))
+      .toThrow(/Unknown parameter width for stage test-delta/);
+  });
+
+  test('rejects unknown params of built-in stages', () => {
+    const { payload, meta } = compressBytes(input, { pipeline: 'bwt,mtf,rle' });
+
+    expect(() => compressBytes(input, { pipeline: [{ id: 'bwt', params: { varaint: 'bwts' } }, 'mtf', 'rle'] }))
+      .toThrow(/Unknown parameter varaint for stage bwt/);
+    expect(() => compressBytes(input, { pipeline: ['bwt', 'mtf', { id: 'rle', params: { x: 1 } }] }))
+      .toThrow(/Unknown parameter x for stage rle/);
+    expect(() => compressBytes(input, { pipeline: ['bwt', 'mtf', { id: 'zrle', params: { x: 1 } }] }))
+      .toThrow(/Unknown parameter x for stage zrle/);
+    expect(() => compressBytes(input, { pipeline: ['bwt', 'mtf', 'zrle', { id: 'range', params: { orders: 1 } }] }))
+      .toThrow(/Unknown parameter orders for stage range/);
+    expect(() => compressBytes(input, { pipeline: ['bwt', { id: 'mtf', params: { variant: 'wfc', stickiness: 0.5 } }] }))
+      .toThrow(/Unknown parameter stickiness/);
+    expect(() => decompressBytes(payload, { ...meta, stages: meta.stages.map((stage) => ({ ...stage, params: { ...stage.params, x: 1 } })) }))
+      .toThrow(/Unknown parameter x for stage bwt/);
+  });
+
+  test('rejects invalid and duplicate registrations', () => {
+    registerStage(deltaFilter);
+
+    expect(() => registerStage(deltaFilter)).toThrow(/already registered/);
+    expect(() => registerStage({ ...deltaFilter, id: 'bwt' })).toThrow(/already registered/);
+    expect(() => registerStage({ ...deltaFilter, id: 'bad id' })).toThrow(/Invalid stage id/);
+    expect(() => registerStage({ ...deltaFilter, id: 'test-xor', version: undefined })).toThrow(/needs a version/);
+    expect(() => registerStage({ ...deltaFilter, id: 'test-xor', decode: null })).toThrow(/encode and decode/);
+    expect(() => registerStage({ ...deltaFilter, id: 'test-xor', paramSchema: { n: { type: 'date' } } }))
+      .toThrow(/unsupported type date/);
+    expect(() => unregisterStage('mtf')).toThrow(/Built-in stage mtf/);
+  });
+
+  test('falls back to storing input when a plugin returns the wrong type', () => {
+    registerStage({ id: 'test-xor', version: '1.0.0', encode: (bytes) => Array.from(bytes), decode: (bytes) => bytes });
+
+    const { payload, meta } = compressBytes(input, { pipeline: 'test-xor,bwt' });
+    expect(meta.pipeline).toEqual(['none']);
+    expect(meta.error).toMatch(/test-xor encode must return a Uint8Array/);
+    expect(payload).toEqual(input);
+  });
+
+  test('names the missing plugin when decompressing', () => {
+    registerStage(deltaFilter);
+    const { payload, meta } = compressBytes(input, { pipeline: 'test-delta,bwt,mtf,rle' });
+    unregisterStage('test-delta');
+
+    expect(() => decompressBytes(payload, meta))
+      .toThrow(/Unknown pipeline stage: test-delta \(plugin Delta filter v1\.2\.0 is not registered/);
+  });
+
+  test('refuses files written by another major version', () => {
+    registerStage(deltaFilter);
+    const { payload, meta } = compressBytes(input, { pipeline: 'test-delta,bwt,mtf,rle' });
+    unregisterStage('test-delta');
+
+    registerStage({ ...deltaFilter, version: '1.3.1' });
+    expect(decompressBytes(payload, meta)).toEqual(input);
+    unregisterStage('test-delta');
+
+    registerStage({ ...deltaFilter, version: '2.0.0' });
+    expect(() => decompressBytes(payload, meta)).toThrow(/written by version 1\.2\.0, but version 2\.0\.0 is registered/);
+  });
+});
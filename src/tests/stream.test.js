@@ -0,0 +1,98 @@
+// Unit tests for the streaming compression API
+import { createCompressStream, createDecompressStream, STREAM_MAGIC } from '../algorithms/stream.js';
+import { ChecksumError, MIN_BLOCK_SIZE } from '../algorithms/pipeline.js';
+
+/**
+ * Feed bytes through a transform in chunks of the given size and collect the output
+ */
+async function pipeBytes(bytes, transform, chunkSize = 8192) {
+  const source = new ReadableStream({
+    start(controller) {
+      for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+        controller.enqueue(bytes.slice(offset, offset + chunkSize));
+      }
+      controller.close();
+    }
+  });
+  return new Uint8Array(await new Response(source.pipeThrough(transform)).arrayBuffer());
+}
+
+/**
+ * Offset of the first occurrence of a byte pattern
+ */
+function indexOfBytes(bytes, pattern) {
+  for (let i = 0; i + pattern.length <= bytes.length; i++) {
+    if (pattern.every((byte, k) => bytes[i + k] === byte)) return i;
+  }
+  return -1;
+}
+
+describe('Streaming compression', () => {
+  const text = new TextEncoder().encode(
+    Array.from({ length: 12000 }, (_, i) => `${i},sensor-${i % 13},${(i * 7) % 101}\n`).join('')
+  );
+
+  test('roundtrips multi-block input fed in small chunks', async () => {
+    const compressed = await pipeBytes(text, createCompressStream({ blockSize: MIN_BLOCK_SIZE }), 1000);
+
+    expect(text.length).toBeGreaterThan(2 * MIN_BLOCK_SIZE);
+    expect(compressed.subarray(0, STREAM_MAGIC.length)).toEqual(STREAM_MAGIC);
+    expect(compressed.length).toBeLessThan(text.length / 2);
+    expect(await pipeBytes(compressed, createDecompressStream(), 777)).toEqual(text);
+  });
+
+  test('roundtrips empty input and odd chunk boundaries', async () => {
+    const empty = await pipeBytes(new Uint8Array(0), createCompressStream());
+    expect(await pipeBytes(empty, createDecompressStream())).toEqual(new Uint8Array(0));
+
+    const input = text.subarray(0, 5000);
+    const compressed = await pipeBytes(input, createCompressStream({ entropyCoder: 'rans' }), 3);
+    expect(await pipeBytes(compressed, createDecompressStream(), 1)).toEqual(input);
+  });
+
+  test('works with Blob streams', async () => {
+    const blob = new Blob([text]);
+    const compressed = new Blob([await new Response(blob.stream().pipeThrough(createCompressStream())).arrayBuffer()]);
+    const restored = await new Response(compressed.stream().pipeThrough(createDecompressStream())).arrayBuffer();
+
+    expect(new Uint8Array(restored)).toEqual(text);
+  });
+
+  test('rejects truncated streams and trailing data', async () => {
+    const compressed = await pipeBytes(text.subarray(0, 4000), createCompressStream());
+
+    await expect(pipeBytes(compressed.subarray(0, compressed.length - 10), createDecompressStream()))
+      .rejects.toThrow(/truncated/);
+    const padded = new Uint8Array(compressed.length + 5);
+    padded.set(compressed);
+    await expect(pipeBytes(padded, createDecompressStream())).rejects.toThrow(/after the end/);
+    for (const extra of [1, 3]) {
+      const attempt = pipeBytes(padded.subarray(0, compressed.length + extra), createDecompressStream());
+      await expect(attempt).rejects.toThrow(/after the end/);
+      await expect(attempt).rejects.toMatchObject({ offset: compressed.length });
+    }
+    await expect(pipeBytes(new TextEncoder().encode('BWTJS1\0...'), createDecompressStream()))
+      .rejects.toThrow(/magic header/);
+  });
+
+  test('reports the corrupt block through a ChecksumError', async () => {
+    // A run of zeros compresses; the random tail is stored, so a flipped bit there decodes silently
+    const input = new Uint8Array(MIN_BLOCK_SIZE + 2000);
+    let seed = 7;
+    for (let i = MIN_BLOCK_SIZE; i < input.length; i++) {
+      seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+      input[i] = seed >>> 24;
+    }
+    const compressed = await pipeBytes(input, createCompressStream({ blockSize: MIN_BLOCK_SIZE }));
+    const endFrame = indexOfBytes(compressed, new TextEncoder().encode('{"end":true')) - 4;
+    compressed[endFrame - 1] ^= 0x01;
+
+    const error = await pipeBytes(compressed, createDecompressStream()).catch(e => e);
+    expect(error).toBeInstanceOf(ChecksumError);
+    expect(error.blockIndex).toBe(1);
+  });
+
+  test('refuses a search index', () => {
+    expect(() => createCompressStream({ fmIndex: true })).toThrow(/not available for streamed compression/);
+  });
+});
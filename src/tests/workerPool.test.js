@@ -0,0 +1,174 @@
+// Unit tests for the pipeline worker pool, using in-process fake workers
+import { createWorkerPool, compressParallel, decompressParallel } from '../utils/workerPool.js';
+import { handleWorkerTask } from '../utils/workerTasks.js';
+import { compressBytes, openSearchIndex, ChecksumError, MIN_BLOCK_SIZE } from '../algorithms/pipeline.js';
+
+/**
+ * Worker stand-in that runs tasks on a later tick and moves messages with structured cloning,
+ * so transferred buffers are detached just as with a real worker
+ */
+function createFakeWorker(started) {
+  const worker = {
+    terminated: false,
+    postMessage(message, transfer) {
+      const data = structuredClone(message, { transfer });
+      started?.push(data.id);
+      setTimeout(() => {
+        handleWorkerTask(data, (reply, replyTransfer) => {
+          if (!worker.terminated) {
+            worker.onmessage({ data: structuredClone(reply, { transfer: replyTransfer }) });
+          }
+        });
+      }, 0);
+    },
+    terminate() {
+      worker.terminated = true;
+    }
+  };
+  return worker;
+}
+
+describe('Worker pool', () => {
+  const text = new TextEncoder().encode(
+    Array.from({ length: 16000 }, (_, i) => `${i},sensor-${i % 13},${(i * 7) % 101}\n`).join('')
+  );
+  let pool;
+
+  beforeEach(() => {
+    pool = createWorkerPool({ size: 2, createWorker: () => createFakeWorker() });
+  });
+
+  afterEach(() => {
+    pool.terminate();
+  });
+
+  test('compresses blocks in workers to the same result as the main thread', async () => {
+    const options = { blockSize: MIN_BLOCK_SIZE, entropyCoder: 'huffman' };
+    const parallel = await compressParallel(text, options, pool);
+    const serial = compressBytes(text, options);
+
+    expect(parallel.meta.blocks.length).toBeGreaterThan(2);
+    expect(parallel.payload).toEqual(serial.payload);
+    expect({ ...parallel.meta, processingTime: 0 }).toEqual({ ...serial.meta, processingTime: 0 });
+    expect(await decompressParallel(parallel.payload, parallel.meta, {}, pool)).toEqual(text);
+  });
+
+  test('merges per-block search indexes', async () => {
+    const { payload, meta, index } = await compressParallel(text, { blockSize: MIN_BLOCK_SIZE, fmIndex: true }, pool);
+    const serial = compressBytes(text, { blockSize: MIN_BLOCK_SIZE, fmIndex: true });
+
+    expect(index).toEqual(serial.index);
+    expect(meta.fmIndex).toEqual(serial.meta.fmIndex);
+    expect(openSearchIndex(payload, meta, index).count('sensor-12,')).toBe(openSearchIndex(serial.payload, serial.meta, serial.index).count('sensor-12,'));
+  });
+
+  test('reports progress over the whole input', async () => {
+    const events = [];
+    const { payload, meta } = await compressParallel(text, { blockSize: MIN_BLOCK_SIZE, onProgress: event => events.push(event) }, pool);
+
+    expect(events.every(event => event.phase === 'compress' && event.totalBytes === text.length)).toBe(true);
+    expect(events.at(-1)).toMatchObject({ stage: 'done', bytesDone: text.length });
+
+    events.length = 0;
+    await decompressParallel(payload, meta, { onProgress: event => events.push(event) }, pool);
+    expect(events.at(-1)).toMatchObject({ phase: 'decompress', stage: 'done', bytesDone: text.length });
+  });
+
+  test('runs tasks on at most size workers at once', async () => {
+    const started = [];
+    const limited = createWorkerPool({ size: 2, createWorker: () => createFakeWorker(started) });
+    const pending = compressParallel(text, { blockSize: MIN_BLOCK_SIZE }, limited);
+
+    expect(started).toHaveLength(2);
+    await pending;
+    expect(started.length).toBeGreaterThan(2);
+    limited.terminate();
+  });
+
+  test('cancels queued and running tasks', async () => {
+    const controller = new AbortController();
+    const pending = compressParallel(text, { blockSize: MIN_BLOCK_SIZE, signal: controller.signal }, pool);
+    controller.abort();
+
+    await expect(pending).rejects.toThrow(/abort/i);
+    const { payload, meta } = await compressParallel(text, {}, pool);
+    expect(await decompressParallel(payload, meta, {}, pool)).toEqual(text);
+  });
+
+  test('reports the failing block of a corrupt file', async () => {
+    const { payload, meta } = await compressParallel(text, { blockSize: MIN_BLOCK_SIZE }, pool);
+    const corrupt = { ...meta, blocks: meta.blocks.map((block, i) => (i === 1 ? { ...block, crc32: block.crc32 ^ 1 } : block)) };
+
+    const error = await decompressParallel(payload, corrupt, {}, pool).catch(e => e);
+    expect(error).toBeInstanceOf(ChecksumError);
+    expect(error.blockIndex).toBe(1);
+  });
+
+  test('splits the inverse BWT of checkpointed blocks across workers', async () => {
+    const started = [];
+    const tracked = createWorkerPool({ size: 3, createWorker: () => createFakeWorker(started) });
+    const { payload, meta } = compressBytes(text, { blockSize: MIN_BLOCK_SIZE, bwtCheckpoints: 3, entropyCoder: 'huffman' });
+
+    expect(await decompressParallel(payload, meta, {}, tracked)).toEqual(text);
+    // One task up to the BWT output, then the four segments in three runs, for each block
+    expect(started).toHaveLength(meta.blocks.length * 4);
+    tracked.terminate();
+  });
+
+  test('runs at most one segment task per worker for each block', async () => {
+    const types = [];
+    const tracked = createWorkerPool({
+      size: 3,
+      createWorker: () => {
+        const worker = createFakeWorker();
+        const postMessage = worker.postMessage;
+        worker.postMessage = (message, transfer) => {
+          types.push(message.type);
+          postMessage(message, transfer);
+        };
+        return worker;
+      }
+    });
+    const { payload, meta } = compressBytes(text, { blockSize: MIN_BLOCK_SIZE, bwtCheckpoints: 64 });
+
+    expect(await decompressParallel(payload, meta, {}, tracked)).toEqual(text);
+    expect(types.filter(type => type === 'decompress-to-bwt')).toHaveLength(meta.blocks.length);
+    expect(types.filter(type => type === 'bwt-segments')).toHaveLength(meta.blocks.length * tracked.size);
+    tracked.terminate();
+  });
+
+  test('reports corrupt checkpointed blocks', async () => {
+    const { payload, meta } = compressBytes(text, { blockSize: MIN_BLOCK_SIZE, bwtCheckpoints: 3 });
+    const blocks = meta.blocks.map((block, i) => (i === 2 ? { ...block, crc32: block.crc32 ^ 1 } : block));
+
+    const error = await decompressParallel(payload, { ...meta, blocks }, {}, pool).catch(e => e);
+    expect(error).toBeInstanceOf(ChecksumError);
+    expect(error.blockIndex).toBe(2);
+  });
+
+  test('falls back to the main thread when a worker fails to load', async () => {
+    const failingWorker = () => {
+      const worker = {
+        postMessage() {
+          setTimeout(() => worker.onerror({ message: 'Failed to fetch module script' }), 0);
+        },
+        terminate() {}
+      };
+      return worker;
+    };
+    const failing = createWorkerPool({ size: 2, createWorker: failingWorker });
+    const { payload, meta } = await compressParallel(text, { blockSize: MIN_BLOCK_SIZE }, failing);
+
+    expect(failing.broken).toBe(true);
+    expect(meta.blocks.length).toBeGreaterThan(2);
+    const other = createWorkerPool({ size: 2, createWorker: failingWorker });
+    expect(await decompressParallel(payload, meta, {}, other)).toEqual(text);
+    expect(other.broken).toBe(true);
+  });
+
+  test('falls back to the main thread without workers', async () => {
+    const { payload, meta } = await compressParallel(text, { blockSize: MIN_BLOCK_SIZE }, null);
+    expect(meta.blocks.length).toBeGreaterThan(2);
+    expect(await decompressParallel(payload, meta, {}, null)).toEqual(text);
+  });
+});
@@ -0,0 +1,68 @@
+// Unit tests for zero-run-length encoding (RUNA/RUNB)
+import {
+  zrleEncode,
+  zrleDecode,
+  packSymbols,
+  unpackSymbols,
+  RUNA,
+  RUNB,
+  ZRLE_ALPHABET_SIZE
+} from '../algorithms/zrle.js';
+
+describe('Zero-run-length encoding', () => {
+  test('handles empty input', () => {
+    expect(zrleEncode(new Uint8Array(0))).toEqual(new Uint16Array(0));
+    expect(zrleDecode(new Uint16Array(0))).toEqual(new Uint8Array(0));
+  });
+
+  test('writes run lengths in bijective base 2', () => {
+    const runOf = (length) => Array.from(zrleEncode(new Uint8Array(length)));
+
+    expect(runOf(1)).toEqual([RUNA]);
+    expect(runOf(2)).toEqual([RUNB]);
+    expect(runOf(3)).toEqual([RUNA, RUNA]);
+    expect(runOf(4)).toEqual([RUNB, RUNA]);
+    expect(runOf(5)).toEqual([RUNA, RUNB]);
+    expect(runOf(6)).toEqual([RUNB, RUNB]);
+    expect(runOf(7)).toEqual([RUNA, RUNA, RUNA]);
+  });
+
+  test('shifts non-zero bytes past the run symbols', () => {
+    const symbols = zrleEncode(new Uint8Array([0, 0, 5, 255, 0]));
+    expect(Array.from(symbols)).toEqual([RUNB, 6, 256, RUNA]);
+    expect(Math.max(...symbols)).toBeLessThan(ZRLE_ALPHABET_SIZE);
+  });
+
+  test('long runs take logarithmic space', () => {
+    const input = new Uint8Array(100000);
+    const symbols = zrleEncode(input);
+    expect(symbols.length).toBeLessThanOrEqual(17);
+    expect(zrleDecode(symbols)).toEqual(input);
+  });
+
+  test('roundtrip on mixed data', () => {
+    const input = new Uint8Array(5000);
+    for (let i = 0; i < input.length; i++) {
+      input[i] = (i * 7919) % 11 < 7 ? 0 : (i * 31) % 256;
+    }
+    expect(zrleDecode(zrleEncode(input))).toEqual(input);
+  });
+
+  test('rejects symbols outside the alphabet', () => {
+    expect(() => zrleDecode(Uint16Array.from([2, ZRLE_ALPHABET_SIZE]))).toThrow(/Invalid zero-run symbol/);
+  });
+
+  describe('packSymbols', () => {
+    test('roundtrip including escaped symbols', () => {
+      const symbols = Uint16Array.from([RUNA, RUNB, 2, 254, 255, 256, 7]);
+      const packed = packSymbols(symbols);
+      expect(packed.length).toBe(symbols.length + 2);
+      expect(unpackSymbols(packed)).toEqual(symbols);
+    });
+
+    test('rejects dangling escapes', () => {
+      expect(() => unpackSymbols(new Uint8Array([3, 0xFF]))).toThrow(/Invalid zero-run escape/);
+      expect(() => unpackSymbols(new Uint8Array([0xFF, 2]))).toThrow(/Invalid zero-run escape/);
+    });
+  });
+});
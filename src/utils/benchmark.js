@@ -0,0 +1,337 @@
+// Benchmark harness: runs pipelines over synthetic corpora and user files, with the
+// platform's gzip/deflate (CompressionStream) as a baseline. Corpora are generated
+// from a fixed seed, so runs on different machines compress identical inputs.
+
+import { compressBytes, decompressBytes } from '../algorithms/pipeline.js';
+
+export const BENCHMARK_CORPORA = {
+  text: 'English-like prose',
+  logs: 'Web server log lines',
+  json: 'JSON records',
+  random: 'Uniform random bytes',
+  repetitive: 'One phrase repeated with rare edits',
+  image: 'Grayscale image-like pixels'
+};
+
+export const PLATFORM_FORMATS = ['gzip', 'deflate'];
+
+export const DEFAULT_BENCHMARK_PIPELINES = [
+  'bwt,mtf,rle',
+  'bwt,mtf,zrle,huffman',
+  'bwt,mtf,zrle,rans',
+  'auto'
+];
+
+export const DEFAULT_CORPUS_SIZE = 256 * 1024;
+
+const WORDS = [
+  'the', 'of', 'and', 'a', 'to', 'in', 'is', 'was', 'that', 'for', 'it', 'with', 'as', 'his',
+  'on', 'be', 'at', 'by', 'had', 'are', 'but', 'from', 'or', 'have', 'an', 'they', 'which',
+  'one', 'you', 'were', 'all', 'we', 'her', 'she', 'there', 'would', 'their', 'will', 'when',
+  'compression', 'block', 'river', 'window', 'morning', 'letter', 'garden', 'station', 'silver'
+];
+
+/**
+ * Generate a synthetic corpus
+ * @param {string} id - Key of BENCHMARK_CORPORA
+ * @param {number} [size=DEFAULT_CORPUS_SIZE] - Length in bytes
+ * @returns {Uint8Array} - Corpus bytes
+ */
+export function generateCorpus(id, size = DEFAULT_CORPUS_SIZE) {
+  const random = createRandom(0x5eed + Object.keys(BENCHMARK_CORPORA).indexOf(id));
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  let text;
+
+  switch (id) {
+    case 'text': {
+      const sentences = [];
+      for (let length = 0; length < size; ) {
+        const words = Array.from({ length: 5 + Math.floor(random() * 15) }, () => pick(WORDS));
+        const sentence = `${words[0][0].toUpperCase()}${words.join(' ').slice(1)}. `;
+        sentences.push(sentence);
+        length += sentence.length;
+      }
+      text = sentences.join('');
+      break;
+    }
+    case 'logs': {
+      const lines = [];
+      for (let i = 0, length = 0; length < size; i++) {
+        const seconds = String(i % 60).padStart(2, '0');
+        const line = `2024-03-${String(1 + (i >> 12) % 28).padStart(2, '0')}T12:${String((i >> 6) % 60).padStart(2, '0')}:${seconds}Z ` +
+          `10.0.${Math.floor(random() * 4)}.${Math.floor(random() * 256)} ${pick(['GET', 'GET', 'GET', 'POST', 'PUT'])} ` +
+          `/api/${pick(['items', 'users', 'orders', 'health'])}/${Math.floor(random() * 1000)} ` +
+          `${pick([200, 200, 200, 201, 304, 404, 500])} ${Math.floor(random() * 5000)}ms\n`;
+        lines.push(line);
+        length += line.length;
+      }
+      text = lines.join('');
+      break;
+    }
+    case 'json': {
+      const records = [];
+      for (let i = 0, length = 0; length < size; i++) {
+        const record = JSON.stringify({
+          id: i,
+          name: `${pick(WORDS)}-${pick(WORDS)}`,
+          price: Math.round(random() * 10000) / 100,
+          tags: [pick(WORDS), pick(WORDS)],
+          active: random() < 0.8
+        });
+        records.push(record);
+        length += record.length + 2;
+      }
+      text = `[${records.join(',\n')}]`;
+      break;
+    }
+    case 'random':
+      return Uint8Array.from({ length: size }, () => Math.floor(random() * 256));
+    case 'repetitive': {
+      const phrase = new TextEncoder().encode('All work and no play makes Jack a dull boy. ');
+      const bytes = new Uint8Array(size);
+      for (let i = 0; i < size; i++) {
+        bytes[i] = random() < 0.001 ? 32 + Math.floor(random() * 95) : phrase[i % phrase.length];
+      }
+      return bytes;
+    }
+    case 'image': {
+      // Smooth gradients with mild noise, like a photo's luminance channel
+      const width = 512;
+      const bytes = new Uint8Array(size);
+      for (let i = 0; i < size; i++) {
+        const x = i % width;
+        const y = Math.floor(i / width);
+        const value = 128 + 60 * Math.sin(x / 37) + 50 * Math.cos(y / 23) + (random() - 0.5) * 12;
+        bytes[i] = Math.max(0, Math.min(255, Math.round(value)));
+      }
+      return bytes;
+    }
+    default:
+      throw new Error(`Unknown benchmark corpus: ${id}`);
+  }
+
+  return new TextEncoder().encode(text).slice(0, size);
+}
+
+/**
+ * Compress with the platform's CompressionStream
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {string} format - 'gzip' or 'deflate'
+ * @returns {Promise<Uint8Array>} - Compressed bytes
+ */
+export async function platformCompress(bytes, format) {
+  return pipeThrough(bytes, new CompressionStream(format));
+}
+
+/**
+ * Decompress with the platform's DecompressionStream
+ * @param {Uint8Array} bytes - Compressed bytes
+ * @param {string} format - 'gzip' or 'deflate'
+ * @returns {Promise<Uint8Array>} - Original bytes
+ */
+export async function platformDecompress(bytes, format) {
+  return pipeThrough(bytes, new DecompressionStream(format));
+}
+
+/**
+ * Run every method over every corpus
+ * Each result: { corpus, method, originalSize, compressedSize, ratio, bitsPerByte,
+ * compressMs, decompressMs, compressMBps, decompressMBps, memoryBytes, verified }.
+ * memoryBytes is the heap growth while compressing, or null where the heap size is not exposed.
+ * @param {Object} options - Benchmark options
+ * @param {Array<{name: string, bytes: Uint8Array}>} options.corpora - Inputs
+ * @param {Array<string|Array>} [options.pipelines] - Pipeline specs (see compressBytes)
+ * @param {Object} [options.compressionOptions] - Other compressBytes options, e.g. blockSize
+ * @param {string[]} [options.platformFormats] - CompressionStream formats to compare with
+ * @param {number} [options.iterations=1] - Timed runs per method; the fastest is kept
+ * @param {function(Object, number, number): void} [options.onResult] - Told each result, how many are done and the total
+ * @param {AbortSignal} [options.signal] - Stops the benchmark between runs
+ * @returns {Promise<Object[]>} - Results
+ */
+export async function runBenchmark({
+  corpora,
+  pipelines = DEFAULT_BENCHMARK_PIPELINES,
+  compressionOptions = {},
+  platformFormats = PLATFORM_FORMATS,
+  iterations = 1,
+  onResult,
+  signal
+}) {
+  const formats = typeof CompressionStream === 'undefined' ? [] : platformFormats;
+  const methods = [
+    ...pipelines.map((pipeline) => ({
+      label: pipelineLabel(pipeline),
+      compress: async (bytes) => compressBytes(bytes, { ...compressionOptions, pipeline }),
+      decompress: async ({ payload, meta }) => decompressBytes(payload, meta),
+      sizeOf: ({ payload, index }) => payload.length + (index ? index.length : 0)
+    })),
+    ...formats.map((format) => ({
+      label: format,
+      compress: (bytes) => platformCompress(bytes, format),
+      decompress: (compressed) => platformDecompress(compressed, format),
+      sizeOf: (compressed) => compressed.length
+    }))
+  ];
+
+  const results = [];
+  const total = corpora.length * methods.length;
+  for (const { name, bytes } of corpora) {
+    for (const method of methods) {
+      // Let the page repaint and a Cancel button be handled between runs
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      signal?.throwIfAborted();
+
+      const result = await measure(name, bytes, method, iterations);
+      results.push(result);
+      onResult?.(result, results.length, total);
+    }
+  }
+  return results;
+}
+
+/**
+ * Results as pretty-printed JSON
+ * @param {Object[]} results - Results from runBenchmark
+ * @returns {string} - JSON text
+ */
+export function resultsToJSON(results) {
+  return JSON.stringify({ generatedAt: new Date().toISOString(), results }, null, 2);
+}
+
+/**
+ * Results as CSV, one row per corpus and method
+ * @param {Object[]} results - Results from runBenchmark
+ * @returns {string} - CSV text with a header row
+ */
+export function resultsToCSV(results) {
+  const columns = [
+    'corpus', 'method', 'originalSize', 'compressedSize', 'ratio', 'bitsPerByte',
+    'compressMs', 'decompressMs', 'compressMBps', 'decompressMBps', 'memoryBytes', 'verified'
+  ];
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...results.map((result) => columns.map((column) => escape(result[column])).join(','))].join('\n') + '\n';
+}
+
+/**
+ * Time one method on one corpus
+ * @param {string} corpus - Corpus name
+ * @param {Uint8Array} bytes - Corpus bytes
+ * @param {{label: string, compress: Function, decompress: Function, sizeOf: Function}} method - Method under test
+ * @param {number} iterations - Timed runs; the fastest is kept
+ * @returns {Promise<Object>} - Result row
+ */
+async function measure(corpus, bytes, method, iterations) {
+  let compressMs = Infinity;
+  let decompressMs = Infinity;
+  let memoryBytes = null;
+  let compressed;
+  let decompressed;
+
+  for (let run = 0; run < Math.max(1, iterations); run++) {
+    const heapBefore = heapUsed();
+    let start = performance.now();
+    compressed = await method.compress(bytes);
+    compressMs = Math.min(compressMs, performance.now() - start);
+    const heapAfter = heapUsed();
+    if (heapBefore !== null && heapAfter !== null) {
+      memoryBytes = Math.max(memoryBytes ?? 0, heapAfter - heapBefore);
+    }
+
+    start = performance.now();
+    decompressed = await method.decompress(compressed);
+    decompressMs = Math.min(decompressMs, performance.now() - start);
+  }
+
+  const compressedSize = method.sizeOf(compressed);
+  return {
+    corpus,
+    method: method.label,
+    originalSize: bytes.length,
+    compressedSize,
+    ratio: bytes.length > 0 ? compressedSize / bytes.length : 1,
+    bitsPerByte: bytes.length > 0 ? (compressedSize * 8) / bytes.length : 0,
+    compressMs,
+    decompressMs,
+    compressMBps: throughput(bytes.length, compressMs),
+    decompressMBps: throughput(bytes.length, decompressMs),
+    memoryBytes,
+    verified: equalBytes(bytes, decompressed)
+  };
+}
+
+/**
+ * Short label for a pipeline spec
+ * @param {string|Array} pipeline - Pipeline spec
+ * @returns {string} - Label such as "bwt,mtf,rle"
+ */
+function pipelineLabel(pipeline) {
+  if (typeof pipeline === 'string') {
+    return pipeline;
+  }
+  return pipeline.map((entry) => (typeof entry === 'string' ? entry : entry.id)).join(',');
+}
+
+/**
+ * Megabytes (10^6 bytes) per second
+ * @param {number} bytes - Bytes processed
+ * @param {number} ms - Time taken
+ * @returns {number|null} - Throughput, or null when the time was too short to measure
+ */
+function throughput(bytes, ms) {
+  return ms > 0 ? bytes / 1e6 / (ms / 1000) : null;
+}
+
+/**
+ * Current JS heap size, where the platform exposes it (Chromium, Node)
+ * @returns {number|null} - Used heap bytes
+ */
+function heapUsed() {
+  if (globalThis.performance?.memory) {
+    return globalThis.performance.memory.usedJSHeapSize;
+  }
+  if (typeof globalThis.process?.memoryUsage === 'function') {
+    return globalThis.process.memoryUsage().heapUsed;
+  }
+  return null;
+}
+
+/**
+ * Run bytes through a transform stream
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {TransformStream} transform - Stream to pipe through
+ * @returns {Promise<Uint8Array>} - Output bytes
+ */
+async function pipeThrough(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Byte-for-byte equality
+ * @param {Uint8Array} a - First array
+ * @param {Uint8Array} b - Second array
+ * @returns {boolean} - True when equal
+ */
+function equalBytes(a, b) {
+  if (!b || a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Seeded pseudo-random numbers in [0, 1)
+ * @param {number} seed - Seed
+ * @returns {function(): number} - Generator
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    return state / 0x100000000;
+  };
+}
@@ -1,7 +1,9 @@
 // I/O utilities for file handling, text encoding, and localStorage
 
-import { compressBytes, decompressBytes } from '../algorithms/pipeline.js';
-import { serializeCompressed, parseCompressedFile } from '../algorithms/serialization.js';
+import { openSearchIndex } from '../algorithms/pipeline.js';
+import { serializeCompressed, serializeEncrypted, serializeSigned, parseCompressedFile } from '../algorithms/serialization.js';
+import { compressArchive, listArchive, extractArchiveEntry, extractArchive } from '../algorithms/archive.js';
+import { compressParallel, decompressParallel } from './workerPool.js';
 
 /**
  * Read file as Uint8Array
@@ -43,15 +45,33 @@ export function bytesToText(bytes) {
   return new TextDecoder().decode(bytes);
 }
 
+/**
+ * Serialize compressed data, encrypting it when a password is given and signing it when a key is
+ * @param {Object} meta - Metadata
+ * @param {Uint8Array} payload - Compressed payload
+ * @param {Uint8Array} [index] - Optional search index
+ * @param {{password: string, encryptMetadata: boolean, signingKey: Object}} protection - Password (empty for none), whether to encrypt the metadata too, and key pair to sign with (none to leave unsigned)
+ * @returns {Promise<Blob>} - Serialized compressed blob
+ */
+async function serializeOutput(meta, payload, index, { password, encryptMetadata, signingKey }) {
+  if (signingKey) {
+    return serializeSigned(meta, payload, index, { signingKey, password, encryptMetadata });
+  }
+  return password
+    ? serializeEncrypted(meta, payload, index, { password, encryptMetadata })
+    : serializeCompressed(meta, payload, index);
+}
+
 /**
  * Compress text and return serialized blob
  * @param {string} text - Text to compress
  * @param {string} filename - Optional filename
- * @returns {Blob} - Serialized compressed blob
+ * @param {Object} options - Compression options passed to compressBytes, including onProgress and signal, plus password, encryptMetadata and signingKey
+ * @returns {Promise<{blob: Blob, meta: Object}>} - Compressed blob and metadata
  */
-export function compressFromText(text, filename = 'text.txt') {
+export async function compressFromText(text, filename = 'text.txt', { password, encryptMetadata, signingKey, ...options } = {}) {
   const bytes = textToBytes(text);
-  const { payload, meta } = compressBytes(bytes);
+  const { payload, meta, index } = await compressParallel(bytes, options);
   
   const fullMeta = {
     ...meta,
@@ -60,30 +80,35 @@ export function compressFromText(text, filename = 'text.txt') {
     encoding: 'utf-8'
   };
   
-  return serializeCompressed(fullMeta, payload);
+  const blob = await serializeOutput(fullMeta, payload, index, { password, encryptMetadata, signingKey });
+  
+  return { blob, meta: fullMeta };
 }
 
 /**
  * Decompress blob and return text
  * @param {Blob} blob - Compressed blob
- * @returns {Promise<{text: string, meta: Object}>} - Decompressed text and metadata
+ * @param {{onProgress: Function, signal: AbortSignal, maxOriginalSize: number, password: string, verificationKeys: Array<Object>}} [options] - Progress callback, abort signal, size limit (see decompressBytes), password of an encrypted file and public keys to check a signature against
+ * @returns {Promise<{text: string, meta: Object, integrityVerified: boolean, encryption: (Object|null), signature: (Object|null)}>} - Decompressed text, metadata, whether checksums were verified, encryption and signature (see parseCompressedFile)
  */
-export async function decompressToText(blob) {
-  const { meta, payloadUint8Array } = await parseCompressedFile(blob);
-  const decompressedBytes = decompressBytes(payloadUint8Array, meta);
+export async function decompressToText(blob, options = {}) {
+  const { meta, payloadUint8Array, encryption, signature } = await parseCompressedFile(blob, options);
+  const decompressedBytes = await decompressParallel(payloadUint8Array, meta, options);
   const text = bytesToText(decompressedBytes);
   
-  return { text, meta };
+  // decompressBytes throws on a mismatch, so a stored checksum here means it matched
+  return { text, meta, integrityVerified: typeof meta.crc32 === 'number', encryption, signature };
 }
 
 /**
  * Compress file and return serialized blob
  * @param {File} file - File to compress
+ * @param {Object} options - Compression options passed to compressBytes, including onProgress and signal, plus password, encryptMetadata and signingKey
  * @returns {Promise<{blob: Blob, meta: Object}>} - Compressed blob and metadata
  */
-export async function compressFromFile(file) {
+export async function compressFromFile(file, { password, encryptMetadata, signingKey, ...options } = {}) {
   const bytes = await readFileAsBytes(file);
-  const { payload, meta } = compressBytes(bytes);
+  const { payload, meta, index } = await compressParallel(bytes, options);
   
   const fullMeta = {
     ...meta,
@@ -92,7 +117,7 @@ export async function compressFromFile(file) {
     encoding: 'binary'
   };
   
-  const blob = serializeCompressed(fullMeta, payload);
+  const blob = await serializeOutput(fullMeta, payload, index, { password, encryptMetadata, signingKey });
   
   return { blob, meta: fullMeta };
 }
@@ -100,13 +125,107 @@ export async function compressFromFile(file) {
 /**
  * Decompress file blob and return original bytes
  * @param {Blob} blob - Compressed file blob
- * @returns {Promise<{fileBytes: Uint8Array, meta: Object}>} - Original file bytes and metadata
+ * @param {{onProgress: Function, signal: AbortSignal, maxOriginalSize: number, password: string, verificationKeys: Array<Object>}} [options] - Progress callback, abort signal, size limit (see decompressBytes), password of an encrypted file and public keys to check a signature against
+ * @returns {Promise<{fileBytes: Uint8Array, meta: Object, integrityVerified: boolean, encryption: (Object|null), signature: (Object|null)}>} - Original file bytes, metadata, whether checksums were verified, encryption and signature (see parseCompressedFile)
+ */
+export async function decompressFileBlob(blob, options = {}) {
+  const { meta, payloadUint8Array, encryption, signature } = await parseCompressedFile(blob, options);
+  const fileBytes = await decompressParallel(payloadUint8Array, meta, options);
+  
+  return { fileBytes, meta, integrityVerified: typeof meta.crc32 === 'number', encryption, signature };
+}
+
+/**
+ * Compress several files, e.g. a folder selection, into one archive
+ * Entry paths come from webkitRelativePath for folder uploads, otherwise the file name.
+ * @param {File[]} files - Files to archive, in order
+ * @param {Object} options - Compression options passed to compressBytes, plus archiveMode ('separate' or 'solid'), onProgress, signal, password, encryptMetadata and signingKey
+ * @returns {Promise<{blob: Blob, meta: Object}>} - Compressed blob and metadata, with meta.archive
+ */
+export async function compressFromFiles(files, { password, encryptMetadata, signingKey, ...options } = {}) {
+  const entries = [];
+  for (const file of files) {
+    entries.push({
+      path: file.webkitRelativePath || file.name,
+      bytes: await readFileAsBytes(file),
+      mtime: file.lastModified,
+      mimeType: file.type
+    });
+  }
+  const { payload, meta, index } = await compressArchive(entries, options, compressParallel);
+  
+  // A folder upload is named after the folder
+  const [folder] = entries[0].path.split('/');
+  const inFolder = entries.every((entry) => entry.path.startsWith(`${folder}/`));
+  const fullMeta = {
+    ...meta,
+    originalFilename: inFolder ? folder : 'archive',
+    mimeType: 'application/octet-stream',
+    encoding: 'binary'
+  };
+  
+  const blob = await serializeOutput(fullMeta, payload, index, { password, encryptMetadata, signingKey });
+  
+  return { blob, meta: fullMeta };
+}
+
+/**
+ * List the entries of a compressed archive without decompressing it
+ * @param {Blob} blob - Compressed archive blob
+ * @param {{password: string}} [options] - Password of an encrypted archive
+ * @returns {Promise<{entries: Array<Object>, meta: Object}>} - Entry table (see listArchive) and metadata
  */
-export async function decompressFileBlob(blob) {
-  const { meta, payloadUint8Array } = await parseCompressedFile(blob);
-  const fileBytes = decompressBytes(payloadUint8Array, meta);
+export async function listArchiveBlob(blob, { password } = {}) {
+  const { meta } = await parseCompressedFile(blob, { password });
+  return { entries: listArchive(meta), meta };
+}
+
+/**
+ * Decompress one entry of a compressed archive, decoding only the blocks it overlaps
+ * @param {Blob} blob - Compressed archive blob
+ * @param {string} path - Entry path
+ * @param {{onProgress: Function, signal: AbortSignal, maxOriginalSize: number, password: string, verificationKeys: Array<Object>}} [options] - Progress callback, abort signal, size limit (see decompressBytes), password of an encrypted file and public keys to check a signature against
+ * @returns {Promise<{fileBytes: Uint8Array, entry: Object}>} - Entry contents and its table entry
+ */
+export async function extractEntryFromBlob(blob, path, options = {}) {
+  const { meta, payloadUint8Array } = await parseCompressedFile(blob, options);
+  const fileBytes = await extractArchiveEntry(payloadUint8Array, meta, path, options, decompressParallel);
+  const entry = meta.archive.entries.find((candidate) => candidate.path === path);
   
-  return { fileBytes, meta };
+  return { fileBytes, entry };
+}
+
+/**
+ * Decompress every entry of a compressed archive
+ * @param {Blob} blob - Compressed archive blob
+ * @param {{onProgress: Function, signal: AbortSignal, maxOriginalSize: number, password: string, verificationKeys: Array<Object>}} [options] - Progress callback, abort signal, size limit (see decompressBytes), password of an encrypted file and public keys to check a signature against
+ * @returns {Promise<{entries: Array<Object>, meta: Object, integrityVerified: boolean, encryption: (Object|null), signature: (Object|null)}>} - Entries with their bytes (see splitArchive), metadata, whether checksums were verified, encryption and signature (see parseCompressedFile)
+ */
+export async function extractAllFromBlob(blob, options = {}) {
+  const { meta, payloadUint8Array, encryption, signature } = await parseCompressedFile(blob, options);
+  const entries = await extractArchive(payloadUint8Array, meta, options, decompressParallel);
+  
+  return { entries, meta, integrityVerified: typeof meta.crc32 === 'number', encryption, signature };
+}
+
+/**
+ * Search inside a compressed file using its FM-index, without inverting the BWT
+ * @param {Blob} blob - Compressed file blob (must contain a search index)
+ * @param {string} pattern - Text to search for (UTF-8)
+ * @param {Object} options - Search options
+ * @param {number} [options.limit=100] - Maximum number of offsets to return
+ * @param {string} [options.password] - Password of an encrypted file
+ * @returns {Promise<{count: number, offsets: number[], meta: Object}>} - Match count, first offsets and metadata
+ */
+export async function searchCompressedBlob(blob, pattern, { limit = 100, password } = {}) {
+  const { meta, payloadUint8Array, indexUint8Array } = await parseCompressedFile(blob, { password });
+  const index = openSearchIndex(payloadUint8Array, meta, indexUint8Array);
+  
+  return {
+    count: index.count(pattern),
+    offsets: index.locate(pattern, { limit }),
+    meta
+  };
 }
 
 /**
@@ -0,0 +1,116 @@
+// Signing keys kept in localStorage as JWKs, for the key pair manager
+// Private keys are stored unencrypted, like saved files; export them to keep a backup.
+
+import { importJwk, exportJwk } from '../algorithms/signature.js';
+
+const KEY_PREFIX = 'bwt_key_';
+
+/**
+ * Store a key pair (or a public key) under its key ID
+ * @param {{algorithm: string, keyId: string, publicKey: CryptoKey, privateKey: (CryptoKey|null)}} keyPair - Key to store
+ * @param {string} name - Display name
+ * @returns {Promise<void>}
+ */
+export async function saveKey(keyPair, name) {
+  try {
+    const storageItem = {
+      name,
+      algorithm: keyPair.algorithm,
+      keyId: keyPair.keyId,
+      publicJwk: await exportJwk(keyPair),
+      privateJwk: keyPair.privateKey ? await exportJwk(keyPair, { includePrivate: true }) : null,
+      createdAt: new Date().toISOString()
+    };
+
+    localStorage.setItem(`${KEY_PREFIX}${keyPair.keyId}`, JSON.stringify(storageItem));
+  } catch (error) {
+    throw new Error(`Failed to save key: ${error.message}`);
+  }
+}
+
+/**
+ * List stored keys without importing them
+ * @returns {Array<{keyId: string, name: string, algorithm: string, hasPrivateKey: boolean, createdAt: string}>} - Stored keys, newest first
+ */
+export function listKeys() {
+  const keys = [];
+
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith(KEY_PREFIX)) {
+      try {
+        const storageItem = JSON.parse(localStorage.getItem(key));
+        keys.push({
+          keyId: storageItem.keyId,
+          name: storageItem.name,
+          algorithm: storageItem.algorithm,
+          hasPrivateKey: Boolean(storageItem.privateJwk),
+          createdAt: storageItem.createdAt
+        });
+      } catch (error) {
+        console.warn(`Failed to parse stored key ${key}:`, error);
+      }
+    }
+  }
+
+  return keys.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Import a stored key
+ * @param {string} keyId - Key ID
+ * @returns {Promise<{name: string, algorithm: string, keyId: string, publicKey: CryptoKey, privateKey: (CryptoKey|null)}>} - Key pair with its name
+ */
+export async function loadKey(keyId) {
+  const stored = localStorage.getItem(`${KEY_PREFIX}${keyId}`);
+  if (!stored) {
+    throw new Error(`Key ${keyId} not found`);
+  }
+
+  const storageItem = JSON.parse(stored);
+  const keyPair = await importJwk(storageItem.privateJwk || storageItem.publicJwk);
+  return { ...keyPair, name: storageItem.name };
+}
+
+/**
+ * Import every stored key, e.g. to check signatures against
+ * @returns {Promise<Array<Object>>} - Key pairs with their names (see loadKey)
+ */
+export async function loadKeys() {
+  const keys = [];
+  for (const { keyId } of listKeys()) {
+    try {
+      keys.push(await loadKey(keyId));
+    } catch (error) {
+      console.warn(`Failed to import stored key ${keyId}:`, error);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Stored JWK of a key, for export
+ * @param {string} keyId - Key ID
+ * @param {{includePrivate: boolean}} [options] - Export the private key instead of the public one
+ * @returns {Object} - JSON Web Key
+ */
+export function getKeyJwk(keyId, { includePrivate = false } = {}) {
+  const stored = localStorage.getItem(`${KEY_PREFIX}${keyId}`);
+  if (!stored) {
+    throw new Error(`Key ${keyId} not found`);
+  }
+
+  const storageItem = JSON.parse(stored);
+  if (includePrivate && !storageItem.privateJwk) {
+    throw new Error(`Key ${keyId} has no private part to export`);
+  }
+  return includePrivate ? storageItem.privateJwk : storageItem.publicJwk;
+}
+
+/**
+ * Delete a stored key
+ * @param {string} keyId - Key ID
+ */
+export function deleteKey(keyId) {
+  localStorage.removeItem(`${KEY_PREFIX}${keyId}`);
+}
@@ -0,0 +1,6 @@
+// Web Worker entry point for the compression pipeline (see workerTasks.js)
+import { handleWorkerTask } from './workerTasks.js';
+
+self.onmessage = ({ data }) => {
+  handleWorkerTask(data, (reply, transfer) => self.postMessage(reply, transfer));
+};
@@ -0,0 +1,360 @@
+// Pool of pipeline Web Workers that compress and decompress blocks in parallel
+// Blocks are independent, so each one is a separate task; input and output buffers
+// are transferred rather than copied. Without Worker support (e.g. in tests), when a
+// worker fails to load (CSP, no module workers, a missing chunk), or while plugin
+// stages are registered (workers only know the built-in stages), the work runs on
+// the main thread instead.
+
+import {
+  compressBytesAsync,
+  decompressBytesAsync,
+  mergeCompressedBlocks,
+  splitCompressedBlocks,
+  joinDecompressedBlocks,
+  splittableBWTState,
+  resolveBlockSize,
+  listStages,
+  ChecksumError,
+  FormatError
+} from '../algorithms/pipeline.js';
+import { crc32 } from '../algorithms/checksum.js';
+import { bwtSegments } from '../algorithms/bwt.js';
+
+let sharedPool = null;
+
+/**
+ * Create a pool of workers that run handleWorkerTask messages
+ * @param {Object} options - Pool options
+ * @param {number} options.size - Number of workers
+ * @param {function(): Worker} options.createWorker - Worker factory
+ * @returns {{run: Function, terminate: Function, size: number, broken: boolean}} - Pool operations; broken once a worker has failed
+ */
+export function createWorkerPool({ size, createWorker }) {
+  const queue = [];
+  let nextId = 1;
+  let broken = false;
+
+  const finish = (slot, settle) => {
+    const { job } = slot;
+    slot.job = null;
+    job.detach();
+    settle(job);
+    dispatch();
+  };
+
+  const spawn = () => {
+    const slot = { worker: createWorker(), job: null };
+    slot.worker.onmessage = ({ data }) => {
+      if (!slot.job || data.id !== slot.job.id) return;
+      if (data.progress) {
+        slot.job.onProgress?.(data.progress);
+      } else if (data.error) {
+        finish(slot, (job) => job.reject(toError(data.error)));
+      } else {
+        finish(slot, (job) => job.resolve(data.result));
+      }
+    };
+    // Task errors are posted back, so an error event means the worker script itself failed
+    // (usually to load); the pool is unusable from then on and callers fall back
+    slot.worker.onerror = (event) => {
+      const error = new Error(`Worker failed: ${event.message || 'unknown error'}`);
+      broken = true;
+      queue.splice(0).forEach((job) => {
+        job.detach();
+        job.reject(error);
+      });
+      if (slot.job) {
+        finish(slot, (job) => job.reject(error));
+      }
+    };
+    return slot;
+  };
+
+  const slots = Array.from({ length: Math.max(1, size) }, spawn);
+
+  const dispatch = () => {
+    for (const slot of slots) {
+      if (queue.length === 0) return;
+      if (!slot.job) {
+        slot.job = queue.shift();
+        slot.worker.postMessage({ ...slot.job.message, id: slot.job.id }, slot.job.transfer);
+      }
+    }
+  };
+
+  return {
+    size: slots.length,
+
+    get broken() {
+      return broken;
+    },
+
+    /**
+     * Queue a task for the next free worker
+     * @param {Object} message - Task message without id
+     * @param {ArrayBuffer[]} transfer - Buffers to transfer to the worker
+     * @param {{onProgress: Function, signal: AbortSignal}} [options] - Progress callback and abort signal
+     * @returns {Promise<*>} - Task result
+     */
+    run(message, transfer, { onProgress, signal } = {}) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(signal.reason);
+          return;
+        }
+        if (broken) {
+          reject(new Error('Worker pool is unusable after a worker failed'));
+          return;
+        }
+
+        const job = { id: nextId++, message, transfer, onProgress, resolve, reject, detach: () => {} };
+
+        // A busy worker cannot be interrupted, so cancelling a running task replaces its worker
+        const onAbort = () => {
+          const queued = queue.indexOf(job);
+          if (queued >= 0) {
+            queue.splice(queued, 1);
+          } else {
+            const index = slots.findIndex((slot) => slot.job === job);
+            if (index < 0) return;
+            slots[index].worker.terminate();
+            slots[index] = spawn();
+          }
+          job.detach();
+          reject(signal.reason);
+          dispatch();
+        };
+        if (signal) {
+          signal.addEventListener('abort', onAbort, { once: true });
+          job.detach = () => signal.removeEventListener('abort', onAbort);
+        }
+
+        queue.push(job);
+        dispatch();
+      });
+    },
+
+    /**
+     * Stop every worker and reject queued tasks
+     */
+    terminate() {
+      queue.splice(0).forEach((job) => job.reject(new Error('Worker pool terminated')));
+      slots.forEach((slot) => {
+        slot.worker.terminate();
+        if (slot.job) slot.job.reject(new Error('Worker pool terminated'));
+        slot.job = null;
+      });
+    }
+  };
+}
+
+/**
+ * Shared pool sized to the machine, or null where Web Workers are unavailable or failed
+ * @returns {Object|null} - Pool from createWorkerPool
+ */
+export function getWorkerPool() {
+  if (typeof Worker === 'undefined' || sharedPool?.broken) {
+    return null;
+  }
+  if (!sharedPool) {
+    sharedPool = createWorkerPool({
+      size: globalThis.navigator?.hardwareConcurrency || 4,
+      createWorker: () => new Worker(new URL('./pipeline.worker.js', import.meta.url), { type: 'module' })
+    });
+  }
+  return sharedPool;
+}
+
+/**
+ * Compress with one worker task per block, falling back to compressBytesAsync on the main thread
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {Object} [options] - compressBytes options, including onProgress and signal
+ * @param {Object|null} [pool] - Worker pool (default getWorkerPool())
+ * @returns {Promise<{payload: Uint8Array, meta: Object, index: (Uint8Array|undefined)}>} - Same shape as compressBytes
+ */
+export async function compressParallel(bytes, options = {}, pool = getWorkerPool()) {
+  if (!pool || bytes.length === 0 || hasPluginStages()) {
+    return compressBytesAsync(bytes, options);
+  }
+
+  const { onProgress, signal, ...settings } = options;
+  const startTime = performance.now();
+  const blockSize = resolveBlockSize(settings.blockSize);
+  const blockCount = Math.ceil(bytes.length / blockSize);
+  const progress = createProgressTracker('compress', bytes.length, blockCount, onProgress, startTime);
+
+  const tasks = [];
+  for (let offset = 0, blockIndex = 0; offset < bytes.length; offset += blockSize, blockIndex++) {
+    const block = bytes.slice(offset, offset + blockSize);
+    const index = blockIndex;
+    tasks.push(pool.run(
+      { type: 'compress', bytes: block.buffer, options: { ...settings, blockSize } },
+      [block.buffer],
+      { signal, onProgress: (event) => progress(index, event) }
+    ));
+  }
+  let parts;
+  try {
+    parts = await Promise.all(tasks);
+  } catch (error) {
+    if (!pool.broken) throw error;
+    pool.terminate();
+    return compressBytesAsync(bytes, options);
+  }
+
+  // A block that failed to compress is handled like compressBytes does: store the whole input
+  if (parts.some((part) => part.meta.pipeline[0] === 'none')) {
+    return compressBytesAsync(bytes, options);
+  }
+
+  const result = mergeCompressedBlocks(parts, { crc32: crc32(bytes), startTime });
+  progress(blockCount - 1, { stage: 'done', bytesDone: blockSize });
+  return result;
+}
+
+/**
+ * Decompress with one worker task per block, falling back to decompressBytesAsync on the main thread
+ * @param {Uint8Array} payload - Compressed payload
+ * @param {Object} meta - Compression metadata
+ * @param {Object} [options] - decompressBytes options (onProgress, signal and maxOriginalSize)
+ * @param {Object|null} [pool] - Worker pool (default getWorkerPool())
+ * @returns {Promise<Uint8Array>} - Original bytes
+ */
+export async function decompressParallel(payload, meta, options = {}, pool = getWorkerPool()) {
+  const jobs = pool && payload?.length > 0 && !hasPluginStages() ? splitCompressedBlocks(payload, meta, options) : null;
+  if (!jobs || jobs.length === 0) {
+    return decompressBytesAsync(payload, meta, options);
+  }
+
+  const { onProgress, signal } = options;
+  const totalBytes = meta.blocks.reduce((sum, block) => sum + block.originalSize, 0);
+  const progress = createProgressTracker('decompress', totalBytes, jobs.length, onProgress, performance.now());
+
+  const decoding = Promise.all(jobs.map((job, i) => {
+    const bytes = job.payload.slice();
+    const bwtState = pool.size > 1 ? splittableBWTState(job.meta) : null;
+    const task = bwtState
+      ? decompressSegmented(pool, bytes, job.meta, bwtState, { signal, onProgress: (event) => progress(i, event) })
+      : pool.run(
+        { type: 'decompress', bytes: bytes.buffer, meta: job.meta },
+        [bytes.buffer],
+        { signal, onProgress: (event) => progress(i, event) }
+      );
+    return task.catch((error) => {
+      // Each task sees a single block 0; report the block's place in the file
+      if (error instanceof ChecksumError) {
+        throw new ChecksumError(`Block ${i} failed its CRC-32 check (data is corrupt)`, i);
+      }
+      if (error instanceof FormatError) {
+        throw new FormatError(`${error.message} (block ${i})`, error.offset, { blockIndex: i, stage: error.stage });
+      }
+      throw new Error(`${error.message} (block ${i})`);
+    });
+  }));
+  let outputs;
+  try {
+    outputs = await decoding;
+  } catch (error) {
+    if (!pool.broken) throw error;
+    pool.terminate();
+    return decompressBytesAsync(payload, meta, options);
+  }
+
+  const output = joinDecompressedBlocks(outputs, meta);
+  progress(jobs.length - 1, { stage: 'done', bytesDone: meta.blocks[jobs.length - 1].originalSize });
+  return output;
+}
+
+/**
+ * Decode one block whose BWT has checkpoints, with its inverse BWT split into at most
+ * pool.size runs of contiguous segments that run on separate workers
+ * @param {Object} pool - Worker pool
+ * @param {Uint8Array} bytes - Block payload (its buffer is transferred)
+ * @param {Object} meta - Metadata of the block (see splitCompressedBlocks)
+ * @param {{primaryIndex: number, checkpoints: Object}} bwtState - State of the block's leading BWT
+ * @param {{onProgress: Function, signal: AbortSignal}} options - Progress callback and abort signal
+ * @returns {Promise<Uint8Array>} - Decoded block
+ */
+async function decompressSegmented(pool, bytes, meta, bwtState, { onProgress, signal }) {
+  const [block] = meta.blocks;
+  // The worker also builds the next mapping; each run's task gets a copy of both arrays
+  const { transformed, next } = await pool.run({ type: 'decompress-to-bwt', bytes: bytes.buffer, meta }, [bytes.buffer], { signal });
+  onProgress({ stage: 'bwt', bytesDone: 0 });
+
+  const segments = bwtSegments(transformed.length, bwtState.primaryIndex, bwtState.checkpoints);
+  const runCount = Math.min(pool.size, segments.length);
+  const runs = Array.from({ length: runCount }, (_, k) => segments.slice(
+    Math.floor((k * segments.length) / runCount),
+    Math.floor(((k + 1) * segments.length) / runCount)
+  ));
+
+  const source = transformed.slice().buffer;
+  const decoded = new Uint8Array(transformed.length);
+  let bytesDone = 0;
+  await Promise.all(runs.map((run) => (
+    pool.run(
+      { type: 'bwt-segments', bytes: source, next: next.buffer, segments: run.map(({ row, length }) => ({ row, length })) },
+      [],
+      { signal }
+    ).then((output) => {
+      decoded.set(output, run[0].start);
+      bytesDone += output.length;
+      onProgress({ stage: 'bwt', bytesDone });
+    })
+  )));
+
+  if (decoded.length !== block.originalSize) {
+    throw new FormatError(`Block decoded to ${decoded.length} bytes, expected ${block.originalSize}`);
+  }
+  if (typeof block.crc32 === 'number' && crc32(decoded) !== block.crc32) {
+    throw new ChecksumError('Block 0 failed its CRC-32 check (data is corrupt)', 0);
+  }
+  return decoded;
+}
+
+/**
+ * Combine per-task progress events into events for the whole input
+ * @param {string} phase - 'compress' or 'decompress'
+ * @param {number} totalBytes - Original bytes to process
+ * @param {number} blockCount - Number of blocks
+ * @param {function(Object): void} [onProgress] - Caller's callback
+ * @param {number} startTime - When the work started
+ * @returns {function(number, {stage: string, bytesDone: number}): void} - update(blockIndex, taskEvent)
+ */
+function createProgressTracker(phase, totalBytes, blockCount, onProgress, startTime) {
+  const doneByBlock = new Array(blockCount).fill(0);
+
+  return (blockIndex, { stage, bytesDone }) => {
+    if (!onProgress) return;
+    doneByBlock[blockIndex] = bytesDone;
+    const done = Math.min(totalBytes, doneByBlock.reduce((sum, value) => sum + value, 0));
+    const elapsedMs = performance.now() - startTime;
+    const etaMs = done > 0 ? (elapsedMs * (totalBytes - done)) / done : null;
+    onProgress({ phase, stage, blockIndex, blockCount, bytesDone: done, totalBytes, elapsedMs, etaMs });
+  };
+}
+
+/**
+ * Plugin stages live in the main thread's registry only
+ * @returns {boolean} - True if any plugin stage is registered
+ */
+function hasPluginStages() {
+  return listStages().some((stage) => stage.plugin);
+}
+
+/**
+ * Rebuild an error posted by a worker
+ * @param {{name: string, message: string, blockIndex: (number|null|undefined), offset: (number|null|undefined), stage: (string|null|undefined)}} error - Posted error
+ * @returns {Error} - Error of the original type where it matters
+ */
+function toError({ name, message, blockIndex, offset, stage }) {
+  if (name === 'ChecksumError') {
+    return new ChecksumError(message, blockIndex);
+  }
+  if (name === 'FormatError') {
+    return new FormatError(message, offset, { blockIndex, stage });
+  }
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
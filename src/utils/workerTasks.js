@@ -0,0 +1,57 @@
+// Work done inside a pipeline worker, kept apart from the worker entry point so it
+// can run on any thread. Messages: { id, type: 'compress' | 'decompress', bytes, meta, options },
+// { id, type: 'decompress-to-bwt', bytes, meta } (result { transformed, next }) or
+// { id, type: 'bwt-segments', bytes, next, segments } for a run of contiguous segments.
+// Replies are { id, progress } while working, then { id, result } or { id, error }.
+
+import { compressBytes, decompressBytes, decompressToBWT } from '../algorithms/pipeline.js';
+import { bwtDecodeSegment, buildNextMapping } from '../algorithms/bwt.js';
+
+/**
+ * Run one task and post its progress and outcome
+ * @param {Object} message - Task message
+ * @param {function(Object, Transferable[]): void} post - Sends a reply, transferring the listed buffers
+ */
+export function handleWorkerTask(message, post) {
+  const { id, type, bytes, meta, options, next, segments } = message;
+  const onProgress = (progress) => post({ id, progress }, []);
+
+  try {
+    if (type === 'compress') {
+      const result = compressBytes(new Uint8Array(bytes), { ...options, onProgress });
+      post({ id, result }, transferablesOf(result.payload, result.index));
+    } else if (type === 'decompress') {
+      const result = decompressBytes(new Uint8Array(bytes), meta, { onProgress });
+      post({ id, result }, transferablesOf(result));
+    } else if (type === 'decompress-to-bwt') {
+      // The next mapping is built here too, keeping its O(n) pass off the main thread
+      const transformed = decompressToBWT(new Uint8Array(bytes), meta);
+      const result = { transformed, next: buildNextMapping(transformed) };
+      post({ id, result }, transferablesOf(result.transformed, result.next));
+    } else if (type === 'bwt-segments') {
+      const transformed = new Uint8Array(bytes);
+      const mapping = new Uint32Array(next);
+      const result = new Uint8Array(segments.reduce((sum, segment) => sum + segment.length, 0));
+      let offset = 0;
+      for (const { row, length } of segments) {
+        result.set(bwtDecodeSegment(transformed, mapping, row, length), offset);
+        offset += length;
+      }
+      post({ id, result }, transferablesOf(result));
+    } else {
+      throw new Error(`Unknown worker task: ${type}`);
+    }
+  } catch (error) {
+    const { name, message, blockIndex, offset, stage } = error;
+    post({ id, error: { name, message, blockIndex, offset, stage } }, []);
+  }
+}
+
+/**
+ * Distinct buffers behind the given arrays
+ * @param {...(Uint8Array|Uint32Array|undefined)} arrays - Result arrays
+ * @returns {ArrayBuffer[]} - Buffers to transfer
+ */
+function transferablesOf(...arrays) {
+  return [...new Set(arrays.filter(Boolean).map((array) => array.buffer))];
+}